@@ -0,0 +1,160 @@
+/**
+ * This module keeps the audit log of the AI tab, so it can be reconstructed what the model was asked and what it
+ * answered.
+ *
+ * Every request of a section of the analysis, every chat message, every tool called by the model in the chat
+ * (gc-ai-tools.js), every file upload, every feedback of a clinician (gc-ai-feedback.js) and every finding written
+ * back to the EHR (gc-ai-writeback.js) is appended as
+ * record: { id, timestamp, type, patientId, section, model, promptHash, prompt, response, citations, latency,
+ * status, analysisId, rating, tags, comment }.
+ * Records can only be appended, there is no way to change or remove them. If the storage is full (the quota of the
+ * localStorage), the record is not appended and append rejects, so the caller can show that the interactions are no
+ * longer recorded. The log is stored in a GC.Model, so any of its proxies can be used (GC.LocalStorageProxy,
+ * GC.SmartScratchpadProxy, ...):
+ *
+ * { fileRevision, aiAudit: [ <record>, ... ] }
+ *
+ * Dependencies:
+ * - Global variables: GC, jQuery
+ * - GC.Model (js/gc-model.js) and its proxies.
+ * - GC.AICache (gc-ai-cache.js) for the hash of the prompts and to save the model.
+ *
+ */
+(function(NS, $) {
+    "use strict";
+
+    const ROOT = "aiAudit";
+
+    const TYPES = {
+        ANALYSIS: "analysis",
+        CHAT: "chat",
+        TOOL: "tool",
+        UPLOAD: "upload",
+        FEEDBACK: "feedback",
+        WRITEBACK: "writeback"
+    };
+
+    // Properties of a record, in the order of the CSV columns
+    const FIELDS = ["id", "timestamp", "type", "patientId", "section", "model", "promptHash", "prompt", "response",
+        "citations", "latency", "status", "analysisId", "rating", "tags", "comment"];
+
+    /**
+     * Creates an audit log stored in a model.
+     * @param {GC.Model} model - The model whose proxy stores the records.
+     * @param {Object} [options] - { sync: true to read the model from its proxy before the first access }
+     * @returns {Object} - The audit log with append and list.
+     */
+    function createLog(model, options) {
+        let ready = null;
+
+        function whenReady() {
+            if (!ready) {
+                ready = options && options.sync ?
+                    Promise.resolve(model.sync()).catch(() => null) :
+                    Promise.resolve();
+            }
+            return ready;
+        }
+
+        function getRecords() {
+            return model.prop(ROOT) || [];
+        }
+
+        /**
+         * Appends a record to the log. The id, the timestamp and the hash of the prompt are added. No record is ever
+         * dropped: if the storage is full, the record is not appended.
+         * @param {Object} record - { type, patientId, section, model, prompt, response, citations, latency, status,
+         * analysisId, rating, tags, comment }
+         * @returns {Promise<Object>} - The stored record, resolved when the log is saved, rejected if it cannot be
+         *     saved (e.g. the quota of the storage is exceeded).
+         */
+        async function append(record) {
+            await whenReady();
+            const records = getRecords();
+            const entry = Object.assign({}, record, {
+                id: records.length ? records[records.length - 1].id + 1 : 1,
+                timestamp: new Date().toISOString(),
+                promptHash: NS.AICache.hash(record.prompt || ""),
+                citations: (record.citations || []).slice()
+            });
+
+            await NS.AICache.commit(model, ROOT, records.concat([entry]));
+            return $.extend(true, {}, entry);
+        }
+
+        /**
+         * Returns the records of the log, oldest first.
+         * @param {Object} [filter] - { patientId } to return the records of a patient only.
+         * @returns {Promise<Array<Object>>} - Copies of the records.
+         */
+        async function list(filter) {
+            await whenReady();
+            return getRecords()
+                .filter(record => !filter || !filter.patientId || record.patientId === filter.patientId)
+                .map(record => $.extend(true, {}, record));
+        }
+
+        return {
+            append: append,
+            list: list
+        };
+    }
+
+    /**
+     * Opens the audit log selected in GC.chartSettings.ai.audit: "localStorage" stores the records in their own
+     * model with a GC.LocalStorageProxy, "scratchpad" in GC.Scratchpad (e.g. GC.SmartScratchpadProxy).
+     * @param {string} storage - "localStorage", "scratchpad" or "none".
+     * @returns {Object|null} - The audit log or null if disabled.
+     */
+    function openLog(storage) {
+        switch (storage) {
+        case "localStorage":
+            return createLog(new NS.Model({ fileRevision: 1 }, null, new NS.LocalStorageProxy(ROOT)), { sync: true });
+        case "scratchpad":
+            return createLog(NS.Scratchpad);
+        default:
+            return null;
+        }
+    }
+
+    /**
+     * Exports records as JSON.
+     * @param {Array<Object>} records - The records.
+     * @returns {string} - The JSON text.
+     */
+    function toJSON(records) {
+        return JSON.stringify(records, null, 2);
+    }
+
+    /**
+     * Exports records as CSV with a header line. The citations and tags are joined with "; ".
+     * @param {Array<Object>} records - The records.
+     * @returns {string} - The CSV text.
+     */
+    function toCSV(records) {
+        function cell(value) {
+            if (value === undefined || value === null) {
+                return "";
+            }
+            const text = Array.isArray(value) ? value.join("; ") : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+
+        return [FIELDS.join(",")]
+            .concat(records.map(record => FIELDS.map(field => cell(record[field])).join(",")))
+            .join("\r\n");
+    }
+
+    NS.AIAudit = {
+        TYPES: TYPES,
+        FIELDS: FIELDS,
+        create: createLog,
+        open: openLog,
+        toJSON: toJSON,
+        toCSV: toCSV
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIAudit;
+    }
+}(GC, jQuery));
@@ -0,0 +1,192 @@
+/**
+ * This module caches the analyses of the AI tab, so an unchanged patient is not analyzed again every time the
+ * tab is opened.
+ *
+ * An analysis is stored per patient under the fingerprint of its input (the growth and history prompts, the
+ * model and the version of the analysis). Only the latest analysis of a patient and the analyses of the latest
+ * MAX_PATIENTS patients are kept. If the storage is full, the analyses of the other patients are removed. The data
+ * is stored in a GC.Model, so any of its proxies can be used (GC.LocalStorageProxy, GC.SmartScratchpadProxy, ...):
+ *
+ * { fileRevision, aiAnalyses: { <patient key>: { <fingerprint>: { date, model, version, ... } } } }
+ *
+ * Dependencies:
+ * - Global variables: GC, jQuery
+ * - GC.Model (js/gc-model.js) and its proxies.
+ *
+ */
+(function(NS, $) {
+    "use strict";
+
+    const ROOT = "aiAnalyses";
+
+    const MAX_PATIENTS = 50;
+
+    /**
+     * Calculates a fast, non-cryptographic 53-bit hash of a text (cyrb53).
+     * @param {string} text - The text to hash.
+     * @returns {string} - The hash as hexadecimal string.
+     */
+    function hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        text = String(text);
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    /**
+     * Creates the fingerprint of the input of an analysis.
+     * @param {Array<string>} parts - The input, e.g. [promptGrowth, promptHistory, model, version].
+     * @returns {string} - The fingerprint.
+     */
+    function fingerprint(parts) {
+        return hash(parts.map(part => String(part === undefined || part === null ? "" : part)).join("\u0000"));
+    }
+
+    /**
+     * Sets a property of a model and writes the model once through its proxy. The property is set without the
+     * autoCommit of GC.Model, which would write the whole model a second time. If the proxy fails, the previous
+     * value is restored.
+     * @param {GC.Model} model - The model.
+     * @param {string} path - The path of the property.
+     * @param {*} value - The new value, undefined removes it.
+     * @returns {Promise} - Resolved when the model is saved, rejected with the error of the proxy.
+     */
+    function commit(model, path, value) {
+        const previous = model.prop(path);
+        const set = newValue => {
+            const autoCommit = model.autoCommit;
+            model.autoCommit = false;
+            try {
+                model.prop(path, newValue);
+            } finally {
+                model.autoCommit = autoCommit;
+            }
+        };
+
+        set(value);
+        return new Promise((resolve, reject) => {
+            $.when(model.save()).done(resolve).fail(reject);
+        }).catch(error => {
+            set(previous);
+            throw error || new Error("The data could not be saved");
+        });
+    }
+
+    /**
+     * Checks whether an error of a proxy means that the storage is full (the quota of the localStorage).
+     * @param {*} error - The error.
+     * @returns {boolean} - True if the storage is full.
+     */
+    function isQuotaExceeded(error) {
+        return !!error && (error.name === "QuotaExceededError" || error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+            error.code === 22);
+    }
+
+    /**
+     * Creates a cache stored in a model.
+     * @param {GC.Model} model - The model whose proxy stores the analyses.
+     * @param {Object} [options] - { sync: true to read the model from its proxy before the first access }
+     * @returns {Object} - The cache with get, put and invalidate.
+     */
+    function createCache(model, options) {
+        let ready = null;
+
+        function whenReady() {
+            if (!ready) {
+                ready = options && options.sync ?
+                    Promise.resolve(model.sync()).catch(() => null) :
+                    Promise.resolve();
+            }
+            return ready;
+        }
+
+        function path(patientKey) {
+            return `${ROOT}.${hash(patientKey)}`;
+        }
+
+        // The date of the latest analysis of a patient
+        function getDate(entries) {
+            return Object.keys(entries || {}).reduce((date, key) => entries[key].date > date ? entries[key].date : date, "");
+        }
+
+        /**
+         * Returns the cached analysis of a patient.
+         * @param {string} patientKey - The patient (e.g. the FHIR id).
+         * @param {string} key - The fingerprint of the analysis.
+         * @returns {Promise<Object|null>} - The cached analysis or null.
+         */
+        async function get(patientKey, key) {
+            await whenReady();
+            const entries = model.prop(path(patientKey));
+            return entries && entries[key] || null;
+        }
+
+        /**
+         * Stores the analysis of a patient, replacing the previous one. The analyses of the patients beyond the latest
+         * MAX_PATIENTS are removed, all other patients if the storage is full.
+         * @param {string} patientKey - The patient (e.g. the FHIR id).
+         * @param {string} key - The fingerprint of the analysis.
+         * @param {Object} entry - The analysis.
+         * @returns {Promise} - Resolved when the analysis is saved, rejected if it cannot be saved.
+         */
+        async function put(patientKey, key, entry) {
+            await whenReady();
+            const patient = hash(patientKey);
+            const analyses = $.extend({}, model.prop(ROOT));
+            analyses[patient] = {};
+            analyses[patient][key] = entry;
+            Object.keys(analyses)
+                .filter(other => other !== patient)
+                .sort((a, b) => getDate(analyses[a]) < getDate(analyses[b]) ? 1 : -1)
+                .slice(MAX_PATIENTS - 1)
+                .forEach(other => delete analyses[other]);
+            try {
+                await commit(model, ROOT, analyses);
+            } catch (error) {
+                if (!isQuotaExceeded(error) || Object.keys(analyses).length === 1) {
+                    throw error;
+                }
+                await commit(model, ROOT, { [patient]: analyses[patient] });
+            }
+        }
+
+        /**
+         * Removes the cached analyses of a patient, e.g. when the data of the patient changed.
+         * @param {string} patientKey - The patient (e.g. the FHIR id).
+         * @returns {Promise} - Resolved when the cache is saved.
+         */
+        async function invalidate(patientKey) {
+            await whenReady();
+            if (model.prop(path(patientKey)) === undefined) {
+                return;
+            }
+            return commit(model, path(patientKey), undefined);
+        }
+
+        return {
+            get: get,
+            put: put,
+            invalidate: invalidate
+        };
+    }
+
+    NS.AICache = {
+        MAX_PATIENTS: MAX_PATIENTS,
+        hash: hash,
+        fingerprint: fingerprint,
+        commit: commit,
+        isQuotaExceeded: isQuotaExceeded,
+        create: createCache
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AICache;
+    }
+}(GC, jQuery));
@@ -0,0 +1,239 @@
+/**
+ * This module stores the chat transcripts of the AI tab per patient and user, so a chat can be resumed after a
+ * reload of the app.
+ *
+ * A conversation is { id, title, created, updated, threadId, model, messages: [{ role, content, status, timestamp }] }
+ * with the roles "user", "assistant" and "tool" (a tool called by the model, gc-ai-tools.js). The title is the
+ * beginning of the first message of the user. Only the latest MAX_CONVERSATIONS conversations of a patient and
+ * user and the conversations of the latest MAX_PATIENTS patients and users are kept. The data is stored in a
+ * GC.Model, so any of its proxies can be used (GC.LocalStorageProxy, GC.SmartScratchpadProxy, ...):
+ *
+ * { fileRevision, aiChats: { <hash of patient and user>: { <conversation id>: <conversation> } } }
+ *
+ * Dependencies:
+ * - Global variables: GC, jQuery
+ * - GC.Model (js/gc-model.js) and its proxies.
+ * - GC.AICache (gc-ai-cache.js) for the hash of the patient and the user and to save the model.
+ *
+ */
+(function(NS, $) {
+    "use strict";
+
+    const ROOT = "aiChats";
+
+    const ROLES = ["user", "assistant", "tool"];
+
+    const MAX_CONVERSATIONS = 20;
+
+    const MAX_PATIENTS = 50;
+
+    const TITLE_LENGTH = 60;
+
+    let idCounter = 0;
+
+    /**
+     * Creates a new, empty conversation.
+     * @param {Object} [properties] - { threadId, model } - the conversation of the provider and the model.
+     * @returns {Object} - The conversation.
+     */
+    function createConversation(properties) {
+        const now = new Date().toISOString();
+        return Object.assign({
+            id: `chat-${Date.now().toString(36)}-${++idCounter}`,
+            title: "",
+            created: now,
+            updated: now,
+            threadId: null,
+            model: null,
+            messages: []
+        }, properties);
+    }
+
+    /**
+     * Adds a message to a conversation. The first message of the user becomes the title.
+     * @param {Object} conversation - The conversation, changed in place.
+     * @param {Object} message - { role, content, status }
+     * @returns {Object} - The conversation.
+     */
+    function addMessage(conversation, message) {
+        if (ROLES.indexOf(message.role) === -1) {
+            throw new Error(`Unknown chat role: ${message.role}`);
+        }
+        const timestamp = new Date().toISOString();
+        conversation.messages.push(Object.assign({ content: "", status: "completed", timestamp: timestamp }, message));
+        conversation.updated = timestamp;
+        if (!conversation.title && message.role === "user") {
+            const content = String(message.content).trim();
+            conversation.title = content.length > TITLE_LENGTH ? content.substr(0, TITLE_LENGTH - 1) + "…" : content;
+        }
+        return conversation;
+    }
+
+    /**
+     * Writes a conversation as plain text, e.g. for the export.
+     * @param {Object} conversation - The conversation.
+     * @param {Object} [labels] - The labels of the roles { user, assistant, tool }.
+     * @returns {string} - The transcript.
+     */
+    function toText(conversation, labels) {
+        labels = Object.assign({ user: "User", assistant: "Assistant", tool: "Tool call" }, labels);
+        return conversation.messages.map(message =>
+            `[${message.timestamp}] ${labels[message.role]}:\n${message.content}`
+        ).join("\n\n");
+    }
+
+    /**
+     * Creates a chat history stored in a model.
+     * @param {GC.Model} model - The model whose proxy stores the conversations.
+     * @param {Object} [options] - { sync: true to read the model from its proxy before the first access }
+     * @returns {Object} - The chat history with list, get, put and remove.
+     */
+    function createHistory(model, options) {
+        let ready = null;
+
+        function whenReady() {
+            if (!ready) {
+                ready = options && options.sync ?
+                    Promise.resolve(model.sync()).catch(() => null) :
+                    Promise.resolve();
+            }
+            return ready;
+        }
+
+        function key(patientKey, userKey) {
+            return NS.AICache.hash(`${patientKey}\u0000${userKey}`);
+        }
+
+        function path(patientKey, userKey) {
+            return `${ROOT}.${key(patientKey, userKey)}`;
+        }
+
+        function getConversations(patientKey, userKey) {
+            return model.prop(path(patientKey, userKey)) || {};
+        }
+
+        // The time of the latest message of the conversations of a patient and user
+        function getUpdated(conversations) {
+            return Object.keys(conversations || {})
+                .reduce((updated, id) => conversations[id].updated > updated ? conversations[id].updated : updated, "");
+        }
+
+        /**
+         * Lists the conversations of a patient and user, the latest first.
+         * @param {string} patientKey - The patient (e.g. the FHIR id).
+         * @param {string} userKey - The user (e.g. the FHIR user of the SMART launch).
+         * @returns {Promise<Array<Object>>} - [{ id, title, created, updated, count }]
+         */
+        async function list(patientKey, userKey) {
+            await whenReady();
+            const conversations = getConversations(patientKey, userKey);
+            return Object.keys(conversations)
+                .map(id => conversations[id])
+                .sort((a, b) => a.updated < b.updated ? 1 : a.updated > b.updated ? -1 : 0)
+                .map(conversation => ({
+                    id: conversation.id,
+                    title: conversation.title,
+                    created: conversation.created,
+                    updated: conversation.updated,
+                    count: conversation.messages.length
+                }));
+        }
+
+        /**
+         * Returns a conversation.
+         * @param {string} patientKey - The patient.
+         * @param {string} userKey - The user.
+         * @param {string} id - The id of the conversation.
+         * @returns {Promise<Object|null>} - A copy of the conversation or null.
+         */
+        async function get(patientKey, userKey, id) {
+            await whenReady();
+            const conversation = getConversations(patientKey, userKey)[id];
+            return conversation ? $.extend(true, {}, conversation) : null;
+        }
+
+        /**
+         * Stores a conversation, replacing the stored one with the same id. The oldest conversations are removed
+         * if there are more than MAX_CONVERSATIONS, the conversations of the oldest patients and users if there are
+         * more than MAX_PATIENTS.
+         * @param {string} patientKey - The patient.
+         * @param {string} userKey - The user.
+         * @param {Object} conversation - The conversation.
+         * @returns {Promise} - Resolved when the conversation is saved, rejected if it cannot be saved.
+         */
+        async function put(patientKey, userKey, conversation) {
+            await whenReady();
+            const current = key(patientKey, userKey);
+            const chats = $.extend({}, model.prop(ROOT));
+            const conversations = $.extend({}, chats[current]);
+            conversations[conversation.id] = $.extend(true, {}, conversation);
+            Object.keys(conversations)
+                .sort((a, b) => conversations[a].updated < conversations[b].updated ? 1 : -1)
+                .slice(MAX_CONVERSATIONS)
+                .forEach(id => delete conversations[id]);
+            chats[current] = conversations;
+            Object.keys(chats)
+                .filter(other => other !== current)
+                .sort((a, b) => getUpdated(chats[a]) < getUpdated(chats[b]) ? 1 : -1)
+                .slice(MAX_PATIENTS - 1)
+                .forEach(other => delete chats[other]);
+            return NS.AICache.commit(model, ROOT, chats);
+        }
+
+        /**
+         * Removes a conversation.
+         * @param {string} patientKey - The patient.
+         * @param {string} userKey - The user.
+         * @param {string} id - The id of the conversation.
+         * @returns {Promise} - Resolved when the chat history is saved.
+         */
+        async function remove(patientKey, userKey, id) {
+            await whenReady();
+            const conversations = $.extend({}, getConversations(patientKey, userKey));
+            if (!conversations[id]) {
+                return;
+            }
+            delete conversations[id];
+            return NS.AICache.commit(model, path(patientKey, userKey), conversations);
+        }
+
+        return {
+            list: list,
+            get: get,
+            put: put,
+            remove: remove
+        };
+    }
+
+    /**
+     * Opens the chat history selected in GC.chartSettings.ai.chatHistory: "localStorage" stores the conversations
+     * in their own model with a GC.LocalStorageProxy, "scratchpad" in GC.Scratchpad (e.g. GC.SmartScratchpadProxy).
+     * @param {string} storage - "localStorage", "scratchpad" or "none".
+     * @returns {Object|null} - The chat history or null if disabled.
+     */
+    function openHistory(storage) {
+        switch (storage) {
+        case "localStorage":
+            return createHistory(new NS.Model({ fileRevision: 1 }, null, new NS.LocalStorageProxy(ROOT)), { sync: true });
+        case "scratchpad":
+            return createHistory(NS.Scratchpad);
+        default:
+            return null;
+        }
+    }
+
+    NS.AIChatHistory = {
+        ROLES: ROLES,
+        MAX_CONVERSATIONS: MAX_CONVERSATIONS,
+        MAX_PATIENTS: MAX_PATIENTS,
+        createConversation: createConversation,
+        addMessage: addMessage,
+        toText: toText,
+        create: createHistory,
+        open: openHistory
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIChatHistory;
+    }
+}(GC, jQuery));
@@ -0,0 +1,346 @@
+/**
+ * This module checks the numbers in the replies of the model against the patient model, so hallucinated values
+ * can be highlighted in the AI tab.
+ *
+ * The numeric claims of a reply are parsed, e.g. "height is at the 2nd percentile", "below the 3rd percentile",
+ * "between the 10th and 25th percentile", "z-score -2.4", "-2 SD" or "velocity 3 cm/yr", and the measure they
+ * refer to is taken from the sentence (height, weight, head circumference or BMI in English, Spanish and
+ * Bulgarian). Every claim is re-computed for every measurement of the patient with GC.findZFromX,
+ * GC.findPercentileFromX and GC.Patient.prototype.getVelocity:
+ * - consistent: the claim matches a measurement within the tolerance.
+ * - mismatch: no measurement matches, the value of the latest measurement is the correct value.
+ * - unverifiable: the measure is unknown or the patient has no such measurement.
+ * The claims do not contain the age they refer to, so a claim matching any measurement is consistent.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ * - GC.findZFromX, GC.findPercentileFromX and Math.normsinv (gc-statistics.js).
+ * - GC.AIGrowthTable (gc-ai-growth-table.js) for the measures, the references and the values.
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const STATUS = {
+        CONSISTENT: "consistent",
+        MISMATCH: "mismatch",
+        UNVERIFIABLE: "unverifiable"
+    };
+
+    // The tolerance of the z-scores (percentiles are compared as z-scores, so the 2nd and the 3rd percentile match
+    // while the 50th and the 75th do not) and of the velocities (absolute per year or relative)
+    const TOLERANCES = {
+        z: 0.25,
+        velocity: 0.5,
+        velocityRelative: 0.15
+    };
+
+    const NUMBER = "(\\d+(?:[.,]\\d+)?)";
+    const SIGNED_NUMBER = "([-+−–]?\\s?\\d+(?:[.,]\\d+)?)";
+    const ORDINAL = "(?:st|nd|rd|th|\\.|º|°|-?ти|-?ви|-?ри|-?ми)?";
+    const PERCENTILE = "(?:percentiles?|centiles?|percentil(?:es)?|перцентил[аи]?)";
+    const END = "(?![\\p{L}\\d])";
+
+    // The patterns of the claims, earlier patterns win if claims overlap
+    const PATTERNS = [
+        {
+            type: "percentile",
+            range: true,
+            regex: new RegExp(`${NUMBER}${ORDINAL}\\s*(?:and|to|-|–|y|a|и|до)\\s*(?:the\\s+|el\\s+)?${NUMBER}${ORDINAL}\\s*${PERCENTILE}${END}`, "giu")
+        },
+        { type: "percentile", regex: new RegExp(`${NUMBER}${ORDINAL}\\s*${PERCENTILE}${END}`, "giu") },
+        { type: "percentile", regex: new RegExp(`${PERCENTILE}(?:\\s+(?:of|de|от)|\\s*[:=])?\\s*${NUMBER}${END}`, "giu") },
+        { type: "percentile", regex: new RegExp(`(?<![\\p{L}\\d])P${NUMBER}${END}`, "gu") },
+        {
+            type: "zscore",
+            regex: new RegExp(`(?:z[-\\s]?scores?|z[-\\s]?оценка|puntuaci[oó]n z|sds|(?<![\\p{L}\\d])z)\\s*(?:of|de|от|is|was|:|=)?\\s*${SIGNED_NUMBER}${END}`, "giu")
+        },
+        { type: "zscore", regex: new RegExp(`${SIGNED_NUMBER}\\s*(?:SDS?|DE)${END}`, "gu") },
+        {
+            type: "velocity",
+            regex: new RegExp(`${NUMBER}\\s*(cm|kg)\\s*(?:\\/|per|por|на)\\s*(?:yr|year|a|año|година|г)${END}`, "giu")
+        }
+    ];
+
+    // Words before a claim meaning that the value is below or above
+    const BELOW = /(?:below|under|less than|lower than|<|≤|por debajo del?|inferior al?|menor (?:que|al?)|под|по-малко от)\s*(?:the\s+|el\s+|la\s+)?$/iu;
+    const ABOVE = /(?:above|over|greater than|more than|higher than|>|≥|por encima del?|superior al?|mayor (?:que|al?)|над|повече от)\s*(?:the\s+|el\s+|la\s+)?$/iu;
+
+    // Words naming the measures (GC.AIGrowthTable.MEASURES)
+    const MEASURE_WORDS = {
+        length: /height|length|stature|talla|estatura|altura|longitud|ръст|височина|дължина/giu,
+        weight: /weight|peso|тегл/giu,
+        headc: /head|cef[aá]lic|главата/giu,
+        bmi: /bmi|body mass|imc|masa corporal|итм|телесна маса/giu
+    };
+
+    /**
+     * Checks whether a number is finite and usable.
+     * @param {*} value - The value to check.
+     * @returns {boolean} - True for finite numbers.
+     */
+    function isNumber(value) {
+        return typeof value === "number" && isFinite(value);
+    }
+
+    /**
+     * Parses a number of a reply.
+     * @param {string} text - The number, e.g. "2,5" or "−2.4".
+     * @returns {number} - The number.
+     */
+    function parseNumber(text) {
+        return Number(text.replace(/[−–]/, "-").replace(/\s/g, "").replace(",", "."));
+    }
+
+    /**
+     * Computes the z-scores, percentiles and velocities of all measurements of a patient.
+     * @param {Object} patient - The patient (GC.Patient).
+     * @param {Object} [options] - { reference: CDC, WHO, FENTON or "auto" (default) for the primary chart }
+     * @returns {Object} - { reference, measures: { length: { measurements: [{ agemos, value, z, percentile }],
+     *     velocities: [{ agemos, value }] }, weight, headc, bmi }
+     */
+    function computeFacts(patient, options) {
+        options = options || {};
+        const reference = NS.AIGrowthTable.getReference(options.reference);
+        const model = patient.getModel();
+        const facts = { reference: reference, measures: {} };
+
+        NS.AIGrowthTable.MEASURES.forEach(measure => {
+            const dataSet = NS.AIGrowthTable.getDataSet(reference, measure);
+            const measurements = [];
+            const velocities = [];
+            model.forEach(entry => {
+                const value = NS.AIGrowthTable.getValue(entry, measure);
+                if (value === null || !dataSet) {
+                    return;
+                }
+                // The z-scores of the lengths are those of the value corrected to the position of the data set
+                const charted = value + NS.AIGrowthTable.getCorrection(patient, entry, measure, dataSet);
+                const z = NS.findZFromX(charted, dataSet, patient.gender, entry.agemos);
+                if (isNumber(z)) {
+                    measurements.push({
+                        agemos: entry.agemos,
+                        value: value,
+                        z: z,
+                        percentile: NS.findPercentileFromX(charted, dataSet, patient.gender, entry.agemos) * 100
+                    });
+                }
+            });
+
+            if (measure.velocity) {
+                const entries = model.filter(entry => isNumber(entry[measure.prop]));
+                entries.forEach(entry => {
+                    const velocity = patient.getVelocity(measure.prop, entry, null, "year");
+                    if (velocity && isNumber(velocity.value)) {
+                        velocities.push({ agemos: entry.agemos, value: velocity.value });
+                    }
+                });
+                // The velocity over the whole period
+                if (entries.length > 2) {
+                    const velocity = patient.getVelocity(measure.prop, entries[entries.length - 1], entries[0], "year");
+                    if (velocity && isNumber(velocity.value)) {
+                        velocities.push({ agemos: entries[entries.length - 1].agemos, value: velocity.value });
+                    }
+                }
+            }
+            facts.measures[measure.name] = { measurements: measurements, velocities: velocities };
+        });
+        return facts;
+    }
+
+    /**
+     * Finds the measure a claim refers to: the last measure named in the sentence before the claim, otherwise
+     * the first one after it.
+     * @param {string} text - The reply.
+     * @param {number} start - The start of the claim.
+     * @param {number} end - The end of the claim.
+     * @returns {string|null} - The name of the measure.
+     */
+    function findMeasure(text, start, end) {
+        const boundary = /[.!?;\n](?!\d)/g;
+        let sentenceStart = 0;
+        let sentenceEnd = text.length;
+        let match;
+        while ((match = boundary.exec(text)) !== null) {
+            if (match.index < start) {
+                sentenceStart = match.index + 1;
+            } else if (match.index >= end) {
+                sentenceEnd = match.index;
+                break;
+            }
+        }
+
+        let before = null;
+        let after = null;
+        Object.keys(MEASURE_WORDS).forEach(name => {
+            const regex = MEASURE_WORDS[name];
+            regex.lastIndex = sentenceStart;
+            while ((match = regex.exec(text)) !== null && match.index < sentenceEnd) {
+                if (match.index < start && (!before || match.index > before.index)) {
+                    before = { name: name, index: match.index };
+                } else if (match.index >= end && (!after || match.index < after.index)) {
+                    after = { name: name, index: match.index };
+                }
+            }
+        });
+        return before ? before.name : after ? after.name : null;
+    }
+
+    /**
+     * Parses the numeric claims of a reply.
+     * @param {string} text - The reply.
+     * @returns {Array<Object>} - The claims ordered by position: { type: "percentile", "zscore" or "velocity",
+     *     measure, comparator: "=", "<", ">" or "range", values, start, end, text }
+     */
+    function parseClaims(text) {
+        const claims = [];
+        PATTERNS.forEach(pattern => {
+            pattern.regex.lastIndex = 0;
+            let match;
+            while ((match = pattern.regex.exec(text)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (claims.some(claim => start < claim.end && end > claim.start)) {
+                    continue;
+                }
+                const values = (pattern.range ? [match[1], match[2]] : [match[1]]).map(parseNumber);
+                if (pattern.type === "percentile" && values.some(value => value <= 0 || value >= 100) ||
+                    pattern.type === "zscore" && values.some(value => Math.abs(value) > 10)) {
+                    continue;
+                }
+
+                const preceding = text.slice(Math.max(0, start - 30), start);
+                let measure = findMeasure(text, start, end);
+                if (pattern.type === "velocity" && (match[2].toLowerCase() === "kg" || measure !== "headc")) {
+                    measure = match[2].toLowerCase() === "kg" ? "weight" : "length";
+                }
+                claims.push({
+                    type: pattern.type,
+                    measure: measure,
+                    comparator: pattern.range ? "range" : BELOW.test(preceding) ? "<" : ABOVE.test(preceding) ? ">" : "=",
+                    values: pattern.range ? values.sort((a, b) => a - b) : values,
+                    start: start,
+                    end: end,
+                    text: match[0]
+                });
+            }
+        });
+        return claims.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Checks if a measurement matches a claim within the tolerance.
+     * @param {Object} claim - The claim.
+     * @param {Object} fact - The measurement ({ z }) or the velocity ({ value }).
+     * @returns {boolean} - True if it matches.
+     */
+    function matches(claim, fact) {
+        let actual, targets, tolerance;
+        if (claim.type === "velocity") {
+            actual = fact.value;
+            targets = claim.values;
+            tolerance = Math.max(TOLERANCES.velocity, Math.abs(actual) * TOLERANCES.velocityRelative);
+        } else {
+            actual = fact.z;
+            targets = claim.type === "percentile" ?
+                claim.values.map(value => Math.normsinv(Math.min(Math.max(value, 0.1), 99.9) / 100)) :
+                claim.values;
+            tolerance = TOLERANCES.z;
+        }
+
+        switch (claim.comparator) {
+        case "<":
+            return actual <= targets[0] + tolerance;
+        case ">":
+            return actual >= targets[0] - tolerance;
+        case "range":
+            return actual >= targets[0] - tolerance && actual <= targets[1] + tolerance;
+        default:
+            return Math.abs(actual - targets[0]) <= tolerance;
+        }
+    }
+
+    /**
+     * Parses the numeric claims of a reply and re-computes them against the patient.
+     * @param {string} text - The reply.
+     * @param {Object} facts - The facts of the patient (computeFacts).
+     * @param {Object} [options] - { measure: the measure of the claims whose sentence names none, e.g. the
+     *     measurement of a growth finding }
+     * @returns {Array<Object>} - The claims (see parseClaims) with their status and, for mismatches, the actual
+     *     value of the latest measurement: { actual: { agemos, value } } (the percentile, z-score or velocity).
+     */
+    function check(text, facts, options) {
+        options = options || {};
+        return parseClaims(text).map(claim => {
+            claim.measure = claim.measure || options.measure || null;
+            const measure = claim.measure && facts.measures[claim.measure];
+            const candidates = !measure ? [] : claim.type === "velocity" ? measure.velocities : measure.measurements;
+            if (!candidates.length) {
+                return Object.assign(claim, { status: STATUS.UNVERIFIABLE });
+            }
+            if (candidates.some(fact => matches(claim, fact))) {
+                return Object.assign(claim, { status: STATUS.CONSISTENT });
+            }
+            const latest = candidates.reduce((latest, fact) => fact.agemos > latest.agemos ? fact : latest);
+            const value = claim.type === "percentile" ? latest.percentile : claim.type === "zscore" ? latest.z : latest.value;
+            return Object.assign(claim, {
+                status: STATUS.MISMATCH,
+                actual: { agemos: latest.agemos, value: Math.round(value * 100) / 100 }
+            });
+        });
+    }
+
+    /**
+     * Calculates the consistency score of checked claims.
+     * @param {Array<Object>} claims - The checked claims.
+     * @returns {Object} - { consistent, mismatches, unverifiable, score: consistent / verified claims (0 - 1),
+     *     null without a verified claim }
+     */
+    function score(claims) {
+        const count = status => claims.filter(claim => claim.status === status).length;
+        const consistent = count(STATUS.CONSISTENT);
+        const mismatches = count(STATUS.MISMATCH);
+        return {
+            consistent: consistent,
+            mismatches: mismatches,
+            unverifiable: count(STATUS.UNVERIFIABLE),
+            score: consistent + mismatches ? consistent / (consistent + mismatches) : null
+        };
+    }
+
+    /**
+     * Splits a reply at its claims, so they can be highlighted.
+     * @param {string} text - The reply.
+     * @param {Array<Object>} claims - The claims of the reply, ordered by position.
+     * @returns {Array<Object>} - The parts of the reply: { text, claim } with the claim or null.
+     */
+    function split(text, claims) {
+        const parts = [];
+        let position = 0;
+        claims.forEach(claim => {
+            if (claim.start > position) {
+                parts.push({ text: text.slice(position, claim.start), claim: null });
+            }
+            parts.push({ text: text.slice(claim.start, claim.end), claim: claim });
+            position = claim.end;
+        });
+        if (position < text.length) {
+            parts.push({ text: text.slice(position), claim: null });
+        }
+        return parts;
+    }
+
+    NS.AIConsistency = {
+        STATUS: STATUS,
+        TOLERANCES: TOLERANCES,
+        computeFacts: computeFacts,
+        parseClaims: parseClaims,
+        check: check,
+        score: score,
+        split: split
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIConsistency;
+    }
+}(GC));
@@ -0,0 +1,201 @@
+/**
+ * This module de-identifies the prompts of the AI tab before they are sent to the model.
+ *
+ * The name of the patient is replaced with a pseudonym and dates are replaced with the age of the patient at
+ * that date, so the date of birth is not sent. Free text (e.g. the notes in the patient history) is scrubbed of
+ * identifiers: the names of the patient, names after a title or a relation (Dr. ..., mother ...), MRNs (a label,
+ * ":" or "#" and a number with at least one digit) and other long numbers, phone numbers, e-mail addresses and street addresses. The pseudonym in the replies of the model
+ * is mapped back to the name of the patient for display.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const PSEUDONYM = "Patient X";
+
+    const DAYS_PER_MONTH = 30.4375;
+
+    const MONTH_NAMES = "January|February|March|April|May|June|July|August|September|October|November|December|" +
+        "Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec";
+
+    // Relations followed by a name, e.g. "mother Anna" (upper or lower case first letter)
+    const RELATIONS = ["mother", "father", "mom", "dad", "parent", "brother", "sister", "sibling", "grandmother",
+        "grandfather", "guardian", "aunt", "uncle"]
+        .map(word => `[${word[0].toUpperCase()}${word[0]}]${word.substring(1)}`)
+        .join("|");
+
+    // Labels of a medical record number (upper or lower case letters), followed by ":" or "#" and the number
+    const MRN_LABELS = ["MRN", "medical record number", "medical record no", "patient id", "patient number",
+        "record number", "record no"]
+        .map(label => label.replace(/[a-z]/gi, letter => `[${letter.toUpperCase()}${letter.toLowerCase()}]`)
+            .replace(/ /g, "\\s+"))
+        .join("|");
+
+    // Capitalized clinical terms after a title or a relation which are no names, e.g. "Dr. Growth Hormone"
+    const NO_NAMES = ["Growth", "Hormone", "Endocrinology", "Endocrine", "Pediatrics", "Paediatrics", "Diabetes",
+        "Nutrition", "Gastroenterology", "Cardiology", "Neurology", "Genetics", "Clinic", "Hospital", "Department",
+        "Office", "Visit", "Appointment", "Referral", "Test", "Note", "Notes"].join("|");
+
+    // A capitalized word which can be part of a name
+    const NAME_WORD = `(?!(${NO_NAMES})\\b)[A-Z][a-zA-Z'-]+`;
+
+    // Scrubbed in this order, the dates are handled separately
+    const PATTERNS = [
+        { name: "EMAIL", pattern: /\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g },
+        { name: "MRN", pattern: new RegExp(`\\b(${MRN_LABELS})\\.?\\s*[:#]\\s*(?=[A-Z0-9-]*\\d)[A-Z0-9][A-Z0-9-]{3,}\\b`, "g") },
+        { name: "ADDRESS", pattern: /\b\d{1,5}\s+([A-Z][a-z]+\s+){1,3}(Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square)\b\.?(,?\s+(Apt|Suite|Unit)\.?\s*\w+)?/g },
+        { name: "PHONE", pattern: /(\+\d{1,3}[\s.-]?)?(\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g },
+        { name: "ID", pattern: /\b\d{6,}\b/g },
+        { name: "NAME", pattern: new RegExp(`\\b(Dr|Mr|Mrs|Ms|Miss|Prof)\\.?\\s+${NAME_WORD}(\\s+${NAME_WORD})?`, "g") },
+        { name: "NAME", pattern: new RegExp(`\\b(${RELATIONS})\\s+${NAME_WORD}(\\s+${NAME_WORD})?`, "g"), keepFirstWord: true }
+    ];
+
+    /**
+     * Formats an age in months as text, e.g. "2 years 3 months" or "12 days".
+     * @param {number} months - The age in months.
+     * @returns {string} - The age as text.
+     */
+    function formatAge(months) {
+        if (months === null || months === undefined || isNaN(months)) {
+            return "unknown age";
+        }
+        const sign = months < 0 ? "-" : "";
+        months = Math.abs(months);
+        if (months < 1) {
+            const days = Math.round(months * DAYS_PER_MONTH);
+            return `${sign}${days} day${days === 1 ? "" : "s"}`;
+        }
+        const years = Math.floor(months / 12);
+        const rest = Math.floor(months % 12);
+        const parts = [];
+        if (years) {
+            parts.push(`${years} year${years === 1 ? "" : "s"}`);
+        }
+        if (rest || !years) {
+            parts.push(`${rest} month${rest === 1 ? "" : "s"}`);
+        }
+        return sign + parts.join(" ");
+    }
+
+    /**
+     * Creates the de-identification context of a patient.
+     * @param {Object} patient - { name, DOB } where DOB is a Date, XDate or date string.
+     * @param {Object} [options] - { pseudonym, names: further names to scrub (e.g. of the parents) }
+     * @returns {Object} - The context { pseudonym, names, dob }.
+     */
+    function createContext(patient, options) {
+        options = options || {};
+        const names = String(patient.name || "")
+            .split(/\s+/)
+            .concat(options.names || [])
+            .filter(name => name.length > 1);
+        const dob = patient.DOB ? new Date(patient.DOB.getTime ? patient.DOB.getTime() : patient.DOB) : null;
+
+        return {
+            pseudonym: options.pseudonym || PSEUDONYM,
+            fullName: String(patient.name || "").trim(),
+            names: names,
+            dob: dob && !isNaN(dob.getTime()) ? dob : null
+        };
+    }
+
+    /**
+     * Returns the age of the patient at a date.
+     * @param {Object} context - The de-identification context.
+     * @param {Date|string} date - The date.
+     * @returns {string} - The age as text, or "unknown age" if the date or the date of birth is unknown.
+     */
+    function ageAt(context, date) {
+        const time = date instanceof Date ? date.getTime() : Date.parse(date);
+        if (!context.dob || isNaN(time)) {
+            return "unknown age";
+        }
+        return formatAge((time - context.dob.getTime()) / (DAYS_PER_MONTH * 24 * 60 * 60 * 1000));
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+
+    /**
+     * Replaces the dates in a text with the age of the patient at that date.
+     * Supported formats: 2021-03-04, 03/04/2021 (month first), 04.03.2021 (day first), March 4, 2021 and 4 March 2021.
+     * @param {string} text - The text.
+     * @param {Object} context - The de-identification context.
+     * @returns {string} - The text without dates.
+     */
+    function scrubDates(text, context) {
+        function replace(year, month, day) {
+            const date = new Date(Number(year), Number(month) - 1, Number(day));
+            return date.getMonth() === Number(month) - 1 ?
+                `[age ${ageAt(context, date)}]` :
+                "[DATE]";
+        }
+        function monthNumber(name) {
+            return new Date(`${name} 1, 2000`).getMonth() + 1;
+        }
+
+        return text
+            .replace(/\b(\d{4})-(\d{2})-(\d{2})(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?\b/g, (match, y, m, d) => replace(y, m, d))
+            .replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, (match, m, d, y) => replace(y, m, d))
+            .replace(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g, (match, d, m, y) => replace(y, m, d))
+            .replace(new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, "g"),
+                (match, m, d, y) => replace(y, monthNumber(m), d))
+            .replace(new RegExp(`\\b(\\d{1,2})\\.?\\s+(${MONTH_NAMES})\\.?,?\\s+(\\d{4})\\b`, "g"),
+                (match, d, m, y) => replace(y, monthNumber(m), d));
+    }
+
+    /**
+     * Scrubs the identifiers from a free text: the patient's names are replaced with the pseudonym, all other
+     * identifiers with a placeholder such as [PHONE].
+     * @param {string} text - The text, e.g. the notes of a history entry.
+     * @param {Object} context - The de-identification context.
+     * @returns {string} - The scrubbed text.
+     */
+    function scrub(text, context) {
+        let out = scrubDates(String(text || ""), context);
+
+        PATTERNS.forEach(item => {
+            out = out.replace(item.pattern, match => item.keepFirstWord ?
+                `${match.split(/\s+/)[0]} [${item.name}]` :
+                `[${item.name}]`);
+        });
+
+        if (context.fullName) {
+            out = out.replace(new RegExp(escapeRegExp(context.fullName), "gi"), context.pseudonym);
+        }
+        context.names.forEach(name => {
+            out = out.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, "gi"), "[NAME]");
+        });
+        return out;
+    }
+
+    /**
+     * Maps the pseudonym in a reply of the model back to the name of the patient.
+     * @param {string} text - The reply.
+     * @param {Object} context - The de-identification context.
+     * @returns {string} - The text with the name of the patient.
+     */
+    function reidentify(text, context) {
+        if (!context || !context.fullName) {
+            return text;
+        }
+        return String(text).split(context.pseudonym).join(context.fullName);
+    }
+
+    NS.AIDeidentify = {
+        PSEUDONYM: PSEUDONYM,
+        formatAge: formatAge,
+        createContext: createContext,
+        ageAt: ageAt,
+        scrub: scrub,
+        reidentify: reidentify
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIDeidentify;
+    }
+}(GC));
@@ -0,0 +1,157 @@
+/**
+ * This module scores the analyses of the AI tab against expected answers, e.g. for the synthetic patients in
+ * ai-tab/fixtures (see ai-tab/scripts/evaluate.js).
+ *
+ * Three criteria are checked per case:
+ * - abnormality: the growth section detected an abnormality (or none) as expected.
+ * - specialty: one of the recommended referrals names an expected specialty, e.g. "Pediatric Endocrinology"
+ *   matches "endocrinology". An empty list expects no referral (none or only "None").
+ * - icd10: one of the differential diagnoses has an expected ICD-10 code. The expected code may be a category,
+ *   e.g. "E66" matches "E66.0".
+ * A criterion without an expected answer is not scored. The score of a case is the share of the passed criteria.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const CRITERIA = ["abnormality", "specialty", "icd10"];
+
+    const NO_REFERRAL = /^(none|no referral)/i;
+
+    /**
+     * Extracts the answers to score from the results of the sections.
+     * @param {Object} results - The results by section key: { status, result } (see GC.AIPlan).
+     * @returns {Object} - { abnormality, specialties, icd10 } (null if the section did not finish).
+     */
+    function extractAnswers(results) {
+        function resultOf(key) {
+            return results[key] && results[key].status === "done" ? results[key].result : null;
+        }
+
+        const growth = resultOf("growth");
+        const clinicalSteps = resultOf("clinicalSteps");
+        const diagnosis = resultOf("diagnosis");
+        return {
+            abnormality: growth ? growth.abnormality : null,
+            specialties: clinicalSteps ? clinicalSteps.referrals.map(referral => referral.specialty) : null,
+            icd10: diagnosis ? diagnosis.differentials.map(differential => differential.icd10) : null
+        };
+    }
+
+    function normalizeCode(code) {
+        return String(code).toUpperCase().replace(/\./g, "").trim();
+    }
+
+    /**
+     * Checks the answers of one case.
+     * @param {Object} answers - The answers (extractAnswers).
+     * @param {Object} expected - { abnormality, specialties, icd10 }
+     * @returns {Object} - { checks: { <criterion>: true, false or null if not scored }, score }
+     */
+    function scoreCase(answers, expected) {
+        const checks = {};
+
+        checks.abnormality = expected.abnormality === undefined ? null :
+            answers.abnormality === expected.abnormality;
+
+        if (!expected.specialties) {
+            checks.specialty = null;
+        } else if (!answers.specialties) {
+            checks.specialty = false;
+        } else if (!expected.specialties.length) {
+            checks.specialty = answers.specialties.every(specialty => NO_REFERRAL.test(specialty.trim()));
+        } else {
+            checks.specialty = answers.specialties.some(specialty => expected.specialties.some(expectedSpecialty =>
+                specialty.toLowerCase().indexOf(expectedSpecialty.toLowerCase()) !== -1));
+        }
+
+        if (!expected.icd10) {
+            checks.icd10 = null;
+        } else {
+            checks.icd10 = (answers.icd10 || []).some(code => expected.icd10.some(expectedCode =>
+                normalizeCode(code).indexOf(normalizeCode(expectedCode)) === 0));
+        }
+
+        const scored = CRITERIA.filter(criterion => checks[criterion] !== null);
+        return {
+            checks: checks,
+            score: scored.length ? scored.filter(criterion => checks[criterion]).length / scored.length : null
+        };
+    }
+
+    /**
+     * Aggregates the scored cases.
+     * @param {Array<Object>} cases - The cases { id, checks, score, error }.
+     * @returns {Object} - { cases, failed, criteria: { <criterion>: { passed, total } }, score }
+     */
+    function summarize(cases) {
+        const criteria = {};
+        CRITERIA.forEach(criterion => {
+            const scored = cases.filter(entry => entry.checks && entry.checks[criterion] !== null);
+            criteria[criterion] = {
+                passed: scored.filter(entry => entry.checks[criterion]).length,
+                total: scored.length
+            };
+        });
+
+        const scores = cases.filter(entry => typeof entry.score === "number").map(entry => entry.score);
+        return {
+            cases: cases.length,
+            failed: cases.filter(entry => entry.error).length,
+            criteria: criteria,
+            score: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+        };
+    }
+
+    /**
+     * Formats the report of an evaluation as text.
+     * @param {Object} report - { cases, summary } with the scored cases { id, answers, checks, score, incomplete,
+     * error } and summarize(cases).
+     * @returns {string} - The per-case and aggregate report.
+     */
+    function formatReport(report) {
+        function percent(value) {
+            return value === null ? "-" : `${Math.round(value * 100)}%`;
+        }
+
+        function check(value) {
+            return value === null ? "n/a" : value ? "pass" : "FAIL";
+        }
+
+        const lines = report.cases.map(entry => {
+            if (entry.error) {
+                return `${entry.id}: ERROR ${entry.error}`;
+            }
+            return `${entry.id}: ${percent(entry.score)} (` +
+                CRITERIA.map(criterion => `${criterion} ${check(entry.checks[criterion])}`).join(", ") + ")\n" +
+                `    abnormality: ${entry.answers.abnormality}, ` +
+                `specialties: ${(entry.answers.specialties || []).join("; ") || "-"}, ` +
+                `ICD-10: ${(entry.answers.icd10 || []).join("; ") || "-"}` +
+                (entry.incomplete && entry.incomplete.length ? `\n    incomplete: ${entry.incomplete.join("; ")}` : "");
+        });
+
+        const summary = report.summary;
+        lines.push("");
+        lines.push(`Cases: ${summary.cases}, failed: ${summary.failed}, score: ${percent(summary.score)}`);
+        CRITERIA.forEach(criterion => {
+            const result = summary.criteria[criterion];
+            lines.push(`${criterion}: ${result.passed}/${result.total}`);
+        });
+        return lines.join("\n");
+    }
+
+    NS.AIEvaluation = {
+        CRITERIA: CRITERIA,
+        extractAnswers: extractAnswers,
+        scoreCase: scoreCase,
+        summarize: summarize,
+        formatReport: formatReport
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIEvaluation;
+    }
+}(GC));
@@ -0,0 +1,105 @@
+/**
+ * This module handles the feedback of the clinicians on the sections of the AI tab, so the quality of the model
+ * can be measured, e.g. across the synthetic patients in ai-tab/fixtures.
+ *
+ * The feedback on a section is { rating, tags, comment }: a thumbs up or down, any of the tags "incorrect",
+ * "irrelevant", "hallucinated" and "missing" and a free text. It is appended to the audit log (gc-ai-audit.js)
+ * as record of the type "feedback" together with the analysis it refers to, and stored with the cached analysis.
+ * A later feedback on the same section of the same analysis replaces the earlier one in the summary.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const RATINGS = {
+        UP: "up",
+        DOWN: "down"
+    };
+
+    const TAGS = ["incorrect", "irrelevant", "hallucinated", "missing"];
+
+    /**
+     * Validates a feedback and returns a clean copy.
+     * @param {Object} feedback - { rating, tags, comment }
+     * @returns {Object} - The feedback { rating, tags, comment }.
+     */
+    function normalize(feedback) {
+        const rating = feedback.rating || null;
+        if (rating !== null && rating !== RATINGS.UP && rating !== RATINGS.DOWN) {
+            throw new Error(`Unknown feedback rating: ${rating}`);
+        }
+        const tags = (feedback.tags || []).filter((tag, i, all) => all.indexOf(tag) === i);
+        tags.forEach(tag => {
+            if (TAGS.indexOf(tag) === -1) {
+                throw new Error(`Unknown feedback tag: ${tag}`);
+            }
+        });
+        const comment = String(feedback.comment || "").trim();
+        if (!rating && !tags.length && !comment) {
+            throw new Error("The feedback is empty");
+        }
+        return { rating: rating, tags: tags, comment: comment };
+    }
+
+    /**
+     * Returns the latest feedback per analysis and section.
+     * @param {Array<Object>} records - The records of the audit log (other types are ignored).
+     * @returns {Array<Object>} - The latest feedback records, oldest first.
+     */
+    function latest(records) {
+        const byKey = {};
+        records
+            .filter(record => record.type === "feedback")
+            .forEach(record => {
+                byKey[`${record.patientId}|${record.analysisId}|${record.section}`] = record;
+            });
+        return Object.keys(byKey)
+            .map(key => byKey[key])
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Summarizes the latest feedback per section.
+     * @param {Array<Object>} records - The records of the audit log.
+     * @returns {Object} - { <section>: { count, up, down, tags: { <tag>: count } } }
+     */
+    function summarize(records) {
+        const summary = {};
+        latest(records).forEach(record => {
+            const section = summary[record.section] = summary[record.section] || {
+                count: 0,
+                up: 0,
+                down: 0,
+                tags: TAGS.reduce((tags, tag) => {
+                    tags[tag] = 0;
+                    return tags;
+                }, {})
+            };
+            section.count++;
+            if (record.rating === RATINGS.UP) {
+                section.up++;
+            } else if (record.rating === RATINGS.DOWN) {
+                section.down++;
+            }
+            (record.tags || []).forEach(tag => {
+                section.tags[tag]++;
+            });
+        });
+        return summary;
+    }
+
+    NS.AIFeedback = {
+        RATINGS: RATINGS,
+        TAGS: TAGS,
+        normalize: normalize,
+        latest: latest,
+        summarize: summarize
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIFeedback;
+    }
+}(GC));
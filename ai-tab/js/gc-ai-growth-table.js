@@ -0,0 +1,285 @@
+/**
+ * This module serializes the growth data of a patient for the prompts of the AI tab as compact CSV or table.
+ *
+ * Every row is a measurement of the patient model (oldest first) with the ISO date, the age in months, the age
+ * corrected for prematurity and, per measure, the value, the z-score, the percentile and the velocity per year.
+ * Columns without any value are left out. The z-scores and percentiles are calculated with the selected
+ * reference (CDC, WHO, Fenton or the primary chart of the app). The lengths measured in another position than the
+ * one of the length data set of the reference are corrected like on the charts, the position and the correction
+ * have their own columns. Very long series are thinned evenly by age, the
+ * first and the last measurement are always kept and the velocities still refer to the previous measurement.
+ *
+ * Configured in GC.chartSettings.ai: growthFormat (csv | table), growthReference (auto | CDC | WHO | FENTON) and
+ * growthMaxRows (0 keeps all measurements).
+ *
+ * Dependencies:
+ * - Global variables: GC, XDate
+ * - GC.findZFromX (gc-statistics.js), GC.Patient (gc-smart-data.js) and GC.Util (util.js).
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const FORMATS = ["csv", "table"];
+
+    const REFERENCES = ["auto", "CDC", "WHO", "FENTON"];
+
+    // The measures of the table: model property, column prefix, unit, decimals of the value, data set type and the
+    // unit of the velocity (none for BMI)
+    const MEASURES = [
+        { prop: "lengthAndStature", name: "length", unit: "cm", decimals: 1, type: "STATURE", velocity: "cm_yr" },
+        { prop: "weight", name: "weight", unit: "kg", decimals: 2, type: "WEIGHT", velocity: "kg_yr" },
+        { prop: "headc", name: "headc", unit: "cm", decimals: 1, type: "HEADC", velocity: "cm_yr" },
+        { prop: "bmi", name: "bmi", unit: "kg_m2", decimals: 1, type: "BMI", velocity: null }
+    ];
+
+    /**
+     * Checks whether a number is finite and usable.
+     * @param {*} value - The value to check.
+     * @returns {boolean} - True for finite numbers.
+     */
+    function isNumber(value) {
+        return typeof value === "number" && isFinite(value);
+    }
+
+    /**
+     * Rounds a number for the table.
+     * @param {number} value - The number.
+     * @param {number} decimals - The number of decimals.
+     * @returns {number} - The rounded number.
+     */
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Resolves the reference of the z-scores and percentiles.
+     * @param {string} [reference] - CDC, WHO, FENTON or "auto" for the primary chart of the app.
+     * @returns {string} - The prefix of the data sets, e.g. "CDC".
+     */
+    function getReference(reference) {
+        if (!reference || reference === "auto") {
+            return NS.App.getPrimaryChartType();
+        }
+        if (REFERENCES.indexOf(reference) === -1) {
+            throw new Error(`Unknown growth reference "${reference}"`);
+        }
+        return reference;
+    }
+
+    /**
+     * Returns the data set of a measure in a reference.
+     * @param {string} reference - The prefix of the data sets, e.g. "WHO".
+     * @param {Object} measure - One of MEASURES.
+     * @returns {Object|null} - The data set or null if the reference has none for the measure.
+     */
+    function getDataSet(reference, measure) {
+        return NS.DATA_SETS[reference + "_" + measure.type] ||
+            (measure.type === "STATURE" ? NS.DATA_SETS[reference + "_LENGTH"] : null) ||
+            null;
+    }
+
+    /**
+     * Returns the value of a measure, the BMI is calculated from weight and length if it was not measured.
+     * @param {Object} entry - The model entry.
+     * @param {Object} measure - One of MEASURES.
+     * @returns {number|null} - The value.
+     */
+    function getValue(entry, measure) {
+        if (isNumber(entry[measure.prop])) {
+            return entry[measure.prop];
+        }
+        if (measure.prop === "bmi" && isNumber(entry.weight) && isNumber(entry.lengthAndStature) &&
+            entry.lengthAndStature > 0) {
+            return entry.weight / Math.pow(entry.lengthAndStature / 100, 2);
+        }
+        return null;
+    }
+
+    /**
+     * Returns the correction of a value to the position of the data set of the reference
+     * (GC.Patient.getPositionCorrection), only the lengths are corrected.
+     * @param {Object} patient - The patient (GC.Patient).
+     * @param {Object} entry - The model entry.
+     * @param {Object} measure - One of MEASURES.
+     * @param {Object|null} ds - The data set of the measure in the reference (getDataSet).
+     * @returns {number} - The value to add, 0 for none.
+     */
+    function getCorrection(patient, entry, measure, ds) {
+        if (measure.prop !== "lengthAndStature" || !isNumber(entry.lengthAndStature) ||
+            typeof patient.getLengthCorrection !== "function") {
+            return 0;
+        }
+        return patient.getLengthCorrection(entry, ds) || 0;
+    }
+
+    /**
+     * Selects at most maxRows entries evenly distributed over the age range. The first and the last entry are
+     * always kept.
+     * @param {Array<Object>} entries - The model entries, oldest first.
+     * @param {number} maxRows - The maximum number of entries, 0 keeps all.
+     * @returns {Array<Object>} - The selected entries, oldest first.
+     */
+    function thin(entries, maxRows) {
+        if (!maxRows || entries.length <= maxRows) {
+            return entries.slice();
+        }
+        if (maxRows < 2) {
+            return entries.slice(-maxRows);
+        }
+        const first = entries[0].agemos;
+        const step = (entries[entries.length - 1].agemos - first) / (maxRows - 1);
+        const selected = [0];
+        for (let i = 1; i < maxRows - 1; i++) {
+            const target = first + step * i;
+            let best = -1;
+            // The closest entry to the target age which is not selected yet and keeps the order
+            for (let j = selected[selected.length - 1] + 1; j < entries.length - (maxRows - 1 - i); j++) {
+                if (best === -1 || Math.abs(entries[j].agemos - target) < Math.abs(entries[best].agemos - target)) {
+                    best = j;
+                }
+            }
+            selected.push(best);
+        }
+        selected.push(entries.length - 1);
+        return selected.map(index => entries[index]);
+    }
+
+    /**
+     * Creates the columns and rows of the growth table.
+     * @param {Object} patient - The patient (GC.Patient).
+     * @param {Object} [options] - { reference, maxRows, dates } - dates: false leaves out the dates (de-identified
+     *     prompts).
+     * @returns {Object} - { reference, columns, rows, total }, rows contain null for missing values.
+     */
+    function createTable(patient, options) {
+        options = options || {};
+        const reference = getReference(options.reference);
+        const model = patient.getModel();
+        const entries = thin(model, options.maxRows || 0);
+        const gender = patient.gender;
+        const gestationAge = patient.gestationAge || patient.weeker;
+        const correction = isNumber(gestationAge) && gestationAge < 40 ?
+            (40 - gestationAge) / NS.Constants.TIME_INTERVAL.WEEKS_IN_MONTH :
+            0;
+
+        const columns = [];
+        const cells = [];
+        const addColumn = (name, values) => {
+            if (values.some(value => value !== null)) {
+                columns.push(name);
+                cells.push(values);
+            }
+        };
+
+        if (options.dates !== false) {
+            addColumn("date", entries.map(entry =>
+                new XDate(patient.DOB.getTime()).addMonths(entry.agemos).toString("yyyy-MM-dd")));
+        }
+        addColumn("age_mo", entries.map(entry => round(entry.agemos, 1)));
+        if (correction) {
+            addColumn("corr_age_mo", entries.map(entry => round(entry.agemos - correction, 1)));
+        }
+
+        MEASURES.forEach(measure => {
+            const ds = getDataSet(reference, measure);
+            const values = entries.map(entry => getValue(entry, measure));
+            const corrections = entries.map(entry => getCorrection(patient, entry, measure, ds));
+            const zScores = entries.map((entry, i) => {
+                if (values[i] === null || !ds) {
+                    return null;
+                }
+                const z = NS.findZFromX(values[i] + corrections[i], ds, gender, entry.agemos);
+                return isNumber(z) ? z : null;
+            });
+
+            addColumn(`${measure.name}_${measure.unit}`, values.map(value =>
+                value === null ? null : round(value, measure.decimals)));
+            if (measure.prop === "lengthAndStature" && typeof patient.getLengthPosition === "function") {
+                addColumn("length_pos", entries.map((entry, i) =>
+                    values[i] === null ? null : patient.getLengthPosition(entry)));
+                addColumn("length_corr_cm", corrections.map(value => value ? round(value, 1) : null));
+            }
+            addColumn(`${measure.name}_z`, zScores.map(z => z === null ? null : round(z, 2)));
+            addColumn(`${measure.name}_pct`, zScores.map(z => z === null ? null : round(Math.normsdist(z) * 100, 1)));
+            if (measure.velocity) {
+                addColumn(`${measure.name}_vel_${measure.velocity}`, entries.map(entry => {
+                    if (!isNumber(entry[measure.prop])) {
+                        return null;
+                    }
+                    const velocity = patient.getVelocity(measure.prop, entry, null, "year");
+                    return velocity && isNumber(velocity.value) ? velocity.value : null;
+                }));
+            }
+        });
+
+        if (model.some(entry => isNumber(entry.boneAge))) {
+            addColumn("bone_age_mo", entries.map(entry => isNumber(entry.boneAge) ? round(entry.boneAge, 1) : null));
+        }
+
+        return {
+            reference: reference,
+            columns: columns,
+            rows: entries.map((entry, i) => cells.map(values => values[i])),
+            total: model.length
+        };
+    }
+
+    /**
+     * Serializes the growth data of a patient for a prompt.
+     * @param {Object} patient - The patient (GC.Patient).
+     * @param {Object} [options] - { format: "csv" | "table", reference, maxRows, dates }, see createTable.
+     * @returns {string} - A line describing the reference and the columns, followed by the CSV or table.
+     */
+    function serialize(patient, options) {
+        options = options || {};
+        const format = options.format || "csv";
+        if (FORMATS.indexOf(format) === -1) {
+            throw new Error(`Unknown growth table format "${format}"`);
+        }
+        const table = createTable(patient, options);
+        if (!table.rows.length) {
+            return "No measurements available.\n\n";
+        }
+
+        const cell = value => value === null ? "" : String(value);
+        let text = `Reference: ${table.reference}. Columns: age_mo = age in months, corr_age_mo = age corrected ` +
+            `for prematurity, z = z-score, pct = percentile, vel = velocity per year since the previous measurement.`;
+        if (table.columns.indexOf("length_pos") !== -1 || table.columns.indexOf("length_corr_cm") !== -1) {
+            text += ` length_pos = measured lying or standing, length_corr_cm = correction of length_cm to the ` +
+                `position of the reference charts (lying length, then standing height), the length z and pct use ` +
+                `the corrected length.`;
+        }
+        if (table.rows.length < table.total) {
+            text += ` ${table.rows.length} of ${table.total} measurements, thinned evenly by age.`;
+        }
+        text += "\n";
+
+        if (format === "csv") {
+            text += [table.columns].concat(table.rows).map(row => row.map(cell).join(",")).join("\n");
+        } else {
+            text += `| ${table.columns.join(" | ")} |\n`;
+            text += `|${table.columns.map(() => "---").join("|")}|\n`;
+            text += table.rows.map(row => `| ${row.map(cell).join(" | ")} |`).join("\n");
+        }
+        return text + "\n\n";
+    }
+
+    NS.AIGrowthTable = {
+        FORMATS: FORMATS,
+        REFERENCES: REFERENCES,
+        MEASURES: MEASURES,
+        getReference: getReference,
+        getDataSet: getDataSet,
+        getValue: getValue,
+        getCorrection: getCorrection,
+        thin: thin,
+        createTable: createTable,
+        serialize: serialize
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIGrowthTable;
+    }
+}(GC));
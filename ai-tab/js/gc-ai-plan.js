@@ -0,0 +1,248 @@
+/**
+ * This module runs the prompts of the AI tab as a dependency-aware execution plan.
+ *
+ * Every task names the tasks it depends on and is started as soon as all of them are done, so independent
+ * tasks run concurrently. Every task has its own status and timeout. A failed, timed out or cancelled task
+ * blocks only the tasks depending on it and can be retried on its own.
+ *
+ * Statuses: waiting -> running -> done | failed | timeout | cancelled; waiting -> blocked if a dependency
+ * did not finish, blocked -> waiting when that dependency is retried.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const STATUS = {
+        WAITING: "waiting",
+        RUNNING: "running",
+        DONE: "done",
+        FAILED: "failed",
+        TIMEOUT: "timeout",
+        CANCELLED: "cancelled",
+        BLOCKED: "blocked"
+    };
+
+    const FINAL_STATUSES = [STATUS.DONE, STATUS.FAILED, STATUS.TIMEOUT, STATUS.CANCELLED, STATUS.BLOCKED];
+
+    /**
+     * Creates an execution plan.
+     * @param {Object} tasks - The tasks by id: { dependsOn: [ids], timeout: ms, run: async (inputs, signal) => result }.
+     * The results of the dependencies are passed as inputs by id. The signal is aborted on timeout or cancel.
+     * @param {Object} [options] - { timeout: default timeout in ms, onStatus: (id, status, detail) => {} }.
+     * detail contains the result (done), the error (failed) or the ids of the unfinished dependencies (blocked).
+     * @returns {Object} - The plan with run(), retry(id), cancel(), getStatus(id), getResult(id) and isRunning().
+     */
+    function createPlan(tasks, options) {
+        options = options || {};
+        const ids = Object.keys(tasks);
+        const states = {};
+        let settle = null; // resolves the promise of run() when all tasks are final
+        let promise = null;
+
+        ids.forEach(id => {
+            dependenciesOf(id).forEach(dependency => {
+                if (!tasks[dependency]) {
+                    throw new Error(`Unknown dependency "${dependency}" of the task "${id}"`);
+                }
+            });
+            states[id] = { status: STATUS.WAITING, result: undefined, attempt: 0, controller: null, timer: null };
+        });
+        checkCycles();
+
+        function dependenciesOf(id) {
+            return tasks[id].dependsOn || [];
+        }
+
+        function dependentsOf(id) {
+            return ids.filter(other => dependenciesOf(other).indexOf(id) !== -1);
+        }
+
+        function checkCycles() {
+            const visited = {};
+            function visit(id, path) {
+                if (path.indexOf(id) !== -1) {
+                    throw new Error(`Cyclic dependency: ${path.concat(id).join(" -> ")}`);
+                }
+                if (!visited[id]) {
+                    dependenciesOf(id).forEach(dependency => visit(dependency, path.concat(id)));
+                    visited[id] = true;
+                }
+            }
+            ids.forEach(id => visit(id, []));
+        }
+
+        function setStatus(id, status, detail) {
+            states[id].status = status;
+            if (options.onStatus) {
+                options.onStatus(id, status, detail || {});
+            }
+        }
+
+        function isFinal(id) {
+            return FINAL_STATUSES.indexOf(states[id].status) !== -1;
+        }
+
+        // Stops a running task, its result is ignored when it arrives
+        function stop(id, status) {
+            const state = states[id];
+            state.attempt++;
+            clearTimeout(state.timer);
+            if (state.controller) {
+                state.controller.abort();
+                state.controller = null;
+            }
+            setStatus(id, status);
+        }
+
+        function update() {
+            ids.forEach(id => {
+                const status = states[id].status;
+                if (status !== STATUS.WAITING && status !== STATUS.BLOCKED) {
+                    return;
+                }
+                const dependencies = dependenciesOf(id);
+                const unfinished = dependencies.filter(dependency =>
+                    isFinal(dependency) && states[dependency].status !== STATUS.DONE);
+
+                if (unfinished.length) {
+                    if (status === STATUS.WAITING) {
+                        setStatus(id, STATUS.BLOCKED, { dependencies: unfinished });
+                    }
+                } else if (dependencies.every(dependency => states[dependency].status === STATUS.DONE)) {
+                    runTask(id);
+                } else if (status === STATUS.BLOCKED) {
+                    // A dependency is retried
+                    setStatus(id, STATUS.WAITING);
+                }
+            });
+
+            if (settle && ids.every(isFinal)) {
+                const resolve = settle;
+                settle = null;
+                promise = null;
+                resolve(getResults());
+            }
+        }
+
+        function runTask(id) {
+            const state = states[id];
+            const attempt = ++state.attempt;
+            const controller = new AbortController();
+            const timeout = tasks[id].timeout || options.timeout;
+            const inputs = {};
+
+            dependenciesOf(id).forEach(dependency => {
+                inputs[dependency] = states[dependency].result;
+            });
+
+            state.controller = controller;
+            setStatus(id, STATUS.RUNNING);
+
+            if (timeout) {
+                state.timer = setTimeout(() => {
+                    stop(id, STATUS.TIMEOUT);
+                    update();
+                }, timeout);
+            }
+
+            Promise.resolve()
+                .then(() => tasks[id].run(inputs, controller.signal))
+                .then(result => {
+                    if (state.attempt === attempt) {
+                        clearTimeout(state.timer);
+                        state.controller = null;
+                        state.result = result;
+                        setStatus(id, STATUS.DONE, { result: result });
+                        update();
+                    }
+                }, error => {
+                    if (state.attempt === attempt) {
+                        clearTimeout(state.timer);
+                        state.controller = null;
+                        setStatus(id, STATUS.FAILED, { error: error });
+                        update();
+                    }
+                });
+        }
+
+        function getResults() {
+            const results = {};
+            ids.forEach(id => {
+                results[id] = { status: states[id].status, result: states[id].result };
+            });
+            return results;
+        }
+
+        /**
+         * Starts all tasks whose dependencies are done.
+         * @returns {Promise<Object>} - Resolves with { id: { status, result } } when all tasks are final.
+         */
+        function run() {
+            if (!promise) {
+                promise = new Promise(resolve => {
+                    settle = resolve;
+                });
+            }
+            const current = promise;
+            update();
+            return current;
+        }
+
+        /**
+         * Runs a task again together with its unfinished dependencies and all tasks depending on it.
+         * @param {string} id - The task to retry.
+         * @returns {Promise<Object>} - See run().
+         */
+        function retry(id) {
+            const reset = {};
+            (function resetDependencies(taskId) {
+                if (states[taskId].status !== STATUS.DONE && states[taskId].status !== STATUS.RUNNING) {
+                    reset[taskId] = true;
+                    dependenciesOf(taskId).forEach(resetDependencies);
+                }
+            }(id));
+            (function resetDependents(taskId) {
+                reset[taskId] = true;
+                dependentsOf(taskId).forEach(resetDependents);
+            }(id));
+
+            Object.keys(reset).forEach(taskId => {
+                if (states[taskId].status === STATUS.RUNNING) {
+                    stop(taskId, STATUS.CANCELLED);
+                }
+                states[taskId].result = undefined;
+                setStatus(taskId, STATUS.WAITING);
+            });
+            return run();
+        }
+
+        /**
+         * Cancels all running tasks, the tasks waiting for them are blocked.
+         */
+        function cancel() {
+            ids.filter(id => states[id].status === STATUS.RUNNING).forEach(id => stop(id, STATUS.CANCELLED));
+            update();
+        }
+
+        return {
+            run: run,
+            retry: retry,
+            cancel: cancel,
+            getStatus: id => states[id].status,
+            getResult: id => states[id].result,
+            isRunning: () => ids.some(id => states[id].status === STATUS.RUNNING || states[id].status === STATUS.WAITING)
+        };
+    }
+
+    NS.AIPlan = {
+        STATUS: STATUS,
+        create: createPlan
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIPlan;
+    }
+}(GC));
@@ -0,0 +1,185 @@
+/**
+ * This module keeps the prompt templates of the AI tab as versioned, named resources, so iterations of the
+ * prompts can be compared (e.g. with ai-tab/scripts/evaluate.js).
+ *
+ * A version contains the templates:
+ * - patient / patientDeidentified: the patient summary ({{name}}, {{sex}}, {{dob}}, {{age}}, {{pseudonym}}).
+ * - growth: the analysis of the growth data ({{patientSummary}}, {{growthTable}}, {{ruleFindings}}).
+ * - history: the analysis of the patient history ({{history}}).
+ * - dependent: the input of the sections which depend on the growth and history ({{growthPrompt}},
+ *   {{historyPrompt}}, {{analysis}}).
+ * - section: the request of a section ({{prompt}}, {{guidelines}}, {{responseFormat}}).
+ * - responseFormat: the structured response ({{schema}}, {{fields}}).
+ * - correction: the follow-up after an invalid reply ({{errors}}).
+ * - chat: a message of the chat ({{message}}, {{guidelines}}).
+ * - chatHistory: the transcript of a resumed chat ({{transcript}}).
+ * - upload: the message with a file uploaded in the chat ({{fileName}}).
+ * - uploadMeasurements: the measurements of a CSV file uploaded in the chat ({{fileName}}, {{measurements}}).
+ * - fields: the instruction per property of the analysis, e.g. the abnormality check.
+ * Every template can use {{locale}}, the language of the app (GC.App.getLanguage). Since version 2 the model is
+ * asked to answer in it. A placeholder without a value is an error.
+ *
+ * The active version is GC.chartSettings.ai.promptVersion (settings editor: "Prompt Templates") and is stored
+ * with every cached analysis. New versions are added with GC.AIPrompts.register. GC.AIPrompts.estimateTokens
+ * estimates the length of a prompt for the prompt popup.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const DEFAULT_VERSION = "2";
+
+    const TEMPLATE_NAMES = ["patient", "patientDeidentified", "growth", "history", "dependent", "section",
+        "responseFormat", "correction", "chat", "chatHistory", "upload", "uploadMeasurements", "fields"];
+
+    const versions = {};
+
+    /**
+     * Registers a version of the prompt templates.
+     * @param {string} version - The version, e.g. "2".
+     * @param {Object} definition - { label, templates: { <name>: template, fields: { <field>: instruction } } }
+     * @param {string} [base] - A registered version whose templates are used where the definition has none.
+     */
+    function register(version, definition, base) {
+        const templates = Object.assign({}, base ? get(base).templates : {}, definition.templates);
+        templates.fields = Object.assign({}, base ? get(base).templates.fields : {}, definition.templates.fields);
+        TEMPLATE_NAMES.forEach(name => {
+            if (!templates[name]) {
+                throw new Error(`The prompt template "${name}" of the version ${version} is missing`);
+            }
+        });
+        versions[version] = { version: version, label: definition.label, templates: templates };
+    }
+
+    /**
+     * Returns a version of the prompt templates.
+     * @param {string} version - The version.
+     * @returns {Object} - { version, label, templates }
+     */
+    function get(version) {
+        if (!versions[version]) {
+            throw new Error(`Unknown prompt template version "${version}"`);
+        }
+        return versions[version];
+    }
+
+    /**
+     * Lists the registered versions, e.g. for the settings editor.
+     * @returns {Array<Object>} - [{ version, label }] in the order of registration.
+     */
+    function list() {
+        return Object.keys(versions).map(version => ({ version: version, label: versions[version].label }));
+    }
+
+    /**
+     * Replaces the placeholders of a template. The values are inserted as they are, placeholders in the values
+     * are not replaced.
+     * @param {string} template - The template with {{placeholders}}.
+     * @param {Object} values - The values by placeholder name.
+     * @returns {string} - The text.
+     */
+    function fill(template, values) {
+        return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            if (values[name] === undefined || values[name] === null) {
+                throw new Error(`No value for the placeholder ${match}`);
+            }
+            return String(values[name]);
+        });
+    }
+
+    /**
+     * Renders a named template of a version.
+     * @param {string} version - The version.
+     * @param {string} name - The name of the template, e.g. "growth".
+     * @param {Object} values - The values of the placeholders.
+     * @returns {string} - The prompt.
+     */
+    function render(version, name, values) {
+        const template = get(version).templates[name];
+        if (typeof template !== "string") {
+            throw new Error(`Unknown prompt template "${name}"`);
+        }
+        return fill(template, values);
+    }
+
+    /**
+     * Returns the instruction of a property of the analysis.
+     * @param {string} version - The version.
+     * @param {string} field - The property, e.g. "abnormality".
+     * @param {Object} values - The values of the placeholders.
+     * @returns {string} - The instruction.
+     */
+    function renderField(version, field, values) {
+        return fill(get(version).templates.fields[field], values);
+    }
+
+    /**
+     * Estimates the number of tokens of a prompt without the tokenizer of the model: words count one token per
+     * four letters, numbers one token per three digits and every other character one token. For English text
+     * and tables the estimate is close to the tokenizers of the OpenAI models.
+     * @param {string} text - The prompt.
+     * @returns {number} - The estimated number of tokens.
+     */
+    function estimateTokens(text) {
+        return (String(text).match(/[A-Za-z\u00C0-\u024F\u0400-\u04FF]+|\d+|\S/g) || []).reduce((sum, piece) => {
+            if (/^\d/.test(piece)) {
+                return sum + Math.ceil(piece.length / 3);
+            }
+            return sum + Math.ceil(piece.length / 4);
+        }, 0);
+    }
+
+    register("1", {
+        label: "Initial prompts",
+        templates: {
+            patient: `The patient's name is {{name}}, the sex is {{sex}} and the date of birth is {{dob}}. Accordingly, the age today is {{age}}.`,
+            patientDeidentified: `The patient is referred to as {{pseudonym}}, the sex is {{sex}} and the age today is {{age}}.`,
+            growth: `First, analyze the patients growth parameters to determine whether there is an anomaly in the data. Look at the height, weight and head circumference as well as the z-scores and percentiles. Use the attached clinical practice guidelines as a reference for your justification. Focus on the most important points and limit yourself to a maximum of four bullet points. \n` +
+                `{{patientSummary}}\nHere are the patient's growth data (oldest measurement first):\n{{growthTable}}{{ruleFindings}}`,
+            history: `Analyze the history of the patient. Focus on the most important points which could be relevant for the doctor to assess the patients health. Use the attached clinical practice guidelines as a reference for your justification. Describe the results of your analysis in maximum three bullet points and keep your results concise. Here is the history of the patient: \n{{history}}`,
+            dependent: `{{growthPrompt}}\n{{historyPrompt}}\nThe growth data and the patient history were already analyzed with the following result:\n` +
+                `{{analysis}}\nBase your answer on this analysis.\n`,
+            section: `{{prompt}}\n{{guidelines}}{{responseFormat}}`,
+            responseFormat: `Reply with one JSON object only (no other text) matching this JSON schema:\n{{schema}}\n{{fields}}`,
+            correction: `Your previous reply did not match the required JSON schema: {{errors}}. Reply again with one JSON object only, matching the schema exactly.`,
+            chat: `{{message}}{{guidelines}}`,
+            chatHistory: `This is the previous conversation with the doctor, continue it:\n{{transcript}}`,
+            upload: `The doctor uploaded the file "{{fileName}}" for this patient. Use it when you answer the next questions.`,
+            uploadMeasurements: `The doctor uploaded these measurements of the patient (file "{{fileName}}"), they are not yet part of the growth data:\n{{measurements}}`,
+            fields: {
+                abnormality: `true if you detected an abnormality in the growth data, otherwise false.`,
+                growthFindings: `the most important findings per measurement (maximum four). Use the attached clinical practice guidelines as a reference for your justification.`,
+                historyFindings: `the most important points of the patient history which could be relevant for the doctor (maximum three).`,
+                referrals: `the specialists you would refer the patient to, the reason and the next clinical steps (maximum six). Cite the source when you use references.`,
+                differentials: `two to three possible diagnoses with the ICD-10 code based on the growth data.`,
+                summary: `an executive summary of the analysis including the recommended specialist referral (maximum six bullet points).`
+            }
+        }
+    });
+
+    register("2", {
+        label: "Answers in the language of the app",
+        templates: {
+            section: `{{prompt}}\n{{guidelines}}Write the text of your answer in {{locale}}, keep the property names of the JSON object in English.\n{{responseFormat}}`,
+            chat: `{{message}}{{guidelines}}\n\nAnswer in {{locale}}.`
+        }
+    }, "1");
+
+    NS.AIPrompts = {
+        DEFAULT_VERSION: DEFAULT_VERSION,
+        register: register,
+        get: get,
+        list: list,
+        fill: fill,
+        render: render,
+        renderField: renderField,
+        estimateTokens: estimateTokens
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIPrompts;
+    }
+}(GC));
@@ -0,0 +1,634 @@
+/**
+ * This module provides the LLM provider layer of the AI tab.
+ *
+ * Every provider implements the same interface, so the AI tab does not need to know which model answers:
+ * - init(): Prepares the provider and resolves with the id of the assistant or model in use.
+ * - createConversation(): Resolves with the id of a new conversation (thread).
+ * - sendMessage(conversationId, content): Adds a user message to the conversation.
+ * - pollReply(conversationId, options): Lets the model answer and resolves with { status, content, annotations }.
+ *   With options.json the model is asked for a JSON object where the provider supports it.
+ * - streamReply(conversationId, options, onText): Like pollReply, but calls onText(content) with the text received
+ *   so far while the reply is streamed. options.signal (AbortSignal) cancels the stream, the reply then has the
+ *   status "cancelled" and contains the partial content. A stream interrupted by an error has the status "incomplete".
+ *   With options.tools (function definitions in the format of the OpenAI API, see gc-ai-tools.js) and
+ *   options.onToolCall(name, args) the model can call tools before it answers. onToolCall resolves with the result,
+ *   which is sent back to the model as JSON (at most MAX_TOOL_ROUNDS rounds per reply). A reply which still calls
+ *   tools afterwards ends with the status "requires_action".
+ * - listCitations(annotations): Resolves with the cited files as [{ id, name }].
+ * - uploadFile(conversationId, file, options): Adds a file to one conversation only, as a user message with
+ *   the text options.text. options.type is "pdf" or "image" (gc-ai-upload.js). Providers without support throw.
+ * - persistentConversations: true if the provider keeps the conversations, so they can be continued after a reload.
+ *
+ * Available providers:
+ * - "openai-assistants": OpenAI Assistants API with the remote vector store (default).
+ * - "openai-chat": Any OpenAI-compatible Chat Completions endpoint, e.g. a local or self-hosted model.
+ * - "mock": Deterministic offline provider used for tests.
+ * - "replay": Replays recorded replies, e.g. in the offline evaluation of the prompts (ai-tab/scripts/evaluate.js).
+ *
+ * The provider is chosen by GC.chartSettings.ai.provider.
+ *
+ * Dependencies:
+ * - Global variables: GC, jQuery
+ * - window.OpenAI (bundled-openai.js) for the OpenAI providers.
+ * - GC.AICache (gc-ai-cache.js) for the hash of the prompts of the replay provider.
+ * - GC.AIUpload (gc-ai-upload.js) for the images uploaded to the Chat Completions provider.
+ *
+ */
+(function(NS, $) {
+    "use strict";
+
+    const factories = {};
+
+    // Rounds of tool calls per reply, afterwards the model has to answer without tools
+    const MAX_TOOL_ROUNDS = 5;
+
+    /**
+     * Registers a provider factory under the given name.
+     * @param {string} name - The name used in the settings to select the provider.
+     * @param {Function} factory - Called with the AI settings, returns the provider object.
+     */
+    function registerProvider(name, factory) {
+        factories[name] = factory;
+    }
+
+    /**
+     * Creates the provider configured in the given AI settings.
+     * @param {Object} config - The AI settings (GC.chartSettings.ai).
+     * @returns {Object} - The provider instance.
+     */
+    function createProvider(config) {
+        config = $.extend({}, config);
+        const factory = factories[config.provider];
+        if (!factory) {
+            throw new Error(`Unknown AI provider "${config.provider}"`);
+        }
+        return factory(config);
+    }
+
+    /**
+     * Creates the OpenAI client used by the OpenAI based providers.
+     * @param {Object} config - The AI settings.
+     * @returns {Object} - The OpenAI client.
+     */
+    function createOpenAIClient(config) {
+        if (!window.OpenAI) {
+            throw new Error("OpenAI is not loaded");
+        }
+        const options = {
+            apiKey: config.apiKey || "none",
+            dangerouslyAllowBrowser: true
+        };
+        if (config.baseURL) {
+            options.baseURL = config.baseURL;
+        }
+        return new window.OpenAI(options);
+    }
+
+    /**
+     * Creates the reply of a stream which ended before the model finished.
+     * @param {Error} error - The error thrown by the stream.
+     * @param {AbortSignal} [signal] - The signal used to cancel the stream.
+     * @param {string} content - The content received so far.
+     * @returns {Object} - The reply with the status "cancelled" or "incomplete".
+     */
+    function interruptedReply(error, signal, content) {
+        if (signal && signal.aborted) {
+            return { status: 'cancelled', content: content, annotations: [] };
+        }
+        if (!content) {
+            throw error;
+        }
+        console.error('The stream was interrupted:', error);
+        return { status: 'incomplete', content: content, annotations: [] };
+    }
+
+    /**
+     * Runs the tool calls requested by the model one after the other. A failing call or invalid arguments are
+     * reported to the model as { error }.
+     * @param {Array<Object>} calls - [{ id, name, arguments }], the arguments as JSON string.
+     * @param {Object} options - The options of the reply with onToolCall.
+     * @returns {Promise<Array<Object>>} - [{ id, output }], the output as JSON string.
+     */
+    async function runToolCalls(calls, options) {
+        const outputs = [];
+        for (const call of calls) {
+            let result;
+            try {
+                result = await options.onToolCall(call.name, JSON.parse(call.arguments || "{}"));
+            } catch (error) {
+                result = { error: error.message };
+            }
+            outputs.push({ id: call.id, output: JSON.stringify(result) });
+        }
+        return outputs;
+    }
+
+    /**
+     * Checks whether the model may call tools in a reply.
+     * @param {Object} [options] - The options of the reply.
+     * @returns {boolean} - True if there are tools and a handler of the calls.
+     */
+    function hasTools(options) {
+        return !!(options && options.tools && options.tools.length && options.onToolCall);
+    }
+
+    /**
+     * Provider for the OpenAI Assistants API. Conversations are OpenAI threads and the guidelines are retrieved
+     * from the vector store attached to the assistant.
+     * @param {Object} config - The AI settings (apiKey, assistantId, vectorStoreId).
+     * @returns {Object} - The provider.
+     */
+    function OpenAIAssistantsProvider(config) {
+        const client = createOpenAIClient(config);
+        let assistantId = config.assistantId;
+
+        function createRun(options) {
+            const run = { assistant_id: assistantId, instructions: " " };
+            if (hasTools(options)) {
+                // The tools of the run replace the tools of the assistant, so the file search is added again
+                run.tools = [{ type: "file_search" }].concat(options.tools);
+            }
+            return run;
+        }
+
+        async function getToolOutputs(run, options) {
+            const calls = run.required_action.submit_tool_outputs.tool_calls.map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments
+            }));
+            return (await runToolCalls(calls, options)).map(output => ({ tool_call_id: output.id, output: output.output }));
+        }
+
+        return {
+            name: "openai-assistants",
+            persistentConversations: true,
+
+            async init() {
+                const myAssistant = await client.beta.assistants.retrieve(config.assistantId);
+                return assistantId = myAssistant.id;
+            },
+
+            async createConversation() {
+                const thread = await client.beta.threads.create();
+                return thread.id;
+            },
+
+            async sendMessage(conversationId, content) {
+                await client.beta.threads.messages.create(conversationId, {
+                    role: "user",
+                    content: content
+                });
+            },
+
+            async pollReply(conversationId, options) {
+                const signal = options && options.signal;
+                let run = await client.beta.threads.runs.createAndPoll(conversationId, createRun(options), { signal });
+                for (let round = 0; run.status === 'requires_action' && round < MAX_TOOL_ROUNDS; round++) {
+                    run = await client.beta.threads.runs.submitToolOutputsAndPoll(conversationId, run.id, {
+                        tool_outputs: await getToolOutputs(run, options)
+                    }, { signal });
+                }
+                if (run.status === 'requires_action') {
+                    await client.beta.threads.runs.cancel(conversationId, run.id);
+                }
+
+                if (run.status !== 'completed') {
+                    return { status: run.status, content: null, annotations: [] };
+                }
+
+                const messages = await client.beta.threads.messages.list(run.thread_id || conversationId);
+                const latestMessage = messages.data[0];
+                if (latestMessage && latestMessage.role === 'assistant' && latestMessage.content[0]?.text?.value) {
+                    return {
+                        status: 'completed',
+                        content: latestMessage.content[0].text.value,
+                        annotations: latestMessage.content[0].text.annotations || []
+                    };
+                }
+                return { status: 'completed', content: null, annotations: [] };
+            },
+
+            async streamReply(conversationId, options, onText) {
+                options = options || {};
+                let content = "";
+                let runId = null;
+                let stream = client.beta.threads.runs.stream(conversationId, createRun(options), { signal: options.signal });
+                const onTextDelta = (delta, snapshot) => {
+                    content = snapshot.value;
+                    if (onText) {
+                        onText(content);
+                    }
+                };
+                stream.on('event', event => {
+                    if (event.event === 'thread.run.created') {
+                        runId = event.data.id;
+                    }
+                });
+                stream.on('textDelta', onTextDelta);
+
+                try {
+                    let run = await stream.finalRun();
+                    // The run waits for the results of the tools and continues in a new stream
+                    for (let round = 0; run.status === 'requires_action' && round < MAX_TOOL_ROUNDS; round++) {
+                        stream = client.beta.threads.runs.submitToolOutputsStream(conversationId, run.id, {
+                            tool_outputs: await getToolOutputs(run, options)
+                        }, { signal: options.signal });
+                        stream.on('textDelta', onTextDelta);
+                        run = await stream.finalRun();
+                    }
+                    if (run.status === 'requires_action') {
+                        await client.beta.threads.runs.cancel(conversationId, run.id);
+                    }
+                    if (run.status !== 'completed') {
+                        return { status: run.status, content: content, annotations: [] };
+                    }
+                    const messages = await stream.finalMessages();
+                    const text = messages.length ? messages[messages.length - 1].content[0]?.text : null;
+                    return {
+                        status: 'completed',
+                        content: text ? text.value : content,
+                        annotations: text ? text.annotations || [] : []
+                    };
+                } catch (error) {
+                    // Aborting the stream does not stop the run, which keeps the thread locked for new messages
+                    if (options.signal && options.signal.aborted && runId) {
+                        await client.beta.threads.runs.cancel(conversationId, runId).catch(() => null);
+                    }
+                    return interruptedReply(error, options.signal, content);
+                }
+            },
+
+            async listCitations(annotations) {
+                const files = [];
+                for (const annotation of annotations) {
+                    if (annotation.file_citation && annotation.file_citation.file_id) {
+                        const fileData = await client.files.retrieve(annotation.file_citation.file_id);
+                        files.push({ id: annotation.file_citation.file_id, name: fileData.filename });
+                    }
+                }
+                return files;
+            },
+
+            async uploadFile(conversationId, file, options) {
+                const image = options.type === "image";
+                const uploadedFile = await client.files.create({
+                    file: file,
+                    purpose: image ? "vision" : "assistants"
+                });
+                // Images are part of the message, documents are searched in the vector store of the thread, not
+                // in the vector store of the assistant shared by all users
+                const message = { role: "user", content: options.text };
+                if (image) {
+                    message.content = [
+                        { type: "text", text: options.text },
+                        { type: "image_file", image_file: { file_id: uploadedFile.id } }
+                    ];
+                } else {
+                    message.attachments = [{ file_id: uploadedFile.id, tools: [{ type: "file_search" }] }];
+                }
+                await client.beta.threads.messages.create(conversationId, message);
+                return uploadedFile.id;
+            }
+        };
+    }
+
+    /**
+     * Provider for OpenAI-compatible Chat Completions endpoints (OpenAI, vLLM, Ollama, LM Studio etc.). The
+     * conversations are kept in memory and sent as a whole with every request.
+     * @param {Object} config - The AI settings (apiKey, baseURL, model, instructions).
+     * @returns {Object} - The provider.
+     */
+    function OpenAIChatProvider(config) {
+        const client = createOpenAIClient(config);
+        const conversations = {};
+        let conversationCounter = 0;
+
+        function createRequest(history, options, round) {
+            const request = {
+                model: config.model,
+                messages: [{ role: "system", content: config.instructions }].concat(history)
+            };
+            if (options && options.json) {
+                request.response_format = { type: "json_object" };
+            }
+            if (hasTools(options)) {
+                request.tools = options.tools;
+                if (round >= MAX_TOOL_ROUNDS) {
+                    request.tool_choice = "none";
+                }
+            }
+            return request;
+        }
+
+        // Adds the tool calls of the model and their results to the conversation
+        async function answerToolCalls(history, calls, options) {
+            history.push({ role: "assistant", content: null, tool_calls: calls });
+            const outputs = await runToolCalls(calls.map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments
+            })), options);
+            outputs.forEach(output => history.push({ role: "tool", tool_call_id: output.id, content: output.output }));
+        }
+
+        // Joins the parts of the tool calls of a streamed reply
+        function collectToolCalls(calls, parts) {
+            parts.forEach(part => {
+                const call = calls[part.index] = calls[part.index] ||
+                    { id: "", type: "function", function: { name: "", arguments: "" } };
+                if (part.id) {
+                    call.id = part.id;
+                }
+                if (part.function) {
+                    call.function.name += part.function.name || "";
+                    call.function.arguments += part.function.arguments || "";
+                }
+            });
+        }
+
+        return {
+            name: "openai-chat",
+
+            async init() {
+                return config.model;
+            },
+
+            async createConversation() {
+                const id = "conversation-" + (++conversationCounter);
+                conversations[id] = [];
+                return id;
+            },
+
+            async sendMessage(conversationId, content) {
+                conversations[conversationId].push({ role: "user", content: content });
+            },
+
+            async pollReply(conversationId, options) {
+                const history = conversations[conversationId];
+                for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+                    const completion = await client.chat.completions.create(createRequest(history, options, round),
+                        { signal: options && options.signal });
+                    const choice = completion.choices && completion.choices[0];
+                    const message = choice ? choice.message : null;
+                    if (message && message.tool_calls && message.tool_calls.length && hasTools(options)) {
+                        if (round === MAX_TOOL_ROUNDS) {
+                            break; // the server ignored tool_choice "none"
+                        }
+                        await answerToolCalls(history, message.tool_calls, options);
+                        continue;
+                    }
+                    const content = message ? message.content : null;
+                    if (content) {
+                        history.push({ role: "assistant", content: content });
+                    }
+                    return { status: 'completed', content: content, annotations: [] };
+                }
+                return { status: 'requires_action', content: null, annotations: [] };
+            },
+
+            async streamReply(conversationId, options, onText) {
+                options = options || {};
+                const history = conversations[conversationId];
+                let content = "";
+
+                try {
+                    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+                        const request = createRequest(history, options, round);
+                        request.stream = true;
+                        const calls = [];
+                        const stream = await client.chat.completions.create(request, { signal: options.signal });
+                        for await (const chunk of stream) {
+                            const delta = chunk.choices && chunk.choices[0] ? chunk.choices[0].delta : null;
+                            if (delta && delta.content) {
+                                content += delta.content;
+                                if (onText) {
+                                    onText(content);
+                                }
+                            }
+                            if (delta && delta.tool_calls) {
+                                collectToolCalls(calls, delta.tool_calls);
+                            }
+                        }
+                        if (!calls.length || !hasTools(options)) {
+                            break;
+                        }
+                        if (round === MAX_TOOL_ROUNDS) {
+                            // The server ignored tool_choice "none"
+                            return { status: 'requires_action', content: content, annotations: [] };
+                        }
+                        await answerToolCalls(history, calls.filter(Boolean), options);
+                    }
+                } catch (error) {
+                    if (content) {
+                        history.push({ role: "assistant", content: content });
+                    }
+                    return interruptedReply(error, options.signal, content);
+                }
+
+                history.push({ role: "assistant", content: content });
+                return { status: 'completed', content: content, annotations: [] };
+            },
+
+            async listCitations() {
+                return [];
+            },
+
+            async uploadFile(conversationId, file, options) {
+                if (options.type !== "image") {
+                    throw new Error("Only images can be uploaded to the Chat Completions provider.");
+                }
+                const url = await NS.AIUpload.readFile(file, "dataURL");
+                conversations[conversationId].push({ role: "user", content: [
+                    { type: "text", text: options.text },
+                    { type: "image_url", image_url: { url: url } }
+                ] });
+                return file.name;
+            }
+        };
+    }
+
+    // Reply of the mock provider if a JSON object is requested and no responses are configured
+    const MOCK_ANALYSIS = {
+        abnormality: false,
+        growthFindings: [{ measurement: "general", finding: "Mock analysis of the growth data." }],
+        historyFindings: ["Mock analysis of the patient history."],
+        referrals: [{ specialty: "None", reason: "Mock recommendation." }],
+        differentials: [{ diagnosis: "Mock diagnosis", icd10: "Z00.1" }],
+        summary: ["Mock executive summary."]
+    };
+
+    /**
+     * Deterministic provider that never leaves the browser. Replies are taken in order from config.responses
+     * (repeating the last one) or, if there are none, echo the beginning of the user message (or return a
+     * fixed analysis if a JSON object is requested). Streamed replies are sent word by word. A response
+     * { toolCalls: [{ name, arguments }] } calls the tools with options.onToolCall and the next response is
+     * the reply.
+     * @param {Object} config - The AI settings (responses, files, streamDelay in ms).
+     * @returns {Object} - The provider.
+     */
+    function MockProvider(config) {
+        const responses = config.responses || [];
+        const files = config.files || {};
+        const conversations = {};
+        let conversationCounter = 0;
+        let replyCounter = 0;
+
+        function nextResponse() {
+            return responses[Math.min(replyCounter++, responses.length - 1)];
+        }
+
+        return {
+            name: "mock",
+
+            async init() {
+                return "mock-assistant";
+            },
+
+            async createConversation() {
+                const id = "mock-conversation-" + (++conversationCounter);
+                conversations[id] = [];
+                return id;
+            },
+
+            async sendMessage(conversationId, content) {
+                conversations[conversationId].push({ role: "user", content: content });
+            },
+
+            async pollReply(conversationId, options) {
+                const history = conversations[conversationId];
+                const lastMessage = history[history.length - 1];
+                let content;
+                if (responses.length) {
+                    let response = nextResponse();
+                    for (let round = 0; response.toolCalls && round < MAX_TOOL_ROUNDS; round++) {
+                        if (hasTools(options)) {
+                            const outputs = await runToolCalls(response.toolCalls.map((call, i) => ({
+                                id: `mock-call-${round}-${i}`,
+                                name: call.name,
+                                arguments: JSON.stringify(call.arguments || {})
+                            })), options);
+                            outputs.forEach(output => history.push({ role: "tool", content: output.output }));
+                        }
+                        response = nextResponse();
+                    }
+                    content = typeof response === "string" ? response : "";
+                } else if (options && options.json) {
+                    content = JSON.stringify(MOCK_ANALYSIS, null, 2);
+                } else {
+                    content = "Mock reply to: " + (lastMessage ? lastMessage.content.substr(0, 60) : "");
+                }
+                history.push({ role: "assistant", content: content });
+                return { status: 'completed', content: content, annotations: [] };
+            },
+
+            async streamReply(conversationId, options, onText) {
+                options = options || {};
+                const reply = await this.pollReply(conversationId, options);
+                const words = reply.content.match(/\s*\S+/g) || [];
+                let content = "";
+
+                for (const word of words) {
+                    await new Promise(resolve => setTimeout(resolve, config.streamDelay || 0));
+                    if (options.signal && options.signal.aborted) {
+                        return { status: 'cancelled', content: content, annotations: [] };
+                    }
+                    content += word;
+                    if (onText) {
+                        onText(content);
+                    }
+                }
+                return reply;
+            },
+
+            async listCitations(annotations) {
+                return annotations
+                    .filter(annotation => annotation.file_citation && annotation.file_citation.file_id)
+                    .map(annotation => ({
+                        id: annotation.file_citation.file_id,
+                        name: files[annotation.file_citation.file_id] || annotation.file_citation.file_id
+                    }));
+            },
+
+            async uploadFile(conversationId, file, options) {
+                const id = "mock-file-" + file.name;
+                files[id] = file.name;
+                conversations[conversationId].push({ role: "user", content: options.text, file: id });
+                return id;
+            }
+        };
+    }
+
+    /**
+     * Provider which replays recorded replies. The reply to a message is looked up by the hash of the message
+     * (GC.AICache.hash), which is also the promptHash of the records in the audit log (gc-ai-audit.js). A message
+     * without a recorded reply is an error, so a changed prompt is noticed.
+     * @param {Object} config - The AI settings (recordings: { <hash of the prompt>: reply }).
+     * @returns {Object} - The provider.
+     */
+    function ReplayProvider(config) {
+        const recordings = config.recordings || {};
+        const conversations = {};
+        let conversationCounter = 0;
+
+        return {
+            name: "replay",
+
+            async init() {
+                return "replay";
+            },
+
+            async createConversation() {
+                const id = "replay-conversation-" + (++conversationCounter);
+                conversations[id] = [];
+                return id;
+            },
+
+            async sendMessage(conversationId, content) {
+                conversations[conversationId].push({ role: "user", content: content });
+            },
+
+            async pollReply(conversationId) {
+                const history = conversations[conversationId];
+                const lastMessage = history[history.length - 1];
+                const hash = NS.AICache.hash(lastMessage ? lastMessage.content : "");
+                if (!Object.prototype.hasOwnProperty.call(recordings, hash)) {
+                    throw new Error(`No recorded reply for the prompt ${hash}`);
+                }
+                history.push({ role: "assistant", content: recordings[hash] });
+                return { status: 'completed', content: recordings[hash], annotations: [] };
+            },
+
+            async streamReply(conversationId, options, onText) {
+                const reply = await this.pollReply(conversationId, options);
+                if (onText) {
+                    onText(reply.content);
+                }
+                return reply;
+            },
+
+            async listCitations() {
+                return [];
+            },
+
+            async uploadFile() {
+                throw new Error("File upload is not supported by the replay provider.");
+            }
+        };
+    }
+
+    registerProvider("openai-assistants", OpenAIAssistantsProvider);
+    registerProvider("openai-chat", OpenAIChatProvider);
+    registerProvider("mock", MockProvider);
+    registerProvider("replay", ReplayProvider);
+
+    NS.AIProviders = {
+        MAX_TOOL_ROUNDS: MAX_TOOL_ROUNDS,
+        register: registerProvider,
+        create: createProvider
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIProviders;
+    }
+}(GC, jQuery));
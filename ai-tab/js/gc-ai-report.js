@@ -0,0 +1,544 @@
+/**
+ * This module creates the clinical report of an analysis of the AI tab as print-ready HTML, as PDF and as FHIR
+ * DiagnosticReport/DocumentReference for filing back into the EHR.
+ *
+ * A report is a plain object, so it can be created without the app (e.g. in the tests):
+ * {
+ *   title, generated (ISO 8601), patient: { id, name, fields: [{ label, value }] }, meta: [{ label, value }],
+ *   sections: [{ key, title, html }], guidelines: { title, items: [text] }, chart: { title, svg, width, height,
+ *   jpeg: { data, width, height } }, disclaimer: { title, text }
+ * }
+ * The chart is optional. It is a snapshot of the charts of print-charts.html (js/print2.js), the JPEG is only
+ * needed for the PDF. The PDF is written without a library with the standard fonts of PDF readers, which cover
+ * Latin-1 only: other characters are replaced with "?", so the printed HTML is the better choice for e.g.
+ * Cyrillic texts.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ * - print-charts.html (js/print2.js) for the snapshot of the charts.
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    // A4 in points and the margins of the PDF
+    const PAGE = { width: 595, height: 842, margin: 50 };
+
+    // Widths of the characters 32 to 126 of Helvetica (1/1000 of the font size)
+    const HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+
+    // Characters of the WinAnsiEncoding outside of Latin-1
+    const WIN_ANSI = {
+        "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+        "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99
+    };
+
+    // Security label of resources asserted by an AI (HL7 v3 ObservationValue)
+    const AI_ASSERTED = {
+        system: "http://terminology.hl7.org/CodeSystem/v3-ObservationValue",
+        code: "AIAST",
+        display: "Artificial Intelligence asserted"
+    };
+
+    /**
+     * Escapes the HTML special characters of a text.
+     * @param {string} text - The text.
+     * @returns {string} - The escaped text.
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Converts the HTML of a section to plain text: list items become lines starting with "•".
+     * @param {string} html - The HTML.
+     * @returns {string} - The text.
+     */
+    function htmlToText(html) {
+        return String(html)
+            .replace(/<li[^>]*>/gi, "\n• ")
+            .replace(/<\/(p|div|ul|ol|h\d)>|<br\s*\/?>/gi, "\n")
+            .replace(/<[^>]*>/g, "")
+            .replace(/&nbsp;/g, " ")
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, "\"")
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+            .replace(/&amp;/g, "&")
+            .split("\n")
+            .map(line => line.replace(/\s+/g, " ").trim())
+            .filter(line => line)
+            .join("\n");
+    }
+
+    /**
+     * Encodes a text or bytes as base64.
+     * @param {string|Uint8Array} content - A text (encoded as UTF-8) or bytes.
+     * @returns {string} - The base64 string.
+     */
+    function toBase64(content) {
+        let binary = "";
+        if (typeof content === "string") {
+            binary = unescape(encodeURIComponent(content));
+        } else {
+            for (let i = 0; i < content.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, content.subarray(i, i + 0x8000));
+            }
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes base64 to bytes.
+     * @param {string} base64 - The base64 string.
+     * @returns {Uint8Array} - The bytes.
+     */
+    function fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Returns the chart of a report as data URL of the SVG.
+     * @param {Object} chart - The chart of the report.
+     * @returns {string} - The data URL.
+     */
+    function chartURL(chart) {
+        return `data:image/svg+xml;base64,${toBase64(chart.svg)}`;
+    }
+
+    /**
+     * Writes a report as print-ready HTML document.
+     * @param {Object} report - The report.
+     * @returns {string} - The HTML document.
+     */
+    function toHTML(report) {
+        const fields = items => items.map(item =>
+            `<span class="field"><label>${escapeHTML(item.label)}:</label> ${escapeHTML(item.value)}</span>`).join("");
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(report.title)}: ${escapeHTML(report.patient.name)}</title>
+<style>
+@page { size: A4; margin: 15mm; }
+body { font-family: Helvetica, Arial, sans-serif; font-size: 11pt; color: #222; max-width: 180mm; margin: 0 auto; }
+h1 { font-size: 18pt; margin: 0 0 4pt; }
+h2 { font-size: 13pt; margin: 14pt 0 4pt; border-bottom: 1px solid #88939D; page-break-after: avoid; }
+.patient, .meta { margin: 2pt 0; }
+.field { margin-right: 14pt; white-space: nowrap; }
+.field label { color: #555; }
+.meta { font-size: 9pt; color: #555; }
+.section, .chart { page-break-inside: avoid; }
+.section ul { margin: 4pt 0; padding-left: 16pt; }
+.rule-status { font-size: 9pt; font-weight: bold; }
+.rule-disagreement { color: #B00020; }
+.chart img { width: 100%; }
+.guidelines { font-size: 9pt; }
+.disclaimer { margin-top: 16pt; padding: 6pt 8pt; border: 1px solid #B00020; font-size: 9pt; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(report.title)}</h1>
+<div class="patient"><strong>${escapeHTML(report.patient.name)}</strong> ${fields(report.patient.fields)}</div>
+<div class="meta">${fields(report.meta)}</div>
+${report.sections.map(section => `<div class="section section-${escapeHTML(section.key)}">
+<h2>${escapeHTML(section.title)}</h2>
+${section.html}
+</div>`).join("\n")}
+${report.chart ? `<div class="chart">
+<h2>${escapeHTML(report.chart.title)}</h2>
+<img src="${chartURL(report.chart)}" alt="${escapeHTML(report.chart.title)}">
+</div>` : ""}
+${report.guidelines.items.length ? `<div class="guidelines">
+<h2>${escapeHTML(report.guidelines.title)}</h2>
+<ul>${report.guidelines.items.map(item => `<li>${escapeHTML(item)}</li>`).join("")}</ul>
+</div>` : ""}
+<div class="disclaimer"><strong>${escapeHTML(report.disclaimer.title)}:</strong> ${escapeHTML(report.disclaimer.text)}</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Encodes a text for a string of the PDF in WinAnsiEncoding.
+     * @param {string} text - The text.
+     * @returns {string} - The escaped string without the parentheses.
+     */
+    function pdfString(text) {
+        let out = "";
+        for (const char of String(text)) {
+            let code = char.charCodeAt(0);
+            if (WIN_ANSI[char]) {
+                code = WIN_ANSI[char];
+            } else if (char.length > 1 || code > 255 || (code > 126 && code < 160)) {
+                code = 63; // "?"
+            }
+            if (code === 40 || code === 41 || code === 92) {
+                out += "\\" + char;
+            } else if (code > 126) {
+                out += "\\" + ("00" + code.toString(8)).slice(-3);
+            } else {
+                out += String.fromCharCode(code);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Measures the width of a text in Helvetica.
+     * @param {string} text - The text.
+     * @param {number} size - The font size.
+     * @param {boolean} bold - True for the bold font, which is estimated slightly wider.
+     * @returns {number} - The width in points.
+     */
+    function textWidth(text, size, bold) {
+        let width = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return width * size / 1000 * (bold ? 1.1 : 1);
+    }
+
+    /**
+     * Splits a text into the lines of a given width.
+     * @param {string} text - The text.
+     * @param {number} width - The width in points.
+     * @param {number} size - The font size.
+     * @param {boolean} bold - True for the bold font.
+     * @returns {Array<string>} - The lines.
+     */
+    function wrapText(text, width, size, bold) {
+        const lines = [];
+        let line = "";
+        String(text).split(" ").forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && textWidth(candidate, size, bold) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Converts an ASCII string to bytes.
+     * @param {string} text - The string, all characters below 128.
+     * @returns {Uint8Array} - The bytes.
+     */
+    function asciiBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Writes a report as PDF (A4, Helvetica). The sections are written as text, the chart as JPEG if the report
+     * contains one.
+     * @param {Object} report - The report.
+     * @returns {Uint8Array} - The PDF file.
+     */
+    function toPDF(report) {
+        const width = PAGE.width - 2 * PAGE.margin;
+        const pages = [];
+        let page = null;
+        let y = 0;
+
+        function newPage() {
+            page = [];
+            pages.push(page);
+            y = PAGE.height - PAGE.margin;
+        }
+
+        function addText(text, options) {
+            options = Object.assign({ size: 10, bold: false, indent: 0, spaceBefore: 0 }, options);
+            const lineHeight = options.size * 1.3;
+            y -= options.spaceBefore;
+            String(text).split("\n").forEach(paragraph => {
+                const bullet = paragraph.indexOf("• ") === 0;
+                const indent = options.indent + (bullet ? 10 : 0);
+                wrapText(bullet ? paragraph.substr(2) : paragraph, width - indent, options.size, options.bold)
+                    .forEach((line, i) => {
+                        if (y - lineHeight < PAGE.margin) {
+                            newPage();
+                        }
+                        y -= lineHeight;
+                        const font = options.bold ? "F2" : "F1";
+                        if (bullet && i === 0) {
+                            page.push(`BT /${font} ${options.size} Tf ${PAGE.margin + options.indent} ${y.toFixed(1)} Td (${pdfString("•")}) Tj ET`);
+                        }
+                        page.push(`BT /${font} ${options.size} Tf ${PAGE.margin + indent} ${y.toFixed(1)} Td (${pdfString(line)}) Tj ET`);
+                    });
+            });
+        }
+
+        function addImage(image) {
+            const scale = Math.min(width / image.width, 320 / image.height);
+            const w = image.width * scale;
+            const h = image.height * scale;
+            if (y - h < PAGE.margin) {
+                newPage();
+            }
+            y -= h;
+            page.push(`q ${w.toFixed(1)} 0 0 ${h.toFixed(1)} ${PAGE.margin} ${y.toFixed(1)} cm /Im1 Do Q`);
+        }
+
+        newPage();
+        addText(report.title, { size: 16, bold: true });
+        addText([report.patient.name].concat(report.patient.fields.map(field => `${field.label}: ${field.value}`)).join("   "),
+            { spaceBefore: 4 });
+        addText(report.meta.map(field => `${field.label}: ${field.value}`).join("   "), { size: 8 });
+        report.sections.forEach(section => {
+            addText(section.title, { size: 12, bold: true, spaceBefore: 10 });
+            addText(htmlToText(section.html), { spaceBefore: 2 });
+        });
+        const image = report.chart && report.chart.jpeg;
+        if (image) {
+            addText(report.chart.title, { size: 12, bold: true, spaceBefore: 10 });
+            y -= 4;
+            addImage(image);
+        }
+        if (report.guidelines.items.length) {
+            addText(report.guidelines.title, { size: 12, bold: true, spaceBefore: 10 });
+            addText(report.guidelines.items.map(item => `• ${item}`).join("\n"), { size: 8, spaceBefore: 2 });
+        }
+        addText(`${report.disclaimer.title}: ${report.disclaimer.text}`, { size: 8, bold: true, spaceBefore: 12 });
+
+        // The objects: 1 catalog, 2 pages, 3 and 4 fonts, 5 image, then the page and its content per page
+        const objects = [];
+        const firstPage = 6;
+        const pageIds = pages.map((content, i) => firstPage + 2 * i);
+        objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+        objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+        objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+        objects[5] = image ? [
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB ` +
+            `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+            image.data,
+            "\nendstream"
+        ] : "null";
+        pages.forEach((content, i) => {
+            const stream = content.join("\n");
+            objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${image ? " /XObject << /Im1 5 0 R >>" : ""} >> ` +
+                `/Contents ${pageIds[i] + 1} 0 R >>`;
+            objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+        const write = part => {
+            const bytes = typeof part === "string" ? asciiBytes(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        write("%PDF-1.4\n");
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+            [].concat(objects[id]).forEach(write);
+            write("\nendobj\n");
+        }
+        const xref = length;
+        write(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objects.length; id++) {
+            write(`${("000000000" + offsets[id]).slice(-10)} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        const pdf = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(bytes => {
+            pdf.set(bytes, offset);
+            offset += bytes.length;
+        });
+        return pdf;
+    }
+
+    /**
+     * Creates an id for the entries of a bundle.
+     * @returns {string} - A random UUID.
+     */
+    function createUUID() {
+        if (typeof crypto !== "undefined" && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === "x" ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * Creates a FHIR (R4) collection bundle with a DiagnosticReport and a DocumentReference of a report. Both are
+     * preliminary and labeled as asserted by an AI, the report is attached as HTML (and as PDF if given).
+     * @param {Object} report - The report.
+     * @param {Object} [options] - { html: the HTML of the report (default: toHTML), pdf: the PDF (Uint8Array),
+     *     language: the language of the report (e.g. "en"), conclusion: the text of the DiagnosticReport (default:
+     *     the text of the first section) }
+     * @returns {Object} - The bundle.
+     */
+    function toFHIR(report, options) {
+        options = options || {};
+        const html = options.html || toHTML(report);
+        const attachment = (contentType, content) => Object.assign({ contentType: contentType },
+            options.language ? { language: options.language } : {},
+            { data: toBase64(content), title: report.title, creation: report.generated });
+        const attachments = [attachment("text/html", html)];
+        if (options.pdf) {
+            attachments.push(attachment("application/pdf", options.pdf));
+        }
+        const subject = report.patient.id ? { reference: `Patient/${report.patient.id}`, display: report.patient.name } :
+            { display: report.patient.name };
+        const meta = { security: [AI_ASSERTED] };
+        const diagnosticReportId = `urn:uuid:${createUUID()}`;
+        const conclusion = options.conclusion !== undefined ? options.conclusion :
+            report.sections.length ? htmlToText(report.sections[0].html) : "";
+
+        const diagnosticReport = {
+            resourceType: "DiagnosticReport",
+            meta: meta,
+            status: "preliminary",
+            code: { text: report.title },
+            subject: subject,
+            effectiveDateTime: report.generated,
+            issued: report.generated,
+            conclusion: conclusion,
+            presentedForm: attachments
+        };
+        const documentReference = {
+            resourceType: "DocumentReference",
+            meta: meta,
+            status: "current",
+            docStatus: "preliminary",
+            type: { text: report.title },
+            category: [{
+                coding: [{
+                    system: "http://hl7.org/fhir/us/core/CodeSystem/us-core-documentreference-category",
+                    code: "clinical-note",
+                    display: "Clinical Note"
+                }]
+            }],
+            subject: subject,
+            date: report.generated,
+            description: report.title,
+            content: attachments.map(attachment => ({ attachment: attachment })),
+            context: { related: [{ reference: diagnosticReportId }] }
+        };
+
+        return {
+            resourceType: "Bundle",
+            type: "collection",
+            timestamp: report.generated,
+            entry: [
+                { fullUrl: diagnosticReportId, resource: diagnosticReport },
+                { fullUrl: `urn:uuid:${createUUID()}`, resource: documentReference }
+            ]
+        };
+    }
+
+    /**
+     * Renders the growth charts in a hidden frame with print-charts.html (js/print2.js) and takes the SVG.
+     * @param {Object} [options] - { width, height of the frame, timeout in ms }
+     * @returns {Promise<Object>} - { svg, width, height }
+     */
+    function snapshotChart(options) {
+        options = Object.assign({ width: 1000, height: 700, timeout: 10000 }, options);
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement("iframe");
+            frame.style.cssText = `position: absolute; left: -10000px; top: 0; width: ${options.width}px; ` +
+                `height: ${options.height}px; border: 0;`;
+            const timer = setTimeout(() => finish(new Error("The growth charts were not rendered in time")), options.timeout);
+
+            function finish(error, chart) {
+                clearTimeout(timer);
+                frame.parentNode.removeChild(frame);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(chart);
+                }
+            }
+
+            frame.onload = () => {
+                try {
+                    const svg = frame.contentDocument.querySelector("#stage .stage-1 svg");
+                    if (!svg) {
+                        throw new Error("The growth charts were not rendered");
+                    }
+                    finish(null, {
+                        svg: new XMLSerializer().serializeToString(svg),
+                        width: Math.round(parseFloat(svg.getAttribute("width")) || options.width),
+                        height: Math.round(parseFloat(svg.getAttribute("height")) || options.height)
+                    });
+                } catch (error) {
+                    finish(error);
+                }
+            };
+            frame.src = "print-charts.html?view=graphs";
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Converts the SVG of a chart to JPEG for the PDF.
+     * @param {Object} chart - { svg, width, height }
+     * @returns {Promise<Object>} - { data (Uint8Array), width, height }
+     */
+    function rasterizeChart(chart) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement("canvas");
+                canvas.width = chart.width;
+                canvas.height = chart.height;
+                const context = canvas.getContext("2d");
+                context.fillStyle = "#fff";
+                context.fillRect(0, 0, chart.width, chart.height);
+                context.drawImage(image, 0, 0, chart.width, chart.height);
+                const dataURL = canvas.toDataURL("image/jpeg", 0.9);
+                resolve({ data: fromBase64(dataURL.split(",")[1]), width: chart.width, height: chart.height });
+            };
+            image.onerror = () => reject(new Error("The growth charts cannot be converted to JPEG"));
+            image.src = chartURL(chart);
+        });
+    }
+
+    NS.AIReport = {
+        AI_ASSERTED: AI_ASSERTED,
+        htmlToText: htmlToText,
+        toHTML: toHTML,
+        toPDF: toPDF,
+        toFHIR: toFHIR,
+        toBase64: toBase64,
+        snapshotChart: snapshotChart,
+        rasterizeChart: rasterizeChart
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIReport;
+    }
+}(GC));
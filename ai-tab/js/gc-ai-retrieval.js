@@ -0,0 +1,208 @@
+/**
+ * This module implements the local retrieval over the clinical practice guidelines (ai-tab/guidelines/*.pdf).
+ *
+ * The pipeline has four steps:
+ * (1) extract the text of every PDF page with pdf.js, (2) split the pages into overlapping passages which
+ * never span two pages, (3) build a BM25 index over the passages and (4) retrieve the best passages for a
+ * query. The passages are added to the prompt of whichever model is used and are cited with their page.
+ *
+ * The bundled guidelines are indexed ahead of time with `npm run build-guidelines-index`, which writes the
+ * passages to ai-tab/guidelines/guidelines-index.json. Guidelines uploaded in the chat are indexed in the
+ * browser.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ * - pdfjsLib (node_modules/pdfjs-dist) to extract the text of PDFs.
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const DEFAULT_CHUNK_WORDS = 150;
+    const DEFAULT_OVERLAP_WORDS = 30;
+
+    // BM25 parameters
+    const K1 = 1.2;
+    const B = 0.75;
+
+    const STOP_WORDS = [
+        "a", "about", "after", "all", "also", "an", "and", "any", "are", "as", "at", "be", "been", "before",
+        "between", "both", "but", "by", "can", "could", "did", "do", "does", "during", "each", "for", "from",
+        "had", "has", "have", "he", "her", "his", "how", "if", "in", "into", "is", "it", "its", "may", "more",
+        "most", "no", "not", "of", "on", "or", "other", "our", "over", "per", "see", "she", "should", "so",
+        "such", "than", "that", "the", "their", "them", "then", "there", "these", "they", "this", "those",
+        "through", "to", "up", "was", "we", "were", "what", "when", "which", "while", "who", "with", "would",
+        "you", "your"
+    ].reduce((map, word) => {
+        map[word] = true;
+        return map;
+    }, {});
+
+    /**
+     * Splits a text into normalized search terms (lower case, no stop words, simple plural stemming).
+     * @param {string} text - The text to tokenize.
+     * @returns {Array<string>} - The terms.
+     */
+    function tokenize(text) {
+        return String(text || "")
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(term => term.length > 1 && !STOP_WORDS[term])
+            .map(term => term.length > 4 && /[^s]s$/.test(term) ? term.slice(0, -1) : term);
+    }
+
+    /**
+     * Extracts the text of all pages of a PDF.
+     * @param {Object} pdfjsLib - The pdf.js library.
+     * @param {Uint8Array|ArrayBuffer} data - The content of the PDF.
+     * @returns {Promise<Array<Object>>} - The pages as [{ page, text }], the page numbers start at 1.
+     */
+    async function extractPages(pdfjsLib, data) {
+        const doc = await pdfjsLib.getDocument({ data: data, isEvalSupported: false }).promise;
+        const pages = [];
+        for (let i = 1; i <= doc.numPages; i++) {
+            const page = await doc.getPage(i);
+            const content = await page.getTextContent();
+            pages.push({
+                page: i,
+                text: content.items.map(item => item.str + (item.hasEOL ? "\n" : "")).join("")
+            });
+        }
+        return pages;
+    }
+
+    /**
+     * Splits the pages of a document into overlapping passages. A passage never spans two pages, so every
+     * passage can be cited with its page.
+     * @param {string} file - The file name of the document.
+     * @param {Array<Object>} pages - The pages as [{ page, text }].
+     * @param {Object} [options] - { chunkWords, overlapWords }
+     * @returns {Array<Object>} - The passages as [{ id, file, page, text }].
+     */
+    function chunkPages(file, pages, options) {
+        const chunkWords = (options && options.chunkWords) || DEFAULT_CHUNK_WORDS;
+        const overlapWords = Math.min((options && options.overlapWords) || DEFAULT_OVERLAP_WORDS, chunkWords - 1);
+        const chunks = [];
+
+        pages.forEach(page => {
+            const words = page.text.split(/\s+/).filter(Boolean);
+            let part = 0;
+            for (let start = 0; start < words.length; start += chunkWords - overlapWords) {
+                chunks.push({
+                    id: `${file}#page=${page.page}&passage=${++part}`,
+                    file: file,
+                    page: page.page,
+                    text: words.slice(start, start + chunkWords).join(" ")
+                });
+                if (start + chunkWords >= words.length) {
+                    break;
+                }
+            }
+        });
+        return chunks;
+    }
+
+    /**
+     * Creates a BM25 index over passages.
+     * @param {Array<Object>} [chunks] - The passages as returned by chunkPages.
+     * @returns {Object} - The index with add(chunks), search(query, limit), size() and files().
+     */
+    function createIndex(chunks) {
+        const documents = []; // { chunk, terms: { term: frequency }, length }
+        const documentFrequency = {};
+        let totalLength = 0;
+
+        function add(newChunks) {
+            newChunks.forEach(chunk => {
+                const terms = {};
+                const tokens = tokenize(chunk.text);
+                tokens.forEach(term => {
+                    terms[term] = (terms[term] || 0) + 1;
+                });
+                Object.keys(terms).forEach(term => {
+                    documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+                });
+                documents.push({ chunk: chunk, terms: terms, length: tokens.length });
+                totalLength += tokens.length;
+            });
+        }
+
+        function search(query, limit) {
+            const queryTerms = tokenize(query).filter((term, i, all) => all.indexOf(term) === i);
+            const averageLength = totalLength / (documents.length || 1);
+            const results = [];
+
+            documents.forEach(entry => {
+                let score = 0;
+                queryTerms.forEach(term => {
+                    const frequency = entry.terms[term];
+                    if (frequency) {
+                        const n = documentFrequency[term];
+                        const idf = Math.log(1 + (documents.length - n + 0.5) / (n + 0.5));
+                        score += idf * frequency * (K1 + 1) /
+                            (frequency + K1 * (1 - B + B * entry.length / averageLength));
+                    }
+                });
+                if (score > 0) {
+                    results.push(Object.assign({}, entry.chunk, { score: score }));
+                }
+            });
+
+            return results
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit || 5);
+        }
+
+        add(chunks || []);
+
+        return {
+            add: add,
+            search: search,
+            size: () => documents.length,
+            files: () => documents
+                .map(entry => entry.chunk.file)
+                .filter((file, i, all) => all.indexOf(file) === i)
+        };
+    }
+
+    /**
+     * Loads the prebuilt index of the bundled guidelines.
+     * @param {string} url - The URL of guidelines-index.json.
+     * @returns {Promise<Object>} - The index (see createIndex).
+     */
+    async function loadIndex(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load the guideline index (${response.status})`);
+        }
+        const data = await response.json();
+        return createIndex(data.chunks);
+    }
+
+    /**
+     * Extracts, chunks and adds a PDF file (e.g. uploaded in the chat) to an index.
+     * @param {Object} index - The index (see createIndex).
+     * @param {Object} pdfjsLib - The pdf.js library.
+     * @param {string} file - The file name.
+     * @param {Uint8Array|ArrayBuffer} data - The content of the PDF.
+     * @returns {Promise<number>} - The number of passages added.
+     */
+    async function addDocument(index, pdfjsLib, file, data) {
+        const chunks = chunkPages(file, await extractPages(pdfjsLib, data));
+        index.add(chunks);
+        return chunks.length;
+    }
+
+    NS.AIRetrieval = {
+        tokenize: tokenize,
+        extractPages: extractPages,
+        chunkPages: chunkPages,
+        createIndex: createIndex,
+        loadIndex: loadIndex,
+        addDocument: addDocument
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIRetrieval;
+    }
+}(GC));
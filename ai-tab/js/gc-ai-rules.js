@@ -0,0 +1,425 @@
+/**
+ * This module implements a deterministic, rule-based screening of the growth data for the AI tab.
+ *
+ * The rules flag the standard red flags of pediatric growth and give a reproducible baseline the answer of
+ * the model can be compared against:
+ * (1) height below -2 SD, (2) crossing of two major percentile lines (length/stature and weight),
+ * (3) weight-for-length below -2 SD, (4) BMI at or above the 95th percentile, (5) head circumference outside
+ * ±2 SD and (6) height SDS far from the target-height SDS (mid-parental height).
+ *
+ * Weight-for-length is evaluated with a "<source>_WFL" LMS data set if one is loaded (the length in cm takes
+ * the place of the age in the "Agemos" column). Without such a data set BMI-for-age is used from 2 years on,
+ * as recommended by the CDC.
+ *
+ * The lengths measured in another position than the one of the charts are corrected like on the charts
+ * (GC.Patient.prototype.getLengthCorrection) before their z-scores are calculated.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ * - GC.findZFromX, GC.findPercentileFromX (gc-statistics.js) and GC.Patient (gc-smart-data.js).
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    // Cut-offs of the rules
+    const THRESHOLDS = {
+        heightZ: -2,
+        percentileLinesCrossed: 2,
+        weightForLengthZ: -2,
+        bmiPercentile: 0.95,
+        headcZ: 2,
+        targetHeightSDS: 2
+    };
+
+    // Major percentile lines of the CDC charts
+    const MAJOR_PERCENTILES = [0.05, 0.10, 0.25, 0.50, 0.75, 0.90, 0.95];
+
+    const STATUS = {
+        FLAGGED: "flagged",
+        NORMAL: "normal",
+        NOT_EVALUATED: "notEvaluated"
+    };
+
+    const DATA_SET_TYPES = {
+        lengthAndStature: "STATURE",
+        weight: "WEIGHT",
+        headc: "HEADC",
+        bmi: "BMI"
+    };
+
+    /**
+     * Returns the data sets for a measurement, the primary chart type first and CDC as fallback.
+     * @param {string} prop - The model property (lengthAndStature, weight, headc, bmi).
+     * @returns {Array<Object>} - The data sets which exist for the measurement.
+     */
+    function getDataSets(prop) {
+        const sources = [NS.App.getPrimaryChartType(), "CDC"];
+        const type = DATA_SET_TYPES[prop];
+        const dataSets = [];
+
+        sources.forEach(src => {
+            let ds = NS.DATA_SETS[src + "_" + type];
+            if (!ds && type === "STATURE") {
+                ds = NS.DATA_SETS[src + "_LENGTH"];
+            }
+            if (ds && dataSets.indexOf(ds) === -1) {
+                dataSets.push(ds);
+            }
+        });
+        return dataSets;
+    }
+
+    /**
+     * Checks whether a number is finite and usable.
+     * @param {*} value - The value to check.
+     * @returns {boolean} - True for finite numbers.
+     */
+    function isNumber(value) {
+        return typeof value === "number" && isFinite(value);
+    }
+
+    /**
+     * Calculates the z-score of a measurement with the first data set covering the age of the entry.
+     * @param {Object} entry - The model entry.
+     * @param {string} prop - The model property.
+     * @param {string} gender - The gender of the patient.
+     * @returns {number|null} - The z-score or null if no data set covers the entry.
+     */
+    function getZScore(entry, prop, gender) {
+        const dataSets = getDataSets(prop);
+        for (let i = 0; i < dataSets.length; i++) {
+            const z = NS.findZFromX(entry[prop], dataSets[i], gender, entry.agemos);
+            if (isNumber(z)) {
+                return z;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Calculates the percentile (0 to 1) of a measurement.
+     * @param {Object} entry - The model entry.
+     * @param {string} prop - The model property.
+     * @param {string} gender - The gender of the patient.
+     * @returns {number|null} - The percentile or null if no data set covers the entry.
+     */
+    function getPercentile(entry, prop, gender) {
+        const z = getZScore(entry, prop, gender);
+        return z === null ? null : Math.normsdist(z);
+    }
+
+    /**
+     * Returns the BMI of an entry, calculated from weight and length if it was not measured.
+     * @param {Object} entry - The model entry.
+     * @returns {number|null} - The BMI in kg/m2.
+     */
+    function getBMI(entry) {
+        if (isNumber(entry.bmi)) {
+            return entry.bmi;
+        }
+        if (isNumber(entry.weight) && isNumber(entry.lengthAndStature) && entry.lengthAndStature > 0) {
+            return entry.weight / Math.pow(entry.lengthAndStature / 100, 2);
+        }
+        return null;
+    }
+
+    /**
+     * Returns the entries of the model containing the given measurement, oldest first.
+     * @param {Array<Object>} model - The patient model.
+     * @param {string} prop - The model property.
+     * @returns {Array<Object>} - The entries.
+     */
+    function getEntries(model, prop) {
+        return model.filter(entry => isNumber(entry[prop]));
+    }
+
+    /**
+     * Returns the entry with its length/stature corrected to the position of the charts
+     * (GC.Patient.prototype.getLengthCorrection). The correction is kept in lengthCorrection.
+     * @param {GC.Patient} patient - The patient.
+     * @param {Object} entry - The model entry.
+     * @returns {Object} - A corrected copy of the entry, or the entry itself if it needs no correction.
+     */
+    function correctLength(patient, entry) {
+        if (!isNumber(entry.lengthAndStature) || typeof patient.getLengthCorrection !== "function") {
+            return entry;
+        }
+        const correction = patient.getLengthCorrection(entry) || 0;
+        if (!correction) {
+            return entry;
+        }
+        return Object.assign({}, entry, {
+            lengthAndStature: entry.lengthAndStature + correction,
+            lengthCorrection: correction
+        });
+    }
+
+    /**
+     * Formats the length/stature of an entry for the messages, with the measured value if it was corrected.
+     * @param {Object} entry - The entry returned by correctLength().
+     * @returns {string} - The length in cm.
+     */
+    function formatLength(entry) {
+        let text = `${round(entry.lengthAndStature)} cm`;
+        if (entry.lengthCorrection) {
+            text += ` (measured ${round(entry.lengthAndStature - entry.lengthCorrection)} cm, corrected to the position of the chart)`;
+        }
+        return text;
+    }
+
+    /**
+     * Formats the age of an entry for the messages.
+     * @param {Object} entry - The model entry.
+     * @returns {string} - The age in years and months.
+     */
+    function formatAge(entry) {
+        const years = Math.floor(entry.agemos / 12);
+        const months = Math.floor(entry.agemos % 12);
+        return `${years}y ${months}m`;
+    }
+
+    /**
+     * Rounds a number to one decimal.
+     * @param {number} value - The value to round.
+     * @returns {number} - The rounded value.
+     */
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Creates a finding.
+     * @param {string} id - The id of the rule.
+     * @param {string} title - The title of the rule.
+     * @param {string} status - One of STATUS.
+     * @param {string} message - The explanation of the result.
+     * @returns {Object} - The finding { id, title, status, message }.
+     */
+    function finding(id, title, status, message) {
+        return { id: id, title: title, status: status, message: message };
+    }
+
+    /**
+     * Rule 1: Height below -2 SD at the latest measurement.
+     * @param {GC.Patient} patient - The patient.
+     * @returns {Object} - The finding.
+     */
+    function checkHeight(patient) {
+        const title = `Height below ${THRESHOLDS.heightZ} SD`;
+        const entries = getEntries(patient.getModel(), "lengthAndStature");
+        const latest = entries.length ? correctLength(patient, entries[entries.length - 1]) : null;
+        const z = latest ? getZScore(latest, "lengthAndStature", patient.gender) : null;
+
+        if (z === null) {
+            return finding("height", title, STATUS.NOT_EVALUATED, "No length/stature measurement with reference data available.");
+        }
+        return finding("height", title, z < THRESHOLDS.heightZ ? STATUS.FLAGGED : STATUS.NORMAL,
+            `Latest length/stature ${formatLength(latest)} at ${formatAge(latest)}: z-score ${round(z)}.`);
+    }
+
+    /**
+     * Counts the major percentile lines between two percentiles.
+     * @param {number} from - The first percentile (0 to 1).
+     * @param {number} to - The second percentile (0 to 1).
+     * @returns {number} - The number of major percentile lines crossed.
+     */
+    function countCrossedLines(from, to) {
+        const low = Math.min(from, to);
+        const high = Math.max(from, to);
+        return MAJOR_PERCENTILES.filter(p => p > low && p < high).length;
+    }
+
+    /**
+     * Rule 2: Crossing of two or more major percentile lines between any earlier measurement and the latest
+     * one. The velocity since the previous measurement is added to the message, it is calculated from the
+     * measured values.
+     * @param {GC.Patient} patient - The patient.
+     * @param {string} prop - lengthAndStature or weight.
+     * @param {string} label - The name of the measurement in the messages.
+     * @returns {Object} - The finding.
+     */
+    function checkPercentileCrossing(patient, prop, label) {
+        const id = "percentileCrossing-" + prop;
+        const title = `${label} crossing ${THRESHOLDS.percentileLinesCrossed} major percentile lines`;
+        const entries = getEntries(patient.getModel(), prop)
+            .map(entry => ({ entry: entry, pct: getPercentile(correctLength(patient, entry), prop, patient.gender) }))
+            .filter(item => item.pct !== null);
+
+        if (entries.length < 2) {
+            return finding(id, title, STATUS.NOT_EVALUATED, `Less than two ${label.toLowerCase()} measurements with reference data available.`);
+        }
+
+        const latest = entries[entries.length - 1];
+        let max = { lines: 0, item: entries[0] };
+        entries.slice(0, -1).forEach(item => {
+            const lines = countCrossedLines(item.pct, latest.pct);
+            if (lines > max.lines) {
+                max = { lines: lines, item: item };
+            }
+        });
+
+        const direction = latest.pct < max.item.pct ? "downwards" : "upwards";
+        let message = `${max.lines} major percentile line(s) crossed ${max.lines ? direction + " " : ""}` +
+            `between ${formatAge(max.item.entry)} (P${round(max.item.pct * 100)}) and ${formatAge(latest.entry)} (P${round(latest.pct * 100)}).`;
+
+        const velocity = patient.getVelocity(prop, latest.entry, null, "year");
+        if (velocity && isNumber(velocity.value)) {
+            message += ` Velocity since the previous measurement: ${velocity.value}${velocity.suffix}.`;
+        }
+
+        return finding(id, title, max.lines >= THRESHOLDS.percentileLinesCrossed ? STATUS.FLAGGED : STATUS.NORMAL, message);
+    }
+
+    /**
+     * Rule 3: Weight-for-length below -2 SD. Uses a weight-for-length data set if available, otherwise
+     * BMI-for-age from 2 years on.
+     * @param {GC.Patient} patient - The patient.
+     * @returns {Object} - The finding.
+     */
+    function checkWeightForLength(patient) {
+        const title = `Weight-for-length below ${THRESHOLDS.weightForLengthZ} SD`;
+        const model = patient.getModel();
+        const entries = model.filter(entry => isNumber(entry.weight) && isNumber(entry.lengthAndStature));
+        const latest = entries.length ? correctLength(patient, entries[entries.length - 1]) : null;
+
+        if (!latest) {
+            return finding("weightForLength", title, STATUS.NOT_EVALUATED, "No entry with both weight and length/stature available.");
+        }
+
+        const wfl = NS.DATA_SETS[NS.App.getPrimaryChartType() + "_WFL"] || NS.DATA_SETS.WHO_WFL;
+        let z = wfl ? NS.findZFromX(latest.weight, wfl, patient.gender, latest.lengthAndStature) : null;
+        let reference = "weight-for-length";
+
+        if (!isNumber(z) && latest.agemos >= 24) {
+            z = getZScore({ agemos: latest.agemos, bmi: getBMI(latest) }, "bmi", patient.gender);
+            reference = "BMI-for-age";
+        }
+
+        if (!isNumber(z)) {
+            return finding("weightForLength", title, STATUS.NOT_EVALUATED, `No weight-for-length reference data available at ${formatAge(latest)}.`);
+        }
+        return finding("weightForLength", title, z < THRESHOLDS.weightForLengthZ ? STATUS.FLAGGED : STATUS.NORMAL,
+            `Weight ${round(latest.weight)} kg at length/stature ${formatLength(latest)} (${formatAge(latest)}): ${reference} z-score ${round(z)}.`);
+    }
+
+    /**
+     * Rule 4: BMI at or above the 95th percentile at the latest entry with a BMI.
+     * @param {GC.Patient} patient - The patient.
+     * @returns {Object} - The finding.
+     */
+    function checkBMI(patient) {
+        const title = `BMI at or above the ${THRESHOLDS.bmiPercentile * 100}th percentile`;
+        const latest = patient.getModel().filter(entry => getBMI(entry) !== null).pop();
+        const bmi = latest ? getBMI(latest) : null;
+        const pct = latest ? getPercentile({ agemos: latest.agemos, bmi: bmi }, "bmi", patient.gender) : null;
+
+        if (pct === null) {
+            return finding("bmi", title, STATUS.NOT_EVALUATED, "No BMI with reference data available (BMI-for-age starts at 2 years).");
+        }
+        return finding("bmi", title, pct >= THRESHOLDS.bmiPercentile ? STATUS.FLAGGED : STATUS.NORMAL,
+            `Latest BMI ${round(bmi)} kg/m2 at ${formatAge(latest)}: P${round(pct * 100)}.`);
+    }
+
+    /**
+     * Rule 5: Head circumference outside ±2 SD at the latest measurement.
+     * @param {GC.Patient} patient - The patient.
+     * @returns {Object} - The finding.
+     */
+    function checkHeadCircumference(patient) {
+        const title = `Head circumference outside ±${THRESHOLDS.headcZ} SD`;
+        const entries = getEntries(patient.getModel(), "headc");
+        const latest = entries[entries.length - 1];
+        const z = latest ? getZScore(latest, "headc", patient.gender) : null;
+
+        if (z === null) {
+            return finding("headCircumference", title, STATUS.NOT_EVALUATED, "No head circumference measurement with reference data available.");
+        }
+        return finding("headCircumference", title, Math.abs(z) > THRESHOLDS.headcZ ? STATUS.FLAGGED : STATUS.NORMAL,
+            `Latest head circumference ${round(latest.headc)} cm at ${formatAge(latest)}: z-score ${round(z)}.`);
+    }
+
+    /**
+     * Rule 6: Height SDS more than 2 SD away from the target-height SDS derived from the mid-parental height.
+     * @param {GC.Patient} patient - The patient.
+     * @returns {Object} - The finding.
+     */
+    function checkTargetHeight(patient) {
+        const title = `Height SDS more than ${THRESHOLDS.targetHeightSDS} SD from target height`;
+        const midParental = patient.getMidParentalHeight();
+        if (!midParental || !isNumber(midParental.percentile)) {
+            return finding("targetHeight", title, STATUS.NOT_EVALUATED, "Mid-parental height not available (heights of both biological parents are required).");
+        }
+
+        const entries = getEntries(patient.getModel(), "lengthAndStature");
+        const latest = entries.length ? correctLength(patient, entries[entries.length - 1]) : null;
+        const z = latest ? NS.findZFromX(latest.lengthAndStature, NS.DATA_SETS.CDC_STATURE, patient.gender, latest.agemos) : null;
+        if (!isNumber(z)) {
+            return finding("targetHeight", title, STATUS.NOT_EVALUATED, "No length/stature measurement with reference data available.");
+        }
+
+        const targetSDS = Math.normsinv(midParental.percentile);
+        const difference = z - targetSDS;
+        return finding("targetHeight", title, Math.abs(difference) > THRESHOLDS.targetHeightSDS ? STATUS.FLAGGED : STATUS.NORMAL,
+            `Height SDS ${round(z)} at ${formatAge(latest)}, target-height SDS ${round(targetSDS)} ` +
+            `(mid-parental height ${round(midParental.height)} cm): difference ${round(difference)} SD.`);
+    }
+
+    /**
+     * Runs all rules for the patient.
+     * @param {GC.Patient} patient - The patient.
+     * @returns {Array<Object>} - The findings [{ id, title, status, message }].
+     */
+    function evaluate(patient) {
+        if (!patient) {
+            return [];
+        }
+        return [
+            checkHeight(patient),
+            checkPercentileCrossing(patient, "lengthAndStature", "Length/Stature"),
+            checkPercentileCrossing(patient, "weight", "Weight"),
+            checkWeightForLength(patient),
+            checkBMI(patient),
+            checkHeadCircumference(patient),
+            checkTargetHeight(patient)
+        ];
+    }
+
+    /**
+     * Checks whether any rule flagged an abnormality.
+     * @param {Array<Object>} findings - The findings of evaluate().
+     * @returns {boolean} - True if at least one rule is flagged.
+     */
+    function hasAbnormality(findings) {
+        return findings.some(item => item.status === STATUS.FLAGGED);
+    }
+
+    /**
+     * Creates the part of the growth prompt listing the results of the rules.
+     * @param {Array<Object>} findings - The findings of evaluate().
+     * @returns {string} - The prompt text.
+     */
+    function createPrompt(findings) {
+        if (!findings.length) {
+            return "";
+        }
+        let prompt = `Results of a deterministic rule-based screening of the growth data (reproducible baseline, state where your assessment differs):\n`;
+        findings.forEach(item => {
+            prompt += `- ${item.title}: ${item.status === STATUS.FLAGGED ? "FLAGGED" : item.status === STATUS.NORMAL ? "not flagged" : "not evaluated"}. ${item.message}\n`;
+        });
+        return prompt;
+    }
+
+    NS.AIRules = {
+        THRESHOLDS: THRESHOLDS,
+        MAJOR_PERCENTILES: MAJOR_PERCENTILES,
+        STATUS: STATUS,
+        evaluate: evaluate,
+        hasAbnormality: hasAbnormality,
+        createPrompt: createPrompt
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIRules;
+    }
+}(GC));
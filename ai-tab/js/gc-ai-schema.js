@@ -0,0 +1,349 @@
+/**
+ * This module defines the structured response of the AI analysis and validates the replies of the model
+ * against it before they are rendered in the AI tab.
+ *
+ * The analysis consists of the abnormality flag, the findings per measurement, the history findings, the
+ * specialist referrals, the ICD-10 differential diagnoses and the executive summary. Every section of the AI tab
+ * asks for its own part of the analysis, whose schema is picked from the analysis schema with pickSchema.
+ * Only a small subset of JSON Schema is supported (type, properties, required, items, enum, pattern,
+ * minItems, maxItems), which is all the analysis schema needs.
+ *
+ * While a reply is streamed, parsePartialResponse reads the beginning of the JSON object, so the sections can
+ * be filled before the reply is complete.
+ *
+ * Dependencies:
+ * - Global variables: GC
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const ANALYSIS_SCHEMA = {
+        type: "object",
+        required: ["abnormality", "growthFindings", "historyFindings", "referrals", "differentials", "summary"],
+        properties: {
+            abnormality: { type: "boolean" },
+            growthFindings: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["measurement", "finding"],
+                    properties: {
+                        measurement: { type: "string", enum: ["length", "weight", "headCircumference", "bmi", "general"] },
+                        finding: { type: "string" }
+                    }
+                }
+            },
+            historyFindings: {
+                type: "array",
+                items: { type: "string" }
+            },
+            referrals: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["specialty", "reason"],
+                    properties: {
+                        specialty: { type: "string" },
+                        reason: { type: "string" },
+                        nextSteps: { type: "string" }
+                    }
+                }
+            },
+            differentials: {
+                type: "array",
+                minItems: 1,
+                items: {
+                    type: "object",
+                    required: ["diagnosis", "icd10"],
+                    properties: {
+                        diagnosis: { type: "string" },
+                        icd10: { type: "string", pattern: "^[A-Z][0-9]{2}(\\.[0-9A-Z]{1,4})?$" },
+                        rationale: { type: "string" }
+                    }
+                }
+            },
+            summary: {
+                type: "array",
+                minItems: 1,
+                items: { type: "string" }
+            }
+        }
+    };
+
+    /**
+     * Creates the schema of a part of the analysis.
+     * @param {Array<string>} properties - The properties of the analysis schema to keep.
+     * @returns {Object} - The schema of an object with the given properties.
+     */
+    function pickSchema(properties) {
+        const schema = { type: "object", required: [], properties: {} };
+        properties.forEach(name => {
+            if (!ANALYSIS_SCHEMA.properties[name]) {
+                throw new Error(`Unknown property of the analysis: ${name}`);
+            }
+            schema.properties[name] = ANALYSIS_SCHEMA.properties[name];
+            if (ANALYSIS_SCHEMA.required.indexOf(name) !== -1) {
+                schema.required.push(name);
+            }
+        });
+        return schema;
+    }
+
+    /**
+     * Returns the JSON type name of a value ("array" and "null" are distinguished from "object").
+     * @param {*} value - The value to check.
+     * @returns {string} - The type name.
+     */
+    function typeOf(value) {
+        if (value === null) {
+            return "null";
+        }
+        if (Array.isArray(value)) {
+            return "array";
+        }
+        return typeof value;
+    }
+
+    /**
+     * Validates a value against a schema.
+     * @param {*} value - The value to validate.
+     * @param {Object} schema - The schema to validate against.
+     * @param {string} [path] - The path of the value used in the error messages.
+     * @returns {Array<string>} - The validation errors, empty if the value is valid.
+     */
+    function validate(value, schema, path) {
+        const errors = [];
+        path = path || "response";
+
+        if (schema.type && typeOf(value) !== schema.type) {
+            errors.push(`${path} must be of type ${schema.type}`);
+            return errors;
+        }
+
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+        }
+
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+
+        if (schema.type === "object") {
+            (schema.required || []).forEach(name => {
+                if (!value.hasOwnProperty(name)) {
+                    errors.push(`${path}.${name} is missing`);
+                }
+            });
+            Object.keys(schema.properties || {}).forEach(name => {
+                if (value.hasOwnProperty(name)) {
+                    errors.push(...validate(value[name], schema.properties[name], `${path}.${name}`));
+                }
+            });
+        }
+
+        if (schema.type === "array") {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must contain at most ${schema.maxItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...validate(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parses the reply of the model and validates it against the analysis schema. The JSON object may be
+     * wrapped in a markdown code block or surrounded by other text.
+     * @param {string} content - The reply of the model.
+     * @param {Object} [schema] - The schema to validate against (defaults to the analysis schema).
+     * @returns {Object} - { valid, data, errors }
+     */
+    function parseResponse(content, schema) {
+        schema = schema || ANALYSIS_SCHEMA;
+
+        if (!content) {
+            return { valid: false, data: null, errors: ["The response is empty"] };
+        }
+
+        const start = content.indexOf("{");
+        const end = content.lastIndexOf("}");
+        if (start === -1 || end < start) {
+            return { valid: false, data: null, errors: ["The response does not contain a JSON object"] };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(content.substring(start, end + 1));
+        } catch (error) {
+            return { valid: false, data: null, errors: [`The response is not valid JSON (${error.message})`] };
+        }
+
+        const errors = validate(data, schema);
+        return { valid: errors.length === 0, data: data, errors: errors };
+    }
+
+    /**
+     * Parses the beginning of a JSON object which is still being streamed. Unfinished strings, arrays and
+     * objects are closed, an unfinished property or literal is left out. The result is not validated.
+     * @param {string} content - The reply of the model received so far.
+     * @returns {Object|null} - { data, complete, fields } where fields tells for every property of the object
+     * whether its value is complete, or null if the reply does not contain the start of an object yet.
+     */
+    function parsePartialResponse(content) {
+        const start = (content || "").indexOf("{");
+        if (start === -1) {
+            return null;
+        }
+        const text = content.substring(start);
+        let pos = 0;
+
+        function skipWhitespace() {
+            while (pos < text.length && /\s/.test(text[pos])) {
+                pos++;
+            }
+        }
+
+        function parseString() {
+            let out = "";
+            pos++; // opening quote
+            while (pos < text.length) {
+                const ch = text[pos++];
+                if (ch === '"') {
+                    return { value: out, complete: true };
+                }
+                if (ch !== "\\") {
+                    out += ch;
+                } else if (pos < text.length) {
+                    const escaped = text[pos++];
+                    if (escaped === "u") {
+                        const hex = text.substr(pos, 4);
+                        if (hex.length < 4) {
+                            break;
+                        }
+                        out += String.fromCharCode(parseInt(hex, 16));
+                        pos += 4;
+                    } else {
+                        out += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[escaped] || escaped;
+                    }
+                }
+            }
+            return { value: out, complete: false };
+        }
+
+        function parseLiteral() {
+            const match = /^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)/.exec(text.substring(pos));
+            if (!match) {
+                return null;
+            }
+            pos += match[0].length;
+            // A number at the end of the text may still be continued
+            return { value: JSON.parse(match[0]), complete: pos < text.length };
+        }
+
+        function parseArray() {
+            const out = [];
+            pos++; // opening bracket
+            for (;;) {
+                skipWhitespace();
+                if (pos >= text.length) {
+                    return { value: out, complete: false };
+                }
+                if (text[pos] === "]") {
+                    pos++;
+                    return { value: out, complete: true };
+                }
+                if (text[pos] === ",") {
+                    pos++;
+                    continue;
+                }
+                const item = parseValue();
+                if (!item) {
+                    return { value: out, complete: false };
+                }
+                out.push(item.value);
+                if (!item.complete) {
+                    return { value: out, complete: false };
+                }
+            }
+        }
+
+        function parseObject() {
+            const out = {};
+            const fields = {};
+            const incomplete = { value: out, complete: false, fields: fields };
+            pos++; // opening brace
+            for (;;) {
+                skipWhitespace();
+                if (pos >= text.length) {
+                    return incomplete;
+                }
+                if (text[pos] === "}") {
+                    pos++;
+                    return { value: out, complete: true, fields: fields };
+                }
+                if (text[pos] === ",") {
+                    pos++;
+                    continue;
+                }
+                if (text[pos] !== '"') {
+                    return incomplete;
+                }
+                const key = parseString();
+                skipWhitespace();
+                if (!key.complete || text[pos] !== ":") {
+                    return incomplete;
+                }
+                pos++;
+                const item = parseValue();
+                if (!item) {
+                    return incomplete;
+                }
+                out[key.value] = item.value;
+                fields[key.value] = item.complete;
+                if (!item.complete) {
+                    return incomplete;
+                }
+            }
+        }
+
+        function parseValue() {
+            skipWhitespace();
+            if (pos >= text.length) {
+                return null;
+            }
+            switch (text[pos]) {
+            case "{":
+                return parseObject();
+            case "[":
+                return parseArray();
+            case '"':
+                return parseString();
+            default:
+                return parseLiteral();
+            }
+        }
+
+        const result = parseObject();
+        return { data: result.value, complete: result.complete, fields: result.fields };
+    }
+
+    NS.AISchema = {
+        ANALYSIS_SCHEMA: ANALYSIS_SCHEMA,
+        pickSchema: pickSchema,
+        validate: validate,
+        parseResponse: parseResponse,
+        parsePartialResponse: parsePartialResponse
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AISchema;
+    }
+}(GC));
@@ -2,32 +2,177 @@
  * This module manages the whole logic of the AI tab. 
  * 
  * Starting with the initialization of the tab and the fetching of growth and history data for a patient. 
- * Followed by the communication with the OpenAI API to provide an analysis of (1) growth abnormalities and 
+ * Followed by the communication with the LLM provider to provide an analysis of (1) growth abnormalities and 
  * (2) patient history, (3) a recommendation for specialist referral, (4) a differential diagnosis and (5) an
  * executive summary based on the analysis including evidence-based guidelines as citations. 
- * Furthermore, the module offers a chat allowing the user to ask questions about the case and to upload new
- * guidelines.
+ * Furthermore, the module offers a chat allowing the user to ask questions about the case and to upload
+ * documents of the patient.
  * 
  * Dependencies:
  * - Global variables: GC, jQuery, XDate
- * - OpenAI API for assistant interactions.
+ * - GC.AIProviders (gc-ai-providers.js) for the model interactions, configured in GC.chartSettings.ai.
+ * - GC.AISchema (gc-ai-schema.js) to validate the structured response.
+ * - GC.AIPlan (gc-ai-plan.js) to run the sections as dependency-aware execution plan.
+ * - GC.AICache (gc-ai-cache.js) to cache the analyses, configured in GC.chartSettings.ai.cache.
+ * - GC.AIAudit (gc-ai-audit.js) for the audit log, configured in GC.chartSettings.ai.audit.
+ * - GC.AIFeedback (gc-ai-feedback.js) for the feedback of the clinicians on the sections.
+ * - GC.AIDeidentify (gc-ai-deidentify.js) to de-identify the prompts, configured in GC.chartSettings.ai.deidentify.
+ * - GC.AIRules (gc-ai-rules.js) for the rule-based screening of the growth data.
+ * - GC.AIRetrieval (gc-ai-retrieval.js) for the local retrieval of guideline passages.
+ * - GC.AIPrompts (gc-ai-prompts.js) for the prompt templates, configured in GC.chartSettings.ai.promptVersion.
+ * - GC.AIGrowthTable (gc-ai-growth-table.js) to serialize the growth data, configured in GC.chartSettings.ai.
+ * - GC.AITools (gc-ai-tools.js) for the tools of the chat, configured in GC.chartSettings.ai.chatTools.
+ * - GC.AIChatHistory (gc-ai-chat-history.js) for the chat transcripts, configured in GC.chartSettings.ai.chatHistory.
+ * - GC.AIUpload (gc-ai-upload.js) to check the files uploaded in the chat and to parse CSV files of measurements.
+ * - GC.AIReport (gc-ai-report.js) for the report of the analysis as HTML, PDF and FHIR resources.
+ * - GC.AIConsistency (gc-ai-consistency.js) to check the numbers of the replies, configured in GC.chartSettings.ai.consistencyCheck.
+ * - GC.AIWriteBack (gc-ai-writeback.js) to write accepted findings to the EHR, configured in GC.chartSettings.ai.writeBack.
  * 
  * Author: Simon Moedinger
  * Date: 10/10/2024
  * 
- * Note: Ensure that the OpenAI API key and the Assistants ID are correctly set and that the application has access to the OpenAI client for functionality.
+ * Note: Ensure that the provider settings (GC.chartSettings.ai) are correctly set and that the application has access to the configured model.
  */
 (function(NS, $) {
     "use strict";
     
-    const EMPTY_MARK = "undefined";   
-    let openai;
+    let provider; // LLM provider, see gc-ai-providers.js
     let assistantId; 
-    let threadId = null; // Global thread ID
+    let threadId = null; // Global thread ID (conversation of the provider)
     const citationMap = new Map(); // Centralized map to track file citations
     let citationCounter = 1;  // Counter to assign new citation numbers
     let currentFiles = []; // arry of used files/guidelines
     let promptHistory, promptGrowth = "";
+    let ruleFindings = []; // results of the rule-based growth screening (gc-ai-rules.js)
+    let promptGuidelines = ""; // guideline passages added to the analysis prompt
+    let guidelineIndex = null; // Promise of the local guideline index (gc-ai-retrieval.js), null if disabled
+    const retrievedPassages = new Map(); // citation number -> guideline passage sent to the model
+    let analysisPlan = null; // execution plan of the sections (gc-ai-plan.js)
+    let sharedPlan = null; // execution plan whose analysis was added to the conversation of the chat
+    const streamedContent = new Map(); // section key -> reply of the model received so far
+    let analysisCache = null; // cache of the analyses (gc-ai-cache.js), null if disabled
+    let analysisFingerprint = null; // fingerprint of the prompts and the model of the current analysis
+    let analysisFiles = []; // guideline files cited in the current analysis
+    let analysisPrompts = null; // prompts { growth, history } of the current analysis, shared with the chat
+    let chatController = null; // AbortController of the streamed chat reply
+    let auditLog = null; // audit log of the interactions with the model (gc-ai-audit.js), null if disabled
+    let auditWindow = null; // window of the audit log viewer (ai-audit.html)
+    let sectionFeedback = {}; // section key -> feedback of the clinician on the displayed analysis
+    const displayedResults = new Map(); // section key -> displayed part of the analysis
+    let deidentifyContext = null; // de-identification of the current patient (gc-ai-deidentify.js), null if disabled
+    let chatHistory = null; // chat transcripts per patient and user (gc-ai-chat-history.js), null if disabled
+    let chatConversation = null; // conversation shown in the chat, stored in the chat history
+    let chatContext = ""; // the analysis shared with the conversations of the chat
+    let writtenBack = new Map(); // accepted item (e.g. "clinicalSteps:0") -> reference of the resource created in the EHR
+    const reportedStorageErrors = new Set(); // stores (STORAGE_ERROR_LABELS) whose write error was shown
+
+    const NO_HISTORY = "No historical data for this patient available."; // part of the prompts, shown as STR_7054
+    const MAX_VALIDATION_RETRIES = 2; // retries if the response does not match the schema
+    const ANALYSIS_VERSION = 1; // increase when the schema changes to invalidate the cached analyses (the prompts are versioned in gc-ai-prompts.js)
+
+    // Settings (GC.chartSettings.ai) read by the providers, a change creates the provider again
+    const PROVIDER_SETTINGS = ["provider", "apiKey", "assistantId", "baseURL", "model", "instructions", "responses",
+        "files", "recordings", "streamDelay"].map(key => "ai." + key);
+
+    // Elements of the sections of the AI tab
+    const SECTION_ELEMENTS = {
+        growth: 'ai-response-growth-data',
+        rules: 'ai-response-rule-findings',
+        history: 'ai-response-patient-history',
+        diagnosis: 'ai-response-growth-diagnoses',
+        clinicalSteps: 'ai-response-clinical-steps',
+        summary: 'ai-response-summary'
+    };
+
+    // Translation keys (gc-translations.js) of the labels and titles shown in the AI tab
+    const MEASUREMENT_LABELS = {
+        length: "STR_7031",
+        weight: "STR_7032",
+        headCircumference: "STR_7033",
+        bmi: "STR_7034",
+        general: "STR_7035"
+    };
+
+    // Measures of the growth findings checked for consistency (GC.AIConsistency)
+    const CONSISTENCY_MEASURES = {
+        length: "length",
+        weight: "weight",
+        headCircumference: "headc",
+        bmi: "bmi"
+    };
+
+    // Properties of the structured response shown in the sections
+    const SECTION_FIELDS = {
+        growth: 'growthFindings',
+        history: 'historyFindings',
+        clinicalSteps: 'referrals',
+        diagnosis: 'differentials',
+        summary: 'summary'
+    };
+
+    // Properties of the analysis schema requested by the sections
+    const SECTION_RESPONSE_FIELDS = {
+        growth: ['abnormality', 'growthFindings'],
+        history: ['historyFindings'],
+        clinicalSteps: ['referrals'],
+        diagnosis: ['differentials'],
+        summary: ['summary']
+    };
+
+    // Sections of the report in the order of the AI tab
+    const REPORT_SECTIONS = ["summary", "growth", "rules", "clinicalSteps", "history", "diagnosis"];
+
+    const SECTION_TITLES = {
+        growth: "STR_7012",
+        history: "STR_7015",
+        clinicalSteps: "STR_7014",
+        diagnosis: "STR_7016",
+        summary: "STR_7011"
+    };
+
+    const SECTION_STATUS_LABELS = {
+        waiting: "STR_7022",
+        running: "STR_7023",
+        failed: "STR_7024",
+        timeout: "STR_7025",
+        cancelled: "STR_7026",
+        blocked: "STR_7027"
+    };
+
+    const RULE_STATUS_LABELS = {
+        flagged: "STR_7028",
+        normal: "STR_7029",
+        notEvaluated: "STR_7030"
+    };
+
+    const FEEDBACK_TAG_LABELS = {
+        incorrect: "STR_7050",
+        irrelevant: "STR_7051",
+        hallucinated: "STR_7052",
+        missing: "STR_7053"
+    };
+
+    // Labels of the columns and the errors of an uploaded CSV file of measurements (GC.AIUpload.parseMeasurements)
+    const UPLOAD_COLUMN_LABELS = {
+        lengthAndStature: "STR_7031",
+        weight: "STR_7032",
+        headc: "STR_7033",
+        bmi: "STR_7034"
+    };
+
+    const UPLOAD_ERROR_LABELS = {
+        header: "STR_7101",
+        age: "STR_7102",
+        future: "STR_7103",
+        value: "STR_7104",
+        range: "STR_7105"
+    };
+
+    const STORAGE_ERROR_LABELS = {
+        audit: "STR_7139",
+        cache: "STR_7140",
+        chatHistory: "STR_7141"
+    };
 
     // Document ready function
     $(function() {
@@ -41,9 +186,9 @@
         
         $("#tab-btn-left").hide();
 
-        // Wait for OpenAI client to be initialized
+        // Wait for the provider to be initialized
         const intervalId = setInterval(() => {
-            if (openai) {
+            if (provider) {
                 clearInterval(intervalId);
                 getAssistant(); 
             }
@@ -51,6 +196,8 @@
 
         $("#view-ai").data("initialized", true);
 
+        Object.keys(SECTION_ELEMENTS).forEach(key => setSectionContent(key, str("STR_7018")));
+
         let dataFetched = false; // Flag to track if data has been fetched
 
         $("#view-mode span").on("click", function() {
@@ -82,12 +229,85 @@
         $("#show-prompt-button").on("click", function() {
             showPromptPopup(promptGrowth, promptHistory);
         });
+
+        // Audit log button
+        $("#audit-log-button").on("click", function() {
+            viewAuditLog();
+        });
+
+        // Report of the analysis
+        $("#view-ai .printer-icon").on("click", function() {
+            exportReport("print");
+        });
+        $("#view-ai .download-3-icon").on("click", function() {
+            $("#view-ai .report-formats").toggle();
+        });
+        $("#view-ai .report-formats button").on("click", function() {
+            $("#view-ai .report-formats").hide();
+            exportReport($(this).data("format"));
+        });
+
+        // Cancel button of the running sections
+        $("#cancel-analysis-button").on("click", function() {
+            if (analysisPlan) {
+                analysisPlan.cancel();
+            }
+        });
+
+        // Retry buttons of the sections
+        $(".section-retry").on("click", function() {
+            if (analysisPlan) {
+                finishAnalysis(analysisPlan, analysisPlan.retry($(this).data("section")));
+            }
+        });
+
+        // Feedback of the clinician on a section
+        $(document).on("click", ".section-feedback .feedback-rating", function() {
+            $(this).toggleClass("selected").siblings(".feedback-rating").removeClass("selected");
+        });
+        $(document).on("click", ".section-feedback .feedback-save", function() {
+            const form = $(this).closest(".section-feedback");
+            saveFeedback(form.data("section"), {
+                rating: form.find(".feedback-rating.selected").data("rating") || null,
+                tags: form.find(".feedback-tag input:checked").map((i, input) => input.value).get(),
+                comment: form.find(".feedback-comment").val()
+            });
+        });
+
+        // Accepted findings written back to the EHR
+        $(document).on("click", ".section-writeback .writeback-accept", function() {
+            showWriteBackPopup(String($(this).data("item")));
+        });
+
+        // Re-analyse button, ignores the cached analysis
+        $("#reanalyse-button").on("click", function() {
+            reanalyse();
+        });
+
+        // The analysis is written in the language of the app, a cached analysis in the new language is reused
+        $("html").on("set:language", function() {
+            if (dataFetched) {
+                resetAnalysis();
+                fetchDataAndSendPrompt();
+            }
+        });
+
+        // The cached analysis is outdated when a measurement is added, changed or deleted
+        $("html").on("change:patient:data", function() {
+            if (analysisCache) {
+                analysisCache.invalidate(getPatientKey()).catch(error => reportStorageError("cache", error));
+            }
+            if ($("#analysis-info").css("display") !== "none") {
+                $("#analysis-info").addClass("outdated");
+                $("#analysis-outdated").show();
+            }
+        });
         
         // Chat button
         $("#chat-button").on("click", function() {
             showChat();
             // move sections from the center more to the left.
-            $(".ai-response, .ai-response-diagnoses, .ai-response-growth, .ai-response-history, .ai-response-clinical").css({
+            $(".ai-response, .ai-response-diagnoses, .ai-response-growth, .ai-response-rules, .ai-response-history, .ai-response-clinical").css({
                 "margin-left": "0px",
                 "max-width": "700px"
             });
@@ -121,24 +341,271 @@
             });
     }
 
-        /**
-         * Verify and initialize global openai object.
-         */
-        document.addEventListener("DOMContentLoaded", function() {
-            if (window.OpenAI) {
-                try {
-                    openai = new window.OpenAI({ 
-                        apiKey: 'API-KEY',
-                        dangerouslyAllowBrowser: true
-                    });
-                } catch (error) {
-                    showErrorPopup('Error initializing OpenAI. Contact your administrator:', error);
-                }
-            } else {
-                console.error('OpenAI is not loaded');
-                showErrorPopup('Error OpenAI is not loaded, Try to refresh the page or contact your administrator.');
+    /**
+     * Initialize the LLM provider selected in the settings.
+     */
+    document.addEventListener("DOMContentLoaded", function() {
+        initProvider();
+        initRetrieval();
+        initCache();
+        auditLog = NS.AIAudit.open(NS.chartSettings.ai.audit);
+        chatHistory = NS.AIChatHistory.open(NS.chartSettings.ai.chatHistory);
+
+        // Switch the provider when its settings are changed in the settings editor, the other AI settings are read
+        // when they are used
+        NS.Preferences.bind("set", function(e) {
+            if (e.data.path === "ai.retrieval") {
+                initRetrieval();
+            } else if (e.data.path === "ai.cache") {
+                initCache();
+                reportedStorageErrors.delete("cache");
+            } else if (e.data.path === "ai.audit") {
+                auditLog = NS.AIAudit.open(NS.chartSettings.ai.audit);
+                reportedStorageErrors.delete("audit");
+            } else if (e.data.path === "ai.chatHistory") {
+                chatHistory = NS.AIChatHistory.open(NS.chartSettings.ai.chatHistory);
+                reportedStorageErrors.delete("chatHistory");
+            } else if (PROVIDER_SETTINGS.indexOf(e.data.path) !== -1) {
+                initProvider();
+                getAssistant();
+            }
+        });
+    });
+
+    /**
+     * Creates the provider configured in GC.chartSettings.ai and shows an error popup if that fails.
+     */
+    function initProvider() {
+        try {
+            provider = NS.AIProviders.create(NS.chartSettings.ai);
+        } catch (error) {
+            console.error('Error initializing the AI provider:', error);
+            showErrorPopup(str("STR_7082", { error: error.message }));
+        }
+    }
+
+    /**
+     * Loads the index of the bundled guidelines if the local retrieval is enabled (GC.chartSettings.ai.retrieval).
+     */
+    function initRetrieval() {
+        guidelineIndex = null;
+        if (NS.chartSettings.ai.retrieval !== "local") {
+            return;
+        }
+        guidelineIndex = NS.AIRetrieval.loadIndex(NS.chartSettings.ai.guidelinesIndex).catch(error => {
+            console.error('Error loading the guideline index:', error);
+            return NS.AIRetrieval.createIndex();
+        });
+    }
+
+    /**
+     * Creates the cache of the analyses selected in GC.chartSettings.ai.cache: "localStorage" stores the analyses
+     * in their own model with a GC.LocalStorageProxy, "scratchpad" in GC.Scratchpad (e.g. GC.SmartScratchpadProxy).
+     */
+    function initCache() {
+        switch (NS.chartSettings.ai.cache) {
+        case "localStorage":
+            analysisCache = NS.AICache.create(
+                new NS.Model({ fileRevision: 1 }, null, new NS.LocalStorageProxy("aiAnalyses")),
+                { sync: true }
+            );
+            break;
+        case "scratchpad":
+            analysisCache = NS.AICache.create(NS.Scratchpad);
+            break;
+        default:
+            analysisCache = null;
+        }
+    }
+
+    /**
+     * Appends an interaction with the model to the audit log if it is enabled (GC.chartSettings.ai.audit).
+     * @param {string} type - The type of the interaction (GC.AIAudit.TYPES).
+     * @param {Object} details - { section, prompt, response, citations, latency, status }
+     */
+    function auditInteraction(type, details) {
+        if (!auditLog) {
+            return;
+        }
+        auditLog.append(Object.assign({ type: type, patientId: getPatientKey(), model: getModelName() }, details))
+            .catch(error => reportStorageError("audit", error));
+    }
+
+    /**
+     * Shows that the audit log, the cache or the chat history cannot be saved (e.g. the localStorage is full). The
+     * error is shown once per store until the store is opened again.
+     * @param {string} store - "audit", "cache" or "chatHistory".
+     * @param {Error} error - The error of the store.
+     */
+    function reportStorageError(store, error) {
+        console.error(`Error saving the ${store}:`, error);
+        if (!reportedStorageErrors.has(store)) {
+            reportedStorageErrors.add(store);
+            showErrorPopup(str(STORAGE_ERROR_LABELS[store], { error: error && error.message || String(error) }));
+        }
+    }
+
+    /**
+     * Describes the citations of a reply for the audit log.
+     * @param {Array<Object>} annotations - The annotations of the reply (provider files and local passages).
+     * @returns {Array<string>} - The citations, e.g. "[2] Guideline.pdf, p. 12".
+     */
+    function getAuditCitations(annotations) {
+        return annotations.map(annotation => {
+            if (annotation.passage_citation) {
+                const citationNumber = annotation.passage_citation.citation_number;
+                const passage = retrievedPassages.get(citationNumber);
+                return `[${citationNumber}] ${passage.file}, p. ${passage.page}`;
+            }
+            if (annotation.file_citation && annotation.file_citation.file_id) {
+                return `[${getCitationNumber(annotation.file_citation.file_id)}] ${annotation.file_citation.file_id}`;
             }
+            return annotation.text;
+        });
+    }
+
+    /**
+     * Opens the viewer of the audit log (ai-audit.html) or reloads it if it is already open.
+     */
+    function viewAuditLog() {
+        if (auditWindow === null || auditWindow.closed) {
+            auditWindow = window.open("ai-audit.html", "aiAuditWindow", "resizable=yes,scrollbars=yes,centerscreen=yes,status=yes,width=1000,height=700,dependent=yes,dialog=yes");
+        } else {
+            auditWindow.focus();
+            auditWindow.location.reload();
+        }
+    }
+
+    /**
+     * Returns the key of the current patient in the cache (the FHIR id if available).
+     * @returns {string} - The patient key.
+     */
+    function getPatientKey() {
+        const patient = GC.App.getPatient();
+        return patient.id || `${patient.name}|${patient.birthdate}`;
+    }
+
+    /**
+     * Returns the key of the user in the chat history: the FHIR user of the SMART launch.
+     * @returns {string} - The user key, e.g. "Practitioner/123", or "anonymous" without a user.
+     */
+    function getUserKey() {
+        const client = NS.FHIR_CLIENT;
+        return client && client.getFhirUser && client.getFhirUser() || "anonymous";
+    }
+
+    /**
+     * Returns the model which answers the prompts, part of the fingerprint of the cached analyses.
+     * @returns {string} - The provider and its model or assistant.
+     */
+    function getModelName() {
+        const settings = NS.chartSettings.ai;
+        return `${settings.provider}:${settings.provider === "openai-assistants" ? settings.assistantId : settings.model}`;
+    }
+
+    /**
+     * Returns the version of the prompt templates in use (GC.chartSettings.ai.promptVersion).
+     * @returns {string} - The version, see GC.AIPrompts.
+     */
+    function getPromptVersion() {
+        return NS.chartSettings.ai.promptVersion || NS.AIPrompts.DEFAULT_VERSION;
+    }
+
+    /**
+     * Returns the language of the app for the {{locale}} placeholder of the prompt templates.
+     * @returns {string} - The name of the language, e.g. "English".
+     */
+    function getPromptLocale() {
+        const locale = NS.locales && NS.locales[GC.App.getLanguage()];
+        return locale ? locale.language : "English";
+    }
+
+    /**
+     * Returns a text of the AI tab in the language of the app.
+     * @param {string} key - The key of the text in gc-translations.js, e.g. "STR_7011".
+     * @param {Object} [values] - The values of the {{placeholders}} of the text.
+     * @returns {string} - The translated text.
+     */
+    function str(key, values) {
+        return values ? NS.AIPrompts.fill(NS.str(key), values) : NS.str(key);
+    }
+
+    /**
+     * Renders a prompt template of the version in use.
+     * @param {string} name - The name of the template (see GC.AIPrompts).
+     * @param {Object} values - The values of the placeholders, the locale is added.
+     * @returns {string} - The prompt.
+     */
+    function renderPrompt(name, values) {
+        return NS.AIPrompts.render(getPromptVersion(), name, Object.assign({ locale: getPromptLocale() }, values));
+    }
+
+    /**
+     * Renders the instruction of a property of the structured response.
+     * @param {string} field - The property, e.g. "abnormality".
+     * @returns {string} - The instruction.
+     */
+    function renderField(field) {
+        return NS.AIPrompts.renderField(getPromptVersion(), field, { locale: getPromptLocale() });
+    }
+
+    /**
+     * Retrieves the guideline passages for a query from the local index. Every passage gets its citation
+     * number, so the model can cite it and the citation can be resolved to the page and passage.
+     * @param {string} query - The query (e.g. the findings of the rules or the question in the chat).
+     * @returns {Promise<string>} - The passages formatted for the prompt or an empty string.
+     */
+    async function retrieveGuidelines(query) {
+        const index = await guidelineIndex;
+        if (!index) {
+            return "";
+        }
+        const passages = index.search(query, NS.chartSettings.ai.retrievalResults);
+        if (passages.length === 0) {
+            return "";
+        }
+
+        let prompt = `Use the following passages of clinical practice guidelines as reference for your justification. Cite a passage with its number in square brackets, e.g. [1], and do not cite any other source:\n`;
+        passages.forEach(passage => {
+            const citationNumber = getCitationNumber(passage.id);
+            retrievedPassages.set(citationNumber, passage);
+            prompt += `[${citationNumber}] ${passage.file}, page ${passage.page}: "${passage.text}"\n`;
         });
+        return prompt;
+    }
+
+    /**
+     * Creates the retrieval query of the analysis from the flagged rules and the patient history.
+     * @param {Array<Object>} findings - The findings of the rule-based screening.
+     * @param {Array} patientHistory - The history entries of the patient.
+     * @returns {string} - The query.
+     */
+    function createRetrievalQuery(findings, patientHistory) {
+        const flagged = findings
+            .filter(item => item.status === NS.AIRules.STATUS.FLAGGED)
+            .map(item => item.title);
+        const history = (patientHistory || []).map(entry => entry.data);
+        return ["Evaluation of growth in children"].concat(flagged, history).join(" ");
+    }
+
+    /**
+     * Creates annotations for the guideline passages cited in a reply of the model.
+     * @param {string} content - The reply of the model.
+     * @returns {Array<Object>} - The annotations as [{ text, passage_citation: { citation_number } }].
+     */
+    function getPassageAnnotations(content) {
+        const annotations = [];
+        const pattern = /\[(\d+)\]/g;
+        let match;
+        while ((match = pattern.exec(content || "")) !== null) {
+            const citationNumber = Number(match[1]);
+            if (retrievedPassages.has(citationNumber) &&
+                !annotations.some(annotation => annotation.passage_citation.citation_number === citationNumber)) {
+                annotations.push({ text: match[0], passage_citation: { citation_number: citationNumber } });
+            }
+        }
+        return annotations;
+    }
 
     /**
      * Fetches patient data including name, sex, date of birth, age, and entries from the patient model.
@@ -170,81 +637,89 @@
     /**
      * Fetches patient data and generates prompts for growth and history analysis.
      * Sends these prompts to sendToAssistant for processing.
+     * @returns {Promise<Object>} - The results of the sections by section key ({ status, result }, see GC.AIPlan).
      */
     async function fetchDataAndSendPrompt() {
-        let { name, sex, dob, age, entries, patientHistory } = await fetchPatientData();
-        promptGrowth = createPromptGrowth(name, sex, dob, age, entries);
+        let { name, sex, dob, age, patientHistory } = await fetchPatientData();
+        deidentifyContext = NS.chartSettings.ai.deidentify ?
+            NS.AIDeidentify.createContext(GC.App.getPatient()) :
+            null;
+        ruleFindings = NS.AIRules.evaluate(GC.App.getPatient());
+        displayRuleFindings(ruleFindings);
+        promptGrowth = createPromptGrowth(name, sex, dob, age, GC.App.getPatient(), ruleFindings);
         promptHistory = await createPromptHistory(patientHistory);
+        analysisFingerprint = NS.AICache.fingerprint([promptGrowth, promptHistory, getModelName(), getPromptVersion(),
+            getPromptLocale(), ANALYSIS_VERSION]);
+
+        const cached = analysisCache && await analysisCache.get(getPatientKey(), analysisFingerprint);
+        if (cached) {
+            await displayCachedAnalysis(cached);
+            const results = {};
+            Object.keys(cached.results).forEach(key => {
+                results[key] = { status: NS.AIPlan.STATUS.DONE, result: cached.results[key] };
+            });
+            return results;
+        }
+
+        promptGuidelines = await retrieveGuidelines(createRetrievalQuery(ruleFindings, patientHistory));
         
        /* if (!data) {
             document.getElementById('ai-response-growth-data').textContent = "No growth data available for the patient.";
             return;
         }*/
 
-        await sendToAssistant(promptGrowth, promptHistory);
+        return sendToAssistant(promptGrowth, promptHistory);
+    }
+
+    /**
+     * Scrubs the identifiers from a text sent to the model if the prompts are de-identified.
+     * @param {string} text - The text, e.g. the notes of a history entry or a chat message.
+     * @returns {string} - The de-identified text.
+     */
+    function deidentify(text) {
+        return deidentifyContext ? NS.AIDeidentify.scrub(text, deidentifyContext) : text;
+    }
+
+    /**
+     * Maps the pseudonym in a reply of the model back to the name of the patient.
+     * @param {string} text - The reply of the model.
+     * @returns {string} - The text for display.
+     */
+    function reidentify(text) {
+        return deidentifyContext ? NS.AIDeidentify.reidentify(text, deidentifyContext) : text;
     }
 
     /**
      * Creates the first prompt for the patient's growth data for anomalies.
-     * Constructs a detailed prompt including height, weight, head circumference, z-scores, and percentiles.
+     * The growth data are serialized as compact table (gc-ai-growth-table.js) with the z-scores, percentiles and
+     * velocities of the reference set in GC.chartSettings.ai.growthReference.
+     * The results of the rule-based screening are appended as baseline for the model.
+     * If the prompts are de-identified, the pseudonym and the ages of the entries are used instead of the name
+     * and the dates.
      * @param {string} name - The patient's name.
      * @param {string} sex - The patient's gender.
      * @param {string} dob - The patient's date of birth in "yyyy-MM-dd" format.
      * @param {string} age - The patient's current age.
-     * @param {Array} entries - An array of patient entries containing growth measurements.
+     * @param {Object} patient - The patient (GC.Patient) with the growth measurements.
+     * @param {Array} [findings] - The findings of the rule-based screening (GC.AIRules.evaluate).
      * @returns {string} - The formatted growth analysis prompt.
      */
-    function createPromptGrowth(name, sex, dob, age, entries) {
-        promptGrowth = `First, analyze the patients growth parameters to determine whether there is an anomaly in the data. Look at the height, weight and head circumference as well as the z-scores and percentiles. Use the attached clinical practice guidelines as a reference for your justification. Focus on the most important points and limit yourself to a maximum of four bullet points. \n`; 
-        promptGrowth += `The patient's name is ${name}, the sex is ${sex} and the date of birth is ${dob}. Accordingly, the age today is ${age}.\nHere are the patient's growth data (oldest measurement first):\n`;
-
-        entries.forEach((entry, index) => {
-            let dateOfEntry = getEntryDate(index);
-            let length = getLength(entry);
-            let lPercentile = getPercentile(entry, "lengthAndStature");
-            let lZscore = getZScore(entry, "lengthAndStature");
-            let lVelocity = getVelocity(entry, "lengthAndStature");
-
-            let weight = getWeight(entry);
-            let wPercentile = getPercentile(entry, "weight");
-            let wZscore = getZScore(entry, "weight");
-            let wVelocity = getVelocity(entry, "weight");
-
-            let headC = getHeadC(entry);
-            let headCPercentile = getPercentile(entry, "headc");
-            let hcZscore = getZScore(entry, "headc");
-            let hcVelocity = getVelocity(entry, "headc");
-
-            let bmi = getBMI(entry);
-            let boneAge = entry.boneAge ? new GC.TimeInterval().setMonths(entry.boneAge).toString(boneAgeFormat) : EMPTY_MARK;
-
-            promptGrowth += `<i>Entry ${index + 1}</i>:\nDate: ${dateOfEntry}\n`;
-            if (length !== EMPTY_MARK) promptGrowth += `Length (cm): ${length}, `;
-            if (lPercentile !== EMPTY_MARK) promptGrowth += `Length Percentile (%): ${lPercentile}, `;
-            if (lZscore !== EMPTY_MARK) promptGrowth += `Length Z-Score (Z): ${lZscore}, `;
-            if (lVelocity !== EMPTY_MARK) promptGrowth += `Length Velocity (cm/yr): ${lVelocity}, `;
-
-            if (weight !== EMPTY_MARK) promptGrowth += `Weight (kg): ${weight}, `;
-            if (wPercentile !== EMPTY_MARK) promptGrowth += `Weight Percentile (%): ${wPercentile}, `;
-            if (wZscore !== EMPTY_MARK) promptGrowth += `Weight Z-Score (Z): ${wZscore}, `;
-            if (wVelocity !== EMPTY_MARK) promptGrowth += `Weight Velocity (kg/yr): ${wVelocity}, `;
-
-            if (headC !== EMPTY_MARK) promptGrowth += `Head Circumference (cm): ${headC}, `;
-            if (headCPercentile !== EMPTY_MARK) promptGrowth += `Head Circumference Percentile (%): ${headCPercentile}, `;
-            if (hcZscore !== EMPTY_MARK) promptGrowth += `Head Circumference Z-Score (Z): ${hcZscore}, `;
-            if (hcVelocity !== EMPTY_MARK) promptGrowth += `Head Circumference Velocity (cm/yr): ${hcVelocity}, `;
-
-            if (bmi !== EMPTY_MARK) promptGrowth += `BMI (kg/m2): ${bmi}, `;
-            if (boneAge !== EMPTY_MARK) promptGrowth += `Bone Age (y-m): ${boneAge}, `;
-
-            // Remove trailing comma and space
-            promptGrowth = promptGrowth.trim();
-            if (promptGrowth.endsWith(',')) {
-                promptGrowth = promptGrowth.slice(0, -1);
-            }
+    function createPromptGrowth(name, sex, dob, age, patient, findings) {
+        const settings = NS.chartSettings.ai;
+        const patientSummary = deidentifyContext ?
+            renderPrompt("patientDeidentified", { pseudonym: deidentifyContext.pseudonym, sex: sex, age: age }) :
+            renderPrompt("patient", { name: name, sex: sex, dob: dob, age: age });
+        const growthTable = NS.AIGrowthTable.serialize(patient, {
+            format: settings.growthFormat,
+            reference: settings.growthReference,
+            maxRows: settings.growthMaxRows,
+            dates: !deidentifyContext
+        });
 
-            // Add new line after each entry
-            promptGrowth += `\n\n`;
+        promptGrowth = renderPrompt("growth", {
+            patientSummary: patientSummary,
+            growthTable: growthTable,
+            ruleFindings: findings && findings.length ? NS.AIRules.createPrompt(findings) : ""
         });
         return promptGrowth;
     }
@@ -257,176 +732,960 @@
      */
     async function createPromptHistory(patientHistory) {
         if (patientHistory.length === 0) {
-            promptHistory = `No historical data for this patient available.`;
+            promptHistory = NO_HISTORY;
         } else {
-            promptHistory = `Now that you have analyzed the growth data, also analyze the history of the patient and include it in your assessment. Focus on the most important points which could be relevant for the doctor to assess the patients health. Use the attached clinical practice guidelines as a reference for your justification. Describe the results of your analysis in maximum three bullet points and keep your results concise. Here is the history of the patient: \n`; 
+            let history = "";
             patientHistory.forEach((entry, index) => {
-                promptHistory += `<i>Entry ${index + 1}</i>:\nDate: ${entry.timestamp}\nDetails: ${entry.data}\n`; 
+                const dateOfEntry = deidentifyContext ?
+                    `Age: ${NS.AIDeidentify.ageAt(deidentifyContext, entry.timestamp)}` :
+                    `Date: ${entry.timestamp}`;
+                history += `<i>Entry ${index + 1}</i>:\n${dateOfEntry}\nDetails: ${deidentify(entry.data)}\n`; 
                 // Add new line after each entry
-                promptHistory += `\n\n`;
+                history += `\n\n`;
             });
+            promptHistory = renderPrompt("history", { history: history });
         }
      
         return promptHistory;
     }
 
     /**
-     * Retrieves the assistant ID using the OpenAI API.
+     * Initializes the provider and retrieves the ID of the assistant (or model) in use.
      * @returns {Promise<string>} - A Promise resolving to the assistant ID or logs an error if unsuccessful.
      */
     async function getAssistant() {
         try {
-            const myAssistant = await openai.beta.assistants.retrieve(
-                "asst_6LEnciXiGknEgzaJKlrssixL"
-            );
-            return assistantId = myAssistant.id;
+            return assistantId = await provider.init();
         } catch (error) {
             console.error("Error retrieving assistant:", error);
         }
     }
 
     /**
-     * Handles the main logic and sends all prompts to the assistant, processes responses and displayes them 
-     * in the UI.
+     * Creates the instruction for the structured response of a section. The model is asked for one JSON object
+     * matching the part of the analysis schema (gc-ai-schema.js) which belongs to the section.
+     * @param {string} key - The section key (growth, history, clinicalSteps, diagnosis, summary).
+     * @returns {string} - The response format instruction.
+     */
+    function createPromptResponseFormat(key) {
+        const fields = SECTION_RESPONSE_FIELDS[key];
+        return renderPrompt("responseFormat", {
+            schema: JSON.stringify(NS.AISchema.pickSchema(fields)),
+            fields: fields.map(field => `- "${field}": ${renderField(field)}`).join("\n")
+        });
+    }
+
+    /**
+     * Creates the prompt of a section. Growth and history are analyzed on their own, the other sections get
+     * the growth data, the history and the results of the sections they depend on.
+     * @param {string} key - The section key.
+     * @param {Object} prompts - The prompts of the analysis { growth, history }.
+     * @param {Object} inputs - The results of the sections the section depends on, by section key.
+     * @returns {string} - The prompt.
+     */
+    function createPromptSection(key, prompts, inputs) {
+        let prompt;
+        if (key === "growth") {
+            prompt = prompts.growth;
+        } else if (key === "history") {
+            prompt = prompts.history;
+        } else {
+            prompt = renderPrompt("dependent", {
+                growthPrompt: prompts.growth,
+                historyPrompt: prompts.history,
+                analysis: JSON.stringify(Object.assign({}, ...Object.keys(inputs).map(input => inputs[input])))
+            });
+        }
+        return renderPrompt("section", {
+            prompt: prompt,
+            guidelines: promptGuidelines ? promptGuidelines + "\n" : "",
+            responseFormat: createPromptResponseFormat(key)
+        });
+    }
+
+    /**
+     * Creates the follow-up prompt sent when the reply of the model did not match the schema.
+     * @param {Array<string>} errors - The validation errors of the previous reply.
+     * @returns {string} - The correction prompt.
+     */
+    function createPromptCorrection(errors) {
+        return renderPrompt("correction", { errors: errors.join("; ") });
+    }
+
+    /**
+     * Lets the model answer the conversation. The reply is streamed if the provider supports it and streaming is
+     * enabled (GC.chartSettings.ai.streaming), otherwise the provider is polled until the reply is complete.
+     * @param {string} conversationId - The conversation (thread) to answer.
+     * @param {Object} options - The options of the provider (json, signal).
+     * @param {Function} onText - Called with the text received so far while streaming.
+     * @returns {Promise<Object>} - The reply { status, content, annotations }.
+     */
+    async function requestReply(conversationId, options, onText) {
+        if (NS.chartSettings.ai.streaming && provider.streamReply) {
+            return provider.streamReply(conversationId, options, onText);
+        }
+        return provider.pollReply(conversationId, options);
+    }
+
+    /**
+     * Handles the main logic: runs the sections as execution plan (gc-ai-plan.js). Growth and history are
+     * analyzed concurrently, the specialist referral and the differential diagnoses wait for both and the
+     * summary additionally for the referral. Every section shows its own status and can be retried on its own.
+     * Finally the analysis is cached and added to the conversation of the chat (finishAnalysis).
      * @param {string} promptGrowth - The growth prompt to send to the assistant. Built in createPromptGrowth.
      * @param {string} promptHistory - The patient history prompt to send to the assistant. Built in createPromptHistory.
+     * @returns {Promise<Object>} - The results of the sections by section key.
      */
     async function sendToAssistant(promptGrowth, promptHistory) {
+        const prompts = { growth: promptGrowth, history: promptHistory };
+        const hasHistory = promptHistory !== NO_HISTORY;
+        const run = key => (inputs, signal) =>
+            requestSection(key, createPromptSection(key, prompts, inputs), signal, hasHistory);
+        sectionFeedback = {};
+        analysisPrompts = prompts;
+
+        analysisPlan = NS.AIPlan.create({
+            growth: {
+                run: run("growth")
+            },
+            history: {
+                run: (inputs, signal) => hasHistory ? run("history")(inputs, signal) : { historyFindings: [] }
+            },
+            clinicalSteps: {
+                dependsOn: ["growth", "history"],
+                run: run("clinicalSteps")
+            },
+            diagnosis: {
+                dependsOn: ["growth", "history"],
+                run: run("diagnosis")
+            },
+            summary: {
+                dependsOn: ["growth", "history", "clinicalSteps"],
+                run: run("summary")
+            }
+        }, {
+            timeout: NS.chartSettings.ai.sectionTimeout * 1000,
+            onStatus: (key, status, detail) => displaySectionStatus(key, status, detail, hasHistory)
+        });
+
         try {
-            const thread = await openai.beta.threads.create();
-            threadId = thread.id;
-    
-            /**
-             * Displays the assistant's response based on the response key.
-             * @param {string} responseKey - The response key indicating the type of response (e.g., growth, history).
-             * @param {string} responseContent - The content of the assistant's response.
-             * @param {Array} annotations - Annotations included in the response for citation.
-             */
-            const displayResponse = (responseKey, responseContent, annotations) => {
-                const responseElementId = {
-                    growth: 'ai-response-growth-data',
-                    history: 'ai-response-patient-history',
-                    diagnosis: 'ai-response-growth-diagnoses',
-                    clinicalSteps: 'ai-response-clinical-steps',
-                    summary: 'ai-response-summary'
-                }[responseKey];
-    
-                const element = document.getElementById(responseElementId);
-                if (element) {
-                    const updatedContent = updateCitations(responseContent, annotations);
-                    element.innerHTML = updatedContent ? formatResponse(updatedContent) : "No response.";
-                }
-            };
-    
-            const processMessage = async (promptContent, responseKey, processAnnotations = true) => {
-                const message = await openai.beta.threads.messages.create(threadId, {
-                    role: "user",
-                    content: promptContent
-                });
-    
-                let run = await openai.beta.threads.runs.createAndPoll(
-                    threadId,
-                    {
-                        assistant_id: assistantId,
-                        instructions: " "
-                    }
-                );
-    
-                if (run.status === 'completed') {
-                    const messages = await openai.beta.threads.messages.list(run.thread_id);
-    
-                    for (const message of messages.data.reverse()) {
-                        if (message.role === 'assistant' && message.content[0]?.text?.value) {
-                            const responseContent = message.content[0].text.value;
-                            const annotations = message.content[0].text.annotations;
-                            displayResponse(responseKey, responseContent, annotations);
-    
-                            if (processAnnotations) {
-                                if (!annotations || annotations.length === 0) {
-                                    await displayFiles([]);
-                                } else {
-                                    const fileNames = await getFiles(annotations);
-                                    await displayFiles(fileNames);
-                                }
-                            }
-                        }
+            threadId = await provider.createConversation();
+            // The chat starts anew with the new analysis, the previous conversation stays in the chat history
+            chatConversation = null;
+            if (document.getElementById('chat-container')) {
+                renderChatMessages([]);
+            }
+        } catch (error) {
+            console.error('Error creating the conversation of the chat:', error);
+        }
+
+        analysisFiles = [];
+        return finishAnalysis(analysisPlan, analysisPlan.run());
+    }
+
+    /**
+     * Waits for the execution plan (or a retry of a section). A complete analysis is cached and shown with its
+     * date. The prompts and the analysis are added to the conversation of the chat once per plan.
+     * @param {Object} plan - The execution plan.
+     * @param {Promise<Object>} running - The promise of plan.run() or plan.retry().
+     * @returns {Promise<Object>} - The results of the sections by section key.
+     */
+    async function finishAnalysis(plan, running) {
+        const results = await running;
+        if (plan !== analysisPlan) {
+            return results; // replaced by a re-analysis
+        }
+
+        const sections = {};
+        Object.keys(results)
+            .filter(key => results[key].status === NS.AIPlan.STATUS.DONE)
+            .forEach(key => {
+                sections[key] = results[key].result;
+            });
+
+        if (Object.keys(sections).length !== Object.keys(results).length) {
+            return results; // the analysis is cached and shared when the failed sections are retried
+        }
+
+        const entry = {
+            date: new Date().toISOString(),
+            model: getModelName(),
+            version: ANALYSIS_VERSION,
+            promptVersion: getPromptVersion(),
+            results: sections,
+            files: analysisFiles.filter((file, i, all) => all.findIndex(other => other.id === file.id) === i),
+            promptGuidelines: promptGuidelines,
+            feedback: Object.assign({}, sectionFeedback)
+        };
+        displayAnalysisDate(entry.date, entry.promptVersion);
+        if (analysisCache) {
+            try {
+                await analysisCache.put(getPatientKey(), analysisFingerprint, entry);
+            } catch (error) {
+                reportStorageError("cache", error);
+            }
+        }
+
+        // A retry finishing together with the plan must not add the analysis again
+        if (sharedPlan !== plan) {
+            sharedPlan = plan;
+            await shareAnalysisWithChat(sections, analysisPrompts);
+        }
+        return results;
+    }
+
+    /**
+     * Shows a cached analysis instead of running the prompts again. The citations of the cached analysis keep
+     * their numbers.
+     * @param {Object} entry - The cached analysis (see finishAnalysis).
+     */
+    async function displayCachedAnalysis(entry) {
+        const hasHistory = promptHistory !== NO_HISTORY;
+        analysisPrompts = { growth: promptGrowth, history: promptHistory };
+        promptGuidelines = entry.promptGuidelines || "";
+        analysisFiles = entry.files || [];
+        sectionFeedback = Object.assign({}, entry.feedback);
+        writtenBack = new Map(Object.entries(entry.writeBack || {}));
+
+        analysisFiles.forEach(file => {
+            citationMap.set(file.id, file.citationIndex);
+            citationCounter = Math.max(citationCounter, file.citationIndex + 1);
+            if (file.page) {
+                retrievedPassages.set(file.citationIndex, { id: file.id, file: file.name, page: file.page, text: file.passage });
+            }
+        });
+
+        Object.keys(SECTION_FIELDS).forEach(key => {
+            displaySectionStatus(key, NS.AIPlan.STATUS.DONE, { result: entry.results[key] }, hasHistory);
+        });
+        await displayFiles(analysisFiles);
+        displayAnalysisDate(entry.date, entry.promptVersion || NS.AIPrompts.DEFAULT_VERSION);
+        await shareAnalysisWithChat(entry.results, analysisPrompts);
+    }
+
+    /**
+     * Adds the prompts and the analysis to the conversation of the chat, so the chat continues the case.
+     * @param {Object} sections - The results of the finished sections by section key.
+     * @param {Object} prompts - The prompts of the analysis { growth, history }.
+     */
+    async function shareAnalysisWithChat(sections, prompts) {
+        try {
+            if (!threadId) {
+                threadId = await provider.createConversation();
+            }
+            const analysis = {};
+            Object.keys(sections).forEach(key => Object.assign(analysis, sections[key]));
+            chatContext = `${prompts.growth}\n${prompts.history}\nThis is your analysis of the patient shown to the doctor:\n${JSON.stringify(analysis)}`;
+            await provider.sendMessage(threadId, chatContext);
+        } catch (error) {
+            console.error('Error adding the analysis to the chat:', error);
+        }
+    }
+
+    /**
+     * Shows when and with which prompt templates the displayed analysis was generated.
+     * @param {string} date - The date of the analysis (ISO 8601).
+     * @param {string} promptVersion - The version of the prompt templates (see GC.AIPrompts).
+     */
+    function displayAnalysisDate(date, promptVersion) {
+        $("#analysis-date").text(str("STR_7036", {
+            date: new XDate(date).toString(NS.chartSettings.dateFormat + " HH:mm"),
+            version: promptVersion
+        }));
+        $("#analysis-outdated").hide();
+        $("#analysis-info").removeClass("outdated").show();
+    }
+
+    /**
+     * Runs the analysis again, e.g. after the patient data changed. The cached analysis is discarded.
+     */
+    async function reanalyse() {
+        resetAnalysis();
+        if (analysisCache) {
+            await analysisCache.invalidate(getPatientKey()).catch(error => reportStorageError("cache", error));
+        }
+        await fetchDataAndSendPrompt();
+    }
+
+    /**
+     * Cancels the running sections and clears the displayed analysis before it is requested again.
+     */
+    function resetAnalysis() {
+        const plan = analysisPlan;
+        analysisPlan = null;
+        if (plan) {
+            plan.cancel();
+        }
+
+        writtenBack.clear();
+        $("#analysis-info").hide();
+        $("#warning-ag-popup").remove();
+        document.querySelectorAll('.abnormality-warning, .alarm-mark, .check-icon')
+            .forEach(el => el.style.visibility = 'hidden');
+        Object.keys(SECTION_FIELDS).forEach(key => {
+            streamedContent.delete(key);
+            setSectionContent(key, str("STR_7018"));
+            setSectionState(key, null);
+            $(`.section-status[data-section="${key}"]`).text("").attr("class", "section-status");
+            $(`.section-retry[data-section="${key}"]`).hide();
+        });
+    }
+
+    /**
+     * Requests the structured response of one section in its own conversation, so sections can run
+     * concurrently. The reply is streamed into the section. Replies which do not match the schema are retried
+     * and, if they are still invalid, rejected with the validation errors.
+     * @param {string} key - The section key.
+     * @param {string} prompt - The prompt of the section.
+     * @param {AbortSignal} signal - Aborted when the section times out or is cancelled.
+     * @param {boolean} hasHistory - False if there was no patient history to analyze.
+     * @returns {Promise<Object>} - The validated part of the analysis.
+     */
+    async function requestSection(key, prompt, signal, hasHistory) {
+        const schema = NS.AISchema.pickSchema(SECTION_RESPONSE_FIELDS[key]);
+        const conversationId = await provider.createConversation();
+        let result, reply;
+
+        for (let attempt = 0; attempt <= MAX_VALIDATION_RETRIES; attempt++) {
+            const started = Date.now();
+            try {
+                await provider.sendMessage(conversationId, prompt);
+                reply = await requestReply(conversationId, { json: true, signal: signal }, content => {
+                    if (!signal.aborted) {
+                        displayPartialSection(key, content, hasHistory);
                     }
-                } else {
-                    const element = document.getElementById('ai-response-summary');
-                    element.innerHTML = "An error occurred. Try to refresh the page or contact your administrator.";
-                    showErrorPopup("Error Message wasn't processed. Try to refresh the page or contact your administrator.");
-                }
-            };
-    
-            // Process messages and display responses
-            await processMessage(promptGrowth, "growth");
-
-            // second prompt to display warning
-            const abnormalityCheckPrompt = "If you have detected an abnormality in the growth data, reply with 'Yes'. If not, reply with 'No'.";
-            const abnormalityMessage = await openai.beta.threads.messages.create(threadId, {
-                role: "user",
-                content: abnormalityCheckPrompt
+                });
+            } catch (error) {
+                auditInteraction(NS.AIAudit.TYPES.ANALYSIS, { section: key, analysisId: analysisFingerprint, prompt: prompt,
+                    response: "", latency: Date.now() - started, status: `error: ${error.message}` });
+                throw error;
+            }
+            auditInteraction(NS.AIAudit.TYPES.ANALYSIS, {
+                section: key,
+                analysisId: analysisFingerprint,
+                prompt: prompt,
+                response: reply.content || "",
+                citations: getAuditCitations((reply.annotations || []).concat(getPassageAnnotations(reply.content))),
+                latency: Date.now() - started,
+                status: reply.status
             });
-            let run = await openai.beta.threads.runs.createAndPoll(
-                threadId,
-                {
-                    assistant_id: assistantId,
-                    instructions: " "
+
+            if (reply.status === 'cancelled' || reply.status === 'incomplete') {
+                const error = new Error(`The response was ${reply.status === 'cancelled' ? "cancelled" : "interrupted"}`);
+                error.reply = reply;
+                throw error;
+            }
+            if (reply.status !== 'completed') {
+                throw new Error(`The run ended with the status "${reply.status}"`);
+            }
+
+            result = NS.AISchema.parseResponse(updateCitations(reply.content || "", reply.annotations || []), schema);
+            if (result.valid) {
+                break;
+            }
+            console.warn(`Invalid response of the model for "${key}" (attempt ${attempt + 1}):`, result.errors);
+            prompt = createPromptCorrection(result.errors);
+        }
+
+        if (!result.valid) {
+            const error = new Error("The response of the model did not match the expected format");
+            error.validationErrors = result.errors;
+            throw error;
+        }
+
+        const annotations = (reply.annotations || []).concat(getPassageAnnotations(reply.content));
+        const files = annotations.length ? await getFiles(annotations) : [];
+        analysisFiles = analysisFiles.concat(files);
+        await displayFiles(files);
+        return result.data;
+    }
+
+    /**
+     * Shows the status of a section of the execution plan: the streamed or validated content, the error or the
+     * part received before a timeout or cancel. The retry button is shown for every section which did not finish.
+     * @param {string} key - The section key.
+     * @param {string} status - The status of the section (GC.AIPlan.STATUS).
+     * @param {Object} detail - { result } if done, { error } if failed, { dependencies } if blocked.
+     * @param {boolean} hasHistory - False if there was no patient history to analyze.
+     */
+    function displaySectionStatus(key, status, detail, hasHistory) {
+        const STATUS = NS.AIPlan.STATUS;
+
+        switch (status) {
+        case STATUS.WAITING:
+            streamedContent.delete(key);
+            displayedResults.delete(key);
+            delete sectionFeedback[key]; // the feedback refers to the previous result
+            Array.from(writtenBack.keys()).filter(item => item.split(":")[0] === key).forEach(item => writtenBack.delete(item));
+            setSectionContent(key, str("STR_7018"));
+            setSectionState(key, null);
+            break;
+        case STATUS.RUNNING:
+            setSectionState(key, "streaming");
+            break;
+        case STATUS.DONE:
+            setSectionContent(key, renderCheckedSection(key, detail.result, hasHistory) +
+                renderWriteBack(key, detail.result) + renderFeedback(key));
+            setSectionState(key, null);
+            displayedResults.set(key, detail.result);
+            if (key === "growth") {
+                displayGrowthAssessment(detail.result.abnormality);
+            }
+            break;
+        case STATUS.FAILED:
+            if (detail.error.validationErrors) {
+                setSectionContent(key, `<div class="ai-validation-error">${str("STR_7037")}` +
+                    renderList(detail.error.validationErrors.map(escapeHTML)) + `</div>`);
+                setSectionState(key, null);
+            } else if (detail.error.reply) {
+                displayInterruptedSection(key, updateCitations(detail.error.reply.content || "", detail.error.reply.annotations || []),
+                    str("STR_7039"), hasHistory);
+            } else {
+                console.error(`Error in the section "${key}":`, detail.error);
+                setSectionContent(key, `<p class="ai-section-error">${escapeHTML(str("STR_7038", { error: detail.error.message }))}</p>`);
+                setSectionState(key, null);
+            }
+            break;
+        case STATUS.TIMEOUT:
+            displayInterruptedSection(key, streamedContent.get(key),
+                str("STR_7040", { seconds: NS.chartSettings.ai.sectionTimeout }), hasHistory);
+            break;
+        case STATUS.CANCELLED:
+            displayInterruptedSection(key, streamedContent.get(key), str("STR_7041"), hasHistory);
+            break;
+        case STATUS.BLOCKED:
+            setSectionContent(key, `<p class="ai-section-error">${escapeHTML(str("STR_7042", {
+                sections: detail.dependencies.map(dependency => `"${str(SECTION_TITLES[dependency])}"`).join(str("STR_7043"))
+            }))}</p>`);
+            setSectionState(key, null);
+            break;
+        }
+
+        $(`.section-status[data-section="${key}"]`)
+            .text(SECTION_STATUS_LABELS[status] ? str(SECTION_STATUS_LABELS[status]) : "")
+            .attr("class", `section-status section-${status}`);
+        $(`.section-retry[data-section="${key}"]`)
+            .toggle([STATUS.FAILED, STATUS.TIMEOUT, STATUS.CANCELLED, STATUS.BLOCKED].indexOf(status) !== -1);
+        $("#cancel-analysis-button").toggle(!!analysisPlan && analysisPlan.isRunning());
+    }
+
+    /**
+     * Renders the feedback form of a section with the saved feedback.
+     * @param {string} key - The section key.
+     * @returns {string} - The HTML of the form.
+     */
+    function renderFeedback(key) {
+        const RATINGS = NS.AIFeedback.RATINGS;
+        const feedback = sectionFeedback[key] || { rating: null, tags: [], comment: "" };
+        const ratingButton = (rating, label, title) =>
+            `<button class="feedback-rating${feedback.rating === rating ? " selected" : ""}" data-rating="${rating}" title="${title}">${label}</button>`;
+
+        return `<div class="section-feedback" data-section="${key}">` +
+            `<span class="feedback-label">${str("STR_7044")}</span>` +
+            ratingButton(RATINGS.UP, "&#128077;", str("STR_7045")) +
+            ratingButton(RATINGS.DOWN, "&#128078;", str("STR_7046")) +
+            NS.AIFeedback.TAGS.map(tag =>
+                `<label class="feedback-tag"><input type="checkbox" value="${tag}"${feedback.tags.indexOf(tag) !== -1 ? " checked" : ""}>${FEEDBACK_TAG_LABELS[tag] ? str(FEEDBACK_TAG_LABELS[tag]) : tag}</label>`
+            ).join("") +
+            `<textarea class="feedback-comment" rows="2" placeholder="${str("STR_7047")}">${escapeHTML(feedback.comment)}</textarea>` +
+            `<button class="feedback-save">${str("STR_7048")}</button>` +
+            `<span class="feedback-message">${sectionFeedback[key] ? str("STR_7049") : ""}</span>` +
+            `</div>`;
+    }
+
+    /**
+     * Saves the feedback of the clinician on a section: it is appended to the audit log together with the
+     * displayed part of the analysis and stored with the cached analysis.
+     * @param {string} key - The section key.
+     * @param {Object} feedback - { rating, tags, comment }
+     */
+    async function saveFeedback(key, feedback) {
+        const message = $(`.section-feedback[data-section="${key}"] .feedback-message`);
+        try {
+            feedback = NS.AIFeedback.normalize(feedback);
+        } catch (error) {
+            message.text(error.message);
+            return;
+        }
+
+        sectionFeedback[key] = feedback;
+        auditInteraction(NS.AIAudit.TYPES.FEEDBACK, Object.assign({
+            section: key,
+            analysisId: analysisFingerprint,
+            response: JSON.stringify(displayedResults.get(key))
+        }, feedback));
+        message.text(str("STR_7049"));
+        await updateCachedAnalysis({ feedback: Object.assign({}, sectionFeedback) });
+    }
+
+    /**
+     * Stores the feedback or the accepted findings with the cached analysis, so they are shown again with it.
+     * @param {Object} changes - The changed properties of the cached analysis, e.g. { feedback }.
+     */
+    async function updateCachedAnalysis(changes) {
+        if (!analysisCache) {
+            return;
+        }
+        try {
+            const entry = await analysisCache.get(getPatientKey(), analysisFingerprint);
+            if (entry) {
+                await analysisCache.put(getPatientKey(), analysisFingerprint, Object.assign({}, entry, changes));
+            }
+        } catch (error) {
+            reportStorageError("cache", error);
+        }
+    }
+
+    /**
+     * Checks if accepted findings can be written to the EHR: write-back is enabled (GC.chartSettings.ai.writeBack)
+     * and the app was launched with a patient of a FHIR server.
+     * @returns {boolean} - True if write-back is possible.
+     */
+    function canWriteBack() {
+        const client = NS.FHIR_CLIENT;
+        return !!(NS.chartSettings.ai.writeBack && client && client.create && client.patient.id);
+    }
+
+    /**
+     * Renders the buttons to accept the findings of a section and write them to the EHR: the abnormality flag of
+     * the growth section, the summary and every referral. Written findings show their resource instead.
+     * @param {string} key - The section key.
+     * @param {Object} result - The displayed part of the analysis.
+     * @returns {string} - The HTML of the buttons, empty if the section has nothing to write back.
+     */
+    function renderWriteBack(key, result) {
+        if (!canWriteBack()) {
+            return "";
+        }
+        let items;
+        switch (key) {
+        case "growth":
+            items = [{ item: key, label: str("STR_7123") }];
+            break;
+        case "summary":
+            items = [{ item: key, label: str("STR_7124") }];
+            break;
+        case "clinicalSteps":
+            items = (result.referrals || []).map((referral, i) =>
+                ({ item: `${key}:${i}`, label: str("STR_7125", { specialty: formatPlainText(referral.specialty || "") }) }));
+            break;
+        default:
+            return "";
+        }
+        if (!items.length) {
+            return "";
+        }
+
+        return `<div class="section-writeback" data-section="${key}">` +
+            `<span class="writeback-label">${str("STR_7122")}</span>` +
+            items.map(({ item, label }) => writtenBack.has(item) ?
+                `<span class="writeback-done">${escapeHTML(str("STR_7126", { label: label, reference: writtenBack.get(item) }))}</span>` :
+                `<button class="writeback-accept" data-item="${item}">${escapeHTML(label)}</button>`
+            ).join("") +
+            `</div>`;
+    }
+
+    /**
+     * Converts a text value of the structured response for the EHR: the pseudonym is replaced with the name and
+     * the markdown removed.
+     * @param {string} text - The text.
+     * @returns {string} - The plain text.
+     */
+    function formatPlainText(text) {
+        return reidentify(text)
+            .replace(/\*\*(.*?)\*\*/g, '$1')
+            .replace(/(\[\d+\])(\s*\1)+/g, '$1');
+    }
+
+    /**
+     * Creates the FHIR resource of an accepted finding (gc-ai-writeback.js).
+     * @param {string} item - The accepted item: "growth" (Observation of the abnormality flag), "summary"
+     *     (ClinicalImpression) or "clinicalSteps:<index>" (ServiceRequest of the referral).
+     * @returns {Object} - The resource.
+     */
+    function createWriteBackResource(item) {
+        const [key, index] = item.split(":");
+        const growth = displayedResults.get("growth") || {};
+        const findings = (growth.growthFindings || []).map(finding => formatPlainText(
+            (finding.measurement ? `${MEASUREMENT_LABELS[finding.measurement] ? str(MEASUREMENT_LABELS[finding.measurement]) : finding.measurement}: ` : "") +
+            (finding.finding || "")));
+        const context = {
+            patient: { id: NS.FHIR_CLIENT.patient.id, name: GC.App.getPatient().name },
+            author: getUserKey(),
+            date: new Date().toISOString(),
+            model: getModelName()
+        };
+
+        switch (key) {
+        case "growth":
+            return NS.AIWriteBack.createObservation({ abnormality: growth.abnormality, findings: findings }, context);
+        case "summary":
+            return NS.AIWriteBack.createClinicalImpression({
+                summary: (displayedResults.get("summary").summary || []).map(formatPlainText),
+                findings: findings,
+                differentials: ((displayedResults.get("diagnosis") || {}).differentials || []).map(differential => ({
+                    diagnosis: formatPlainText(differential.diagnosis || ""),
+                    icd10: differential.icd10,
+                    rationale: differential.rationale && formatPlainText(differential.rationale)
+                }))
+            }, context);
+        default: {
+            const referral = displayedResults.get("clinicalSteps").referrals[index];
+            return NS.AIWriteBack.createServiceRequest({
+                specialty: formatPlainText(referral.specialty || ""),
+                reason: referral.reason && formatPlainText(referral.reason),
+                nextSteps: referral.nextSteps && formatPlainText(referral.nextSteps)
+            }, context);
+        }
+        }
+    }
+
+    /**
+     * Shows the preview of the FHIR resource of an accepted finding. It is created in the EHR when the clinician
+     * submits it.
+     * @param {string} item - The accepted item, see createWriteBackResource.
+     */
+    function showWriteBackPopup(item) {
+        const resource = createWriteBackResource(item);
+        const popup = document.createElement('div');
+        popup.id = 'writeback-popup';
+        popup.innerHTML = `
+            <div class="popup-content">
+                <pre class="prompt-header">${escapeHTML(str("STR_7127", { resourceType: resource.resourceType }))}</pre>
+                <p>${str("STR_7128")}</p>
+                <pre class="promptSpecial">${escapeHTML(JSON.stringify(resource, null, 2))}</pre>
+                <p class="writeback-message"></p>
+                <button class="writeback-submit">${str("STR_7129")}</button>
+                <button class="writeback-cancel">${str("STR_7130")}</button>
+            </div>
+        `;
+        document.body.appendChild(popup);
+
+        const close = () => {
+            if (popup.parentNode) {
+                document.body.removeChild(popup);
+            }
+        };
+        popup.querySelector('.writeback-cancel').addEventListener('click', close);
+        popup.querySelector('.writeback-submit').addEventListener('click', function() {
+            submitWriteBack(item, resource, popup).then(created => {
+                if (created) {
+                    close();
                 }
-            );
-    
-            if (run.status === 'completed') {
-                const messages = await openai.beta.threads.messages.list(run.thread_id);
-                const latestMessage = messages.data[0];
+            });
+        });
+    }
+
+    /**
+     * Creates the resource of an accepted finding in the EHR and appends it to the audit log. The accepted
+     * finding shows the created resource and is stored with the cached analysis.
+     * @param {string} item - The accepted item, see createWriteBackResource.
+     * @param {Object} resource - The previewed resource.
+     * @param {HTMLElement} popup - The preview.
+     * @returns {Promise<boolean>} - True if the resource was created.
+     */
+    async function submitWriteBack(item, resource, popup) {
+        const key = item.split(":")[0];
+        const buttons = $(popup).find("button").prop("disabled", true);
+        const message = $(popup).find(".writeback-message").text(str("STR_7131"));
+        const started = Date.now();
+        const audit = (response, status) => auditInteraction(NS.AIAudit.TYPES.WRITEBACK, { section: key,
+            analysisId: analysisFingerprint, prompt: JSON.stringify(resource), response: response,
+            latency: Date.now() - started, status: status });
+
+        let created;
+        try {
+            created = await NS.AIWriteBack.submit(NS.FHIR_CLIENT, resource);
+        } catch (error) {
+            console.error('Error writing the finding to the EHR:', error);
+            audit("", `error: ${error.message}`);
+            message.text(str("STR_7132", { error: error.message }));
+            buttons.prop("disabled", false);
+            return false;
+        }
+
+        audit(JSON.stringify(created), "completed");
+        writtenBack.set(item, created && created.id ? `${resource.resourceType}/${created.id}` : resource.resourceType);
+        $(`.section-writeback[data-section="${key}"]`).replaceWith(renderWriteBack(key, displayedResults.get(key)));
+        await updateCachedAnalysis({ writeBack: Object.fromEntries(writtenBack) });
+        return true;
+    }
+
+    /**
+     * Compares the abnormality flag of the growth section with the rules and shows the abnormality warning.
+     * @param {boolean} abnormality - The abnormality flag of the model.
+     */
+    function displayGrowthAssessment(abnormality) {
+        displayRuleComparison(abnormality);
+
+        const growthElement = document.getElementById(SECTION_ELEMENTS.growth);
+        if (growthElement && growthElement.closest('.ai-response-growth')) {
+            if (abnormality || NS.AIRules.hasAbnormality(ruleFindings)) {
+                showPopupGrowthWarning();
+            } else {
+                document.querySelectorAll('.abnormality-warning, .check-icon')
+                .forEach(el => el.style.visibility = 'visible');
+            }
+        }
+    }
+
+    /**
+     * Renders the items of a section. Items of a streamed reply may still be incomplete.
+     * @param {string} key - The section key (growth, history, clinicalSteps, diagnosis, summary).
+     * @param {Array} items - The items of the section in the structured response.
+     * @param {boolean} hasHistory - False if there was no patient history to analyze.
+     * @param {Object} [check] - The consistency check of the numbers (createConsistencyCheck), collects the claims.
+     * @returns {string} - The HTML of the section.
+     */
+    function renderSection(key, items, hasHistory, check) {
+        const format = (text, measure) => formatItem(text, check, measure);
+        items = items || [];
+        switch (key) {
+        case "growth":
+            return renderList(items.map(item =>
+                (item.measurement ? `<strong>${MEASUREMENT_LABELS[item.measurement] ? str(MEASUREMENT_LABELS[item.measurement]) : formatItem(item.measurement)}</strong>: ` : "") +
+                format(item.finding || "", CONSISTENCY_MEASURES[item.measurement])
+            ));
+        case "history":
+            return hasHistory ? renderList(items.map(item => format(item))) : str("STR_7054");
+        case "clinicalSteps":
+            return renderList(items.map(item =>
+                `<strong>${formatItem(item.specialty || "")}</strong>: ${format(item.reason || "")}` +
+                (item.nextSteps ? ` ${format(item.nextSteps)}` : "")
+            ));
+        case "diagnosis":
+            return renderList(items.map(item =>
+                `<strong>${formatItem(item.diagnosis || "")}</strong>` +
+                (item.icd10 ? ` (ICD-10: ${formatItem(item.icd10)})` : "") +
+                (item.rationale ? `: ${format(item.rationale)}` : "")
+            ));
+        default:
+            return renderList(items.map(item => format(item)));
+        }
+    }
+
+    /**
+     * Renders the finished result of a section with the numbers checked against the patient data and the
+     * consistency score.
+     * @param {string} key - The section key.
+     * @param {Object} result - The part of the analysis of the section.
+     * @param {boolean} hasHistory - False if there was no patient history to analyze.
+     * @returns {string} - The HTML of the section.
+     */
+    function renderCheckedSection(key, result, hasHistory) {
+        const check = createConsistencyCheck();
+        return renderSection(key, result[SECTION_FIELDS[key]], hasHistory, check) + renderConsistency(check);
+    }
+
+    /**
+     * Creates the consistency check of the numbers of a reply if it is enabled (GC.chartSettings.ai.consistencyCheck):
+     * the z-scores, percentiles and velocities of the patient (gc-ai-consistency.js) and the checked claims.
+     * @returns {Object|null} - { facts, claims } or null if disabled.
+     */
+    function createConsistencyCheck() {
+        if (!NS.chartSettings.ai.consistencyCheck) {
+            return null;
+        }
+        try {
+            return {
+                facts: NS.AIConsistency.computeFacts(GC.App.getPatient(), { reference: NS.chartSettings.ai.growthReference }),
+                claims: []
+            };
+        } catch (error) {
+            console.error('Error computing the growth data for the consistency check:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Checks the numeric claims of a text and highlights the claims which do not match the patient data with the
+     * re-computed value.
+     * @param {string} text - The text.
+     * @param {Object} check - The consistency check (createConsistencyCheck), the claims are added.
+     * @param {string} [measure] - The measure of claims whose sentence names none.
+     * @param {Function} escape - Converts the parts of the text to HTML.
+     * @returns {string} - The HTML.
+     */
+    function highlightClaims(text, check, measure, escape) {
+        const claims = NS.AIConsistency.check(text, check.facts, { measure: measure });
+        check.claims.push(...claims);
+        return NS.AIConsistency.split(text, claims).map(part => {
+            if (!part.claim || part.claim.status !== NS.AIConsistency.STATUS.MISMATCH) {
+                return escape(part.text);
+            }
+            const actual = part.claim.actual;
+            const values = { value: actual.value, age: Math.round(actual.agemos * 10) / 10 };
+            const correction = part.claim.type === "percentile" ? str("STR_7134", values) :
+                part.claim.type === "zscore" ? str("STR_7135", values) :
+                str("STR_7136", Object.assign(values, { unit: part.claim.measure === "weight" ? "kg" : "cm" }));
+            return `<mark class="ai-claim-mismatch" title="${escapeHTML(str("STR_7133"))}">${escape(part.text)}</mark>` +
+                ` <span class="ai-claim-correction">(${escapeHTML(correction)})</span>`;
+        }).join("");
+    }
+
+    /**
+     * Renders the consistency score of a section: how many of its verified numbers match the patient data.
+     * @param {Object|null} check - The consistency check with the claims of the section.
+     * @returns {string} - The HTML, empty if there are no verified numbers.
+     */
+    function renderConsistency(check) {
+        const result = check ? NS.AIConsistency.score(check.claims) : null;
+        if (!result || result.score === null) {
+            return "";
+        }
+        return `<p class="ai-consistency${result.mismatches ? " ai-consistency-mismatch" : ""}">` +
+            escapeHTML(str("STR_7137", {
+                consistent: result.consistent,
+                total: result.consistent + result.mismatches,
+                score: Math.round(result.score * 100)
+            })) +
+            (result.unverifiable ? ` ${escapeHTML(str("STR_7138", { count: result.unverifiable }))}` : "") +
+            `</p>`;
+    }
+
+    /**
+     * Shows the part of the structured response of a section received so far while it is streamed.
+     * @param {string} key - The section key.
+     * @param {string} content - The reply of the model received so far.
+     * @param {boolean} hasHistory - False if there was no patient history to analyze.
+     */
+    function displayPartialSection(key, content, hasHistory) {
+        streamedContent.set(key, content);
+        const partial = NS.AISchema.parsePartialResponse(content);
+        const field = SECTION_FIELDS[key];
+        if (partial && partial.data.hasOwnProperty(field)) {
+            setSectionContent(key, renderSection(key, partial.data[field], hasHistory));
+        }
+    }
+
+    /**
+     * Shows the part of the structured response of a section received before it was interrupted, cancelled or
+     * timed out and marks the section as partial.
+     * @param {string} key - The section key.
+     * @param {string} content - The reply of the model received so far.
+     * @param {string} note - The translated note why the response is incomplete.
+     * @param {boolean} hasHistory - False if there was no patient history to analyze.
+     */
+    function displayInterruptedSection(key, content, note, hasHistory) {
+        const partial = NS.AISchema.parsePartialResponse(content);
+        const field = SECTION_FIELDS[key];
+        const received = partial && partial.data.hasOwnProperty(field);
+
+        setSectionContent(key, (received ? renderSection(key, partial.data[field], hasHistory) : "") +
+            `<p class="ai-partial-note">${escapeHTML(note)}</p>`);
+        setSectionState(key, "partial");
+    }
+
+    /**
+     * Marks a section as streaming or partial.
+     * @param {string} key - The section key.
+     * @param {string|null} state - "streaming", "partial" or null for a complete section.
+     */
+    function setSectionState(key, state) {
+        const element = document.getElementById(SECTION_ELEMENTS[key]);
+        if (element) {
+            element.classList.toggle("ai-streaming", state === "streaming");
+            element.classList.toggle("ai-partial", state === "partial");
+        }
+    }
+
+    /**
+     * Renders the findings of the rule-based screening into their own section. Flagged rules are listed first.
+     * @param {Array<Object>} findings - The findings of GC.AIRules.evaluate.
+     */
+    function displayRuleFindings(findings) {
+        const order = [NS.AIRules.STATUS.FLAGGED, NS.AIRules.STATUS.NORMAL, NS.AIRules.STATUS.NOT_EVALUATED];
+        const sorted = findings.slice().sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+        setSectionContent("rules", renderList(sorted.map(item =>
+            `<span class="rule-status rule-${item.status}">${str(RULE_STATUS_LABELS[item.status])}</span> ` +
+            `<strong>${escapeHTML(item.title)}</strong>: ${escapeHTML(item.message)}`
+        )));
+    }
+
+    /**
+     * Adds to the rule section whether the abnormality assessment of the model agrees with the rules.
+     * @param {boolean} modelAbnormality - The abnormality flag of the model.
+     */
+    function displayRuleComparison(modelAbnormality) {
+        const element = document.getElementById(SECTION_ELEMENTS.rules);
+        if (!element || !ruleFindings.length) {
+            return;
+        }
+        $(element).find('.rule-comparison').remove();
+        const rulesAbnormality = NS.AIRules.hasAbnormality(ruleFindings);
+        const comparison = document.createElement('p');
+        comparison.className = 'rule-comparison' + (rulesAbnormality === modelAbnormality ? '' : ' rule-disagreement');
+        if (rulesAbnormality === modelAbnormality) {
+            comparison.textContent = str(modelAbnormality ? "STR_7055" : "STR_7056");
+        } else {
+            comparison.textContent = str(rulesAbnormality ? "STR_7057" : "STR_7058");
+        }
+        element.appendChild(comparison);
+    }
 
-                if (latestMessage.role === 'assistant' && latestMessage.content[0]?.text?.value) {
-                    const abnormalityResponse = latestMessage.content[0].text.value.trim().toLowerCase();
-            
-                    const growthElement = document.getElementById('ai-response-growth-data');
-                    if (growthElement) {
-                        const aiResponseDiv = growthElement.closest('.ai-response-growth');
-                        if (aiResponseDiv) {
-                            if (abnormalityResponse.includes('yes')) {
-                                showPopupGrowthWarning();
-                            } else {
-                                document.querySelectorAll('.abnormality-warning, .check-icon')
-                                .forEach(el => el.style.visibility = 'visible');
-                            }
-                        }
-                    }
-                }
-            }
+    /**
+     * Sets the HTML content of a section.
+     * @param {string} key - The section key (growth, rules, history, clinicalSteps, diagnosis, summary).
+     * @param {string} html - The HTML content.
+     */
+    function setSectionContent(key, html) {
+        const element = document.getElementById(SECTION_ELEMENTS[key]);
+        if (element) {
+            element.innerHTML = html || str("STR_7059");
+        }
+    }
 
-            // second prompt history
-            if (promptHistory !== "No historical data for this patient available.") {
-                await processMessage(promptHistory, "history");
-            } else {
-                // Display the fallback message directly
-                const element = document.getElementById('ai-response-patient-history');
-                if (element) {
-                    element.innerHTML = "No historical data for this patient available.";
-                }
-            }
-    
-            await processMessage("Provide a recommendation to which specialist you would refer the patient and for which next clinical steps. Use the attached files you referenced before for your justification. Focus on the most important points and cite the source when you use references. Answer in bullet points and limit yourself to a maximum of 6 bullet points.", "clinicalSteps");
-            await processMessage("You have analyzed the data of the patient. Now give me two to three possible diagnoses with the ICD-10 Code based on the growth data.", "diagnosis", false);
-            await processMessage("Create an executive summary of your analysis. Use the attached files you referenced before for your justification. Also add the recommended specialist referral. Limit yourself to a maximum of 6 bullet points.", "summary", false);
-        } catch (error) {
-            const element = document.getElementById('ai-response-growth-data');
-            element.innerHTML = "An error occurred. Try to refresh the page or contact your administrator. (Error: ", error.message, ")";        
-            showErrorPopup("An error occurred. Try to refresh the page or contact your administrator. (Error: ", error.message, ")");
-            return `Error: ${error.message}`;
+    /**
+     * Renders the given HTML items as bullet list.
+     * @param {Array<string>} items - The HTML of the list items.
+     * @returns {string} - The HTML list or a fallback text if there are no items.
+     */
+    function renderList(items) {
+        if (!items || items.length === 0) {
+            return str("STR_7060");
         }
+        return `<ul>${items.map(item => `<li>${item}</li>`).join("")}</ul>`;
+    }
+
+    /**
+     * Formats a text value of the structured response. The text is escaped, bold markdown is converted and
+     * duplicate citations are removed.
+     * @param {string} text - The text to format.
+     * @param {Object} [check] - The consistency check (createConsistencyCheck) to highlight wrong numbers.
+     * @param {string} [measure] - The measure of the numbers whose sentence names none.
+     * @returns {string} - The formatted HTML.
+     */
+    function formatItem(text, check, measure) {
+        text = reidentify(text);
+        return (check ? highlightClaims(text, check, measure, escapeHTML) : escapeHTML(text))
+            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(\[\d+\])(\s*\1)+/g, '$1');
+    }
+
+    /**
+     * Escapes the HTML special characters of a text.
+     * @param {string} text - The text to escape.
+     * @returns {string} - The escaped text.
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
     }
 
     /**
      * Formats a given response by converting markdown-like syntax to HTML.
-     * Supports converting headings, bold text, and removing duplicate citations.
+     * Supports converting headings, bold text, and removing duplicate citations. The response is escaped first,
+     * so HTML in the reply of the model is shown as text.
      * @param {string} response - The response text to format.
+     * @param {Object} [check] - The consistency check (createConsistencyCheck) to highlight wrong numbers.
      * @returns {string} - The formatted HTML response.
      */
-    function formatResponse(response) {
-        let formattedResponse = response
+    function formatResponse(response, check) {
+        let formattedResponse = (check ? highlightClaims(response, check, null, escapeHTML) : escapeHTML(response))
             .replace(/(.*?)###### (.*?)(\n|$)/g, '<h6>$2</h6>\n')  // Headings level 6
             .replace(/(.*?)##### (.*?)(\n|$)/g, '<h5>$2</h5>\n')  // Headings level 5
             .replace(/(.*?)#### (.*?)(\n|$)/g, '<h4>$2</h4>\n')  // Headings level 4
@@ -451,7 +1710,7 @@
         popup.id = 'warning-ag-popup';
         popup.innerHTML = `
             <div class="warning-ag-popup">
-                <pre>Warning: Abnormality in Growth Data Detected</pre>
+                <pre>${str("STR_7061")}</pre>
             </div>
             `;
             
@@ -472,7 +1731,8 @@
     };
 
     /**
-     * Updates content with citation numbers based on annotations.
+     * Updates content with citation numbers based on annotations. Markers of the provider's own retrieval
+     * are replaced by their citation number; cited local passages already carry their number.
      * @param {string} content - The content to update with citations.
      * @param {Array} annotations - Annotations indicating the files to cite.
      * @returns {string} - The content with updated citations.
@@ -489,28 +1749,34 @@
     };
 
     /**
-     * Retrieves files based on annotations for display.
+     * Retrieves files based on annotations for display. Local guideline passages are resolved to their file,
+     * page and passage, all other annotations are resolved by the provider.
      * @param {Array} annotations - Annotations indicating files to retrieve.
      * @returns {Promise<Array>} - A Promise resolving to an array of file information.
      */
     async function getFiles(annotations) {
         try {
-            const files = [];
-
-            for (const annotation of annotations) {
-                if (annotation.file_citation && annotation.file_citation.file_id) {
-                    const fileId = annotation.file_citation.file_id;
-                    const citationIndex = getCitationNumber(fileId);
-                    let fileData = await openai.files.retrieve(fileId);
-                    files.push({
-                        id: fileId,
-                        name: fileData.filename,
-                        citationIndex: citationIndex
-                    });
-                }
-            }
+            const passages = annotations
+                .filter(annotation => annotation.passage_citation)
+                .map(annotation => {
+                    const citationNumber = annotation.passage_citation.citation_number;
+                    const passage = retrievedPassages.get(citationNumber);
+                    return {
+                        id: passage.id,
+                        name: passage.file,
+                        page: passage.page,
+                        passage: passage.text,
+                        citationIndex: citationNumber
+                    };
+                });
+
+            const files = await provider.listCitations(annotations.filter(annotation => !annotation.passage_citation));
 
-            return files;
+            return passages.concat(files.map(file => ({
+                id: file.id,
+                name: file.name,
+                citationIndex: getCitationNumber(file.id)
+            })));
         } catch (error) {
             return [];
         }
@@ -525,24 +1791,32 @@
         const newFiles = [];
 
         files.forEach(file => {
-            let fileEntry = currentFiles.find(entry => entry.name === file.name);
+            // Passages of the same file are listed per page
+            const key = file.page ? file.id : file.name;
+            let fileEntry = currentFiles.find(entry => entry.key === key);
             if (!fileEntry) {
                 // New file entry, add to the current list and mark for display
                 newFiles.push(file);
-                currentFiles.push({ name: file.name, citationIndex: file.citationIndex });
+                currentFiles.push({ key: key, name: file.name, citationIndex: file.citationIndex });
             }
         });
 
         // Update the display only with new files
-        newFiles.forEach(file => {
+        const downloadIcons = newFiles.map(file => {
             const fileDiv = document.createElement('div');
             fileDiv.className = 'file-entry';
 
             const fileNameDiv = document.createElement('div');
             fileNameDiv.className = 'file-name';
-            fileNameDiv.textContent = `${file.name} [${file.citationIndex}]`;
+            fileNameDiv.textContent = file.page ?
+                `${file.name}, p. ${file.page} [${file.citationIndex}]` :
+                `${file.name} [${file.citationIndex}]`;
             fileNameDiv.dataset.name = file.name;
             fileNameDiv.dataset.citationIndex = file.citationIndex;
+            if (file.page) {
+                fileNameDiv.dataset.page = file.page;
+                fileNameDiv.title = file.passage;
+            }
 
             const downloadIcon = document.createElement('img');
             downloadIcon.className = 'download-icon';
@@ -552,16 +1826,19 @@
             fileDiv.appendChild(fileNameDiv);
             fileDiv.appendChild(downloadIcon);
             guidelineFilesDiv.appendChild(fileDiv);
+            return downloadIcon;
         });
 
-      setupDownloadButtons();
+      setupDownloadButtons(downloadIcons);
     }
 
     /**
-     * Searches the files in /guidelines and sets up the  download buttons for files displayed in the sidebar.
+     * Searches the files in /guidelines and sets up the download buttons for files displayed in the sidebar.
+     * Cited passages open the guideline at their page.
+     * @param {Array<HTMLElement>} downloadIcons - The download icons of the newly displayed files; the icons shown
+     *     before already have their listener.
      */
-    function setupDownloadButtons() {
-        const downloadIcons = document.querySelectorAll('.download-icon');
+    function setupDownloadButtons(downloadIcons) {
         downloadIcons.forEach(icon => {
             icon.addEventListener('click', (event) => {
                 const fileNameDiv = event.target.previousElementSibling;
@@ -571,7 +1848,10 @@
                         if (fileName.includes('.pdf')) {
                             fileName = fileName.split('.pdf')[0] + '.pdf';
                         }
-                        const filePath = `/ai-tab/guidelines/${fileName}`;
+                        let filePath = `/ai-tab/guidelines/${fileName}`;
+                        if (fileNameDiv.dataset.page) {
+                            filePath += `#page=${fileNameDiv.dataset.page}`;
+                        }
                         initiateDownload(filePath);
                     } else {
                         console.error('File name not found.');
@@ -591,13 +1871,133 @@
         // Create a temporary link element
         const link = document.createElement('a');
         link.href = filePath;
-        link.download = filePath.split('/').pop(); // Set the download attribute with the file name
+        link.download = filePath.split('/').pop().split('#')[0]; // Set the download attribute with the file name
         document.body.appendChild(link); // Append the link to the body
     
         link.click(); // Trigger the download
         document.body.removeChild(link); // Clean up by removing the link element
     }
 
+    /**
+     * Downloads a file created in the browser.
+     * @param {string|Uint8Array} content - The content of the file.
+     * @param {string} fileName - The name of the file.
+     * @param {string} type - The MIME type.
+     */
+    function downloadFile(content, fileName, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: type }));
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Collects the finished sections, the rule-based findings, the patient and the cited guidelines of the
+     * displayed analysis for the report (gc-ai-report.js).
+     * @returns {Object} - The report without the chart.
+     */
+    function createReport() {
+        const patient = GC.App.getPatient();
+        const sections = REPORT_SECTIONS
+            .filter(key => key === "rules" ? ruleFindings.length > 0 : displayedResults.has(key))
+            .map(key => {
+                const content = $(`#${SECTION_ELEMENTS[key]}`).clone();
+                content.find(".section-feedback, .section-writeback, button").remove();
+                return { key: key, title: str(key === "rules" ? "STR_7013" : SECTION_TITLES[key]), html: content.html() };
+            });
+        const files = analysisFiles
+            .filter((file, i, all) => all.findIndex(other => other.citationIndex === file.citationIndex) === i)
+            .sort((a, b) => a.citationIndex - b.citationIndex);
+
+        return {
+            title: str("STR_7114"),
+            generated: new Date().toISOString(),
+            patient: {
+                id: patient.id,
+                name: patient.name,
+                fields: [
+                    { label: str("STR_155"), value: str("STR_SMART_GENDER_" + patient.gender) },
+                    { label: str("STR_157"), value: patient.DOB.toString(NS.chartSettings.dateFormat) },
+                    { label: str("STR_156"), value: patient.getCurrentAge().toString(NS.chartSettings.timeInterval) }
+                ]
+            },
+            meta: [
+                { label: str("STR_7115"), value: new XDate().toString(NS.chartSettings.dateFormat + " HH:mm") },
+                { label: str("STR_7116"), value: getModelName() },
+                { label: str("STR_3177"), value: getPromptVersion() }
+            ],
+            sections: sections,
+            guidelines: {
+                title: str("STR_7118"),
+                items: files.map(file => `[${file.citationIndex}] ${file.name}${file.page ? `, p. ${file.page}` : ""}`)
+            },
+            disclaimer: { title: str("STR_7119"), text: str("STR_7120") }
+        };
+    }
+
+    /**
+     * Prints or downloads the report of the displayed analysis with a snapshot of the growth charts.
+     * @param {string} format - "print" (print-ready HTML, can be saved as PDF), "pdf", "html" or "fhir" (bundle
+     *     with a DiagnosticReport and a DocumentReference).
+     */
+    async function exportReport(format) {
+        if (!displayedResults.size) {
+            showErrorPopup(str("STR_7121"));
+            return;
+        }
+        // The window is opened before the snapshot, otherwise the popup blocker of the browser stops it
+        const printWindow = format === "print" ?
+            window.open("", "aiReportPrintWindow", "resizable=yes,scrollbars=yes,width=900,height=800") : null;
+        if (format === "print" && !printWindow) {
+            return;
+        }
+        const report = createReport();
+        try {
+            report.chart = Object.assign({ title: str("STR_7117") }, await NS.AIReport.snapshotChart());
+        } catch (error) {
+            console.error('Error taking the snapshot of the growth charts:', error);
+        }
+
+        const fileName = `ai-report-${new XDate().toString("yyyy-MM-dd")}`;
+        switch (format) {
+        case "print":
+            printWindow.document.write(NS.AIReport.toHTML(report));
+            printWindow.document.close();
+            printWindow.focus();
+            // Prints when the snapshot of the charts is shown
+            Promise.all(Array.from(printWindow.document.images).map(image => image.complete ? null :
+                new Promise(resolve => {
+                    image.onload = image.onerror = resolve;
+                }))).then(() => printWindow.print());
+            break;
+        case "html":
+            downloadFile(NS.AIReport.toHTML(report), `${fileName}.html`, "text/html");
+            break;
+        case "pdf":
+        case "fhir":
+            if (report.chart) {
+                try {
+                    report.chart.jpeg = await NS.AIReport.rasterizeChart(report.chart);
+                } catch (error) {
+                    console.error('Error converting the growth charts:', error);
+                }
+            }
+            if (format === "pdf") {
+                downloadFile(NS.AIReport.toPDF(report), `${fileName}.pdf`, "application/pdf");
+            } else {
+                const bundle = NS.AIReport.toFHIR(report, {
+                    pdf: NS.AIReport.toPDF(report),
+                    language: GC.App.getLanguage()
+                });
+                downloadFile(JSON.stringify(bundle, null, 2), `${fileName}.json`, "application/fhir+json");
+            }
+            break;
+        }
+    }
+
     /**
      * Shows the chat interface, allowing users to interact with the assistant. Handles the whole logic.
      */
@@ -608,19 +2008,29 @@
             chatContainer.id = 'chat-container';
             chatContainer.innerHTML = `
                 <div class="chat-header">
-                    Chat
+                    ${str("STR_7062")}
+                    <span class="chat-header-icons">
+                        <img src="ai-tab/img/printer.png" class="chat-export-pdf" alt="${str("STR_7086")}" title="${str("STR_7086")}">
+                        <img src="ai-tab/img/download.png" class="chat-export-text" alt="${str("STR_7087")}" title="${str("STR_7087")}">
+                        <span class="chat-conversations-button" title="${str("STR_7085")}">&#9776;</span>
+                    </span>
                     <span class="close-button">&times;</span>
                 </div>
+                <div class="chat-conversations" style="display: none;">
+                    <button class="chat-new-button">${str("STR_7088")}</button>
+                    <ul class="chat-conversation-list"></ul>
+                </div>
                 <div class="chat-content">
                     <ul class="chat-messages">
-                        <li class="chat-message">Hello! You can upload new files and ask questions to the patients case.</li>
+                        <li class="chat-message">${str("STR_7063")}</li>
                     </ul>
                 </div>
                 <div class="chat-input-container">
-                    <img src="ai-tab/img/upload.png" class="upload-button" alt="Upload PDF">
-                    <input type="text" class="chat-input" placeholder="Type your message...">
-                    <img src="ai-tab/img/send.png" class="send-button" alt="Send Message">
-                    <input type="file" id="file-upload" style="display: none;" accept=".pdf">
+                    <img src="ai-tab/img/upload.png" class="upload-button" alt="${str("STR_7065")}" title="${str("STR_7065")}">
+                    <input type="text" class="chat-input" placeholder="${str("STR_7064")}">
+                    <img src="ai-tab/img/send.png" class="send-button" alt="${str("STR_7066")}">
+                    <button class="cancel-button" style="display: none;" title="${str("STR_7067")}">&#9632;</button>
+                    <input type="file" id="file-upload" style="display: none;" accept=".pdf,.png,.jpg,.jpeg,.gif,.webp,.csv">
                 </div>
             `;
             document.body.appendChild(chatContainer);
@@ -629,7 +2039,7 @@
             closeButton.addEventListener('click', function() {
                 chatContainer.classList.remove('show');
                 // Revert CSS changes of .ai-response
-                $(".ai-response, .ai-response-diagnoses, .ai-response-growth, .ai-response-history, .ai-response-clinical").css({
+                $(".ai-response, .ai-response-diagnoses, .ai-response-growth, .ai-response-rules, .ai-response-history, .ai-response-clinical").css({
                     "margin-left": "120px",
                     "max-width": "800px"
                 });
@@ -642,6 +2052,32 @@
                 }, 200);
             });
 
+            // Conversations of the chat history
+            const conversations = chatContainer.querySelector('.chat-conversations');
+            chatContainer.querySelector('.chat-conversations-button').addEventListener('click', function() {
+                $(conversations).toggle();
+                if ($(conversations).is(':visible')) {
+                    renderConversationList();
+                }
+            });
+            chatContainer.querySelector('.chat-new-button').addEventListener('click', function() {
+                $(conversations).hide();
+                startNewChat();
+            });
+            $(conversations).on('click', '.chat-resume', function() {
+                $(conversations).hide();
+                resumeChat($(this).closest('li').data('id'));
+            });
+            $(conversations).on('click', '.chat-delete', function() {
+                deleteChat($(this).closest('li').data('id'));
+            });
+            chatContainer.querySelector('.chat-export-text').addEventListener('click', function() {
+                exportChat("text");
+            });
+            chatContainer.querySelector('.chat-export-pdf').addEventListener('click', function() {
+                exportChat("pdf");
+            });
+
             const chatInput = chatContainer.querySelector('.chat-input');
             const sendButton = chatContainer.querySelector('.send-button');
             const fileUpload = chatContainer.querySelector('#file-upload');
@@ -666,7 +2102,7 @@
                         await createMessage(threadId, assistantId, userMessage, loadingMessage);
                     } else {
                         loadingMessage.classList.remove('loading-dots');
-                        loadingMessage.textContent = "Sorry, something went wrong. No threadID";
+                        loadingMessage.textContent = str("STR_7068");
                     }
                 }
             };
@@ -679,6 +2115,13 @@
 
             sendButton.addEventListener('click', sendMessage);
 
+            const cancelButton = chatContainer.querySelector('.cancel-button');
+            cancelButton.addEventListener('click', function() {
+                if (chatController) {
+                    chatController.abort();
+                }
+            });
+
             // File upload button logic
             const uploadButton = chatContainer.querySelector('.upload-button');
             uploadButton.addEventListener('click', function() {
@@ -687,24 +2130,10 @@
 
             fileUpload.addEventListener('change', async function(event) {
                 const file = event.target.files[0];
+                // The same file can be selected again
+                fileUpload.value = '';
                 if (file) {
-                    try {
-                        const uploadedFile = await openai.files.create({
-                            file: file,
-                            purpose: "assistants",
-                        });
-
-                        // Add the file to the vector store and update the thread or assistant
-                        const vectorStoreId = 'vs_2qk1H6IH8mPG1hI77hRElznk'; 
-                        await openai.beta.vectorStores.files.createAndPoll(vectorStoreId, {
-                            file_id: uploadedFile.id
-                        });
-
-                        chatContainer.querySelector('.chat-messages').innerHTML += `<li class="chat-message">File uploaded successfully. You can now ask questions about the content of the file.</li>`;
-                    } catch (error) {
-                        console.error('Error uploading file:', error);
-                        chatContainer.querySelector('.chat-messages').innerHTML += `<li class="chat-message">Failed to upload file. Please try again.</li>`;
-                    }
+                    await uploadFile(file);
                 }
             });
         }
@@ -716,25 +2145,39 @@
     }
 
     /**
-     * Sends a message to the assistant thread for the chat
+     * Sends a message to the assistant thread for the chat, together with the guideline passages retrieved for it
      * @param {string} threadId - The ID of the thread to which the message belongs.
      * @param {string} assistantId - The ID of the assistant.
      * @param {string} userMessage - The user's message content.
      * @param {HTMLElement} loadingMessage - The loading message element to update.
      */
     async function createMessage(threadId, assistantId, userMessage, loadingMessage) {
+        const started = Date.now();
+        let prompt = deidentify(userMessage);
+        recordChatMessage({ role: "user", content: userMessage });
         try {
-            await openai.beta.threads.messages.create(threadId, {
-                role: "user",
-                content: userMessage
-            });
+            const context = await retrieveGuidelines(userMessage);
+            prompt = renderPrompt("chat", { message: prompt, guidelines: context ? `\n\n${context}` : "" });
+            await provider.sendMessage(threadId, prompt);
 
             // Run the assistant to get the response
-            await runAssistant(threadId, assistantId, loadingMessage);
+            const reply = await runAssistant(threadId, assistantId, loadingMessage);
+            if (reply) {
+                recordChatMessage({ role: "assistant", content: reidentify(reply.content || ""), status: reply.status });
+            }
+            auditInteraction(NS.AIAudit.TYPES.CHAT, {
+                prompt: prompt,
+                response: reply ? reply.content || "" : "",
+                citations: reply ? getAuditCitations((reply.annotations || []).concat(getPassageAnnotations(reply.content))) : [],
+                latency: Date.now() - started,
+                status: reply ? reply.status : "error"
+            });
         } catch (error) {
             console.error('Error in createMessage:', error);
+            auditInteraction(NS.AIAudit.TYPES.CHAT, { prompt: prompt, response: "", latency: Date.now() - started,
+                status: `error: ${error.message}` });
             loadingMessage.classList.remove('loading-dots');
-            loadingMessage.textContent = "Sorry something went wrong.";
+            loadingMessage.textContent = str("STR_7069");
         }
     }
 
@@ -743,64 +2186,416 @@
      * @param {string} threadId - The ID of the thread to run the assistant on.
      * @param {string} assistantId - The ID of the assistant.
      * @param {HTMLElement} loadingMessage - The loading message element to update.
+     * @returns {Promise<Object|null>} - The reply { status, content, annotations } or null if it failed.
      */
     async function runAssistant(threadId, assistantId, loadingMessage) {
         try {
-            let run = await openai.beta.threads.runs.createAndPoll(threadId, {
-                assistant_id: assistantId,
-                instructions: " "
-            });
-    
-            if (run.status === 'completed') {
-                const messages = await openai.beta.threads.messages.list(threadId);
+            chatController = new AbortController();
+            toggleChatCancel(true);
+            const options = { signal: chatController.signal };
+            if (NS.chartSettings.ai.chatTools) {
+                options.tools = NS.AITools.definitions();
+                options.onToolCall = (name, args) => callTool(name, args, loadingMessage);
+            }
+            const reply = await requestReply(threadId, options,
+                content => displayAssistantResponse(content, loadingMessage, [], "streaming"));
     
-                let responseContent = null;
-                const latestMessage = messages.data[0];
-                if (latestMessage && latestMessage.role === 'assistant' && latestMessage.content[0]?.text?.value) {
-                    responseContent = latestMessage.content[0].text.value;
-                }
-                if (responseContent) {
-                    const annotations = latestMessage.content[0].text.annotations;
-                    displayAssistantResponse(responseContent, loadingMessage, annotations);
+            if (reply.status === 'completed') {
+                if (reply.content) {
+                    displayAssistantResponse(reply.content, loadingMessage, reply.annotations);
                 }
+            } else if (reply.status === 'cancelled' || reply.status === 'incomplete') {
+                displayAssistantResponse(reply.content || "", loadingMessage, reply.annotations, "partial");
             } else {
                 loadingMessage.classList.remove('loading-dots');
-                loadingMessage.textContent = "Sorry something went wrong.";
+                loadingMessage.textContent = str("STR_7069");
             }
+            return reply;
         } catch (error) {
             console.error('Error running assistant:', error);
             loadingMessage.classList.remove('loading-dots');
-            loadingMessage.textContent = "Sorry something went wrong.";
+            loadingMessage.textContent = str("STR_7069");
+            return null;
+        } finally {
+            chatController = null;
+            toggleChatCancel(false);
+        }
+    }
+
+    /**
+     * Calls a tool of the chat on request of the model (gc-ai-tools.js). The call and its result are shown in the
+     * chat above the reply and written to the audit log.
+     * @param {string} name - The name of the tool.
+     * @param {Object} args - The arguments of the model.
+     * @param {HTMLElement} loadingMessage - The message of the reply.
+     * @returns {Object} - The result for the model, { error } if the call failed.
+     */
+    function callTool(name, args, loadingMessage) {
+        const started = Date.now();
+        let result, status = "completed";
+        try {
+            result = NS.AITools.call(name, args, { dates: !deidentifyContext });
+        } catch (error) {
+            result = { error: error.message };
+            status = `error: ${error.message}`;
+        }
+        auditInteraction(NS.AIAudit.TYPES.TOOL, { prompt: `${name}(${JSON.stringify(args)})`,
+            response: JSON.stringify(result), latency: Date.now() - started, status: status });
+        recordChatMessage({ role: "tool", content: `${name}(${JSON.stringify(args)}) → ${JSON.stringify(result)}`,
+            status: result.error ? "error" : "completed" });
+
+        const toolMessage = document.createElement('li');
+        toolMessage.className = 'chat-message chat-tool' + (result.error ? ' chat-tool-error' : '');
+        toolMessage.innerHTML = `<span class="chat-tool-name">${str("STR_7084")}: ${escapeHTML(name)}</span>` +
+            `<code>${escapeHTML(JSON.stringify(args))}</code>` +
+            `<code>&rarr; ${escapeHTML(JSON.stringify(result))}</code>`;
+        loadingMessage.parentNode.insertBefore(toolMessage, loadingMessage);
+        return result;
+    }
+
+    /**
+     * Appends a message of the app (not of the model) to the chat.
+     * @param {string} html - The content of the message.
+     * @returns {HTMLElement} - The message.
+     */
+    function appendChatMessage(html) {
+        const chatContent = document.querySelector('#chat-container .chat-content');
+        const message = document.createElement('li');
+        message.className = 'chat-message';
+        message.innerHTML = html;
+        chatContent.querySelector('.chat-messages').appendChild(message);
+        chatContent.scrollTop = chatContent.scrollHeight;
+        return message;
+    }
+
+    /**
+     * Checks a file uploaded in the chat (gc-ai-upload.js) and hands it over: CSV files of measurements are parsed
+     * locally, PDFs and images are documents of the patient and only added to the conversation of the chat, never
+     * to the guideline index shared by all patients.
+     * @param {File} file - The uploaded file.
+     */
+    async function uploadFile(file) {
+        const started = Date.now();
+        const audit = (response, status) => auditInteraction(NS.AIAudit.TYPES.UPLOAD, {
+            prompt: `${file.name} (${file.size} bytes)`, response: response, latency: Date.now() - started, status: status });
+        try {
+            const check = await NS.AIUpload.validate(file);
+            if (check.error) {
+                audit("", `rejected: ${check.error}`);
+                appendChatMessage(check.error === "size" ?
+                    str("STR_7096", { size: Math.round(check.maxSize / (1024 * 1024)) }) :
+                    str(check.error === "empty" ? "STR_7097" : "STR_7095"));
+                return;
+            }
+            if (check.type === "csv") {
+                audit(await uploadMeasurements(file), "completed");
+                return;
+            }
+
+            if (!threadId) {
+                audit("", "error: no conversation");
+                appendChatMessage(str("STR_7068"));
+                return;
+            }
+            // Files cannot be scrubbed like the text of the prompts
+            if (deidentifyContext && !window.confirm(str("STR_7098"))) {
+                audit("", "cancelled");
+                return;
+            }
+            const fileId = await provider.uploadFile(threadId, file, {
+                type: check.type,
+                text: renderPrompt("upload", { fileName: deidentify(file.name) })
+            });
+            audit(`Added to the conversation as ${fileId}`, "completed");
+            appendChatMessage(str("STR_7070"));
+        } catch (error) {
+            console.error('Error uploading file:', error);
+            audit("", `error: ${error.message}`);
+            appendChatMessage(str("STR_7071"));
+        }
+    }
+
+    /**
+     * Parses an uploaded CSV file of measurements, shows the result in the chat with the option to import the
+     * measurements and adds them to the conversation of the chat, with the age instead of the date.
+     * @param {File} file - The CSV file.
+     * @returns {Promise<string>} - The result for the audit log.
+     */
+    async function uploadMeasurements(file) {
+        const patient = GC.App.getPatient();
+        const result = NS.AIUpload.parseMeasurements(await NS.AIUpload.readFile(file, "text"), { DOB: patient.DOB });
+        const errors = result.errors.map(error => str("STR_7100", {
+            line: error.line,
+            error: str(UPLOAD_ERROR_LABELS[error.error], {
+                value: error.value || "",
+                column: UPLOAD_COLUMN_LABELS[error.column] ? str(UPLOAD_COLUMN_LABELS[error.column]) : ""
+            })
+        }));
+
+        const message = appendChatMessage(
+            `<p>${str("STR_7099", { count: result.records.length, fileName: escapeHTML(file.name) })}</p>` +
+            (errors.length ? `<ul class="chat-upload-errors">${errors.map(error => `<li>${escapeHTML(error)}</li>`).join("")}</ul>` : "") +
+            (result.records.length ? (GC._isPatientDataEditable ?
+                `<button class="chat-import-button">${str("STR_7106")}</button>` :
+                `<p>${str("STR_7108")}</p>`) : ""));
+        $(message).find('.chat-import-button').on('click', function() {
+            importMeasurements(result.records, this);
+        });
+
+        if (result.records.length && threadId) {
+            const columns = ["agemos"].concat(Object.keys(UPLOAD_COLUMN_LABELS));
+            const measurements = [["age_mo", "length_cm", "weight_kg", "headc_cm", "bmi_kg_m2"].join(",")]
+                .concat(result.records.map(record => columns.map(column =>
+                    typeof record[column] === "number" ? Math.round(record[column] * 10) / 10 : "").join(",")))
+                .join("\n");
+            await provider.sendMessage(threadId, renderPrompt("uploadMeasurements", {
+                fileName: deidentify(file.name),
+                measurements: measurements
+            }));
+        }
+        return `${result.records.length} measurements, ${result.errors.length} errors`;
+    }
+
+    /**
+     * Imports the measurements of an uploaded CSV file as growth records of the patient
+     * (GC.Patient.prototype.writeRecord). A measurement at the age of an existing record is added to that record.
+     * @param {Array<Object>} records - The records of GC.AIUpload.parseMeasurements.
+     * @param {HTMLElement} button - The import button, disabled after the import.
+     */
+    async function importMeasurements(records, button) {
+        const patient = GC.App.getPatient();
+        const model = patient.getModel();
+        button.disabled = true;
+        try {
+            for (const record of records) {
+                const entry = patient.getModelEntryAtAgemos(record.agemos);
+                const rec = $.extend({}, record, entry ? { agemos: entry.agemos } : {});
+                if (entry) {
+                    $.extend(entry, rec);
+                } else {
+                    model.push(rec);
+                }
+                await new Promise((resolve, reject) => {
+                    $.when(patient.writeRecord(rec)).done(resolve).fail(reject);
+                });
+            }
+            model.sort((a, b) => a.agemos - b.agemos);
+            // Merges the model into the data of the patient and redraws the charts
+            GC.App.refresh();
+            appendChatMessage(str("STR_7107", { count: records.length }));
+        } catch (error) {
+            console.error('Error importing the measurements:', error);
+            button.disabled = false;
+            appendChatMessage(str("STR_7109"));
+        }
+    }
+
+    /**
+     * Adds a message to the conversation of the chat and stores it in the chat history if that is enabled
+     * (GC.chartSettings.ai.chatHistory). The conversation is created with the first message.
+     * @param {Object} message - { role, content, status }, see GC.AIChatHistory.
+     */
+    function recordChatMessage(message) {
+        if (!chatConversation) {
+            chatConversation = NS.AIChatHistory.createConversation({ threadId: threadId, model: getModelName() });
+        }
+        NS.AIChatHistory.addMessage(chatConversation, message);
+        if (chatHistory) {
+            chatHistory.put(getPatientKey(), getUserKey(), chatConversation)
+                .catch(error => reportStorageError("chatHistory", error));
+        }
+    }
+
+    /**
+     * Lists the stored conversations of the patient and the user in the chat.
+     */
+    async function renderConversationList() {
+        const list = document.querySelector('#chat-container .chat-conversation-list');
+        const conversations = chatHistory ? await chatHistory.list(getPatientKey(), getUserKey()) : [];
+        list.innerHTML = conversations.length ?
+            conversations.map(conversation =>
+                `<li data-id="${escapeHTML(conversation.id)}"${chatConversation && chatConversation.id === conversation.id ? ' class="active"' : ''}>` +
+                `<span class="chat-conversation-title">${escapeHTML(conversation.title)}</span>` +
+                `<span class="chat-conversation-date">${new XDate(conversation.updated).toString(NS.chartSettings.dateFormat + " HH:mm")}</span>` +
+                `<button class="chat-resume">${str("STR_7089")}</button>` +
+                `<button class="chat-delete">${str("STR_7090")}</button>` +
+                `</li>`
+            ).join("") :
+            `<li class="chat-conversation-empty">${str("STR_7091")}</li>`;
+    }
+
+    /**
+     * Shows the messages of a conversation in the chat, or the greeting if there are none.
+     * @param {Array<Object>} messages - The messages of the conversation.
+     */
+    function renderChatMessages(messages) {
+        const messageList = document.querySelector('#chat-container .chat-messages');
+        messageList.innerHTML = `<li class="chat-message">${str("STR_7063")}</li>`;
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            if (message.role === "user") {
+                item.className = 'chat-message user';
+                item.textContent = message.content;
+            } else if (message.role === "tool") {
+                item.className = 'chat-message chat-tool' + (message.status === "error" ? ' chat-tool-error' : '');
+                item.innerHTML = `<span class="chat-tool-name">${str("STR_7084")}</span><code>${escapeHTML(message.content)}</code>`;
+            } else {
+                item.className = 'chat-message' + (message.status === "completed" ? '' : ' partial');
+                const check = createConsistencyCheck();
+                item.innerHTML = formatResponseChat(message.content, check) + renderConsistency(check) +
+                    (message.status === "completed" ? '' : `<span class="partial-note">${str("STR_7072")}</span>`);
+            }
+            messageList.appendChild(item);
+        });
+    }
+
+    /**
+     * Starts a new conversation of the chat with the analysis of the patient.
+     */
+    async function startNewChat() {
+        chatConversation = null;
+        renderChatMessages([]);
+        try {
+            threadId = await provider.createConversation();
+            if (chatContext) {
+                await provider.sendMessage(threadId, chatContext);
+            }
+        } catch (error) {
+            console.error('Error creating the conversation of the chat:', error);
+        }
+    }
+
+    /**
+     * Continues a stored conversation. A provider which keeps its conversations continues the stored one,
+     * otherwise a new conversation of the provider gets the analysis and the transcript.
+     * @param {string} id - The id of the stored conversation.
+     */
+    async function resumeChat(id) {
+        const conversation = chatHistory && await chatHistory.get(getPatientKey(), getUserKey(), id);
+        if (!conversation) {
+            return;
+        }
+        chatConversation = conversation;
+        renderChatMessages(conversation.messages);
+        try {
+            if (provider.persistentConversations && conversation.threadId && conversation.model === getModelName()) {
+                threadId = conversation.threadId;
+                return;
+            }
+            threadId = await provider.createConversation();
+            if (chatContext) {
+                await provider.sendMessage(threadId, chatContext);
+            }
+            await provider.sendMessage(threadId, renderPrompt("chatHistory", {
+                transcript: deidentify(NS.AIChatHistory.toText(conversation))
+            }));
+            chatConversation.threadId = threadId;
+            chatConversation.model = getModelName();
+        } catch (error) {
+            console.error('Error resuming the conversation of the chat:', error);
+        }
+    }
+
+    /**
+     * Deletes a stored conversation after a confirmation. The chat starts anew if it showed the conversation.
+     * @param {string} id - The id of the stored conversation.
+     */
+    async function deleteChat(id) {
+        if (!chatHistory || !window.confirm(str("STR_7092"))) {
+            return;
+        }
+        try {
+            await chatHistory.remove(getPatientKey(), getUserKey(), id);
+        } catch (error) {
+            reportStorageError("chatHistory", error);
+        }
+        if (chatConversation && chatConversation.id === id) {
+            startNewChat();
+        }
+        renderConversationList();
+    }
+
+    /**
+     * Exports the conversation shown in the chat as text file or prints it, so it can be saved as PDF.
+     * @param {string} format - "text" or "pdf".
+     */
+    function exportChat(format) {
+        if (!chatConversation || !chatConversation.messages.length) {
+            return;
+        }
+        const text = NS.AIChatHistory.toText(chatConversation,
+            { user: str("STR_7093"), assistant: str("STR_7094"), tool: str("STR_7084") });
+        const title = `${str("STR_7062")}: ${GC.App.getPatient().name} (${new XDate(chatConversation.created).toString(NS.chartSettings.dateFormat + " HH:mm")})`;
+
+        if (format === "text") {
+            downloadFile(`${title}\n\n${text}\n`, `chat-${chatConversation.created.substr(0, 10)}.txt`, "text/plain");
+            return;
+        }
+
+        const printWindow = window.open("", "aiChatPrintWindow", "resizable=yes,scrollbars=yes,width=800,height=700");
+        printWindow.document.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHTML(title)}</title></head>` +
+            `<body style="font-family: sans-serif;"><h2>${escapeHTML(title)}</h2>` +
+            `<pre style="white-space: pre-wrap; font-family: inherit;">${escapeHTML(text)}</pre></body></html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Shows the cancel button instead of the send button of the chat while a reply is streamed.
+     * @param {boolean} streaming - True while a reply is streamed.
+     */
+    function toggleChatCancel(streaming) {
+        const chatContainer = document.getElementById('chat-container');
+        if (chatContainer) {
+            chatContainer.querySelector('.send-button').style.display = streaming ? 'none' : '';
+            chatContainer.querySelector('.cancel-button').style.display = streaming ? '' : 'none';
         }
     }
 
     /**
-     * Displays the assistant's response in the chat interface and updates citations.
+     * Displays the assistant's response in the chat interface and updates citations. While the response is
+     * streamed it is called with the text received so far.
      * @param {string} responseContent - The content of the assistant's response.
      * @param {HTMLElement} loadingMessage - The loading message element to update with the response.
      * @param {Array} annotations - Annotations for citations included in the response.
+     * @param {string} [state] - "streaming" while the response is streamed, "partial" if the stream was
+     * cancelled or interrupted, otherwise the response is complete.
      */
-    async function displayAssistantResponse(responseContent, loadingMessage, annotations) {
-        const updatedContent = updateCitations(responseContent, annotations);
-        const formattedResponse = formatResponseChat(updatedContent);
-        loadingMessage.innerHTML = formattedResponse;
+    async function displayAssistantResponse(responseContent, loadingMessage, annotations, state) {
+        if (state !== "streaming") {
+            annotations = (annotations || []).concat(getPassageAnnotations(responseContent));
+        }
+        const updatedContent = updateCitations(responseContent, annotations || []);
+        const check = state !== "streaming" ? createConsistencyCheck() : null;
+        const formattedResponse = formatResponseChat(updatedContent, check);
+        loadingMessage.innerHTML = formattedResponse + renderConsistency(check);
         loadingMessage.classList.remove('loading-dots');
+        loadingMessage.classList.toggle('streaming', state === "streaming");
+        loadingMessage.classList.toggle('partial', state === "partial");
+        if (state === "partial") {
+            loadingMessage.innerHTML += `<span class="partial-note">${str("STR_7072")}</span>`;
+        }
         const chatContainer = document.getElementById('chat-container');
         chatContainer.querySelector('.chat-content').scrollTop = chatContainer.querySelector('.chat-content').scrollHeight;
         
         // Add new files to display if cited
-        if (annotations && annotations.length > 0) {
+        if (state !== "streaming" && annotations && annotations.length > 0) {
             const newFiles = await getFiles(annotations);
             displayFiles(newFiles);
         }
     }
     
     /**
-     * Formats chat response content by converting markdown-like syntax to HTML.
+     * Formats chat response content by converting markdown-like syntax to HTML. The content is escaped first,
+     * so HTML in the reply of the model is shown as text.
      * @param {string} responseContent - The content to format.
+     * @param {Object} [check] - The consistency check (createConsistencyCheck) to highlight wrong numbers.
      * @returns {string} - The formatted HTML content.
      */
-    function formatResponseChat(responseContent) {
+    function formatResponseChat(responseContent, check) {
+        responseContent = reidentify(responseContent);
+        responseContent = check ? highlightClaims(responseContent, check, null, escapeHTML) : escapeHTML(responseContent);
         responseContent = responseContent
             .replace(/(.*?)###### (.*?)(\n|$)/g, '<h6>$2</h6>\n')  // Headings level 6
             .replace(/(.*?)##### (.*?)(\n|$)/g, '<h5>$2</h5>\n')  // Headings level 5
@@ -859,39 +2654,36 @@
     }); 
     
     /**
-     * Creates a popup displaying the given prompts for user review.
+     * Creates a popup displaying the given prompts for user review, exactly as they were sent to the model.
+     * Every prompt shows its estimated number of tokens (GC.AIPrompts.estimateTokens).
      * @param {string} promptGrowth - Growth prompt content.
      * @param {string} promptHistory - History prompt content.
      */
     function showPromptPopup(promptGrowth, promptHistory) {
+        const tokens = text => str("STR_7081", { count: NS.AIPrompts.estimateTokens(text) });
+        const responseFormats = Object.keys(SECTION_RESPONSE_FIELDS).map(key => createPromptResponseFormat(key));
         const popup = document.createElement('div');
-        const promptDiagnosis = "You have analyzed the data of the patient. Now give me two to three possible diagnoses with the ICD-10 Code.";
-        const promptReferral = "If there is a growth abnormality detected, provide a recommendation to which specialist you would refer the patient and for which next clinical steps. Use the attached clinical practice guidelines you referenced before for your justification. Focus on the most important points and cite the source if you use references. Limit yourself to a maximum of 3 bullet points.";
-        const promptSummary = "Create an executive summary of your analysis. Use the attached files you referenced before for your justification. Limit yourself to a maximum of 3 bullet points.";
-        if (promptHistory == "No historical data available. Answer with 'No historical data for this patient available.'") {
-            promptHistory == 'No historical data for this patient available.';
-        }
         popup.id = 'prompt-popup';
         popup.innerHTML = `
             <div class="popup-content">
                 <span class="close-button-Prompt">&times;</span>
-                    <pre class="prompt-header">General Instruction</pre>
-                    <pre>You are a highly qualified pediatrician whose task it is to analyze a patient's data and make a diagnosis. Answer concisely and specifically in bullet points.</pre>
+                    <pre class="prompt-header">${str("STR_7073")} ${tokens(NS.chartSettings.ai.instructions)}</pre>
+                    <pre>${escapeHTML(NS.chartSettings.ai.instructions)}</pre>
                     <br>
-                    <pre class="prompt-header">Prompt 1: Growth Abnormalities</pre>
-                    <pre class="promptSpecial">${promptGrowth}</pre>
+                    <pre class="prompt-header">${str("STR_7074")} ${tokens(promptGrowth)}</pre>
+                    <pre class="promptSpecial">${escapeHTML(promptGrowth)}</pre>
                     <br>
-                    <pre class="prompt-header">Prompt 2: Patient History </pre>
-                    <pre class="promptSpecial">${promptHistory}</pre>
+                    <pre class="prompt-header">${str("STR_7075")} ${tokens(promptHistory)}</pre>
+                    <pre class="promptSpecial">${escapeHTML(promptHistory)}</pre>
                     <br>
-                    <pre class="prompt-header">Prompt 3: Specialist Referral</pre>
-                    <pre>${promptReferral}</pre>
+                    <pre class="prompt-header">${str("STR_7076")} ${tokens(promptGuidelines)}</pre>
+                    <pre class="promptSpecial">${promptGuidelines ? escapeHTML(promptGuidelines) : str("STR_7077")}</pre>
                     <br>
-                    <pre class="prompt-header">Prompt 4: Differential Diagnosis</pre>
-                    <pre>${promptDiagnosis}</pre>
+                    <pre class="prompt-header">${str("STR_7078")}</pre>
+                    <pre>${Object.keys(SECTION_RESPONSE_FIELDS).map((key, i) => `${str(SECTION_TITLES[key])} ${tokens(responseFormats[i])}:\n${escapeHTML(responseFormats[i])}`).join("\n\n")}</pre>
                     <br>
-                    <pre class="prompt-header">Prompt 5: Executive Summary</pre>
-                    <pre>${promptSummary}</pre>
+                    <pre class="prompt-header">${str("STR_7079")}</pre>
+                    <pre>${str("STR_7080")}</pre>
             </div>
         `;
         document.body.appendChild(popup);
@@ -923,7 +2715,7 @@
     
         // Create the close button
         const closeButton = document.createElement('button');
-        closeButton.textContent = 'Close';
+        closeButton.textContent = str("STR_7083");
         closeButton.id = 'close-popup';
         closeButton.addEventListener('click', function() {
             document.body.removeChild(popup);
@@ -933,217 +2725,19 @@
         document.body.appendChild(popup);
     }
 
-    // Getter to get the growth data from the global patient object GC. 
-    // The data is loaded via load-fhir-data.js. The percentiles,  z-scores and velocities are calculated in 
-    // js/statistics.js
-
-    /**
-     * Retrieves the length or stature of the patient entry, formatted appropriately.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @returns {string} - The formatted length/stature value or an empty mark if not available.
-     */
-    function getLength(entry) {
-        if (entry.hasOwnProperty("lengthAndStature")) {
-            return GC.Util.format(entry.lengthAndStature, {
-                type: "height",
-                cmOnly: true,
-                separator: '<span class="unit-separator"></span>'
-            });
-        }
-        return EMPTY_MARK;
-    }
-
-    /**
-     * Retrieves the weight of the patient entry, formatted appropriately.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @returns {string} - The formatted weight value or an empty mark if not available.
-     */
-    function getWeight(entry) {
-        if (entry.hasOwnProperty("weight")) {
-            return GC.Util.format(entry.weight, {
-                type: "weight",
-                kgOnly: true,
-                separator: '<span class="unit-separator"></span>'
-            });
-        }
-        return EMPTY_MARK;
-    }
-
-    /**
-     * Retrieves the head circumference of the patient entry, formatted appropriately.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @returns {string} - The formatted head circumference value or an empty mark if not available.
-     */
-    function getHeadC(entry) {
-        if (entry.hasOwnProperty("headc")) {
-            return GC.Util.format(entry.headc, {
-                type: "headc",
-                cmOnly: true
-            });
-        }
-        return EMPTY_MARK;
-    }
-
-    /**
-     * Retrieves the BMI of the patient entry, formatted appropriately.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @returns {string} - The formatted BMI value or an empty mark if not available.
-     */
-    function getBMI(entry) {
-        if (entry.hasOwnProperty("bmi")) {
-            return GC.Util.format(entry.bmi, {
-                type: "bmi",
-                unitMetric: "",
-                initImp: ""
-            });
-        }
-        return EMPTY_MARK;
-    }
-
-    /**
-     * Calculates the percentile for a given property of the patient entry.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @param {string} prop - The property for which the percentile is calculated.
-     * @returns {string|number} - The calculated percentile value rounded to precision or an empty mark if unavailable.
-     */
-    function getPercentile(entry, prop) {
-        if (entry.hasOwnProperty(prop)) {
-            var ds = getDataSet(prop), pct;
-            if (ds) {
-                pct = GC.findPercentileFromX(
-                    entry[prop],
-                    ds,
-                    GC.App.getGender(),
-                    entry.agemos
-                );
-                if (isNaN(pct) || !isFinite(pct)) {
-                    return EMPTY_MARK;
-                }
-                return GC.Util.roundToPrecision(pct * 100, 0);
-            }
-        }
-        return EMPTY_MARK;
-    }
-    
-    /**
-     * Calculates the Z-score for a given property of the patient entry.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @param {string} prop - The property for which the Z-score is calculated.
-     * @returns {string|number} - The calculated Z-score value rounded to precision or an empty mark if unavailable.
-     */
-    function getZScore(entry, prop) {
-        if (entry.hasOwnProperty(prop)) {
-            var ds = getDataSet(prop), z;
-            if (ds) {
-                z = GC.findZFromX(
-                    entry[prop],
-                    ds,
-                    GC.App.getGender(),
-                    entry.agemos
-                );
-                if (isNaN(z) || !isFinite(z)) {
-                    return EMPTY_MARK;
-                }
-                return GC.Util.roundToPrecision(z, 1);
-            }
-        }
-        return EMPTY_MARK;
-    }
-    
-    /**
-     * Calculates the growth velocity for a given property of the patient entry.
-     * @param {Object} entry - The patient entry containing measurement data.
-     * @param {string} prop - The property for which the growth velocity is calculated.
-     * @returns {string|number} - The calculated velocity or an empty mark if unavailable.
-     */
-    function getVelocity(entry, prop) {
-        if (entry.hasOwnProperty(prop)) {
-            const prev = GC.App.getPatient().getPrevModelEntry(entry.agemos, function(o) {
-                return o.hasOwnProperty(prop);
-            });
-            if (prev) {
-                const v = GC.App.getPatient().getVelocity(prop, entry, prev);
-                if (v.value) {
-                    let tmp = GC.Util.format(v.value, { type: prop });
-    
-                    if (tmp && GC.chartSettings.roundPrecision.velocity[GC.chartSettings.nicu ? "nicu" : "std"] === "auto") {
-                        tmp += v.suffix;
-                    } else {
-                        tmp = GC.Util.floatVal(tmp);
-                    }
-    
-                    if (tmp) {
-                        return tmp;
-                    }
-                }
-            }
-        }
-        return EMPTY_MARK;
-    }
-
-    /**
-     * Retrieves the entry date for a specific index from the patient model data.
-     * @param {number} index - The index of the entry in the patient model data.
-     * @returns {string} - The formatted date string or an empty mark if data is unavailable or invalid.
-     */
-    function getEntryDate(index) {
-        var patient = GC.App.getPatient(),
-            model = patient.getModel(),
-            lastDate;
-
-        if (!patient || !model) {
-            console.error("Patient data or model is not available.");
-            return EMPTY_MARK;
-        }
-
-        if (index >= model.length) {
-            console.error("Index out of range.");
-            return EMPTY_MARK;
-        }
-
-        var data = model[index];
-
-        // Ensure patient.DOB and data.agemos are available
-        if (!patient.DOB || data.agemos === undefined) {
-            console.error("Missing necessary patient data for entry " + (index + 1));
-            return EMPTY_MARK;
-        }
-
-        // Calculate the age and date for each entry
-        var date = new XDate(patient.DOB.getTime()).addMonths(data.agemos),
-            sameDay = lastDate && lastDate.diffDays(date) < 1,
-            dateText = sameDay ?
-                '•' :
-                date.toString(GC.chartSettings.dateFormat);
+    // Analysis of the current patient without the AI tab, used by the offline evaluation (ai-tab/scripts/evaluate.js)
+    NS.AISummary = {
+        analyse: fetchDataAndSendPrompt,
+        getPrompts: () => ({ growth: promptGrowth, history: promptHistory })
+    };
 
-        lastDate = date;
-        return dateText;
+    // Exported functions for use in the tests
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+            sendToAssistant, getAssistant, getCitationNumber, updateCitations, getFiles, displayFiles,
+            setupDownloadButtons, initiateDownload, createMessage, runAssistant, displayAssistantResponse, showPromptPopup
+        };
     }
-    
-    /**
-     * Retrieves the appropriate dataset for the specified type of measurement.
-     * @param {string} type - The type of measurement (e.g., "length", "weight", "headc").
-     * @returns {Object} - The dataset corresponding to the specified measurement type.
-     */
-    function getDataSet(type) {
-        var ds = GC.App.getPrimaryChartType();
-        switch (type.toLowerCase()) {
-        case "length":
-        case "stature":
-        case "lengthandstature":
-            return GC.DATA_SETS[ds + "_STATURE"] || GC.DATA_SETS[ds + "_LENGTH"];
-        case "weight":
-            return GC.DATA_SETS[ds + "_WEIGHT"];
-        case "headc":
-            return GC.DATA_SETS[ds + "_HEADC"];
-        }
-    }
-
-    // Exported functions for use in the tests --> remove comments before starting the tests
-    /*module.exports = {
-        sendToAssistant, getAssistant, getCitationNumber, updateCitations, getFiles, displayFiles,
-        setupDownloadButtons, initiateDownload, createMessage,  runAssistant, displayAssistantResponse
-    };*/
 }(GC, jQuery));
 
 
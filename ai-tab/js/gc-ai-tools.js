@@ -0,0 +1,271 @@
+/**
+ * This module provides the tools the model can call in the chat of the AI tab. The tools work on the live app, so
+ * the answers refer to the current data of the patient:
+ * - compute_zscore: the z-score and percentile of a value at an age (GC.findZFromX).
+ * - get_velocity: the velocity per year of a measure between two dates or ages.
+ * - get_mid_parental_height: the mid-parental height of the biological parents.
+ * - list_measurements: the measurements in a date or age range with z-scores, percentiles and velocities.
+ * - select_age: moves the selection of the charts to an age (GC.App.setSelectedAgemos).
+ *
+ * Ages are given in months or as dates (yyyy-mm-dd). If the chat is de-identified the model does not know the
+ * dates: dates are rejected and the results contain the ages only. The results are plain objects, which the
+ * provider sends back to the model as JSON (see options.tools of gc-ai-providers.js).
+ *
+ * Dependencies:
+ * - Global variables: GC, XDate
+ * - GC.findZFromX (gc-statistics.js) and GC.App (gc-app.js).
+ * - GC.AIGrowthTable (gc-ai-growth-table.js) for the measures, the references and the measurements.
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const MEASURE_NAMES = ["length", "weight", "headc", "bmi"];
+
+    const AGE_DESCRIPTION = "The age in months (e.g. \"14.5\") or the date (yyyy-mm-dd).";
+
+    // The tools as function definitions of the OpenAI API
+    const TOOLS = [
+        {
+            name: "compute_zscore",
+            description: "Computes the z-score and percentile of a measurement value at an age of the patient.",
+            parameters: {
+                type: "object",
+                properties: {
+                    measure: { type: "string", enum: MEASURE_NAMES, description: "length (cm), weight (kg), headc (cm) or bmi (kg/m2)." },
+                    value: { type: "number", description: "The value of the measurement." },
+                    age: { type: "string", description: AGE_DESCRIPTION },
+                    reference: { type: "string", enum: ["CDC", "WHO", "FENTON"], description: "The reference. Default: the one of the charts." }
+                },
+                required: ["measure", "value", "age"]
+            }
+        },
+        {
+            name: "get_velocity",
+            description: "Returns the growth velocity per year of a measure between the first and the last measurement in a period.",
+            parameters: {
+                type: "object",
+                properties: {
+                    measure: { type: "string", enum: ["length", "weight", "headc"] },
+                    from: { type: "string", description: AGE_DESCRIPTION },
+                    to: { type: "string", description: AGE_DESCRIPTION }
+                },
+                required: ["measure", "from", "to"]
+            }
+        },
+        {
+            name: "get_mid_parental_height",
+            description: "Returns the mid-parental (target) height of the patient calculated from the heights of the biological parents.",
+            parameters: { type: "object", properties: {} }
+        },
+        {
+            name: "list_measurements",
+            description: "Lists the measurements of the patient in a period with z-scores, percentiles and velocities, oldest first.",
+            parameters: {
+                type: "object",
+                properties: {
+                    from: { type: "string", description: AGE_DESCRIPTION + " Default: the first measurement." },
+                    to: { type: "string", description: AGE_DESCRIPTION + " Default: the last measurement." }
+                }
+            }
+        },
+        {
+            name: "select_age",
+            description: "Moves the selection of the growth charts of the app to an age of the patient.",
+            parameters: {
+                type: "object",
+                properties: {
+                    age: { type: "string", description: AGE_DESCRIPTION }
+                },
+                required: ["age"]
+            }
+        }
+    ];
+
+    /**
+     * Returns the tools as function definitions for the providers.
+     * @returns {Array<Object>} - [{ type: "function", function: { name, description, parameters } }]
+     */
+    function definitions() {
+        return TOOLS.map(tool => ({ type: "function", function: tool }));
+    }
+
+    /**
+     * Rounds a number for the results.
+     * @param {number} value - The number.
+     * @param {number} decimals - The number of decimals.
+     * @returns {number} - The rounded number.
+     */
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Returns a measure of the growth table by name.
+     * @param {string} name - length, weight, headc or bmi.
+     * @returns {Object} - The measure (GC.AIGrowthTable.MEASURES).
+     */
+    function getMeasure(name) {
+        const measure = NS.AIGrowthTable.MEASURES.find(item => item.name === name);
+        if (!measure) {
+            throw new Error(`Unknown measure "${name}"`);
+        }
+        return measure;
+    }
+
+    /**
+     * Converts an age or a date of an argument to the age in months.
+     * @param {Object} patient - The patient (GC.Patient).
+     * @param {string|number} value - The age in months or the date (yyyy-mm-dd).
+     * @param {Object} options - The options of the call (dates).
+     * @returns {number} - The age in months.
+     */
+    function toAgemos(patient, value, options) {
+        if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            if (options.dates === false) {
+                throw new Error("Dates are not available, use the age in months");
+            }
+            return new XDate(patient.DOB.getTime()).diffMonths(new XDate(value));
+        }
+        const agemos = parseFloat(value);
+        if (!isFinite(agemos) || agemos < 0) {
+            throw new Error(`Invalid age "${value}"`);
+        }
+        return agemos;
+    }
+
+    /**
+     * Describes the time of a measurement in the results.
+     * @param {Object} patient - The patient (GC.Patient).
+     * @param {number} agemos - The age in months.
+     * @param {Object} options - The options of the call (dates).
+     * @returns {Object} - { age_months, date }, without the date if dates are not available.
+     */
+    function describeAge(patient, agemos, options) {
+        const result = { age_months: round(agemos, 1) };
+        if (options.dates !== false) {
+            result.date = new XDate(patient.DOB.getTime()).addMonths(agemos).toString("yyyy-MM-dd");
+        }
+        return result;
+    }
+
+    function computeZScore(patient, args, options) {
+        const measure = getMeasure(args.measure);
+        const value = parseFloat(args.value);
+        if (!isFinite(value)) {
+            throw new Error(`Invalid value "${args.value}"`);
+        }
+        const agemos = toAgemos(patient, args.age, options);
+        const reference = NS.AIGrowthTable.getReference(args.reference);
+        const dataSet = NS.AIGrowthTable.getDataSet(reference, measure);
+        const z = dataSet ? NS.findZFromX(value, dataSet, patient.gender, agemos) : NaN;
+        if (typeof z !== "number" || !isFinite(z)) {
+            throw new Error(`The reference ${reference} has no data for ${measure.name} at ${round(agemos, 1)} months`);
+        }
+        return Object.assign({ measure: measure.name, value: value, unit: measure.unit },
+            describeAge(patient, agemos, options), {
+                reference: reference,
+                z_score: round(z, 2),
+                percentile: round(Math.normsdist(z) * 100, 1)
+            });
+    }
+
+    function getVelocity(patient, args, options) {
+        const measure = getMeasure(args.measure);
+        if (!measure.velocity) {
+            throw new Error(`There is no velocity of ${measure.name}`);
+        }
+        const from = toAgemos(patient, args.from, options);
+        const to = toAgemos(patient, args.to, options);
+        const entries = patient.getModel().filter(entry =>
+            typeof entry[measure.prop] === "number" && entry.agemos >= Math.min(from, to) && entry.agemos <= Math.max(from, to));
+        if (entries.length < 2) {
+            throw new Error(`There are less than two measurements of ${measure.name} in the period`);
+        }
+        const first = entries[0];
+        const last = entries[entries.length - 1];
+        const velocity = patient.getVelocity(measure.prop, last, first, "year");
+        const describe = entry => Object.assign(describeAge(patient, entry.agemos, options), { value: entry[measure.prop] });
+        return {
+            measure: measure.name,
+            from: describe(first),
+            to: describe(last),
+            velocity_per_year: velocity ? round(velocity.value, 2) : null,
+            unit: measure.velocity
+        };
+    }
+
+    function getMidParentalHeight(patient) {
+        const midParentalHeight = patient.getMidParentalHeight();
+        if (!midParentalHeight) {
+            throw new Error("The heights of both biological parents are needed");
+        }
+        return {
+            mid_parental_height_cm: round(midParentalHeight.height, 1),
+            percentile: round(midParentalHeight.percentile, 1),
+            father_height_cm: patient.familyHistory.father.height,
+            mother_height_cm: patient.familyHistory.mother.height
+        };
+    }
+
+    function listMeasurements(patient, args, options) {
+        const model = patient.getModel();
+        const from = args.from === undefined ? -Infinity : toAgemos(patient, args.from, options);
+        const to = args.to === undefined ? Infinity : toAgemos(patient, args.to, options);
+        // All rows, so they are in the order of the model entries
+        const table = NS.AIGrowthTable.createTable(patient, { dates: options.dates, maxRows: 0 });
+        const measurements = table.rows
+            .filter((row, i) => model[i].agemos >= from && model[i].agemos <= to)
+            .map(row => {
+                const measurement = {};
+                table.columns.forEach((column, i) => {
+                    if (row[i] !== null) {
+                        measurement[column] = row[i];
+                    }
+                });
+                return measurement;
+            });
+        return { reference: table.reference, measurements: measurements };
+    }
+
+    function selectAge(patient, args, options) {
+        const agemos = toAgemos(patient, args.age, options);
+        NS.App.setSelectedAgemos(agemos);
+        return Object.assign({ selected: true }, describeAge(patient, agemos, options));
+    }
+
+    const HANDLERS = {
+        compute_zscore: computeZScore,
+        get_velocity: getVelocity,
+        get_mid_parental_height: getMidParentalHeight,
+        list_measurements: listMeasurements,
+        select_age: selectAge
+    };
+
+    /**
+     * Calls a tool.
+     * @param {string} name - The name of the tool, e.g. "compute_zscore".
+     * @param {Object} args - The arguments of the model.
+     * @param {Object} [options] - { patient (default: the patient of the app), dates: false if the model does not
+     *     know the dates (de-identified chat) }
+     * @returns {Object} - The result, errors are thrown with a message for the model.
+     */
+    function call(name, args, options) {
+        options = options || {};
+        if (!HANDLERS[name]) {
+            throw new Error(`Unknown tool "${name}"`);
+        }
+        return HANDLERS[name](options.patient || NS.App.getPatient(), args || {}, options);
+    }
+
+    NS.AITools = {
+        TOOLS: TOOLS,
+        definitions: definitions,
+        call: call
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AITools;
+    }
+}(GC));
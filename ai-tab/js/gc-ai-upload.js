@@ -0,0 +1,258 @@
+/**
+ * This module checks the files uploaded in the chat of the AI tab and parses CSV files of measurements.
+ *
+ * Only these files are accepted:
+ * - pdf: PDF documents (e.g. reports or guidelines) up to 20 MB.
+ * - image: PNG, JPEG, GIF and WebP images (e.g. a photo of a growth chart) up to 10 MB.
+ * - csv: measurements of the patient up to 1 MB, see parseMeasurements.
+ *
+ * The type is checked by the extension, the MIME type reported by the browser and the first bytes of the file.
+ * The files are read with a FileReader, so nothing leaves the browser here.
+ *
+ * Dependencies:
+ * - Global variables: GC, XDate
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    const MB = 1024 * 1024;
+
+    // The accepted files with their extensions, MIME types (browsers report CSV files differently) and maximum size
+    const FILE_TYPES = {
+        pdf: {
+            extensions: ["pdf"],
+            mimeTypes: ["application/pdf"],
+            maxSize: 20 * MB
+        },
+        image: {
+            extensions: ["png", "jpg", "jpeg", "gif", "webp"],
+            mimeTypes: ["image/png", "image/jpeg", "image/gif", "image/webp"],
+            maxSize: 10 * MB
+        },
+        csv: {
+            extensions: ["csv"],
+            mimeTypes: ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"],
+            maxSize: 1 * MB
+        }
+    };
+
+    // The first bytes of the binary files
+    const SIGNATURES = {
+        pdf: [[0x25, 0x50, 0x44, 0x46, 0x2D]],
+        image: [
+            [0x89, 0x50, 0x4E, 0x47],
+            [0xFF, 0xD8, 0xFF],
+            [0x47, 0x49, 0x46, 0x38],
+            [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]
+        ]
+    };
+
+    // The columns of a CSV file of measurements by their (lower case) names in the header
+    const COLUMNS = {
+        date: "date",
+        age: "agemos",
+        agemos: "agemos",
+        age_mo: "agemos",
+        age_months: "agemos",
+        length: "lengthAndStature",
+        height: "lengthAndStature",
+        stature: "lengthAndStature",
+        length_cm: "lengthAndStature",
+        height_cm: "lengthAndStature",
+        lengthandstature: "lengthAndStature",
+        weight: "weight",
+        weight_kg: "weight",
+        headc: "headc",
+        head_cm: "headc",
+        head_circumference: "headc",
+        bmi: "bmi",
+        bmi_kg_m2: "bmi"
+    };
+
+    // The plausible values of the measurements (cm, kg, kg/m2)
+    const RANGES = {
+        lengthAndStature: [20, 250],
+        weight: [0.2, 250],
+        headc: [15, 70],
+        bmi: [5, 80]
+    };
+
+    /**
+     * Reads a file or a part of it.
+     * @param {Blob} file - The file.
+     * @param {string} format - "text", "arrayBuffer" or "dataURL".
+     * @returns {Promise<string|ArrayBuffer>} - The content.
+     */
+    function readFile(file, format) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error(`Cannot read ${file.name}`));
+            if (format === "text") {
+                reader.readAsText(file);
+            } else if (format === "dataURL") {
+                reader.readAsDataURL(file);
+            } else {
+                reader.readAsArrayBuffer(file);
+            }
+        });
+    }
+
+    /**
+     * Checks the first bytes of a binary file.
+     * @param {Uint8Array} bytes - The first bytes of the file.
+     * @param {string} type - "pdf" or "image".
+     * @returns {boolean} - True if the bytes match the type (always true for text files).
+     */
+    function matchesSignature(bytes, type) {
+        if (!SIGNATURES[type]) {
+            return true;
+        }
+        return SIGNATURES[type].some(signature =>
+            signature.every((byte, i) => byte === null || bytes[i] === byte));
+    }
+
+    /**
+     * Checks an uploaded file.
+     * @param {File} file - The file selected in the chat.
+     * @returns {Promise<Object>} - { type: "pdf", "image" or "csv" } or { error: "type", "size" or "empty", maxSize }.
+     */
+    async function validate(file) {
+        const extension = (file.name.split(".").pop() || "").toLowerCase();
+        const type = Object.keys(FILE_TYPES).find(name => FILE_TYPES[name].extensions.indexOf(extension) !== -1);
+        if (!type || (file.type && FILE_TYPES[type].mimeTypes.indexOf(file.type) === -1)) {
+            return { error: "type" };
+        }
+        if (!file.size) {
+            return { error: "empty" };
+        }
+        if (file.size > FILE_TYPES[type].maxSize) {
+            return { error: "size", maxSize: FILE_TYPES[type].maxSize };
+        }
+        const bytes = new Uint8Array(await readFile(file.slice(0, 12), "arrayBuffer"));
+        if (!matchesSignature(bytes, type)) {
+            return { error: "type" };
+        }
+        return { type: type };
+    }
+
+    /**
+     * Splits a line of a CSV file, respecting quoted values.
+     * @param {string} line - The line.
+     * @param {string} separator - "," or ";".
+     * @returns {Array<string>} - The trimmed values.
+     */
+    function splitLine(line, separator) {
+        const values = [];
+        let value = "";
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (char === separator && !quoted) {
+                values.push(value.trim());
+                value = "";
+            } else {
+                value += char;
+            }
+        }
+        values.push(value.trim());
+        return values;
+    }
+
+    /**
+     * Parses a CSV file of measurements into records for GC.Patient.prototype.writeRecord. The first line is the
+     * header with the columns date (yyyy-mm-dd) or age (months) and any of length/height (cm), weight (kg),
+     * headc (cm) and bmi (kg/m2), e.g. "date,height_cm,weight_kg". Units in parentheses are ignored
+     * ("Weight (kg)"). Values are separated by commas or semicolons; with semicolons a decimal comma is accepted.
+     * Lines with errors are skipped and reported.
+     * @param {string} text - The content of the file.
+     * @param {Object} options - { DOB: the birth date of the patient (XDate), today: the current date (XDate) }
+     * @returns {Object} - { records: [{ agemos, lengthAndStature, weight, headc, bmi }], errors: [{ line, error,
+     *     column, value }] } with the errors "header" (no date or age column or no measurement column), "age"
+     *     (no valid date or age), "future" (a date after today), "value" (not a number) and "range" (not plausible).
+     */
+    function parseMeasurements(text, options) {
+        const lines = String(text).replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+        const headerLine = lines[0] || "";
+        const separator = headerLine.split(";").length > headerLine.split(",").length ? ";" : ",";
+        const header = splitLine(headerLine, separator).map(name =>
+            COLUMNS[name.toLowerCase().replace(/\(.*\)/, "").trim().replace(/[\s-]+/g, "_")] || null);
+        const result = { records: [], errors: [] };
+
+        const hasAge = header.indexOf("date") !== -1 || header.indexOf("agemos") !== -1;
+        if (!hasAge || !header.some(column => RANGES[column])) {
+            result.errors.push({ line: 1, error: "header" });
+            return result;
+        }
+
+        const today = options.today || new XDate();
+        lines.slice(1).forEach((line, i) => {
+            if (!line.trim()) {
+                return;
+            }
+            const lineNumber = i + 2;
+            const values = splitLine(line, separator);
+            const record = {};
+            let error = null;
+
+            header.forEach((column, j) => {
+                const value = values[j] || "";
+                if (error || !column || value === "") {
+                    return;
+                }
+                if (column === "date") {
+                    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new XDate(value) : null;
+                    if (!date || !date.valid()) {
+                        error = { line: lineNumber, error: "age", column: column, value: value };
+                    } else if (date.getTime() > today.getTime()) {
+                        error = { line: lineNumber, error: "future", column: column, value: value };
+                    } else {
+                        record.agemos = options.DOB.diffMonths(date);
+                    }
+                    return;
+                }
+                const number = Number(separator === ";" ? value.replace(",", ".") : value);
+                if (!isFinite(number)) {
+                    error = { line: lineNumber, error: "value", column: column, value: value };
+                } else if (column === "agemos") {
+                    record.agemos = record.agemos === undefined ? number : record.agemos;
+                } else if (number < RANGES[column][0] || number > RANGES[column][1]) {
+                    error = { line: lineNumber, error: "range", column: column, value: value };
+                } else {
+                    record[column] = number;
+                }
+            });
+
+            if (!error && (typeof record.agemos !== "number" || record.agemos < 0)) {
+                error = { line: lineNumber, error: "age" };
+            }
+            if (error) {
+                result.errors.push(error);
+            } else if (Object.keys(record).length > 1) {
+                result.records.push(record);
+            }
+        });
+
+        result.records.sort((a, b) => a.agemos - b.agemos);
+        return result;
+    }
+
+    NS.AIUpload = {
+        FILE_TYPES: FILE_TYPES,
+        readFile: readFile,
+        validate: validate,
+        parseMeasurements: parseMeasurements
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIUpload;
+    }
+}(GC));
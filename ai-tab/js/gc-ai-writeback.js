@@ -0,0 +1,189 @@
+/**
+ * This module creates the FHIR (R4) resources of the findings a clinician accepts in the AI tab and writes them
+ * back to the EHR of the SMART launch:
+ * - Observation: the growth abnormality flag of the growth section with its findings as note (preliminary).
+ * - ClinicalImpression: the executive summary with the growth findings and the differential diagnoses
+ *   (in-progress, R4 has no draft status).
+ * - ServiceRequest: a recommended specialist referral (draft proposal).
+ *
+ * All resources are labeled as asserted by an AI, so the EHR can tell them apart from the entries of the
+ * clinicians. They are previewed in the AI tab before they are submitted with the FHIR client (fhirclient) and
+ * need the write scopes of the launch (launch.html).
+ *
+ * Dependencies:
+ * - Global variables: GC
+ * - GC.AIReport (gc-ai-report.js) for the security label of the resources asserted by an AI.
+ *
+ */
+(function(NS) {
+    "use strict";
+
+    // Interpretation of the abnormality flag (HL7 v3 ObservationInterpretation)
+    const INTERPRETATIONS = {
+        abnormal: { system: "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation", code: "A", display: "Abnormal" },
+        normal: { system: "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation", code: "N", display: "Normal" }
+    };
+
+    const EXAM_CATEGORY = {
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "exam", display: "Exam" }]
+    };
+
+    const REFERRAL_CATEGORY = {
+        coding: [{ system: "http://snomed.info/sct", code: "3457005", display: "Patient referral" }]
+    };
+
+    // System of the ICD-10 codes of the differential diagnoses
+    const ICD10 = "http://hl7.org/fhir/sid/icd-10";
+
+    // The FHIR users who can be the author of the resources
+    const AUTHOR_TYPES = ["Practitioner", "PractitionerRole"];
+
+    /**
+     * Creates the properties shared by all resources.
+     * @param {string} resourceType - The type of the resource.
+     * @param {Object} context - { patient: { id, name }, author: the FHIR user (e.g. "Practitioner/123"), date:
+     *     ISO date of the analysis, model: the model of the analysis }
+     * @returns {Object} - The resource with its type, meta and subject.
+     */
+    function createResource(resourceType, context) {
+        return {
+            resourceType: resourceType,
+            meta: { security: [NS.AIReport.AI_ASSERTED] },
+            subject: Object.assign({ reference: `Patient/${context.patient.id}` },
+                context.patient.name ? { display: context.patient.name } : {})
+        };
+    }
+
+    /**
+     * Returns the reference of the author if the FHIR user is a practitioner.
+     * @param {Object} context - The context of the resources.
+     * @returns {Object|null} - The reference or null.
+     */
+    function getAuthor(context) {
+        const type = String(context.author || "").split("/")[0];
+        return AUTHOR_TYPES.indexOf(type) !== -1 ? { reference: context.author } : null;
+    }
+
+    /**
+     * Creates the notes of a resource, empty texts are skipped (FHIR does not allow empty arrays).
+     * @param {Array<string>} texts - The texts.
+     * @returns {Object} - { note: the annotations } or {} without a text.
+     */
+    function createNotes(texts) {
+        const notes = texts.filter(Boolean).map(text => ({ text: text }));
+        return notes.length ? { note: notes } : {};
+    }
+
+    /**
+     * Creates the Observation of the growth abnormality flag.
+     * @param {Object} growth - { abnormality: true if the growth is abnormal, findings: the texts of the findings }
+     * @param {Object} context - { patient: { id, name }, author, date, model }
+     * @returns {Object} - The preliminary Observation.
+     */
+    function createObservation(growth, context) {
+        const author = getAuthor(context);
+        return Object.assign(createResource("Observation", context), {
+            status: "preliminary",
+            category: [EXAM_CATEGORY],
+            code: { text: "Growth abnormality (AI growth analysis)" },
+            effectiveDateTime: context.date,
+            issued: context.date
+        }, author ? { performer: [author] } : {}, {
+            valueBoolean: !!growth.abnormality,
+            interpretation: [{ coding: [growth.abnormality ? INTERPRETATIONS.abnormal : INTERPRETATIONS.normal] }],
+            method: { text: `AI growth analysis (${context.model})` }
+        }, createNotes(growth.findings || []));
+    }
+
+    /**
+     * Creates the ClinicalImpression of the analysis.
+     * @param {Object} analysis - { summary: the texts of the summary, findings: the texts of the growth findings,
+     *     differentials: [{ diagnosis, icd10, rationale }] }
+     * @param {Object} context - { patient: { id, name }, author, date, model }
+     * @returns {Object} - The ClinicalImpression in progress.
+     */
+    function createClinicalImpression(analysis, context) {
+        const author = getAuthor(context);
+        const findings = (analysis.findings || []).map(finding => ({ itemCodeableConcept: { text: finding } }))
+            .concat((analysis.differentials || []).map(item => Object.assign({
+                itemCodeableConcept: Object.assign(item.icd10 ? { coding: [{ system: ICD10, code: item.icd10 }] } : {},
+                    { text: item.diagnosis })
+            }, item.rationale ? { basis: item.rationale } : {})));
+        return Object.assign(createResource("ClinicalImpression", context), {
+            status: "in-progress",
+            description: `AI growth analysis (${context.model})`,
+            effectiveDateTime: context.date,
+            date: context.date
+        }, author ? { assessor: author } : {}, {
+            summary: (analysis.summary || []).join("\n")
+        }, findings.length ? { finding: findings } : {});
+    }
+
+    /**
+     * Creates the ServiceRequest of a recommended referral.
+     * @param {Object} referral - { specialty, reason, nextSteps }
+     * @param {Object} context - { patient: { id, name }, author, date, model }
+     * @returns {Object} - The draft proposal.
+     */
+    function createServiceRequest(referral, context) {
+        const author = getAuthor(context);
+        return Object.assign(createResource("ServiceRequest", context), {
+            status: "draft",
+            intent: "proposal",
+            category: [REFERRAL_CATEGORY],
+            code: { text: `Referral to ${referral.specialty}` },
+            authoredOn: context.date
+        }, author ? { requester: author } : {}, {
+            performerType: { text: referral.specialty }
+        }, referral.reason ? { reasonCode: [{ text: referral.reason }] } : {},
+        createNotes([referral.nextSteps, `Recommended by the AI growth analysis (${context.model}).`]));
+    }
+
+    /**
+     * Describes an error of the FHIR server with the issues of its OperationOutcome.
+     * @param {Error} error - The error of the FHIR client, a fhirclient HttpError has the JSON body of the response
+     *     appended to its message.
+     * @returns {string} - The message.
+     */
+    function describeError(error) {
+        const body = error.message.indexOf("\n\n{");
+        if (error.status && body !== -1) {
+            try {
+                const outcome = JSON.parse(error.message.substr(body + 2));
+                const issues = (outcome.issue || []).map(issue => issue.diagnostics || (issue.details && issue.details.text))
+                    .filter(Boolean);
+                if (issues.length) {
+                    return `${error.status} ${error.statusText}: ${issues.join("; ")}`;
+                }
+            } catch (parseError) {
+                // the message of the error is used
+            }
+        }
+        return error.message;
+    }
+
+    /**
+     * Creates a resource on the FHIR server.
+     * @param {Object} client - The FHIR client of the SMART launch (GC.FHIR_CLIENT).
+     * @param {Object} resource - The resource.
+     * @returns {Promise<Object>} - The created resource with its id, rejected with the issues of the server.
+     */
+    async function submit(client, resource) {
+        try {
+            return await client.create(resource, { headers: { "content-type": "application/fhir+json" } });
+        } catch (error) {
+            throw new Error(describeError(error));
+        }
+    }
+
+    NS.AIWriteBack = {
+        createObservation: createObservation,
+        createClinicalImpression: createClinicalImpression,
+        createServiceRequest: createServiceRequest,
+        submit: submit
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = NS.AIWriteBack;
+    }
+}(GC));
@@ -0,0 +1,45 @@
+/**
+ * Builds the local retrieval index of the clinical practice guidelines.
+ *
+ * Extracts the text of every PDF in ai-tab/guidelines, splits it into passages (gc-ai-retrieval.js) and writes
+ * them to ai-tab/guidelines/guidelines-index.json, which is loaded by the AI tab. The index is build output and
+ * ignored by git, `npm start` builds it before the server starts. Run it again after adding or replacing a guideline:
+ *
+ *     npm run build-guidelines-index
+ *
+ * Dependencies:
+ * - pdfjs-dist (legacy build for Node)
+ *
+ */
+const fs = require("fs");
+const path = require("path");
+
+global.GC = {};
+const pdfjsLib = require("pdfjs-dist/legacy/build/pdf.js");
+const AIRetrieval = require("../js/gc-ai-retrieval.js");
+
+const GUIDELINES_DIR = path.join(__dirname, "..", "guidelines");
+const INDEX_FILE = path.join(GUIDELINES_DIR, "guidelines-index.json");
+
+async function main() {
+    const files = fs.readdirSync(GUIDELINES_DIR)
+        .filter(file => file.toLowerCase().endsWith(".pdf"))
+        .sort();
+    let chunks = [];
+
+    for (const file of files) {
+        const data = new Uint8Array(fs.readFileSync(path.join(GUIDELINES_DIR, file)));
+        const pages = await AIRetrieval.extractPages(pdfjsLib, data);
+        const fileChunks = AIRetrieval.chunkPages(file, pages);
+        console.log(`${file}: ${pages.length} pages, ${fileChunks.length} passages`);
+        chunks = chunks.concat(fileChunks);
+    }
+
+    fs.writeFileSync(INDEX_FILE, JSON.stringify({ version: 1, files: files, chunks: chunks }));
+    console.log(`Wrote ${chunks.length} passages to ${path.relative(process.cwd(), INDEX_FILE)}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,384 @@
+/**
+ * Evaluates the prompts of the AI tab offline against the synthetic patients in ai-tab/fixtures/patients.
+ *
+ * Every case of the expected answers (ai-tab/fixtures/expected-answers.json) is loaded from its FHIR bundles by the
+ * loaders of the app (load-fhir-data.js, load-patient-history.js) into a GC.Patient, analyzed by the AI tab
+ * (gc-ai-summary.js builds the growth and history prompts and runs the sections) and scored (gc-ai-evaluation.js).
+ * The bundles contain no Patient resources, so the demographics of the cases are part of the expected answers.
+ *
+ *     npm run evaluate -- [options]
+ *
+ * Options:
+ * --provider <name>      The provider (mock, replay, openai-chat, openai-assistants). Default: mock.
+ * --model <model>        The model of "openai-chat", --base-url <url> its endpoint.
+ * --assistant-id <id>    The assistant of "openai-assistants". The API key is read from OPENAI_API_KEY (or .env).
+ * --record <file>        Records the replies of the provider for the replay provider.
+ * --recordings <file>    The recorded replies of the replay provider: a file written with --record or the audit
+ *                        log exported as JSON (ai-audit.html).
+ * --today <yyyy-mm-dd>   The date of today, which is part of the prompts. Default: the date of the recordings.
+ * --retrieval <mode>     "local" (default) or "provider" guideline retrieval.
+ * --no-deidentify        Sends the names and dates instead of the pseudonym and ages.
+ * --prompt-version <v>   The version of the prompt templates (gc-ai-prompts.js). Default: the default version.
+ * --growth-format <f>    "csv" or "table" growth data (gc-ai-growth-table.js). Default: the chart settings.
+ * --reference <ref>      The reference of the z-scores: auto, CDC, WHO or FENTON. Default: the chart settings.
+ * --max-rows <n>         The maximum number of measurements per prompt (0 keeps all). Default: the chart settings.
+ * --case <id>            Evaluates only the given case (can be repeated).
+ * --answers <file>       The expected answers. Default: ai-tab/fixtures/expected-answers.json.
+ * --json <file>          Writes the report as JSON, including the prompts.
+ *
+ * Dependencies:
+ * - jsdom, fhirclient (units of the observations), openai (OpenAI providers), dotenv
+ *
+ */
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const fhirLib = require("fhirclient/lib/lib.js");
+require("dotenv").config();
+
+global.GC = {};
+const AIEvaluation = require("../js/gc-ai-evaluation.js");
+const AIPrompts = require("../js/gc-ai-prompts.js");
+
+const ROOT = path.join(__dirname, "..", "..");
+const PATIENTS_DIR = path.join(ROOT, "ai-tab", "fixtures", "patients");
+const ANSWERS_FILE = path.join(ROOT, "ai-tab", "fixtures", "expected-answers.json");
+
+// Scripts of index.html needed by the AI tab, in the same order
+const SCRIPTS = [
+    "js/polyfills.js",
+    "js/gc-ucum.js",
+    "js/gc-code-mapping.js",
+    "load-fhir-data.js",
+    "ai-tab/js/load-patient-history.js",
+    "lib/jquery-1.8.2.js",
+    "lib/jquery-ui-1.9.1.js",
+    "lib/raphael.js",
+    "lib/xdate.js",
+    "js/util.js",
+    "js/gc-model.js",
+    "js/gc-chart-config.js",
+    "js/gc-smart-data.js",
+    "js/gc-translations.js",
+    "js/gc-pointset.js",
+    "js/gc-charts-data.js",
+    "js/gc-statistics.js",
+    "ai-tab/js/gc-ai-providers.js",
+    "ai-tab/js/gc-ai-schema.js",
+    "ai-tab/js/gc-ai-plan.js",
+    "ai-tab/js/gc-ai-cache.js",
+    "ai-tab/js/gc-ai-deidentify.js",
+    "ai-tab/js/gc-ai-audit.js",
+    "ai-tab/js/gc-ai-feedback.js",
+    "ai-tab/js/gc-ai-rules.js",
+    "ai-tab/js/gc-ai-retrieval.js",
+    "ai-tab/js/gc-ai-growth-table.js",
+    "ai-tab/js/gc-ai-consistency.js",
+    "ai-tab/js/gc-ai-prompts.js",
+    "ai-tab/js/gc-ai-summary.js"
+];
+
+function parseArguments(args) {
+    const options = {
+        provider: "mock", deidentify: true, retrieval: "local", promptVersion: AIPrompts.DEFAULT_VERSION, cases: [],
+        answers: ANSWERS_FILE
+    };
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value of ${name}`);
+            }
+            return args[++i];
+        };
+        switch (name) {
+        case "--provider": options.provider = value(); break;
+        case "--model": options.model = value(); break;
+        case "--base-url": options.baseURL = value(); break;
+        case "--assistant-id": options.assistantId = value(); break;
+        case "--record": options.record = value(); break;
+        case "--recordings": options.recordings = value(); break;
+        case "--today": options.today = value(); break;
+        case "--retrieval": options.retrieval = value(); break;
+        case "--no-deidentify": options.deidentify = false; break;
+        case "--prompt-version": options.promptVersion = value(); break;
+        case "--growth-format": options.growthFormat = value(); break;
+        case "--reference": options.growthReference = value(); break;
+        case "--max-rows": options.growthMaxRows = Number(value()); break;
+        case "--case": options.cases.push(value()); break;
+        case "--answers": options.answers = value(); break;
+        case "--json": options.json = value(); break;
+        default: throw new Error(`Unknown option ${name}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Reads the recorded replies: a file written with --record or an export of the audit log, whose completed
+ * analysis records are replayed by their prompt hash.
+ * @param {string} file - The file.
+ * @returns {Object} - { today, model, recordings: { <hash of the prompt>: reply } }
+ */
+function readRecordings(file) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(data)) {
+        return data;
+    }
+    const records = data.filter(record => record.type === "analysis" && record.status === "completed");
+    const recordings = {};
+    records.forEach(record => {
+        recordings[record.promptHash] = record.response;
+    });
+    return {
+        today: records.length ? records[0].timestamp.substr(0, 10) : undefined,
+        model: records.length ? records[0].model.split(":").slice(1).join(":") : undefined,
+        recordings: recordings
+    };
+}
+
+/**
+ * Creates a FHIR client which searches the resources of the bundles instead of a FHIR server, as far as the
+ * loaders of the app need it (searches by patient, code and code:not).
+ * @param {Object} patient - The demographics of the case { id, name, gender, birthDate }.
+ * @param {Array<Object>} resources - The resources of the bundles.
+ * @returns {Object} - The client.
+ */
+function createClient(patient, resources) {
+    const names = patient.name.split(" ");
+    const patientResource = {
+        resourceType: "Patient",
+        id: patient.id,
+        name: [{ given: names.length > 1 ? names.slice(0, -1) : names, family: names.length > 1 ? names[names.length - 1] : "" }],
+        gender: patient.gender,
+        birthDate: patient.birthDate
+    };
+
+    function hasCode(resource, codes) {
+        return ((resource.code || {}).coding || []).some(coding => codes.indexOf(`${coding.system}|${coding.code}`) !== -1);
+    }
+
+    function isOfPatient(resource) {
+        return ((resource.subject || resource.patient || {}).reference) === `Patient/${patient.id}`;
+    }
+
+    return {
+        patient: {
+            id: patient.id,
+            read: () => Promise.resolve(patientResource)
+        },
+        units: fhirLib.units,
+        byCode: fhirLib.byCode,
+        getPath: fhirLib.getPath,
+        request: url => {
+            const [type, search] = url.split("?");
+            const query = new URLSearchParams(search);
+            const codes = query.get("code") ? query.get("code").split(",") : [];
+            const excluded = query.getAll("code:not");
+            return Promise.resolve(resources.filter(resource => resource.resourceType === type && isOfPatient(resource) &&
+                (!codes.length || hasCode(resource, codes)) && !hasCode(resource, excluded)));
+        }
+    };
+}
+
+/**
+ * Wraps a provider to record the completed replies by the hash of the prompt.
+ * @param {Object} provider - The provider.
+ * @param {Function} hash - GC.AICache.hash.
+ * @param {Object} recordings - Receives the replies.
+ * @returns {Object} - The recording provider.
+ */
+function recordReplies(provider, hash, recordings) {
+    const prompts = {};
+
+    function record(conversationId, reply) {
+        if (reply.status === "completed" && prompts[conversationId] !== undefined) {
+            recordings[hash(prompts[conversationId])] = reply.content;
+        }
+        return reply;
+    }
+
+    return Object.assign({}, provider, {
+        sendMessage: (conversationId, content) => {
+            prompts[conversationId] = content;
+            return provider.sendMessage(conversationId, content);
+        },
+        pollReply: (conversationId, options) => provider.pollReply(conversationId, options)
+            .then(reply => record(conversationId, reply)),
+        streamReply: (conversationId, options, onText) => provider.streamReply(conversationId, options, onText)
+            .then(reply => record(conversationId, reply))
+    });
+}
+
+/**
+ * Loads the app into a new window and analyzes one case with the AI tab.
+ * @param {Object} testCase - The case of the expected answers.
+ * @param {Object} settings - { ai: the AI settings, today, recordings, sources, curveData }
+ * @returns {Promise<Object>} - { results: the results of the sections by section key, prompts: { growth, history } }
+ */
+async function analyseCase(testCase, settings) {
+    let resources = [];
+    testCase.bundles.forEach(bundle => {
+        const data = JSON.parse(fs.readFileSync(path.join(PATIENTS_DIR, bundle), "utf8"));
+        resources = resources.concat((data.entry || []).map(entry => entry.resource));
+    });
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("error", (...args) => console.error(`[${testCase.id}]`, ...args));
+    virtualConsole.on("warn", (...args) => console.warn(`[${testCase.id}]`, ...args));
+    const dom = new JSDOM('<!DOCTYPE html><div id="guideline-files"></div>', {
+        url: "http://localhost/",
+        runScripts: "outside-only",
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+
+    try {
+        const loaded = new Promise(resolve => window.document.addEventListener("DOMContentLoaded", resolve));
+        if (settings.today) {
+            // The ages in the prompts are relative to today
+            window.eval(`Date = (function(NativeDate, now) {
+                class FixedDate extends NativeDate {
+                    constructor(...args) { super(...(args.length ? args : [now])); }
+                    static now() { return now; }
+                }
+                return FixedDate;
+            }(Date, ${new Date(settings.today + "T12:00:00").getTime()}));`);
+        }
+        window.FHIR = { oauth2: { ready: () => Promise.resolve(createClient(testCase.patient, resources)) } };
+        window.fetch = url => new Promise((resolve, reject) => {
+            fs.readFile(path.join(ROOT, url), "utf8", (error, text) => error ? reject(error) : resolve({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve(JSON.parse(text))
+            }));
+        });
+        if (settings.ai.provider.indexOf("openai") === 0) {
+            window.OpenAI = require("openai").OpenAI;
+        }
+
+        settings.sources.forEach(source => window.eval(source));
+
+        const GC = window.GC;
+        let patient = null;
+        GC.App = {
+            getPatient: () => patient,
+            getGender: () => patient.gender,
+            getLanguage: () => "en",
+            getPrimaryChartType: () => "CDC",
+            getCorrectionalChartType: () => "FENTON",
+            // The whole age range of the charts, e.g. for the length data set of the position correction
+            getStartAgeMos: () => 0,
+            getEndAgeMos: () => 240
+        };
+        GC.DATA_SETS = GC.prepareDataSets(JSON.parse(settings.curveData));
+        GC.Preferences.proxy = new GC.DummyProxy();
+        GC.Scratchpad.proxy = new GC.DummyProxy();
+        Object.assign(GC.chartSettings.ai, settings.ai);
+        if (settings.recordings) {
+            const create = GC.AIProviders.create;
+            GC.AIProviders.create = config => recordReplies(create(config), GC.AICache.hash, settings.recordings);
+        }
+
+        await loaded; // the provider is created when the document is loaded
+
+        const data = await GC.get_data();
+        patient = new GC.Patient(data.demographics, data.vitals, null, data.familyHistory, null, data.boneAge);
+        GC.translatePreemieDatasets(patient);
+
+        const results = await GC.AISummary.analyse();
+        return { results: results, prompts: GC.AISummary.getPrompts() };
+    } finally {
+        window.close();
+    }
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const answers = JSON.parse(fs.readFileSync(options.answers, "utf8"));
+    const cases = answers.cases.filter(entry => !options.cases.length || options.cases.indexOf(entry.id) !== -1);
+    if (!cases.length) {
+        throw new Error("No cases to evaluate");
+    }
+    AIPrompts.get(options.promptVersion); // throws for an unknown version
+
+    const ai = {
+        provider: options.provider,
+        apiKey: process.env.OPENAI_API_KEY || "",
+        cache: "none",
+        audit: "none",
+        deidentify: options.deidentify,
+        retrieval: options.retrieval,
+        promptVersion: options.promptVersion
+    };
+    ["model", "baseURL", "assistantId", "growthFormat", "growthReference", "growthMaxRows"].forEach(key => {
+        if (options[key] !== undefined) {
+            ai[key] = options[key];
+        }
+    });
+
+    let today = options.today;
+    if (options.provider === "replay") {
+        if (!options.recordings) {
+            throw new Error("The replay provider needs --recordings");
+        }
+        const replay = readRecordings(options.recordings);
+        ai.recordings = replay.recordings;
+        ai.model = ai.model || replay.model;
+        today = today || replay.today;
+    }
+
+    const recording = options.record ? {
+        version: 1,
+        provider: options.provider,
+        model: ai.model,
+        today: today || new Date().toISOString().substr(0, 10),
+        recordings: {}
+    } : null;
+
+    const settings = {
+        ai: ai,
+        today: recording ? recording.today : today,
+        recordings: recording ? recording.recordings : null,
+        sources: SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), "utf8")),
+        curveData: fs.readFileSync(path.join(ROOT, "GCCurveDataJSON.txt"), "utf8")
+    };
+
+    const reportCases = [];
+    for (const testCase of cases) {
+        const entry = { id: testCase.id };
+        try {
+            const { results, prompts } = await analyseCase(testCase, settings);
+            entry.prompts = prompts;
+            entry.answers = AIEvaluation.extractAnswers(results);
+            entry.incomplete = Object.keys(results)
+                .filter(key => results[key].status !== "done")
+                .map(key => `${key} ${results[key].status}`);
+            Object.assign(entry, AIEvaluation.scoreCase(entry.answers, testCase.expected));
+        } catch (error) {
+            entry.error = error.message;
+        }
+        reportCases.push(entry);
+    }
+
+    const report = { cases: reportCases, summary: AIEvaluation.summarize(reportCases) };
+    console.log(AIEvaluation.formatReport(report));
+
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(Object.assign({
+            date: new Date().toISOString(),
+            provider: ai.provider,
+            model: ai.model || null,
+            promptVersion: ai.promptVersion
+        }, report), null, 2));
+    }
+    if (recording) {
+        fs.writeFileSync(options.record, JSON.stringify(recording, null, 2));
+        console.log(`Recorded ${Object.keys(recording.recordings).length} replies in ${options.record}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -27,6 +27,17 @@ global.GC = {
         standard_WEIGHT: {},
         standard_HEADC: {},
     },
+    chartSettings: {
+        ai: {
+            provider: 'openai-assistants',
+            apiKey: 'Mock-Key',
+            assistantId: 'asst_6LEnciXiGknEgzaJKlrssixL'
+        }
+    },
+    Preferences: {
+        bind: jest.fn()
+    },
+    str: jest.fn().mockImplementation((key) => key),
     findPercentileFromX: jest.fn().mockReturnValue(0.5),
     findZFromX: jest.fn().mockReturnValue(1.5),
     getPatientHistory: jest.fn().mockResolvedValue([]) // Mock patient history function
@@ -41,6 +52,15 @@ global.XDate = jest.fn().mockImplementation(() => ({
 }));
 
 // Import the actual functions from the module after defining GC
+require('../js/gc-ai-providers.js');
+require('../js/gc-ai-audit.js');
+require('../js/gc-ai-chat-history.js');
+require('../js/gc-ai-schema.js');
+require('../js/gc-ai-plan.js');
+require('../js/gc-ai-prompts.js');
+require('../js/gc-ai-feedback.js');
+require('../js/gc-ai-consistency.js');
+require('../js/gc-ai-rules.js');
 const { 
     sendToAssistant, 
     getAssistant, 
@@ -50,9 +70,20 @@ const {
     displayFiles, 
     createMessage,
     runAssistant,    
-    displayAssistantResponse  
+    displayAssistantResponse,
+    showPromptPopup
 } = require('../js/gc-ai-summary.js');
 
+// Structured response of the model (gc-ai-schema.js) containing the fields of every section
+const ANALYSIS = {
+    abnormality: false,
+    growthFindings: [{ measurement: 'length', finding: 'Test response' }],
+    historyFindings: ['Test response'],
+    referrals: [{ specialty: 'Endocrinology', reason: 'Test response' }],
+    differentials: [{ diagnosis: 'Constitutional delay', icd10: 'R62.5' }],
+    summary: ['Test response']
+};
+
 describe('AI Tab Functions', () => {
     beforeAll(() => {
         // Initialize OpenAI using window.OpenAI
@@ -67,7 +98,7 @@ describe('AI Tab Functions', () => {
                     messages: {
                         create: jest.fn().mockResolvedValue({}),
                         list: jest.fn().mockResolvedValue({
-                            data: [{ role: 'assistant', content: [{ text: { value: 'Test response', annotations: [] } }] }],
+                            data: [{ role: 'assistant', content: [{ text: { value: JSON.stringify(ANALYSIS), annotations: [] } }] }],
                         }),
                     },
                     runs: {
@@ -110,15 +141,35 @@ describe('AI Tab Functions', () => {
             <div class="abnormality-warning"></div>
             <div class="check-icon"></div>
             <div id="chat-container">
-                <div class="chat-content"></div>
+                <div class="chat-content">
+                    <ul class="chat-messages"></ul>
+                </div>
             </div>
         `;
     });
 
-    // Tests the initialization of openai
-    test('should initialize OpenAI when DOM content is loaded', () => {
+    // Tests the initialization of the provider
+    test('should initialize the provider when DOM content is loaded', () => {
+        const create = jest.spyOn(GC.AIProviders, 'create');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        expect(create).toHaveBeenCalledWith(GC.chartSettings.ai);
+        expect(GC.Preferences.bind).toHaveBeenCalledWith('set', expect.any(Function));
+        create.mockRestore();
+    });
+
+    // Tests that only the settings of the provider create the provider again
+    test('should create the provider again only when its settings change', () => {
         document.dispatchEvent(new Event('DOMContentLoaded'));
-        expect(global.openai).toBeDefined(); // Check if OpenAI is defined
+        const onSet = GC.Preferences.bind.mock.calls[GC.Preferences.bind.mock.calls.length - 1][1];
+        const create = jest.spyOn(GC.AIProviders, 'create');
+
+        onSet({ data: { path: 'ai.promptVersion' } });
+        onSet({ data: { path: 'ai.deidentify' } });
+        expect(create).not.toHaveBeenCalled();
+
+        onSet({ data: { path: 'ai.model' } });
+        expect(create).toHaveBeenCalledWith(GC.chartSettings.ai);
+        create.mockRestore();
     });
 
     // Tests the getAssistant function and validates the ID
@@ -144,37 +195,34 @@ describe('AI Tab Functions', () => {
     
             // Call getAssistant to ensure the assistant is initialized
             await getAssistant();
+            const consoleError = jest.spyOn(console, 'error');
         
             try {
                 // Call the sendToAssistant function with prompts
                 await sendToAssistant(promptGrowth, promptHistory);
         
-                // Verify the content of the DOM element for growth response
-                     // Check the growth data response
-                const growthElement = document.getElementById('ai-response-growth-data');
-                expect(growthElement).not.toBeNull();
-                expect(growthElement.innerHTML).not.toBe(''); // Ensure it's not empty
-
-                // Verify the content of the other DOM elements updated by the sendToAssistant function
-                const historyElement = document.getElementById('ai-response-patient-history');
-                expect(historyElement).not.toBeNull();
-                expect(historyElement.innerHTML).not.toBe('');
-        
-                const diagnosisElement = document.getElementById('ai-response-growth-diagnoses');
-                expect(diagnosisElement).not.toBeNull();
-                expect(diagnosisElement.innerHTML).not.toBe('');
-        
-                const clinicalStepsElement = document.getElementById('ai-response-clinical-steps');
-                expect(clinicalStepsElement).not.toBeNull();
-                expect(clinicalStepsElement.innerHTML).not.toBe('');
-        
-                const summaryElement = document.getElementById('ai-response-summary');
-                console.log('Summary Element Content:', summaryElement.innerHTML);
-                expect(summaryElement).not.toBeNull();
-                expect(summaryElement.innerHTML).not.toBe('');
+                // Verify the findings rendered in the sections
+                expect(document.getElementById('ai-response-growth-data').textContent).toContain('Test response');
+                expect(document.getElementById('ai-response-patient-history').textContent).toContain('Test response');
+                expect(document.getElementById('ai-response-growth-diagnoses').textContent).toContain('Constitutional delay');
+                expect(document.getElementById('ai-response-clinical-steps').textContent).toContain('Endocrinology');
+                expect(document.getElementById('ai-response-summary').textContent).toContain('Test response');
+
+                // No section failed or is blocked by a failed section
+                expect(document.querySelectorAll('.ai-section-error, .ai-validation-error')).toHaveLength(0);
+                expect(document.body.textContent).not.toContain('STR_7042');
+                expect(consoleError).not.toHaveBeenCalled();
+
+                // The analysis is added to the conversation of the chat once
+                const shared = window.OpenAI.mock.results
+                    .reduce((calls, result) => calls.concat(result.value.beta.threads.messages.create.mock.calls), [])
+                    .filter(call => String(call[1].content).indexOf('This is your analysis of the patient') !== -1);
+                expect(shared).toHaveLength(1);
             } catch (error) {
                 console.error(error);
                 expect(error).toBeNull(); // Ensure there's no error
+            } finally {
+                consoleError.mockRestore();
             }
         });
 
@@ -230,4 +278,44 @@ describe('AI Tab Functions', () => {
         expect(guidelineFilesDiv.children[0].textContent).toContain('file1.pdf [1]');
         expect(guidelineFilesDiv.children[1].textContent).toContain('file2.pdf [2]');
     });
+
+    // Tests that displaying more files does not add another download listener to the files shown before
+    test('displayFiles should download a file once per click after more files are displayed', () => {
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        displayFiles([{ id: 'file3', name: 'file3.pdf', citationIndex: 3 }]);
+        displayFiles([{ id: 'file4', name: 'file4.pdf', citationIndex: 4 }]);
+        document.querySelector('#guideline-files .download-icon').click();
+
+        expect(click).toHaveBeenCalledTimes(1);
+        expect(click.mock.instances[0].getAttribute('href')).toBe('/ai-tab/guidelines/file3.pdf');
+        click.mockRestore();
+    });
+
+    // Tests that HTML in the reply of the model is shown as text and the markdown is still converted
+    test('displayAssistantResponse should escape the reply before converting the markdown', async () => {
+        const message = document.createElement('li');
+        document.querySelector('#chat-container .chat-content').appendChild(message);
+
+        await displayAssistantResponse('## Result\n**Normal** growth <img src="x" onerror="alert(1)">', message, [], 'streaming');
+
+        expect(message.querySelector('img')).toBeNull();
+        expect(message.querySelector('h2').textContent).toBe('Result');
+        expect(message.querySelector('strong').textContent).toBe('Normal');
+        expect(message.textContent).toContain('<img src="x" onerror="alert(1)">');
+    });
+
+    // Tests that the instructions are escaped in the prompt popup
+    test('showPromptPopup should escape the instructions', () => {
+        const estimateTokens = jest.spyOn(GC.AIPrompts, 'estimateTokens').mockReturnValue(1);
+        GC.chartSettings.ai.instructions = 'Answer <script>alert(1)</script>';
+
+        showPromptPopup('growth', 'history');
+
+        const popup = document.getElementById('prompt-popup');
+        expect(popup.querySelector('script')).toBeNull();
+        expect(popup.textContent).toContain('Answer <script>alert(1)</script>');
+        delete GC.chartSettings.ai.instructions;
+        estimateTokens.mockRestore();
+    });
 });
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.jQuery = require('jquery');
+global.GC = {};
+
+require('../../js/gc-model.js');
+const AICache = require('../js/gc-ai-cache.js');
+const AIAudit = require('../js/gc-ai-audit.js');
+
+describe('AI Audit', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    // Tests appending records through the proxy of the model
+    test('append should add the id, timestamp and prompt hash and keep the previous records', async () => {
+        const log = AIAudit.open('localStorage');
+
+        const first = await log.append({
+            type: AIAudit.TYPES.ANALYSIS, patientId: 'patient-1', section: 'growth', model: 'openai-chat:gpt-4o',
+            prompt: 'Analyze the growth', response: '{"abnormality":false}', citations: ['[1] Guideline.pdf, p. 3'],
+            latency: 1200, status: 'completed'
+        });
+        await log.append({ type: AIAudit.TYPES.CHAT, patientId: 'patient-2', prompt: 'Why?', response: 'Because.', status: 'completed' });
+
+        expect(first).toEqual(expect.objectContaining({ id: 1, promptHash: AICache.hash('Analyze the growth'), section: 'growth' }));
+        expect(new Date(first.timestamp).toString()).not.toBe('Invalid Date');
+
+        // A new model reads the records from the localStorage
+        const records = await AIAudit.open('localStorage').list();
+        expect(records.map(record => record.id)).toEqual([1, 2]);
+        expect(records[0].citations).toEqual(['[1] Guideline.pdf, p. 3']);
+    });
+
+    // Tests that a full storage rejects the record instead of dropping the older ones
+    test('append should write the log once, keep every record and reject if the storage is full', async () => {
+        let stored = {};
+        let limit = Infinity;
+        const proxy = {
+            read: () => jQuery.when(stored),
+            write: jest.fn().mockImplementation(value => {
+                if (JSON.stringify(value).length > limit) {
+                    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+                }
+                stored = JSON.parse(JSON.stringify(value));
+                return jQuery.when(stored);
+            })
+        };
+        const log = AIAudit.create(new GC.Model({ fileRevision: 1 }, null, proxy));
+
+        for (let i = 1; i <= 4; i++) {
+            await log.append({ type: AIAudit.TYPES.CHAT, patientId: 'patient-1', prompt: `Question ${i}` });
+        }
+        expect(proxy.write).toHaveBeenCalledTimes(4);
+        expect(stored.aiAudit.map(record => record.id)).toEqual([1, 2, 3, 4]);
+
+        limit = JSON.stringify(stored).length;
+        await expect(log.append({ type: AIAudit.TYPES.CHAT, patientId: 'patient-1', prompt: 'Question 5' }))
+            .rejects.toThrow('The quota has been exceeded.');
+        expect(stored.aiAudit.map(record => record.id)).toEqual([1, 2, 3, 4]);
+        expect((await log.list()).map(record => record.id)).toEqual([1, 2, 3, 4]);
+
+        limit = Infinity;
+        expect((await log.append({ type: AIAudit.TYPES.CHAT, prompt: 'Question 6' })).id).toBe(5);
+    });
+
+    // Tests that the returned records cannot change the log
+    test('list should filter by patient and return copies of the records', async () => {
+        const log = AIAudit.open('localStorage');
+        await log.append({ type: AIAudit.TYPES.CHAT, patientId: 'patient-1', prompt: 'a', citations: [] });
+        await log.append({ type: AIAudit.TYPES.UPLOAD, patientId: 'patient-2', prompt: 'b.pdf' });
+
+        const records = await log.list({ patientId: 'patient-2' });
+        expect(records).toHaveLength(1);
+        expect(records[0].prompt).toBe('b.pdf');
+
+        records[0].prompt = 'changed';
+        expect((await log.list({ patientId: 'patient-2' }))[0].prompt).toBe('b.pdf');
+        expect(AIAudit.open('none')).toBeNull();
+    });
+
+    // Tests the export of the records
+    test('toCSV and toJSON should export all fields of the records', () => {
+        const records = [{
+            id: 1, timestamp: '2024-10-10T10:00:00.000Z', type: 'chat', patientId: 'p1', model: 'mock:mock',
+            promptHash: 'abc', prompt: 'Line 1\nSay "hi", please', response: 'Hi', citations: ['[1] A.pdf', '[2] B.pdf'],
+            latency: 5, status: 'completed'
+        }];
+
+        const csv = AIAudit.toCSV(records).split('\r\n');
+        expect(csv[0]).toBe(AIAudit.FIELDS.join(','));
+        expect(csv[1]).toBe('1,2024-10-10T10:00:00.000Z,chat,p1,,mock:mock,abc,"Line 1\nSay ""hi"", please",Hi,[1] A.pdf; [2] B.pdf,5,completed,,,,');
+        expect(JSON.parse(AIAudit.toJSON(records))).toEqual(records);
+    });
+});
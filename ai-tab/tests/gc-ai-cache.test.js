@@ -0,0 +1,87 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.jQuery = require('jquery');
+global.GC = {};
+
+require('../../js/gc-model.js');
+const AICache = require('../js/gc-ai-cache.js');
+
+function createModel() {
+    return new GC.Model({ fileRevision: 1 }, null, new GC.LocalStorageProxy('aiAnalyses'));
+}
+
+describe('AI Cache', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    // Tests the fingerprint of the input
+    test('fingerprint should change with any part of the input', () => {
+        const key = AICache.fingerprint(['growth prompt', 'history prompt', 'gpt-4o', 1]);
+
+        expect(key).toMatch(/^[0-9a-f]+$/);
+        expect(AICache.fingerprint(['growth prompt', 'history prompt', 'gpt-4o', 1])).toBe(key);
+        expect(AICache.fingerprint(['growth prompt', 'history prompt', 'gpt-4o-mini', 1])).not.toBe(key);
+        expect(AICache.fingerprint(['growth prompt', 'history prompt!', 'gpt-4o', 1])).not.toBe(key);
+        expect(AICache.fingerprint(['growth promp', 't history prompt', 'gpt-4o', 1])).not.toBe(key);
+    });
+
+    // Tests storing an analysis through the proxy of the model
+    test('put should store the latest analysis of a patient in the proxy', async () => {
+        const cache = AICache.create(createModel(), { sync: true });
+
+        await cache.put('patient-1', 'a1', { date: '2024-10-10T10:00:00.000Z', results: { growth: { abnormality: false } } });
+        expect(await cache.get('patient-1', 'a1')).toEqual(expect.objectContaining({ date: '2024-10-10T10:00:00.000Z' }));
+
+        await cache.put('patient-1', 'b2', { date: '2024-10-11T10:00:00.000Z' });
+        expect(await cache.get('patient-1', 'a1')).toBeNull();
+        expect(await cache.get('patient-2', 'b2')).toBeNull();
+
+        // A new model reads the analysis from the localStorage
+        const reloaded = AICache.create(createModel(), { sync: true });
+        expect(await reloaded.get('patient-1', 'b2')).toEqual({ date: '2024-10-11T10:00:00.000Z' });
+    });
+
+    // Tests the errors of the proxy
+    test('put should reject if the analysis cannot be saved and remove the other patients if the storage is full', async () => {
+        let full = false;
+        let stored = {};
+        const proxy = {
+            read: () => jQuery.when(stored),
+            write: jest.fn().mockImplementation(value => {
+                if (full && Object.keys(value.aiAnalyses).length > 1) {
+                    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+                }
+                stored = JSON.parse(JSON.stringify(value));
+                return jQuery.when(stored);
+            })
+        };
+        const cache = AICache.create(new GC.Model({ fileRevision: 1 }, null, proxy));
+
+        await cache.put('patient-1', 'a1', { date: 'one' });
+        expect(proxy.write).toHaveBeenCalledTimes(1);
+
+        full = true;
+        await cache.put('patient-2', 'a1', { date: 'two' });
+        expect(Object.keys(stored.aiAnalyses)).toEqual([AICache.hash('patient-2')]);
+        expect(await cache.get('patient-1', 'a1')).toBeNull();
+
+        proxy.write.mockImplementation(() => jQuery.Deferred().reject());
+        await expect(cache.put('patient-2', 'b2', { date: 'three' })).rejects.toThrow('The data could not be saved');
+        expect(await cache.get('patient-2', 'a1')).toEqual({ date: 'two' });
+    });
+
+    // Tests the invalidation when the patient data changed
+    test('invalidate should remove the analyses of the patient only', async () => {
+        const cache = AICache.create(createModel(), { sync: true });
+        await cache.put('patient-1', 'a1', { date: 'one' });
+        await cache.put('patient-2', 'a1', { date: 'two' });
+
+        await cache.invalidate('patient-1');
+        expect(await cache.get('patient-1', 'a1')).toBeNull();
+        expect(await cache.get('patient-2', 'a1')).toEqual({ date: 'two' });
+        expect(JSON.parse(localStorage.aiAnalyses).aiAnalyses).toEqual({ [AICache.hash('patient-2')]: { a1: { date: 'two' } } });
+    });
+});
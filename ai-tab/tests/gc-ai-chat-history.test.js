@@ -0,0 +1,79 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.jQuery = require('jquery');
+global.GC = {};
+
+require('../../js/gc-model.js');
+require('../js/gc-ai-cache.js');
+const AIChatHistory = require('../js/gc-ai-chat-history.js');
+
+function createModel() {
+    return new GC.Model({ fileRevision: 1 }, null, new GC.LocalStorageProxy('aiChats'));
+}
+
+describe('AI Chat History', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    // Tests the messages and the title of a conversation
+    test('addMessage should add the timestamp and take the title from the first message of the user', () => {
+        const conversation = AIChatHistory.createConversation({ threadId: 'thread-1', model: 'mock:gpt-4o' });
+        AIChatHistory.addMessage(conversation, { role: 'user', content: 'What is the z-score of the last height measurement of the patient?' });
+        AIChatHistory.addMessage(conversation, { role: 'tool', content: 'compute_zscore({}) → {"z_score":1}' });
+        AIChatHistory.addMessage(conversation, { role: 'assistant', content: 'The z-score is 1.', status: 'cancelled' });
+
+        expect(conversation.title).toBe('What is the z-score of the last height measurement of the p…');
+        expect(conversation.threadId).toBe('thread-1');
+        expect(conversation.messages[2]).toEqual(expect.objectContaining({ role: 'assistant', status: 'cancelled' }));
+        expect(conversation.updated).toBe(conversation.messages[2].timestamp);
+        expect(() => AIChatHistory.addMessage(conversation, { role: 'system', content: 'x' })).toThrow('Unknown chat role: system');
+
+        const text = AIChatHistory.toText(conversation, { user: 'You' });
+        expect(text).toContain('You:\nWhat is the z-score');
+        expect(text).toContain('Tool call:\ncompute_zscore');
+        expect(text.split('\n\n')).toHaveLength(3);
+    });
+
+    // Tests storing the conversations per patient and user through the proxy of the model
+    test('put should store the conversations per patient and user, list them and remove them', async () => {
+        const history = AIChatHistory.create(createModel(), { sync: true });
+        const first = AIChatHistory.createConversation();
+        AIChatHistory.addMessage(first, { role: 'user', content: 'First' });
+        first.updated = '2024-10-10T10:00:00.000Z';
+        const second = AIChatHistory.createConversation();
+        AIChatHistory.addMessage(second, { role: 'user', content: 'Second' });
+
+        await history.put('patient-1', 'Practitioner/1', first);
+        await history.put('patient-1', 'Practitioner/1', second);
+        await history.put('patient-1', 'Practitioner/2', AIChatHistory.createConversation());
+
+        // A new model reads the conversations from the localStorage
+        const reloaded = AIChatHistory.create(createModel(), { sync: true });
+        const list = await reloaded.list('patient-1', 'Practitioner/1');
+        expect(list.map(conversation => conversation.title)).toEqual(['Second', 'First']);
+        expect(list[0]).toEqual(expect.objectContaining({ id: second.id, count: 1 }));
+        expect((await reloaded.get('patient-1', 'Practitioner/1', first.id)).messages[0].content).toBe('First');
+        expect(await reloaded.list('patient-2', 'Practitioner/1')).toEqual([]);
+
+        await reloaded.remove('patient-1', 'Practitioner/1', first.id);
+        expect(await reloaded.get('patient-1', 'Practitioner/1', first.id)).toBeNull();
+        expect(await reloaded.list('patient-1', 'Practitioner/2')).toHaveLength(1);
+    });
+
+    // Tests the limit of the stored conversations
+    test('put should keep the latest conversations only', async () => {
+        const history = AIChatHistory.create(createModel());
+        for (let i = 0; i < AIChatHistory.MAX_CONVERSATIONS + 2; i++) {
+            const conversation = AIChatHistory.createConversation();
+            conversation.updated = new Date(Date.UTC(2024, 0, i + 1)).toISOString();
+            await history.put('patient-1', 'anonymous', conversation);
+        }
+
+        const list = await history.list('patient-1', 'anonymous');
+        expect(list).toHaveLength(AIChatHistory.MAX_CONVERSATIONS);
+        expect(list[list.length - 1].updated).toBe('2024-01-03T00:00:00.000Z');
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { setupGC, createPatient: createGrowthPatient } = require('./growth-fixture.js');
+
+setupGC();
+require('../js/gc-ai-growth-table.js');
+const AIConsistency = require('../js/gc-ai-consistency.js');
+
+// Height z-scores -2, -1 and -0.6, weight z-score -1, velocities 5 and 2 cm/yr
+function createPatient() {
+    return createGrowthPatient([
+        { agemos: 12, lengthAndStature: 90 },
+        { agemos: 24, lengthAndStature: 95, weight: 18 },
+        { agemos: 36, lengthAndStature: 97 }
+    ]);
+}
+
+describe('AI Consistency', () => {
+    // Tests the claims found in a reply and the measures they refer to
+    test('parseClaims should find percentiles, z-scores and velocities with their measure and comparator', () => {
+        const claims = AIConsistency.parseClaims('Height is at the 2nd percentile, weight z-score −2,4. ' +
+            'The head circumference is below the 3rd percentile; BMI between the 10th and 25th percentile. ' +
+            'Growth velocity 3.5 cm/yr (P50 for weight 1.2 kg/year), -2 SD.');
+
+        expect(claims.map(claim => [claim.type, claim.measure, claim.comparator, claim.values, claim.text])).toEqual([
+            ['percentile', 'length', '=', [2], '2nd percentile'],
+            ['zscore', 'weight', '=', [-2.4], 'z-score −2,4'],
+            ['percentile', 'headc', '<', [3], '3rd percentile'],
+            ['percentile', 'bmi', 'range', [10, 25], '10th and 25th percentile'],
+            ['velocity', 'length', '=', [3.5], '3.5 cm/yr'],
+            ['percentile', 'weight', '=', [50], 'P50'],
+            ['velocity', 'weight', '=', [1.2], '1.2 kg/year'],
+            ['zscore', 'weight', '=', [-2], '-2 SD']
+        ]);
+
+        expect(AIConsistency.parseClaims('La talla está en el percentil 3 y el peso por debajo del percentil 10.')
+            .map(claim => [claim.measure, claim.comparator, claim.values[0]])).toEqual([['length', '=', 3], ['weight', '<', 10]]);
+        expect(AIConsistency.parseClaims('Born at 38 weeks, 3.2 kg, seen 2 times in 12 months.')).toEqual([]);
+    });
+
+    // Tests the re-computation against the measurements of the patient
+    test('check should re-compute the claims and score should count the verified claims', () => {
+        const facts = AIConsistency.computeFacts(createPatient());
+        expect(facts.reference).toBe('CDC');
+        expect(facts.measures.length.measurements.map(item => Math.round(item.z * 10) / 10)).toEqual([-2, -1, -0.6]);
+        expect(facts.measures.length.velocities.map(item => item.value)).toEqual([5, 2, 3.5]);
+
+        const claims = AIConsistency.check('Height at the 2nd percentile with a velocity of 3.5 cm/yr. ' +
+            'Weight z-score -2.4, height velocity 8 cm/yr. Height above the 50th percentile. BMI at the 50th percentile.', facts);
+
+        expect(claims.map(claim => claim.status)).toEqual(['consistent', 'consistent', 'mismatch', 'mismatch', 'mismatch', 'unverifiable']);
+        expect(claims[2].actual).toEqual({ agemos: 24, value: -1 });
+        expect(claims[3].actual).toEqual({ agemos: 36, value: 2 });
+        expect(claims[4].actual).toEqual({ agemos: 36, value: 27.43 });
+        expect(AIConsistency.score(claims)).toEqual({ consistent: 2, mismatches: 3, unverifiable: 1, score: 0.4 });
+        expect(AIConsistency.score([]).score).toBeNull();
+
+        // The "below" claims match the lower values within the tolerance
+        expect(AIConsistency.check('Height below the 3rd percentile.', facts)[0].status).toBe('consistent');
+        expect(AIConsistency.check('Height below the 1st percentile.', facts)[0].status).toBe('mismatch');
+
+        // The measure of a growth finding
+        expect(AIConsistency.check('At the 16th percentile.', facts)[0].status).toBe('unverifiable');
+        expect(AIConsistency.check('At the 16th percentile.', facts, { measure: 'weight' })[0].status).toBe('consistent');
+    });
+
+    // Tests the parts of a reply for the highlighting
+    test('split should split a reply at its claims', () => {
+        const text = 'Weight z-score -2.4 at 2 years.';
+        const claims = AIConsistency.parseClaims(text);
+
+        expect(AIConsistency.split(text, claims)).toEqual([
+            { text: 'Weight ', claim: null },
+            { text: 'z-score -2.4', claim: claims[0] },
+            { text: ' at 2 years.', claim: null }
+        ]);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIDeidentify = require('../js/gc-ai-deidentify.js');
+
+describe('AI De-identification', () => {
+    const context = AIDeidentify.createContext({ name: 'Emma Miller', DOB: new Date(2020, 0, 15) });
+
+    // Tests the relative ages
+    test('formatAge should format months as years, months or days', () => {
+        expect(AIDeidentify.formatAge(27.4)).toBe('2 years 3 months');
+        expect(AIDeidentify.formatAge(12)).toBe('1 year');
+        expect(AIDeidentify.formatAge(1)).toBe('1 month');
+        expect(AIDeidentify.formatAge(0.4)).toBe('12 days');
+        expect(AIDeidentify.formatAge(undefined)).toBe('unknown age');
+        expect(AIDeidentify.ageAt(context, '2021-04-20T10:00:00Z')).toBe('1 year 3 months');
+        expect(AIDeidentify.ageAt(context, 'unknown')).toBe('unknown age');
+    });
+
+    // Tests the scrubbing of the free text of a history entry
+    test('scrub should remove names, dates and identifiers from notes', () => {
+        const notes = 'Emma Miller (MRN: A1234567) seen by Dr. Jones on 2021-04-20. Emma was referred again on 05/03/2022. ' +
+            'Mother Anna reports poor feeding. Call +1 617-555-0199 or anna.miller@example.com, 12 Oak Street, Apt 4. SSN 123456789.';
+
+        expect(AIDeidentify.scrub(notes, context)).toBe(
+            'Patient X ([MRN]) seen by [NAME] on [age 1 year 3 months]. [NAME] was referred again on [age 2 years 3 months]. ' +
+            'Mother [NAME] reports poor feeding. Call [PHONE] or [EMAIL], [ADDRESS]. SSN [ID].'
+        );
+    });
+
+    // Tests that prose after the labels of an MRN and clinical terms after a title are not scrubbed
+    test('scrub should not take prose for identifiers or names', () => {
+        expect(AIDeidentify.scrub('The patient identified pain. Record number increased.', context))
+            .toBe('The patient identified pain. Record number increased.');
+        expect(AIDeidentify.scrub('Patient ID ABCDEF, mrn: abc123.', context)).toBe('Patient ID ABCDEF, mrn: abc123.');
+        expect(AIDeidentify.scrub('Discussed with Dr. Growth Hormone and Dr. Smith Endocrinology.', context))
+            .toBe('Discussed with Dr. Growth Hormone and [NAME] Endocrinology.');
+        expect(AIDeidentify.scrub('Patient ID# 12-AB34, record no.: X9876', context)).toBe('[MRN], [MRN]');
+    });
+
+    // Tests that clinical text is kept
+    test('scrub should keep measurements and clinical terms', () => {
+        const text = 'Weight 12.5 kg, height 87 cm. Growth hormone stimulation test with 0.03 mg/kg.';
+        expect(AIDeidentify.scrub(text, context)).toBe(text);
+    });
+
+    // Tests the mapping of the pseudonym for display
+    test('reidentify should map the pseudonym back to the name of the patient', () => {
+        expect(AIDeidentify.reidentify('Patient X shows short stature. Patient X should be referred.', context))
+            .toBe('Emma Miller shows short stature. Emma Miller should be referred.');
+        expect(AIDeidentify.reidentify('Patient X', null)).toBe('Patient X');
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIEvaluation = require('../js/gc-ai-evaluation.js');
+
+describe('AI Evaluation', () => {
+    const results = {
+        growth: { status: 'done', result: { abnormality: true, growthFindings: [] } },
+        history: { status: 'done', result: { historyFindings: [] } },
+        clinicalSteps: { status: 'done', result: { referrals: [{ specialty: 'Pediatric Endocrinology', reason: 'Short stature' }] } },
+        diagnosis: { status: 'done', result: { differentials: [{ diagnosis: 'Growth hormone deficiency', icd10: 'E23.0' }] } },
+        summary: { status: 'failed' }
+    };
+
+    // Tests the answers taken from the sections
+    test('extractAnswers should take the answers of the finished sections', () => {
+        expect(AIEvaluation.extractAnswers(results)).toEqual({
+            abnormality: true, specialties: ['Pediatric Endocrinology'], icd10: ['E23.0']
+        });
+        expect(AIEvaluation.extractAnswers({ growth: { status: 'timeout' } }))
+            .toEqual({ abnormality: null, specialties: null, icd10: null });
+    });
+
+    // Tests the criteria of a case
+    test('scoreCase should match specialties by name and ICD-10 codes by category', () => {
+        const answers = AIEvaluation.extractAnswers(results);
+
+        expect(AIEvaluation.scoreCase(answers, { abnormality: true, specialties: ['endocrinology'], icd10: ['E23'] }))
+            .toEqual({ checks: { abnormality: true, specialty: true, icd10: true }, score: 1 });
+        expect(AIEvaluation.scoreCase(answers, { abnormality: false, specialties: ['Gastroenterology'], icd10: ['E23.01', 'R62'] }))
+            .toEqual({ checks: { abnormality: false, specialty: false, icd10: false }, score: 0 });
+
+        // No referral expected and no expected ICD-10 codes
+        expect(AIEvaluation.scoreCase({ abnormality: false, specialties: ['None'], icd10: ['Z00.1'] }, { abnormality: false, specialties: [] }))
+            .toEqual({ checks: { abnormality: true, specialty: true, icd10: null }, score: 1 });
+    });
+
+    // Tests the aggregate report
+    test('summarize should count the passed criteria and the failed cases', () => {
+        const cases = [
+            { id: 'a', answers: { abnormality: true, specialties: ['Neurology'], icd10: [] }, checks: { abnormality: true, specialty: false, icd10: null }, score: 0.5 },
+            { id: 'b', answers: { abnormality: true, specialties: ['Endocrinology'], icd10: ['E66.0'] }, checks: { abnormality: true, specialty: true, icd10: true }, score: 1 },
+            { id: 'c', error: 'No recorded reply for the prompt 1a2b' }
+        ];
+
+        const summary = AIEvaluation.summarize(cases);
+        expect(summary).toEqual({
+            cases: 3,
+            failed: 1,
+            criteria: {
+                abnormality: { passed: 2, total: 2 },
+                specialty: { passed: 1, total: 2 },
+                icd10: { passed: 1, total: 1 }
+            },
+            score: 0.75
+        });
+        const text = AIEvaluation.formatReport({ cases: cases, summary: summary });
+        expect(text).toContain('a: 50% (abnormality pass, specialty FAIL, icd10 n/a)');
+        expect(text).toContain('c: ERROR No recorded reply for the prompt 1a2b');
+    });
+});
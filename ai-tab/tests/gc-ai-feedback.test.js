@@ -0,0 +1,36 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIFeedback = require('../js/gc-ai-feedback.js');
+
+describe('AI Feedback', () => {
+    // Tests the validation of a feedback
+    test('normalize should validate the rating and the tags', () => {
+        expect(AIFeedback.normalize({ rating: 'down', tags: ['hallucinated', 'hallucinated'], comment: ' No such guideline. ' }))
+            .toEqual({ rating: 'down', tags: ['hallucinated'], comment: 'No such guideline.' });
+        expect(AIFeedback.normalize({ comment: 'Too long' })).toEqual({ rating: null, tags: [], comment: 'Too long' });
+        expect(() => AIFeedback.normalize({ rating: 'maybe' })).toThrow('Unknown feedback rating: maybe');
+        expect(() => AIFeedback.normalize({ tags: ['wrong'] })).toThrow('Unknown feedback tag: wrong');
+        expect(() => AIFeedback.normalize({ comment: ' ' })).toThrow('The feedback is empty');
+    });
+
+    // Tests the summary of the audit log
+    test('summarize should count the latest feedback per analysis and section', () => {
+        const records = [
+            { id: 1, type: 'analysis', patientId: 'p1', analysisId: 'a1', section: 'growth' },
+            { id: 2, type: 'feedback', patientId: 'p1', analysisId: 'a1', section: 'growth', rating: 'down', tags: ['incorrect'] },
+            { id: 3, type: 'feedback', patientId: 'p1', analysisId: 'a1', section: 'growth', rating: 'up', tags: [] },
+            { id: 4, type: 'feedback', patientId: 'p2', analysisId: 'b1', section: 'growth', rating: 'down', tags: ['missing', 'irrelevant'] },
+            { id: 5, type: 'feedback', patientId: 'p2', analysisId: 'b1', section: 'summary', rating: null, tags: ['hallucinated'] }
+        ];
+
+        expect(AIFeedback.latest(records).map(record => record.id)).toEqual([3, 4, 5]);
+        expect(AIFeedback.summarize(records)).toEqual({
+            growth: { count: 2, up: 1, down: 1, tags: { incorrect: 0, irrelevant: 1, hallucinated: 0, missing: 1 } },
+            summary: { count: 1, up: 0, down: 0, tags: { incorrect: 0, irrelevant: 0, hallucinated: 1, missing: 0 } }
+        });
+    });
+});
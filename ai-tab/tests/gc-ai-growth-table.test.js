@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { dataSet, setupGC, createPatient: createGrowthPatient } = require('./growth-fixture.js');
+
+setupGC({
+    DATA_SETS: {
+        WHO_LENGTH: dataSet(90, 0.05, 0, 24)
+    }
+});
+const AIGrowthTable = require('../js/gc-ai-growth-table.js');
+
+function createPatient(model, gestationAge) {
+    return createGrowthPatient(model, {
+        gestationAge: gestationAge || null,
+        getVelocity: jest.fn().mockImplementation((prop, entry) => entry.agemos > 0 ? { value: 6.5 } : null)
+    });
+}
+
+describe('AI Growth Table', () => {
+    const model = [
+        { agemos: 0, lengthAndStature: 50, weight: 3.5 },
+        { agemos: 12, lengthAndStature: 75, weight: 10 },
+        { agemos: 24, lengthAndStature: 100 }
+    ];
+
+    // Tests the columns and the CSV
+    test('serialize should write the measurements as CSV without empty columns', () => {
+        const text = AIGrowthTable.serialize(createPatient(model));
+        const lines = text.trim().split('\n');
+
+        expect(lines[0]).toContain('Reference: CDC.');
+        expect(lines[1]).toBe('date,age_mo,length_cm,length_z,length_pct,length_vel_cm_yr,' +
+            'weight_kg,weight_z,weight_pct,weight_vel_kg_yr,bmi_kg_m2');
+        expect(lines[2]).toBe('2020-01-01,0,50,-10,0,,3.5,-8.25,0,,14');
+        expect(lines[4]).toBe('2022-01-01,24,100,0,50,6.5,,,,,');
+        expect(text.endsWith('\n\n')).toBe(true);
+    });
+
+    // Tests the options of the serialization
+    test('serialize should support tables, other references, corrected ages and no dates', () => {
+        const text = AIGrowthTable.serialize(createPatient(model, 32), { format: 'table', reference: 'WHO', dates: false });
+        const lines = text.trim().split('\n');
+
+        expect(lines[0]).toContain('Reference: WHO.');
+        expect(lines[1]).toBe('| age_mo | corr_age_mo | length_cm | length_z | length_pct | length_vel_cm_yr | ' +
+            'weight_kg | weight_vel_kg_yr | bmi_kg_m2 |');
+        expect(lines[3]).toBe('| 0 | -1.8 | 50 | -8.89 | 0 |  | 3.5 |  | 14 |');
+        expect(lines[5]).toBe('| 24 | 22.2 | 100 | 2.22 | 98.7 | 6.5 |  |  |  |');
+
+        expect(() => AIGrowthTable.serialize(createPatient(model), { format: 'xml' })).toThrow('Unknown growth table format "xml"');
+        expect(() => AIGrowthTable.serialize(createPatient(model), { reference: 'UK90' })).toThrow('Unknown growth reference "UK90"');
+        expect(AIGrowthTable.serialize(createPatient([]))).toBe('No measurements available.\n\n');
+    });
+
+    // Tests the position of the lengths
+    test('serialize should write the position of the lengths and correct their z-scores', () => {
+        const positions = { 0: null, 12: 'standing', 24: 'lying' };
+        const corrections = { 0: 0, 12: 0.7, 24: -0.7 };
+        const patient = Object.assign(createPatient(model), {
+            getLengthPosition: jest.fn().mockImplementation(entry => positions[entry.agemos]),
+            getLengthCorrection: jest.fn().mockImplementation(entry => corrections[entry.agemos])
+        });
+        const text = AIGrowthTable.serialize(patient);
+        const lines = text.trim().split('\n');
+
+        expect(lines[0]).toContain('length_corr_cm = correction of length_cm');
+        expect(lines[1]).toBe('date,age_mo,length_cm,length_pos,length_corr_cm,length_z,length_pct,length_vel_cm_yr,' +
+            'weight_kg,weight_z,weight_pct,weight_vel_kg_yr,bmi_kg_m2');
+        expect(lines[2]).toBe('2020-01-01,0,50,,,-10,0,,3.5,-8.25,0,,14');
+        expect(lines[3]).toBe('2021-01-01,12,75,standing,0.7,-4.86,0,6.5,10,-5,0,6.5,17.8');
+        expect(lines[4]).toBe('2022-01-01,24,100,lying,-0.7,-0.14,44.4,6.5,,,,,');
+        expect(AIGrowthTable.getCorrection(patient, model[2], AIGrowthTable.MEASURES[1])).toBe(0);
+    });
+
+    // Tests the thinning of long series
+    test('thin should keep the first and last entry and distribute the rest by age', () => {
+        const entries = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 18, 24].map(agemos => ({ agemos: agemos }));
+
+        expect(AIGrowthTable.thin(entries, 5).map(entry => entry.agemos)).toEqual([0, 6, 12, 18, 24]);
+        expect(AIGrowthTable.thin(entries, 0)).toHaveLength(15);
+        expect(AIGrowthTable.thin(entries.slice(0, 3), 5)).toHaveLength(3);
+
+        const text = AIGrowthTable.serialize(createPatient(entries.map(entry => ({ agemos: entry.agemos, weight: 10 }))), { maxRows: 3 });
+        expect(text).toContain('3 of 15 measurements, thinned evenly by age.');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIPlan = require('../js/gc-ai-plan.js');
+
+// Tasks which are settled by the test through pending[id].resolve/reject
+function createDeferredTasks(definitions) {
+    const pending = {};
+    const tasks = {};
+    Object.keys(definitions).forEach(id => {
+        tasks[id] = {
+            dependsOn: definitions[id],
+            run: jest.fn().mockImplementation(() => new Promise((resolve, reject) => {
+                pending[id] = { resolve, reject };
+            }))
+        };
+    });
+    return { tasks, pending };
+}
+
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('AI Plan', () => {
+    const definitions = {
+        growth: [],
+        history: [],
+        clinicalSteps: ['growth', 'history'],
+        summary: ['growth', 'history', 'clinicalSteps']
+    };
+
+    // Tests that independent tasks run concurrently and dependent tasks wait for them
+    test('run should start independent tasks together and pass the results to dependent tasks', async () => {
+        const { tasks, pending } = createDeferredTasks(definitions);
+        const onStatus = jest.fn();
+        const plan = AIPlan.create(tasks, { onStatus });
+        const done = plan.run();
+        await flush();
+
+        expect(tasks.growth.run).toHaveBeenCalled();
+        expect(tasks.history.run).toHaveBeenCalled();
+        expect(tasks.clinicalSteps.run).not.toHaveBeenCalled();
+
+        pending.growth.resolve({ abnormality: true });
+        await flush();
+        expect(tasks.clinicalSteps.run).not.toHaveBeenCalled();
+
+        pending.history.resolve({ historyFindings: [] });
+        await flush();
+        expect(tasks.clinicalSteps.run).toHaveBeenCalledWith(
+            { growth: { abnormality: true }, history: { historyFindings: [] } }, expect.any(AbortSignal));
+
+        pending.clinicalSteps.resolve({ referrals: [] });
+        await flush();
+        pending.summary.resolve({ summary: ['Normal growth.'] });
+
+        const results = await done;
+        expect(results.summary).toEqual({ status: 'done', result: { summary: ['Normal growth.'] } });
+        expect(onStatus).toHaveBeenCalledWith('growth', 'running', {});
+        expect(onStatus).toHaveBeenCalledWith('growth', 'done', { result: { abnormality: true } });
+        expect(plan.isRunning()).toBe(false);
+    });
+
+    // Tests that a failed task blocks only its dependents and can be retried
+    test('a failed task should block its dependents until it is retried', async () => {
+        const { tasks, pending } = createDeferredTasks(definitions);
+        const onStatus = jest.fn();
+        const plan = AIPlan.create(tasks, { onStatus });
+        const done = plan.run();
+        await flush();
+
+        const error = new Error('Rate limit');
+        pending.history.reject(error);
+        pending.growth.resolve({ abnormality: false });
+
+        const results = await done;
+        expect(results.growth.status).toBe('done');
+        expect(results.history.status).toBe('failed');
+        expect(results.clinicalSteps.status).toBe('blocked');
+        expect(results.summary.status).toBe('blocked');
+        expect(onStatus).toHaveBeenCalledWith('history', 'failed', { error });
+        expect(onStatus).toHaveBeenCalledWith('clinicalSteps', 'blocked', { dependencies: ['history'] });
+
+        // Retrying a blocked task also runs its failed dependency, but not the finished one
+        const retried = plan.retry('clinicalSteps');
+        await flush();
+        expect(tasks.growth.run).toHaveBeenCalledTimes(1);
+        expect(tasks.history.run).toHaveBeenCalledTimes(2);
+
+        pending.history.resolve({ historyFindings: ['Preterm birth'] });
+        await flush();
+        pending.clinicalSteps.resolve({ referrals: [] });
+        await flush();
+        pending.summary.resolve({ summary: ['Done.'] });
+
+        const retriedResults = await retried;
+        expect(onStatus).toHaveBeenCalledWith('summary', 'waiting', {});
+        expect(Object.keys(retriedResults).map(id => retriedResults[id].status)).toEqual(['done', 'done', 'done', 'done']);
+    });
+
+    // Tests the timeout of a task
+    test('a task should time out and ignore its late result', async () => {
+        jest.useFakeTimers();
+        const { tasks, pending } = createDeferredTasks({ growth: [], summary: ['growth'] });
+        tasks.growth.timeout = 1000;
+        const plan = AIPlan.create(tasks);
+        const done = plan.run();
+        await Promise.resolve();
+        await Promise.resolve();
+
+        const signal = tasks.growth.run.mock.calls[0][1];
+        jest.advanceTimersByTime(1000);
+        expect(signal.aborted).toBe(true);
+        expect(plan.getStatus('growth')).toBe('timeout');
+        expect(plan.getStatus('summary')).toBe('blocked');
+
+        pending.growth.resolve({ abnormality: true });
+        await done;
+        expect(plan.getStatus('growth')).toBe('timeout');
+        expect(plan.getResult('growth')).toBeUndefined();
+        jest.useRealTimers();
+    });
+
+    // Tests cancelling the running tasks
+    test('cancel should abort the running tasks', async () => {
+        const { tasks } = createDeferredTasks(definitions);
+        const plan = AIPlan.create(tasks);
+        const done = plan.run();
+        await flush();
+
+        plan.cancel();
+        const results = await done;
+        expect(results.growth.status).toBe('cancelled');
+        expect(results.history.status).toBe('cancelled');
+        expect(results.summary.status).toBe('blocked');
+        expect(tasks.growth.run.mock.calls[0][1].aborted).toBe(true);
+    });
+
+    // Tests the validation of the plan
+    test('create should reject unknown and cyclic dependencies', () => {
+        const run = () => null;
+        expect(() => AIPlan.create({ summary: { dependsOn: ['growth'], run } }))
+            .toThrow('Unknown dependency "growth" of the task "summary"');
+        expect(() => AIPlan.create({ a: { dependsOn: ['b'], run }, b: { dependsOn: ['a'], run } }))
+            .toThrow('Cyclic dependency: a -> b -> a');
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIPrompts = require('../js/gc-ai-prompts.js');
+
+describe('AI Prompts', () => {
+    // Tests the replacement of the placeholders
+    test('render should fill the placeholders of a template', () => {
+        expect(AIPrompts.render('1', 'correction', { errors: 'a; b' }))
+            .toBe('Your previous reply did not match the required JSON schema: a; b. Reply again with one JSON object only, matching the schema exactly.');
+        expect(AIPrompts.render('1', 'section', { prompt: 'P', guidelines: '', responseFormat: 'F' })).toBe('P\nF');
+        expect(AIPrompts.render('2', 'section', { prompt: 'P', guidelines: 'G\n', responseFormat: 'F', locale: 'Español' }))
+            .toContain('Write the text of your answer in Español');
+        expect(AIPrompts.render('1', 'chat', { message: 'M', guidelines: '', locale: 'Español' })).toBe('M');
+        expect(AIPrompts.render(AIPrompts.DEFAULT_VERSION, 'chat', { message: 'M', guidelines: '\n\nG', locale: 'Español' }))
+            .toBe('M\n\nG\n\nAnswer in Español.');
+
+        // Placeholders in the values are kept
+        expect(AIPrompts.fill('{{a}}-{{b}}', { a: '{{b}}', b: 2 })).toBe('{{b}}-2');
+    });
+
+    // Tests the errors of the registry
+    test('render should throw for unknown versions, templates and missing values', () => {
+        expect(() => AIPrompts.render('0', 'growth', {})).toThrow('Unknown prompt template version "0"');
+        expect(() => AIPrompts.render('1', 'unknown', {})).toThrow('Unknown prompt template "unknown"');
+        expect(() => AIPrompts.render('1', 'history', {})).toThrow('No value for the placeholder {{history}}');
+    });
+
+    // Tests the registration of a version based on another one
+    test('register should inherit the templates of the base version', () => {
+        AIPrompts.register('test', { label: 'Test', templates: { fields: { summary: 'short summary in {{locale}}' } } }, '1');
+
+        expect(AIPrompts.list()).toEqual(expect.arrayContaining([{ version: 'test', label: 'Test' }]));
+        expect(AIPrompts.list()[0]).toEqual({ version: '1', label: 'Initial prompts' });
+        expect(AIPrompts.renderField('test', 'summary', { locale: 'English' })).toBe('short summary in English');
+        expect(AIPrompts.get('test').templates.growth).toBe(AIPrompts.get('1').templates.growth);
+        expect(() => AIPrompts.register('broken', { label: 'Broken', templates: { growth: 'x' } }))
+            .toThrow('The prompt template "patient" of the version broken is missing');
+    });
+
+    // Tests the estimate of the prompt length
+    test('estimateTokens should count words, numbers and punctuation', () => {
+        expect(AIPrompts.estimateTokens('')).toBe(0);
+        expect(AIPrompts.estimateTokens('the percentile')).toBe(4);
+        expect(AIPrompts.estimateTokens('age_mo,12.5')).toBe(7);
+    });
+});
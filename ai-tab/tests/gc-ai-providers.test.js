@@ -0,0 +1,305 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const $ = require('jquery');
+global.jQuery = $;
+global.GC = {};
+
+const AICache = require('../js/gc-ai-cache.js');
+const AIProviders = require('../js/gc-ai-providers.js');
+
+describe('AI Providers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        window.OpenAI = jest.fn().mockImplementation(() => ({
+            beta: {
+                assistants: {
+                    retrieve: jest.fn().mockResolvedValue({ id: 'asst_6LEnciXiGknEgzaJKlrssixL' }),
+                },
+                threads: {
+                    create: jest.fn().mockResolvedValue({ id: 'mock-thread-id' }),
+                    messages: {
+                        create: jest.fn().mockResolvedValue({}),
+                        list: jest.fn().mockResolvedValue({
+                            data: [{ role: 'assistant', content: [{ text: { value: 'Test response', annotations: [{ text: '[file]', file_citation: { file_id: 'file1' } }] } }] }],
+                        }),
+                    },
+                    runs: {
+                        createAndPoll: jest.fn().mockResolvedValue({ status: 'completed', thread_id: 'mock-thread-id' }),
+                    },
+                },
+            },
+            files: {
+                retrieve: jest.fn().mockResolvedValue({ filename: 'UTD T1DM.pdf' }),
+                create: jest.fn().mockResolvedValue({ id: 'file-upload' })
+            },
+            chat: {
+                completions: {
+                    create: jest.fn().mockResolvedValue({ choices: [{ message: { content: 'Chat response' } }] })
+                }
+            }
+        }));
+    });
+
+    // Tests that unknown providers are rejected
+    test('create should throw for an unknown provider', () => {
+        expect(() => AIProviders.create({ provider: 'unknown' })).toThrow('Unknown AI provider "unknown"');
+    });
+
+    // Tests the whole interface of the assistants adapter
+    test('openai-assistants should create threads, poll replies and list citations', async () => {
+        const provider = AIProviders.create({ provider: 'openai-assistants', assistantId: 'asst_6LEnciXiGknEgzaJKlrssixL' });
+
+        expect(await provider.init()).toBe('asst_6LEnciXiGknEgzaJKlrssixL');
+
+        const conversationId = await provider.createConversation();
+        expect(conversationId).toBe('mock-thread-id');
+
+        await provider.sendMessage(conversationId, 'Hello');
+        const reply = await provider.pollReply(conversationId);
+        expect(reply.status).toBe('completed');
+        expect(reply.content).toBe('Test response');
+
+        const files = await provider.listCitations(reply.annotations);
+        expect(files).toEqual([{ id: 'file1', name: 'UTD T1DM.pdf' }]);
+    });
+
+    // Tests that uploads are added to the thread and not to the vector store of the assistant
+    test('openai-assistants should attach uploaded files to the thread only', async () => {
+        const provider = AIProviders.create({ provider: 'openai-assistants', assistantId: 'asst_6LEnciXiGknEgzaJKlrssixL', vectorStoreId: 'vs_shared' });
+        const client = window.OpenAI.mock.results[0].value;
+        const pdf = new File(['%PDF-1.4'], 'report.pdf', { type: 'application/pdf' });
+        const image = new File(['image'], 'chart.png', { type: 'image/png' });
+
+        expect(await provider.uploadFile('mock-thread-id', pdf, { type: 'pdf', text: 'Report' })).toBe('file-upload');
+        await provider.uploadFile('mock-thread-id', image, { type: 'image', text: 'Chart' });
+
+        expect(client.files.create).toHaveBeenCalledWith({ file: pdf, purpose: 'assistants' });
+        expect(client.files.create).toHaveBeenCalledWith({ file: image, purpose: 'vision' });
+        expect(client.beta.threads.messages.create).toHaveBeenCalledWith('mock-thread-id', {
+            role: 'user', content: 'Report', attachments: [{ file_id: 'file-upload', tools: [{ type: 'file_search' }] }]
+        });
+        expect(client.beta.threads.messages.create).toHaveBeenCalledWith('mock-thread-id', {
+            role: 'user', content: [{ type: 'text', text: 'Chart' }, { type: 'image_file', image_file: { file_id: 'file-upload' } }]
+        });
+        expect(client.beta.vectorStores).toBeUndefined();
+    });
+
+    // Tests that the chat completions adapter sends the whole conversation
+    test('openai-chat should send the instructions and the conversation history', async () => {
+        const provider = AIProviders.create({ provider: 'openai-chat', model: 'local-model', instructions: 'Be brief.', baseURL: 'http://localhost:8000/v1' });
+        const client = window.OpenAI.mock.results[0].value;
+
+        expect(window.OpenAI).toHaveBeenCalledWith(expect.objectContaining({ baseURL: 'http://localhost:8000/v1' }));
+
+        const conversationId = await provider.createConversation();
+        await provider.sendMessage(conversationId, 'First');
+        expect((await provider.pollReply(conversationId)).content).toBe('Chat response');
+        await provider.sendMessage(conversationId, 'Second');
+        await provider.pollReply(conversationId);
+
+        const request = client.chat.completions.create.mock.calls[1][0];
+        expect(request.model).toBe('local-model');
+        expect(request.messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(request.messages[0].content).toBe('Be brief.');
+    });
+
+    // Tests that the mock adapter answers deterministically
+    test('mock should return the configured responses in order', async () => {
+        const provider = AIProviders.create({ provider: 'mock', responses: ['One', 'Two'] });
+        const conversationId = await provider.createConversation();
+
+        await provider.sendMessage(conversationId, 'a');
+        expect((await provider.pollReply(conversationId)).content).toBe('One');
+        await provider.sendMessage(conversationId, 'b');
+        expect((await provider.pollReply(conversationId)).content).toBe('Two');
+        await provider.sendMessage(conversationId, 'c');
+        expect((await provider.pollReply(conversationId)).content).toBe('Two');
+    });
+
+    // Tests that the assistants adapter streams the run and returns the final message
+    test('openai-assistants should stream the run', async () => {
+        const provider = AIProviders.create({ provider: 'openai-assistants', assistantId: 'asst_6LEnciXiGknEgzaJKlrssixL' });
+        const client = window.OpenAI.mock.results[0].value;
+        const listeners = {};
+        client.beta.threads.runs.stream = jest.fn().mockReturnValue({
+            on: (event, listener) => listeners[event] = listener,
+            finalRun: () => {
+                listeners.textDelta({ value: 'Test' }, { value: 'Test' });
+                listeners.textDelta({ value: ' response' }, { value: 'Test response' });
+                return Promise.resolve({ status: 'completed' });
+            },
+            finalMessages: () => Promise.resolve([{ content: [{ text: { value: 'Test response', annotations: [] } }] }])
+        });
+
+        const onText = jest.fn();
+        const reply = await provider.streamReply('mock-thread-id', {}, onText);
+
+        expect(reply).toEqual({ status: 'completed', content: 'Test response', annotations: [] });
+        expect(onText).toHaveBeenLastCalledWith('Test response');
+    });
+
+    // Tests that a cancelled stream of the assistants adapter also cancels the run on the server
+    test('openai-assistants should cancel the run of a cancelled stream', async () => {
+        const provider = AIProviders.create({ provider: 'openai-assistants', assistantId: 'asst_6LEnciXiGknEgzaJKlrssixL' });
+        const client = window.OpenAI.mock.results[0].value;
+        const controller = new AbortController();
+        const listeners = {};
+        client.beta.threads.runs.cancel = jest.fn().mockResolvedValue({ status: 'cancelling' });
+        client.beta.threads.runs.stream = jest.fn().mockReturnValue({
+            on: (event, listener) => listeners[event] = listener,
+            finalRun: () => {
+                listeners.event({ event: 'thread.run.created', data: { id: 'run_1' } });
+                listeners.textDelta({ value: 'Partial' }, { value: 'Partial' });
+                controller.abort();
+                return Promise.reject(new Error('Request was aborted.'));
+            }
+        });
+
+        const reply = await provider.streamReply('mock-thread-id', { signal: controller.signal });
+
+        expect(reply).toEqual({ status: 'cancelled', content: 'Partial', annotations: [] });
+        expect(client.beta.threads.runs.cancel).toHaveBeenCalledWith('mock-thread-id', 'run_1');
+        expect(client.beta.threads.runs.stream.mock.calls[0][2].signal).toBe(controller.signal);
+    });
+
+    // Tests that the polling of the assistants adapter can be cancelled
+    test('openai-assistants should pass the signal to the polling of the run', async () => {
+        const provider = AIProviders.create({ provider: 'openai-assistants', assistantId: 'asst_6LEnciXiGknEgzaJKlrssixL' });
+        const client = window.OpenAI.mock.results[0].value;
+        const controller = new AbortController();
+
+        await provider.pollReply('mock-thread-id', { signal: controller.signal });
+
+        expect(client.beta.threads.runs.createAndPoll.mock.calls[0][2]).toEqual({ signal: controller.signal });
+    });
+
+    // Tests that the chat completions adapter streams the reply
+    test('openai-chat should stream the reply and report the text received so far', async () => {
+        const provider = AIProviders.create({ provider: 'openai-chat', model: 'local-model', instructions: 'Be brief.' });
+        const client = window.OpenAI.mock.results[0].value;
+        client.chat.completions.create.mockResolvedValue((async function* () {
+            yield { choices: [{ delta: { content: 'Hello' } }] };
+            yield { choices: [{ delta: { content: ' world' } }] };
+        }()));
+
+        const conversationId = await provider.createConversation();
+        await provider.sendMessage(conversationId, 'Hi');
+        const onText = jest.fn();
+        const reply = await provider.streamReply(conversationId, {}, onText);
+
+        expect(reply).toEqual({ status: 'completed', content: 'Hello world', annotations: [] });
+        expect(onText.mock.calls.map(call => call[0])).toEqual(['Hello', 'Hello world']);
+        expect(client.chat.completions.create.mock.calls[0][0].stream).toBe(true);
+    });
+
+    // Tests that a stream can be cancelled and keeps the partial content
+    test('mock should return the partial content of a cancelled stream', async () => {
+        const provider = AIProviders.create({ provider: 'mock', responses: ['one two three four'] });
+        const conversationId = await provider.createConversation();
+        const controller = new AbortController();
+
+        await provider.sendMessage(conversationId, 'a');
+        const reply = await provider.streamReply(conversationId, { signal: controller.signal }, content => {
+            if (content === 'one two') {
+                controller.abort();
+            }
+        });
+
+        expect(reply).toEqual({ status: 'cancelled', content: 'one two', annotations: [] });
+    });
+
+    // Tests that the chat completions adapter runs the tool calls of the model and sends their results back
+    test('openai-chat should call the tools and answer with their results', async () => {
+        const provider = AIProviders.create({ provider: 'openai-chat', model: 'local-model', instructions: 'Be brief.' });
+        const client = window.OpenAI.mock.results[0].value;
+        client.chat.completions.create
+            .mockResolvedValueOnce((async function* () {
+                yield { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call-1', function: { name: 'compute_zscore', arguments: '{"value":' } }] } }] };
+                yield { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '80}' } }] } }] };
+            }()))
+            .mockResolvedValueOnce((async function* () {
+                yield { choices: [{ delta: { content: 'The z-score is 1.' } }] };
+            }()));
+        const tools = [{ type: 'function', function: { name: 'compute_zscore', parameters: { type: 'object', properties: {} } } }];
+        const onToolCall = jest.fn().mockResolvedValue({ z_score: 1 });
+
+        const conversationId = await provider.createConversation();
+        await provider.sendMessage(conversationId, 'What is the z-score?');
+        const reply = await provider.streamReply(conversationId, { tools: tools, onToolCall: onToolCall });
+
+        expect(reply.content).toBe('The z-score is 1.');
+        expect(onToolCall).toHaveBeenCalledWith('compute_zscore', { value: 80 });
+        const request = client.chat.completions.create.mock.calls[1][0];
+        expect(request.tools).toBe(tools);
+        expect(request.messages.slice(2)).toEqual([
+            { role: 'assistant', content: null, tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'compute_zscore', arguments: '{"value":80}' } }] },
+            { role: 'tool', tool_call_id: 'call-1', content: '{"z_score":1}' }
+        ]);
+    });
+
+    // Tests that the chat completions adapter stops when the server keeps calling tools despite tool_choice "none"
+    test('openai-chat should stop after MAX_TOOL_ROUNDS if the model keeps calling tools', async () => {
+        const provider = AIProviders.create({ provider: 'openai-chat', model: 'local-model', instructions: 'Be brief.' });
+        const client = window.OpenAI.mock.results[0].value;
+        client.chat.completions.create.mockImplementation(request => Promise.resolve(request.stream ?
+            (async function* () {
+                yield { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call-1', function: { name: 'select_age', arguments: '{}' } }] } }] };
+            }()) :
+            { choices: [{ message: { content: null, tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'select_age', arguments: '{}' } }] } }] }));
+        const tools = [{ type: 'function', function: { name: 'select_age', parameters: { type: 'object', properties: {} } } }];
+        const onToolCall = jest.fn().mockResolvedValue({ selected: true });
+        const signal = new AbortController().signal;
+        const rounds = AIProviders.MAX_TOOL_ROUNDS;
+
+        const conversationId = await provider.createConversation();
+        await provider.sendMessage(conversationId, 'Select 12 months');
+        const reply = await provider.pollReply(conversationId, { tools: tools, onToolCall: onToolCall, signal: signal });
+
+        expect(reply).toEqual({ status: 'requires_action', content: null, annotations: [] });
+        expect(onToolCall).toHaveBeenCalledTimes(rounds);
+        expect(client.chat.completions.create).toHaveBeenCalledTimes(rounds + 1);
+        expect(client.chat.completions.create.mock.calls[rounds][0].tool_choice).toBe('none');
+        expect(client.chat.completions.create.mock.calls[0][1]).toEqual({ signal: signal });
+
+        client.chat.completions.create.mockClear();
+        const streamed = await provider.streamReply(conversationId, { tools: tools, onToolCall: onToolCall });
+
+        expect(streamed).toEqual({ status: 'requires_action', content: '', annotations: [] });
+        expect(client.chat.completions.create).toHaveBeenCalledTimes(rounds + 1);
+    });
+
+    // Tests that the mock adapter calls the tools of a configured response and reports failing calls as error
+    test('mock should call the tools of a response before the reply', async () => {
+        const provider = AIProviders.create({ provider: 'mock', responses: [
+            { toolCalls: [{ name: 'select_age', arguments: { age: 12 } }, { name: 'unknown' }] },
+            'Selected.'
+        ] });
+        const onToolCall = jest.fn().mockImplementation(name => {
+            if (name === 'unknown') {
+                throw new Error('Unknown tool "unknown"');
+            }
+            return { selected: true };
+        });
+        const conversationId = await provider.createConversation();
+
+        await provider.sendMessage(conversationId, 'Select 12 months');
+        const reply = await provider.pollReply(conversationId, { tools: [{ type: 'function' }], onToolCall: onToolCall });
+
+        expect(reply.content).toBe('Selected.');
+        expect(onToolCall.mock.calls).toEqual([['select_age', { age: 12 }], ['unknown', {}]]);
+    });
+
+    // Tests that the replay adapter answers with the reply recorded for the prompt
+    test('replay should return the recorded reply and reject unknown prompts', async () => {
+        const provider = AIProviders.create({ provider: 'replay', recordings: { [AICache.hash('Analyze')]: '{"abnormality":true}' } });
+        const conversationId = await provider.createConversation();
+
+        await provider.sendMessage(conversationId, 'Analyze');
+        expect(await provider.pollReply(conversationId)).toEqual({ status: 'completed', content: '{"abnormality":true}', annotations: [] });
+
+        await provider.sendMessage(conversationId, 'Analyze again');
+        await expect(provider.pollReply(conversationId)).rejects.toThrow(`No recorded reply for the prompt ${AICache.hash('Analyze again')}`);
+    });
+});
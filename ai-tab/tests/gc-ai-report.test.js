@@ -0,0 +1,99 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIReport = require('../js/gc-ai-report.js');
+
+function createReport(sections) {
+    return {
+        title: 'AI Growth Analysis',
+        generated: '2024-10-10T10:00:00.000Z',
+        patient: {
+            id: '123',
+            name: 'Jane <Doe>',
+            fields: [{ label: 'sex', value: 'female' }, { label: 'age', value: '2y 3m' }]
+        },
+        meta: [{ label: 'Model', value: 'mock:gpt-4o' }],
+        sections: sections || [
+            { key: 'summary', title: 'Summary', html: '<p>Normal growth &amp; weight gain [1].</p>' },
+            { key: 'growth', title: 'Growth Data', html: '<ul><li><strong>Length</strong>: 50th percentile</li><li>Weight: 60th</li></ul>' }
+        ],
+        guidelines: { title: 'Cited Guidelines', items: ['[1] CDC.pdf, p. 3'] },
+        disclaimer: { title: 'Disclaimer', text: 'Generated by an AI model.' }
+    };
+}
+
+// The text of the PDF between the offsets
+function pdfText(pdf, from, to) {
+    return String.fromCharCode.apply(null, pdf.subarray(from, to));
+}
+
+describe('AI Report', () => {
+    // Tests the print-ready HTML
+    test('toHTML should write the patient, the sections, the chart, the guidelines and the disclaimer', () => {
+        const report = createReport();
+        report.chart = { title: 'Growth Charts', svg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>', width: 10, height: 10 };
+        const html = AIReport.toHTML(report);
+
+        expect(html).toContain('<title>AI Growth Analysis: Jane &lt;Doe&gt;</title>');
+        expect(html).toContain('<label>sex:</label> female');
+        expect(html).toContain('<h2>Summary</h2>\n<p>Normal growth &amp; weight gain [1].</p>');
+        expect(html.indexOf('<h2>Summary</h2>')).toBeLessThan(html.indexOf('<h2>Growth Data</h2>'));
+        expect(html).toContain(`<img src="data:image/svg+xml;base64,${btoa(report.chart.svg)}"`);
+        expect(html).toContain('<li>[1] CDC.pdf, p. 3</li>');
+        expect(html).toContain('<strong>Disclaimer:</strong> Generated by an AI model.');
+
+        expect(AIReport.htmlToText(report.sections[1].html)).toBe('• Length: 50th percentile\n• Weight: 60th');
+        expect(AIReport.htmlToText(report.sections[0].html)).toBe('Normal growth & weight gain [1].');
+    });
+
+    // Tests the structure of the PDF written without a library
+    test('toPDF should write a valid PDF with pages and a cross-reference table', () => {
+        const long = `<ul>${Array.from({ length: 80 }, (value, i) => `<li>Finding ${i} (Привет)</li>`).join('')}</ul>`;
+        const pdf = AIReport.toPDF(createReport([{ key: 'summary', title: 'Summary', html: long }]));
+        const text = pdfText(pdf, 0, pdf.length);
+
+        expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(text.endsWith('%%EOF\n')).toBe(true);
+        expect(text).toMatch(/\/Type \/Pages \/Kids \[6 0 R 8 0 R\] \/Count 2/);
+        expect(text).toContain('(Finding 79 \\(??????\\)) Tj');
+        expect(text).toContain('(\\225) Tj');
+        expect(text).toContain('(Jane <Doe>   sex: female   age: 2y 3m) Tj');
+
+        // Every entry of the cross-reference table points to its object
+        const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+        const offsets = pdfText(pdf, xref, pdf.length).match(/(\d{10}) 00000 n/g).map(entry => Number(entry.substr(0, 10)));
+        expect(offsets).toHaveLength(9);
+        offsets.forEach((offset, i) => expect(pdfText(pdf, offset, offset + 10)).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+    });
+
+    // Tests the FHIR resources for filing the report into the EHR
+    test('toFHIR should create a preliminary DiagnosticReport and DocumentReference with the report attached', () => {
+        const report = createReport();
+        const bundle = AIReport.toFHIR(report, { html: '<p>Report</p>', pdf: new Uint8Array([37, 80, 68, 70]), language: 'en' });
+        const [diagnosticReport, documentReference] = bundle.entry.map(entry => entry.resource);
+
+        expect(bundle).toEqual(expect.objectContaining({ resourceType: 'Bundle', type: 'collection', timestamp: report.generated }));
+        expect(diagnosticReport).toEqual(expect.objectContaining({
+            resourceType: 'DiagnosticReport',
+            status: 'preliminary',
+            subject: { reference: 'Patient/123', display: 'Jane <Doe>' },
+            conclusion: 'Normal growth & weight gain [1].'
+        }));
+        expect(diagnosticReport.meta.security[0].code).toBe('AIAST');
+        expect(diagnosticReport.presentedForm.map(form => form.contentType)).toEqual(['text/html', 'application/pdf']);
+        expect(atob(diagnosticReport.presentedForm[0].data)).toBe('<p>Report</p>');
+        expect(diagnosticReport.presentedForm[1]).toEqual(expect.objectContaining({ data: 'JVBERg==', language: 'en' }));
+
+        expect(documentReference).toEqual(expect.objectContaining({ resourceType: 'DocumentReference', status: 'current', docStatus: 'preliminary' }));
+        expect(documentReference.content[0].attachment).toBe(diagnosticReport.presentedForm[0]);
+        expect(documentReference.context.related[0].reference).toBe(bundle.entry[0].fullUrl);
+        expect(bundle.entry[0].fullUrl).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+
+        // Without an id the patient is named only
+        delete report.patient.id;
+        expect(AIReport.toFHIR(report).entry[0].resource.subject).toEqual({ display: 'Jane <Doe>' });
+    });
+});
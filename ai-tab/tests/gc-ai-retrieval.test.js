@@ -0,0 +1,85 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AIRetrieval = require('../js/gc-ai-retrieval.js');
+
+describe('AI Retrieval', () => {
+    const pages = [
+        { page: 1, text: 'Growth hormone deficiency causes short stature and a low height velocity in children.' },
+        { page: 2, text: 'Failure to thrive describes weight faltering in infants and toddlers.' },
+        { page: 3, text: 'Childhood obesity is defined as a BMI at or above the 95th percentile.' }
+    ];
+
+    // Tests the normalization of the search terms
+    test('tokenize should lower case, drop stop words and stem plurals', () => {
+        expect(AIRetrieval.tokenize('The Infants and the Toddlers')).toEqual(['infant', 'toddler']);
+    });
+
+    // Tests that passages overlap and never span two pages
+    test('chunkPages should split the pages into overlapping passages', () => {
+        const words = Array.from({ length: 25 }, (v, i) => 'word' + i).join(' ');
+        const chunks = AIRetrieval.chunkPages('guideline.pdf', [{ page: 4, text: words }, { page: 5, text: 'last page' }], { chunkWords: 10, overlapWords: 2 });
+
+        expect(chunks.map(chunk => chunk.id)).toEqual([
+            'guideline.pdf#page=4&passage=1',
+            'guideline.pdf#page=4&passage=2',
+            'guideline.pdf#page=4&passage=3',
+            'guideline.pdf#page=5&passage=1'
+        ]);
+        expect(chunks[1].text.split(' ')[0]).toBe('word8');
+        expect(chunks[3]).toEqual({ id: 'guideline.pdf#page=5&passage=1', file: 'guideline.pdf', page: 5, text: 'last page' });
+    });
+
+    // Tests the ranking of the index
+    test('search should return the best matching passages first', () => {
+        const index = AIRetrieval.createIndex(AIRetrieval.chunkPages('guideline.pdf', pages));
+
+        const results = index.search('short stature and height velocity', 2);
+        expect(results).toHaveLength(1);
+        expect(results[0].page).toBe(1);
+        expect(results[0].score).toBeGreaterThan(0);
+
+        index.add(AIRetrieval.chunkPages('upload.pdf', [{ page: 1, text: 'Obesity and BMI in adolescents.' }]));
+        expect(index.size()).toBe(4);
+        expect(index.files()).toEqual(['guideline.pdf', 'upload.pdf']);
+        expect(index.search('obesity BMI', 5).map(result => result.file)).toEqual(['upload.pdf', 'guideline.pdf']);
+    });
+
+    // Tests the text extraction with pdf.js
+    test('addDocument should extract the pages of a PDF and add them to the index', async () => {
+        const pdfjsLib = {
+            getDocument: jest.fn().mockReturnValue({
+                promise: Promise.resolve({
+                    numPages: 2,
+                    getPage: jest.fn().mockImplementation(number => Promise.resolve({
+                        getTextContent: () => Promise.resolve({
+                            items: [{ str: 'Page ' + number, hasEOL: true }, { str: 'type 1 diabetes' }]
+                        })
+                    }))
+                })
+            })
+        };
+        const index = AIRetrieval.createIndex();
+
+        expect(await AIRetrieval.addDocument(index, pdfjsLib, 'T1DM.pdf', new Uint8Array())).toBe(2);
+        expect(index.search('diabetes', 5).map(result => result.page)).toEqual([1, 2]);
+    });
+
+    // Tests loading the prebuilt index
+    test('loadIndex should create the index from guidelines-index.json', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ version: 1, chunks: AIRetrieval.chunkPages('guideline.pdf', pages) })
+        });
+
+        const index = await AIRetrieval.loadIndex('ai-tab/guidelines/guidelines-index.json');
+        expect(index.size()).toBe(3);
+        expect(index.search('failure to thrive', 1)[0].page).toBe(2);
+
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+        await expect(AIRetrieval.loadIndex('missing.json')).rejects.toThrow('Could not load the guideline index (404)');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { dataSet, setupGC, createPatient: createGrowthPatient } = require('./growth-fixture.js');
+
+setupGC({
+    DATA_SETS: {
+        CDC_HEADC: dataSet(50, 0.05, 0, 36),
+        CDC_BMI: dataSet(16, 0.1, 24, 240)
+    }
+});
+const AIRules = require('../js/gc-ai-rules.js');
+
+function createPatient(model, midParental) {
+    return createGrowthPatient(model, {
+        getVelocity: jest.fn().mockReturnValue({ value: 4.5, suffix: '/year' }),
+        getMidParentalHeight: jest.fn().mockReturnValue(midParental || null)
+    });
+}
+
+function findingById(findings, id) {
+    return findings.find(item => item.id === id);
+}
+
+describe('AI Rules', () => {
+    // Tests that a normal patient is not flagged
+    test('evaluate should not flag normal growth', () => {
+        const patient = createPatient([
+            { agemos: 24, lengthAndStature: 100, weight: 16, headc: 50 },
+            { agemos: 30, lengthAndStature: 101, weight: 16.3, headc: 50.5 }
+        ]);
+        const findings = AIRules.evaluate(patient);
+
+        expect(findings).toHaveLength(7);
+        expect(AIRules.hasAbnormality(findings)).toBe(false);
+        expect(findingById(findings, 'height').status).toBe('normal');
+        expect(findingById(findings, 'targetHeight').status).toBe('notEvaluated');
+    });
+
+    // Tests the z-score rules for height, head circumference and BMI
+    test('evaluate should flag short stature, macrocephaly and a high BMI', () => {
+        const patient = createPatient([
+            { agemos: 30, lengthAndStature: 88, weight: 20, headc: 56 }
+        ]);
+        const findings = AIRules.evaluate(patient);
+
+        expect(findingById(findings, 'height').status).toBe('flagged');
+        expect(findingById(findings, 'height').message).toContain('z-score -2.4');
+        expect(findingById(findings, 'headCircumference').status).toBe('flagged');
+        expect(findingById(findings, 'bmi').status).toBe('flagged');
+        expect(findingById(findings, 'percentileCrossing-weight').status).toBe('notEvaluated');
+    });
+
+    // Tests the percentile crossing including the velocity
+    test('evaluate should flag weight crossing two major percentile lines', () => {
+        const patient = createPatient([
+            { agemos: 24, weight: 20 },   // P50
+            { agemos: 27, weight: 19 },   // P31
+            { agemos: 30, weight: 17.4 }  // P10
+        ]);
+        const crossing = findingById(AIRules.evaluate(patient), 'percentileCrossing-weight');
+
+        expect(crossing.status).toBe('flagged');
+        expect(crossing.message).toContain('downwards');
+        expect(crossing.message).toContain('4.5/year');
+        expect(patient.getVelocity).toHaveBeenCalledWith('weight', expect.objectContaining({ agemos: 30 }), null, 'year');
+    });
+
+    // Tests the comparison with the target height
+    test('evaluate should flag a height SDS far from the target-height SDS', () => {
+        const patient = createPatient(
+            [{ agemos: 60, lengthAndStature: 92 }],
+            { height: 185, percentile: 0.97 }
+        );
+        const target = findingById(AIRules.evaluate(patient), 'targetHeight');
+
+        expect(target.status).toBe('flagged');
+        expect(target.message).toContain('target-height SDS 1.9');
+    });
+
+    // Tests that the lengths are corrected to the position of the charts
+    test('evaluate should use the lengths corrected to the position of the charts', () => {
+        const patient = createPatient(
+            [{ agemos: 30, lengthAndStature: 90.3, weight: 12 }],  // lying: z -1.94, standing: z -2.08
+            { height: 175, percentile: 0.5 }
+        );
+        patient.getLengthCorrection = jest.fn().mockReturnValue(-0.7);
+        const findings = AIRules.evaluate(patient);
+        const height = findingById(findings, 'height');
+
+        expect(height.status).toBe('flagged');
+        expect(height.message).toContain('89.6 cm (measured 90.3 cm');
+        expect(findingById(findings, 'weightForLength').message).toContain('length/stature 89.6 cm');
+        expect(findingById(findings, 'targetHeight').message).toContain('Height SDS -2.1');
+        expect(patient.getLengthCorrection).toHaveBeenCalledWith(expect.objectContaining({ agemos: 30 }));
+    });
+
+    // Tests the prompt text
+    test('createPrompt should list every rule with its status', () => {
+        const prompt = AIRules.createPrompt([
+            { id: 'height', title: 'Height below -2 SD', status: 'flagged', message: 'z-score -2.4.' },
+            { id: 'bmi', title: 'BMI', status: 'notEvaluated', message: 'No BMI.' }
+        ]);
+
+        expect(prompt).toContain('- Height below -2 SD: FLAGGED. z-score -2.4.');
+        expect(prompt).toContain('- BMI: not evaluated. No BMI.');
+        expect(AIRules.createPrompt([])).toBe('');
+    });
+});
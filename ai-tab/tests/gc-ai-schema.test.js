@@ -0,0 +1,83 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.GC = {};
+
+const AISchema = require('../js/gc-ai-schema.js');
+
+describe('AI Schema', () => {
+    const validAnalysis = {
+        abnormality: true,
+        growthFindings: [{ measurement: 'weight', finding: 'Weight dropped from the 38th to the 2nd percentile.' }],
+        historyFindings: [],
+        referrals: [{ specialty: 'Pediatric gastroenterology', reason: 'Failure to thrive', nextSteps: 'Feeding assessment' }],
+        differentials: [{ diagnosis: 'Failure to thrive', icd10: 'R62.51' }],
+        summary: ['Weight faltering since the third month.']
+    };
+
+    // Tests a valid response
+    test('parseResponse should accept a valid analysis', () => {
+        const result = AISchema.parseResponse(JSON.stringify(validAnalysis));
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+        expect(result.data.abnormality).toBe(true);
+    });
+
+    // Tests that JSON in a markdown code block is extracted
+    test('parseResponse should extract the JSON object from surrounding text', () => {
+        const result = AISchema.parseResponse('Here is the analysis:\n```json\n' + JSON.stringify(validAnalysis) + '\n```');
+        expect(result.valid).toBe(true);
+    });
+
+    // Tests free text and broken JSON
+    test('parseResponse should reject text without valid JSON', () => {
+        expect(AISchema.parseResponse('Yes, there is an abnormality.').errors).toEqual(['The response does not contain a JSON object']);
+        expect(AISchema.parseResponse('{ "abnormality": yes }').valid).toBe(false);
+        expect(AISchema.parseResponse('').valid).toBe(false);
+    });
+
+    // Tests the validation errors
+    test('parseResponse should list missing fields, wrong types, enums and patterns', () => {
+        const invalid = Object.assign({}, validAnalysis, {
+            abnormality: 'yes',
+            growthFindings: [{ measurement: 'height', finding: 'Short stature' }],
+            differentials: [{ diagnosis: 'GH deficiency', icd10: 'growth hormone' }]
+        });
+        delete invalid.summary;
+
+        const result = AISchema.parseResponse(JSON.stringify(invalid));
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'response.summary is missing',
+            'response.abnormality must be of type boolean',
+            'response.growthFindings[0].measurement must be one of length, weight, headCircumference, bmi, general',
+            'response.differentials[0].icd10 has an invalid format'
+        ]);
+    });
+
+    // Tests the schema of a single section
+    test('pickSchema should keep only the given properties of the analysis', () => {
+        const schema = AISchema.pickSchema(['abnormality', 'growthFindings']);
+
+        expect(schema.required).toEqual(['abnormality', 'growthFindings']);
+        expect(Object.keys(schema.properties)).toEqual(['abnormality', 'growthFindings']);
+        expect(AISchema.parseResponse(JSON.stringify({ abnormality: false, growthFindings: [] }), schema).valid).toBe(true);
+        expect(AISchema.parseResponse(JSON.stringify({ growthFindings: [] }), schema).errors).toEqual(['response.abnormality is missing']);
+        expect(() => AISchema.pickSchema(['height'])).toThrow('Unknown property of the analysis: height');
+    });
+
+    // Tests the parsing of a streamed, unfinished response
+    test('parsePartialResponse should read the beginning of a streamed response', () => {
+        const content = JSON.stringify(validAnalysis);
+        const partial = AISchema.parsePartialResponse(content.substring(0, content.indexOf('Feeding')));
+
+        expect(partial.complete).toBe(false);
+        expect(partial.data.abnormality).toBe(true);
+        expect(partial.data.growthFindings).toEqual(validAnalysis.growthFindings);
+        expect(partial.data.referrals).toEqual([{ specialty: 'Pediatric gastroenterology', reason: 'Failure to thrive', nextSteps: '' }]);
+        expect(partial.fields).toEqual({ abnormality: true, growthFindings: true, historyFindings: true, referrals: false });
+        expect(AISchema.parsePartialResponse('```json')).toBeNull();
+        expect(AISchema.parsePartialResponse(content)).toEqual({ data: validAnalysis, complete: true, fields: expect.any(Object) });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { setupGC, createPatient: createGrowthPatient } = require('./growth-fixture.js');
+
+setupGC({
+    App: {
+        setSelectedAgemos: jest.fn()
+    }
+});
+require('../js/gc-ai-growth-table.js');
+const AITools = require('../js/gc-ai-tools.js');
+
+function createPatient(midParentalHeight) {
+    return createGrowthPatient([
+        { agemos: 0, lengthAndStature: 50, weight: 3.5 },
+        { agemos: 12, lengthAndStature: 75, weight: 10 },
+        { agemos: 24, lengthAndStature: 100 }
+    ], {
+        familyHistory: { father: { height: 180 }, mother: { height: 165 } },
+        getMidParentalHeight: () => midParentalHeight || null
+    });
+}
+
+describe('AI Tools', () => {
+    // Tests the definitions sent to the model
+    test('definitions should describe every tool as function', () => {
+        const definitions = AITools.definitions();
+
+        expect(definitions.map(definition => definition.function.name)).toEqual(['compute_zscore', 'get_velocity',
+            'get_mid_parental_height', 'list_measurements', 'select_age']);
+        expect(definitions[0]).toEqual(expect.objectContaining({ type: 'function' }));
+        expect(definitions[0].function.parameters.required).toEqual(['measure', 'value', 'age']);
+    });
+
+    // Tests the z-score and the velocity with ages and dates
+    test('compute_zscore and get_velocity should accept ages and dates', () => {
+        const patient = createPatient();
+
+        expect(AITools.call('compute_zscore', { measure: 'length', value: 105, age: '2021-01-01' }, { patient: patient }))
+            .toEqual({ measure: 'length', value: 105, unit: 'cm', age_months: 12, date: '2021-01-01', reference: 'CDC', z_score: 1, percentile: 84.1 });
+        expect(AITools.call('get_velocity', { measure: 'length', from: '6', to: 24 }, { patient: patient, dates: false }))
+            .toEqual({ measure: 'length', from: { age_months: 12, value: 75 }, to: { age_months: 24, value: 100 }, velocity_per_year: 25, unit: 'cm_yr' });
+
+        expect(() => AITools.call('compute_zscore', { measure: 'length', value: 105, age: '2021-01-01' }, { patient: patient, dates: false }))
+            .toThrow('Dates are not available, use the age in months');
+        expect(() => AITools.call('get_velocity', { measure: 'weight', from: 12, to: 24 }, { patient: patient }))
+            .toThrow('There are less than two measurements of weight in the period');
+        expect(() => AITools.call('compute_zscore', { measure: 'headc', value: 40, age: 3 }, { patient: patient }))
+            .toThrow('The reference CDC has no data for headc at 3 months');
+    });
+
+    // Tests the tools reading and changing the app
+    test('the other tools should list measurements, return the mid-parental height and select an age', () => {
+        expect(AITools.call('list_measurements', { from: 6 }, { patient: createPatient(), dates: false })).toEqual({
+            reference: 'CDC',
+            measurements: [
+                { age_mo: 12, length_cm: 75, length_z: -5, length_pct: 0, length_vel_cm_yr: 25, weight_kg: 10, weight_z: -5, weight_pct: 0, weight_vel_kg_yr: 6.5, bmi_kg_m2: 17.8 },
+                { age_mo: 24, length_cm: 100, length_z: 0, length_pct: 50, length_vel_cm_yr: 25 }
+            ]
+        });
+
+        expect(() => AITools.call('get_mid_parental_height', {}, { patient: createPatient() }))
+            .toThrow('The heights of both biological parents are needed');
+        expect(AITools.call('get_mid_parental_height', {}, { patient: createPatient({ height: 179, percentile: 0.55 }) }))
+            .toEqual({ mid_parental_height_cm: 179, percentile: 0.6, father_height_cm: 180, mother_height_cm: 165 });
+
+        expect(AITools.call('select_age', { age: '2020-07-01' }, { patient: createPatient() }))
+            .toEqual({ selected: true, age_months: 6, date: '2020-07-01' });
+        expect(GC.App.setSelectedAgemos).toHaveBeenCalledWith(6);
+        expect(() => AITools.call('unknown', {})).toThrow('Unknown tool "unknown"');
+    });
+});
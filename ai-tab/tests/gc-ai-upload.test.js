@@ -0,0 +1,76 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.XDate = require('../../lib/xdate.js');
+global.GC = {};
+
+const AIUpload = require('../js/gc-ai-upload.js');
+
+const MB = 1024 * 1024;
+
+// Creates a file of a given size starting with the given content
+function createFile(content, name, type, size) {
+    const parts = [content];
+    if (size) {
+        parts.push(new Uint8Array(size - content.length));
+    }
+    return new File(parts, name, { type: type });
+}
+
+describe('AI Upload', () => {
+    // Tests the accepted types and the maximum sizes
+    test('validate should check the extension, the MIME type, the size and the first bytes', async () => {
+        expect(await AIUpload.validate(createFile('%PDF-1.7', 'report.PDF', 'application/pdf'))).toEqual({ type: 'pdf' });
+        expect(await AIUpload.validate(createFile(new Uint8Array([0x89, 0x50, 0x4E, 0x47]), 'chart.png', ''))).toEqual({ type: 'image' });
+        expect(await AIUpload.validate(createFile('date,weight\n', 'data.csv', 'application/vnd.ms-excel'))).toEqual({ type: 'csv' });
+
+        expect(await AIUpload.validate(createFile('MZ', 'setup.exe', 'application/octet-stream'))).toEqual({ error: 'type' });
+        expect(await AIUpload.validate(createFile('%PDF-1.7', 'report.pdf', 'text/html'))).toEqual({ error: 'type' });
+        expect(await AIUpload.validate(createFile('<html>', 'report.pdf', 'application/pdf'))).toEqual({ error: 'type' });
+        expect(await AIUpload.validate(createFile('', 'data.csv', 'text/csv'))).toEqual({ error: 'empty' });
+        expect(await AIUpload.validate(createFile('date', 'data.csv', 'text/csv', MB + 1))).toEqual({ error: 'size', maxSize: MB });
+    });
+
+    // Tests the records of a CSV file with dates and ages
+    test('parseMeasurements should create records with the age in months', () => {
+        const csv = 'Date;Height (cm);Weight (kg);Head circumference\r\n' +
+            '2021-01-01;75,5;10;46\r\n' +
+            '"2020-07-01";;7,8;\r\n' +
+            '\r\n';
+        const result = AIUpload.parseMeasurements(csv, { DOB: new XDate(2020, 0, 1), today: new XDate(2024, 0, 1) });
+
+        expect(result.errors).toEqual([]);
+        expect(result.records).toEqual([
+            { agemos: 6, weight: 7.8 },
+            { agemos: 12, lengthAndStature: 75.5, weight: 10, headc: 46 }
+        ]);
+
+        expect(AIUpload.parseMeasurements('age_mo,bmi\n24,16.2\n', { DOB: new XDate(2020, 0, 1) }).records)
+            .toEqual([{ agemos: 24, bmi: 16.2 }]);
+    });
+
+    // Tests the errors of the lines, which are skipped
+    test('parseMeasurements should report invalid headers and lines', () => {
+        const options = { DOB: new XDate(2020, 0, 1), today: new XDate(2024, 0, 1) };
+
+        expect(AIUpload.parseMeasurements('name,weight\nX,10\n', options)).toEqual({ records: [], errors: [{ line: 1, error: 'header' }] });
+        expect(AIUpload.parseMeasurements('date,comment\n2021-01-01,ok\n', options).errors).toEqual([{ line: 1, error: 'header' }]);
+
+        const result = AIUpload.parseMeasurements('date,weight,length\n' +
+            '01/01/2021,10,75\n' +
+            '2025-01-01,10,75\n' +
+            '2021-01-01,ten,75\n' +
+            '2021-01-01,10,750\n' +
+            ',10,75\n' +
+            '2022-01-01,12,85\n', options);
+        expect(result.records).toEqual([{ agemos: 24, weight: 12, lengthAndStature: 85 }]);
+        expect(result.errors).toEqual([
+            { line: 2, error: 'age', column: 'date', value: '01/01/2021' },
+            { line: 3, error: 'future', column: 'date', value: '2025-01-01' },
+            { line: 4, error: 'value', column: 'weight', value: 'ten' },
+            { line: 5, error: 'range', column: 'lengthAndStature', value: '750' },
+            { line: 6, error: 'age' }
+        ]);
+    });
+});
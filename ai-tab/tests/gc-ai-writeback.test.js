@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+
+const http = require('http');
+const Client = require('fhirclient/lib/Client').default;
+
+global.GC = {};
+
+require('../js/gc-ai-report.js');
+const AIWriteBack = require('../js/gc-ai-writeback.js');
+
+const CONTEXT = {
+    patient: { id: '123', name: 'Jane Doe' },
+    author: 'Practitioner/7',
+    date: '2024-10-10T10:00:00.000Z',
+    model: 'mock:gpt-4o'
+};
+
+// A local FHIR server like HAPI: creates resources with an id and a version, answers with their location and
+// rejects invalid resources with an OperationOutcome
+function createServer() {
+    const resources = new Map();
+    const send = (res, status, body, headers) => {
+        res.writeHead(status, Object.assign({ 'Content-Type': 'application/fhir+json;charset=utf-8' }, headers));
+        res.end(body ? JSON.stringify(body) : '');
+    };
+    const outcome = diagnostics => ({
+        resourceType: 'OperationOutcome',
+        issue: [{ severity: 'error', code: 'processing', diagnostics: diagnostics }]
+    });
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const [, type, id] = /^\/fhir\/(\w+)(?:\/([\w-]+))?$/.exec(req.url) || [];
+            if (req.method === 'GET' && resources.has(`${type}/${id}`)) {
+                return send(res, 200, resources.get(`${type}/${id}`));
+            }
+            if (req.method !== 'POST' || !type || id) {
+                return send(res, 404, outcome(`Unknown resource ${req.url}`));
+            }
+            let resource;
+            try {
+                resource = JSON.parse(body);
+            } catch (error) {
+                return send(res, 400, outcome('Failed to parse request body as JSON resource'));
+            }
+            if (resource.resourceType !== type) {
+                return send(res, 400, outcome(`Incorrect resource type found, expected "${type}" but found "${resource.resourceType}"`));
+            }
+            if (!resource.subject || !/^Patient\/\w+$/.test(resource.subject.reference)) {
+                return send(res, 422, outcome(`${type}.subject: minimum required = 1, but only found 0`));
+            }
+            const created = Object.assign({}, resource, {
+                id: String(resources.size + 1),
+                meta: Object.assign({}, resource.meta, { versionId: '1', lastUpdated: new Date().toISOString() })
+            });
+            resources.set(`${type}/${created.id}`, created);
+            server.requests.push({ type: type, contentType: req.headers['content-type'] });
+            send(res, 201, created, { Location: `${server.url}/${type}/${created.id}/_history/1` });
+        });
+    });
+    server.requests = [];
+    return server;
+}
+
+describe('AI Write-back', () => {
+    let server, client;
+
+    beforeAll(done => {
+        server = createServer();
+        server.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${server.address().port}/fhir`;
+            client = new Client({}, server.url);
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    // Tests the Observation of the growth abnormality flag
+    test('createObservation should create a preliminary Observation of the abnormality flag', () => {
+        const observation = AIWriteBack.createObservation({ abnormality: true, findings: ['Weight below the 3rd percentile', ''] }, CONTEXT);
+
+        expect(observation).toEqual(expect.objectContaining({
+            resourceType: 'Observation',
+            status: 'preliminary',
+            subject: { reference: 'Patient/123', display: 'Jane Doe' },
+            performer: [{ reference: 'Practitioner/7' }],
+            valueBoolean: true,
+            note: [{ text: 'Weight below the 3rd percentile' }],
+            effectiveDateTime: CONTEXT.date
+        }));
+        expect(observation.meta.security[0].code).toBe('AIAST');
+        expect(observation.interpretation[0].coding[0].code).toBe('A');
+
+        // Only practitioners are authors
+        const normal = AIWriteBack.createObservation({ abnormality: false }, Object.assign({}, CONTEXT, { author: 'Patient/123' }));
+        expect(normal.performer).toBeUndefined();
+        expect(normal.note).toBeUndefined();
+        expect(normal.interpretation[0].coding[0].code).toBe('N');
+    });
+
+    // Tests the ClinicalImpression and the ServiceRequest
+    test('createClinicalImpression and createServiceRequest should create drafts of the summary and the referral', () => {
+        const impression = AIWriteBack.createClinicalImpression({
+            summary: ['Short stature.', 'Refer to endocrinology.'],
+            findings: ['Height below the 3rd percentile'],
+            differentials: [{ diagnosis: 'Growth hormone deficiency', icd10: 'E23.0', rationale: 'Low growth velocity' }]
+        }, CONTEXT);
+        expect(impression).toEqual(expect.objectContaining({
+            resourceType: 'ClinicalImpression',
+            status: 'in-progress',
+            assessor: { reference: 'Practitioner/7' },
+            summary: 'Short stature.\nRefer to endocrinology.'
+        }));
+        expect(impression.finding).toEqual([
+            { itemCodeableConcept: { text: 'Height below the 3rd percentile' } },
+            {
+                itemCodeableConcept: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10', code: 'E23.0' }], text: 'Growth hormone deficiency' },
+                basis: 'Low growth velocity'
+            }
+        ]);
+
+        const request = AIWriteBack.createServiceRequest({ specialty: 'Endocrinology', reason: 'Short stature', nextSteps: 'Bone age X-ray' }, CONTEXT);
+        expect(request).toEqual(expect.objectContaining({
+            resourceType: 'ServiceRequest',
+            status: 'draft',
+            intent: 'proposal',
+            code: { text: 'Referral to Endocrinology' },
+            performerType: { text: 'Endocrinology' },
+            reasonCode: [{ text: 'Short stature' }],
+            requester: { reference: 'Practitioner/7' },
+            authoredOn: CONTEXT.date
+        }));
+        expect(request.note[0]).toEqual({ text: 'Bone age X-ray' });
+    });
+
+    // Tests the submission to the FHIR server with the client of the SMART launch
+    test('submit should create the resources on the FHIR server and report the issues of rejected resources', async () => {
+        const observation = await AIWriteBack.submit(client, AIWriteBack.createObservation({ abnormality: true }, CONTEXT));
+        const request = await AIWriteBack.submit(client, AIWriteBack.createServiceRequest({ specialty: 'Endocrinology' }, CONTEXT));
+
+        expect(observation).toEqual(expect.objectContaining({ resourceType: 'Observation', id: '1', valueBoolean: true }));
+        expect(observation.meta).toEqual(expect.objectContaining({ versionId: '1', security: [expect.objectContaining({ code: 'AIAST' })] }));
+        expect(request).toEqual(expect.objectContaining({ resourceType: 'ServiceRequest', id: '2', status: 'draft' }));
+        expect(await client.request('ServiceRequest/2')).toEqual(request);
+        expect(server.requests).toEqual([
+            { type: 'Observation', contentType: 'application/fhir+json' },
+            { type: 'ServiceRequest', contentType: 'application/fhir+json' }
+        ]);
+
+        const invalid = AIWriteBack.createServiceRequest({ specialty: 'Endocrinology' }, CONTEXT);
+        delete invalid.subject;
+        await expect(AIWriteBack.submit(client, invalid))
+            .rejects.toThrow('422 Unprocessable Entity: ServiceRequest.subject: minimum required = 1, but only found 0');
+        expect(server.requests).toHaveLength(2);
+    });
+});
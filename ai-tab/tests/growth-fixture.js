@@ -0,0 +1,60 @@
+/**
+ * Shared fixture of the tests working with growth data (rules, growth table, tools and consistency check): the
+ * global GC with reference data sets whose z-scores are easy to compute and a mock of a patient.
+ */
+
+// Reference data with L = 1 and constant M and S, so z = (X / M - 1) / S
+function dataSet(M, S, from, to) {
+    const rows = [{ Agemos: from, L: 1, M: M, S: S }, { Agemos: to, L: 1, M: M, S: S }];
+    return { data: { male: rows, female: rows } };
+}
+
+/**
+ * Defines the global GC with the CDC stature and weight data sets and loads gc-statistics.js. Must be called
+ * before the module under test is required.
+ * @param {Object} [options] - { App, DATA_SETS } added to the defaults.
+ * @returns {Object} - The global GC.
+ */
+function setupGC(options) {
+    options = options || {};
+    global.XDate = require('../../lib/xdate.js');
+    global.GC = {
+        Util: {
+            floatVal: jest.fn().mockImplementation((value) => parseFloat(value))
+        },
+        App: Object.assign({
+            getPrimaryChartType: jest.fn().mockReturnValue('CDC')
+        }, options.App),
+        Constants: {
+            TIME_INTERVAL: { WEEKS_IN_MONTH: 4.348214285714286 }
+        },
+        DATA_SETS: Object.assign({
+            CDC_STATURE: dataSet(100, 0.05, 0, 240),
+            CDC_WEIGHT: dataSet(20, 0.1, 0, 240)
+        }, options.DATA_SETS)
+    };
+    require('../../js/gc-statistics.js');
+    return global.GC;
+}
+
+/**
+ * Creates a mock of a male patient (GC.Patient) born on 2020-01-01. The velocity is computed from the model,
+ * to the previous measurement if no other one is given.
+ * @param {Array<Object>} model - The model entries, oldest first.
+ * @param {Object} [props] - Properties replacing the defaults, e.g. getVelocity or getMidParentalHeight.
+ * @returns {Object} - The patient.
+ */
+function createPatient(model, props) {
+    return Object.assign({
+        gender: 'male',
+        DOB: new XDate(2020, 0, 1),
+        getModel: () => model,
+        getVelocity: jest.fn().mockImplementation((prop, at, to) => {
+            to = to || model.filter(entry => entry.agemos < at.agemos && entry[prop] !== undefined).pop();
+            return to ? { value: (at[prop] - to[prop]) / (at.agemos - to.agemos) * 12 } : null;
+        }),
+        getMidParentalHeight: () => null
+    }, props);
+}
+
+module.exports = { dataSet, setupGC, createPatient };
@@ -564,7 +564,7 @@ Chart.prototype = {
                 return true;
             }
 
-            var points = GC.App.getPatient().data[type],
+            var points = GC.App.getPatient().getChartData(type),
                 len    = points.length,
                 out    = [],
                 min    = Math.max(GC.App.getStartAgeMos(), 0),
@@ -573,19 +573,20 @@ Chart.prototype = {
                 ptNext = null,
                 i;
 
+            // [ agemos, value, point ]
             for ( i = 0; i < len; i++ ) {
                 if ( points[i].agemos < min ) {
                     if ( !ptPrev || ptPrev[0] < points[i].agemos ) {
-                        ptPrev = [ points[i].agemos, points[i].value ];
+                        ptPrev = [ points[i].agemos, points[i].value, points[i] ];
                     }
                 }
                 else if ( points[i].agemos > max ) {
                     if ( !ptNext || ptNext[0] > points[i].agemos ) {
-                        ptNext = [ points[i].agemos, points[i].value ];
+                        ptNext = [ points[i].agemos, points[i].value, points[i] ];
                     }
                 }
                 else {
-                    out.push( [ points[i].agemos, points[i].value ] );
+                    out.push( [ points[i].agemos, points[i].value, points[i] ] );
                 }
             }
 
@@ -707,7 +708,11 @@ Chart.prototype = {
     {
         if ( this.patientDataType ) {
             var patient  = GC.App.getPatient(),
-                pointSet = new PointSet( patient.data[this.patientDataType], "agemos", "value" );
+                pointSet = new PointSet(
+                    patient.getChartData(this.patientDataType, this.dataSet ? GC.DATA_SETS[this.dataSet] : null),
+                    "agemos",
+                    "value"
+                );
 
             // Get only the points within the current time range
             pointSet.clip(
@@ -1086,13 +1091,23 @@ Chart.prototype = {
                         null;
 
                     data = {
-                        agemos : point[0],
-                        value  : point[1],
-                        color  : this.settings.color,
-                        label  : this.getTooltipLabel(point[1]),
-                        isLast : point === lines[type][lines[type].length - 1]
+                        agemos     : point[0],
+                        value      : point[1],
+                        provenance : point[2].provenance,
+                        correction : point[2].correction || 0,
+                        color      : this.settings.color,
+                        label      : this.getTooltipLabel(point[1]),
+                        isLast     : point === lines[type][lines[type].length - 1]
                     };
 
+                    if ( GC.Patient.isAmended(point[2].provenance) ) {
+                        data.label += " (" + GC.str("STR_ProvenanceStatus_" + point[2].provenance.status) + ")";
+                    }
+
+                    if ( data.correction ) {
+                        data.label += " (" + GC.str("STR_LengthCorrected") + ")";
+                    }
+
                     if ( pct !== null && !isNaN(pct) && isFinite(pct) ) {
                         data.pct = pct;
                     }
@@ -2127,7 +2142,10 @@ Chart.prototype = {
                 firstMonth : false,
                 annotation : ""
             }, settings),
-            set = this.pane.paper.set();
+            set = this.pane.paper.set(),
+            provenance = cfg.point ? cfg.point.provenance : null,
+            correction = cfg.point ? cfg.point.correction : 0,
+            title      = [];
 
         var useFirstMonthStyle = GC.Preferences._data.enableFirstMonthStyling;
 
@@ -2160,6 +2178,35 @@ Chart.prototype = {
           }).addClass("point")
         );
 
+        // The ring around the values which were amended in the EHR
+        if (GC.Patient.isAmended(provenance)) {
+            set.push(
+                this.pane.paper.circle(cx, cy, 7)
+                .attr(GC.chartSettings.patientData.points.amended)
+                .addClass("point")
+            );
+        }
+
+        // The dashed ring around the lengths corrected to the position of the
+        // chart
+        if (correction) {
+            set.push(
+                this.pane.paper.circle(cx, cy, GC.Patient.isAmended(provenance) ? 9 : 7)
+                .attr(GC.chartSettings.patientData.points.corrected)
+                .addClass("point")
+            );
+            title.push(GC.Patient.formatLengthCorrection(cfg.point.measured, cfg.point.position, correction));
+        }
+
+        // Where the value comes from, shown on mouse over
+        if (provenance) {
+            title.push(GC.Patient.formatProvenance(provenance));
+        }
+
+        if (title.length) {
+            set.attr("title", title.join("\n"));
+        }
+
         this._nodes.push(set);
 
         return set;
@@ -195,7 +195,7 @@
             if ( ds2 ) {
                 out.length = {
                     dataId   : Raphael.createUUID(),
-                    data     : this._preprocessData( patient.data.lengthAndStature ),
+                    data     : this._preprocessData( patient.getChartData("lengthAndStature", ds2) ),
                     color    : GC.chartSettings.lengthChart.axis.stroke,
                     ttColor  : GC.chartSettings.lengthChart.color,
                     shortName: GC.chartSettings.lengthChart.abbr,
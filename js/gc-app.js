@@ -13,6 +13,8 @@
         parentalDarwn = false,
         drawn = false,
         PATIENT = null,
+        SKIPPED_OBSERVATIONS = [],
+        CODE_MAPPING = null,
         // BIRTH_XDATE = new XDate(),
         MIN_WEEK_DIFF = NS.chartSettings.minTimeInterval / NS.Constants.TIME.WEEK,
         BROADCASTER = $("html"),
@@ -327,6 +329,12 @@
     NS.App.getPatient = function getPatient() {
         return PATIENT;
     };
+    NS.App.getSkippedObservations = function() {
+        return SKIPPED_OBSERVATIONS;
+    };
+    NS.App.getCodeMapping = function() {
+        return CODE_MAPPING;
+    };
     NS.App.getGender = getGender;
     NS.App.setGender = setGender;
     NS.App.getStartWeek = getStartWeek;
@@ -468,6 +476,24 @@
         }
     };
 
+    NS.App.viewSkippedObservations = function() {
+        GC.App.dialog("skipped-observations.html", null, {
+            "modal" : false,
+            "title" : NS.str("STR_SkippedObservationsTitle"),
+            "height" : "auto",
+            "width" : "auto"
+        });
+    };
+
+    NS.App.viewCodeMapping = function() {
+        GC.App.dialog("code-mapping.html", null, {
+            "modal" : false,
+            "title" : NS.str("STR_CodeMappingTitle"),
+            "height" : "auto",
+            "width" : "auto"
+        });
+    };
+
     NS.App.editParents = function() {
         GC.App.dialog("edit-parents.html", null, {
             modal : true,
@@ -718,6 +744,10 @@
             } else {
                 $("#corrected-age").parent().hide();
             }
+
+            $("#skipped-observations")
+                .toggle(SKIPPED_OBSERVATIONS.length > 0)
+                .find(".count").text(SKIPPED_OBSERVATIONS.length);
         }
 
         function setInitialState(done) {
@@ -832,6 +862,8 @@
                     null,//	annotations,
                     data.boneAge
                 );
+                SKIPPED_OBSERVATIONS = data.skippedObservations || [];
+                CODE_MAPPING = data.codeMapping || null;
 
                 GC.translatePreemieDatasets(PATIENT);
                 done();
@@ -1477,53 +1509,9 @@
                         console.log("error reading curve data from JSON file." +" \n" + exc);
                     }
 
-                    // =========================================================================
                     // Preprocess the data (sort by age, remove dublicates, etc.)
-                    (function() {
-
-                        function sortByAge(a, b) {
-                            return a.Agemos - b.Agemos;
-                        }
+                    GC.prepareDataSets(GC.DATA_SETS);
 
-                        function cleanUp( _data ) {
-                            var len = _data.length, i, prev, cur;
-                            for ( i = 1; i < len; i++ ) {
-                                prev = _data[ i - 1 ];
-                                cur  = _data[ i ];
-
-                                // smooth for _data interval under 1 month
-                                if ( Math.abs(prev.Agemos - cur.Agemos) < 1 ) {
-                                    prev.value = (prev.value + cur.value) / 2;
-                                    _data.splice( i, 1 );
-                                    i--;
-                                    len--;
-                                }
-                            }
-                        }
-
-                        var ds, x, genders = { male : 1, female : 1 }, gender, type, key, group;
-                        for ( x in GC.DATA_SETS ) {
-                            for ( gender in genders ) {
-                                ds = GC.DATA_SETS[x].data[gender];
-                                type = Object.prototype.toString.call(ds);
-
-                                if ( type == "[object Array]" ) {
-                                    ds.sort(sortByAge);
-                                }
-                                else if ( type == "[object Object]" ) {
-                                    for ( key in ds ) {
-                                        group = ds[key];
-
-                                        group.sort(sortByAge);
-
-                                        cleanUp( group );
-                                        GC.DATA_SETS[x].data[gender][key] = group;
-                                    }
-                                }
-                            }
-                        }
-                    }());
-                    // =========================================================================
                     //continue processing...
                     done();
                 },
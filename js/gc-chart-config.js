@@ -52,7 +52,11 @@ window.GC = window.GC || {};
 
         // set to true to enable the editing of the parents in the header
         patientFamilyHistoryEditable : false,
-        patientDataEditable : false
+        patientDataEditable : false,
+
+        // The JSON file mapping the codes of the observations (LOINC, SNOMED
+        // CT or local codes) to the measurements (see js/gc-code-mapping.js)
+        codeMapping : "code-mapping.json"
     };
 
     // =========================================================================
@@ -113,6 +117,26 @@ window.GC = window.GC || {};
         // At what point chronologically does one start forecasting adult height?
         heightEstimatesMinAge : 12, // months
 
+        // The lengths measured in another position (if known from their code)
+        // than the one of the plotted length data set are corrected by "value"
+        // (cm), a recumbent length being about 0.7 cm more than the standing
+        // height. "dataSets" has the position of the length data sets by name:
+        // "lying", "standing" or the age in months (inclusive) up to which the
+        // data set has recumbent lengths, e.g. CDC_STATURE joining the infant
+        // length-for-age and the stature-for-age data. The lengths plotted on
+        // other data sets are not corrected.
+        lengthCorrection : {
+            enabled  : true,
+            value    : 0.7,
+            dataSets : {
+                CDC_STATURE   : 24,
+                CDC_LENGTH    : "lying",
+                WHO_LENGTH    : "lying",
+                FENTON_LENGTH : "lying",
+                OLSEN_LENGTH  : "lying"
+            }
+        },
+
         percentiles : [0.05, 0.15, 0.5, 0.85, 0.95], // or [0.03, 0.15, 0.5, 0.85, 0.97]
 
         // Minimal time range to observe in millisecconds
@@ -125,6 +149,43 @@ window.GC = window.GC || {};
         gestCorrectionTreshold : 30, // weeks
         gestCorrectionType : "none",
 
+        // AI Tab Settings
+        // =====================================================================
+        ai : {
+            provider : "openai-assistants", // openai-assistants | openai-chat | mock
+            apiKey   : "API-KEY",
+
+            // used by "openai-assistants"
+            assistantId   : "asst_6LEnciXiGknEgzaJKlrssixL",
+            vectorStoreId : "vs_2qk1H6IH8mPG1hI77hRElznk",
+
+            streaming      : true, // stream the replies into the sections and the chat
+            sectionTimeout : 120,  // seconds until a section of the analysis is stopped and can be retried
+            cache          : "localStorage", // cache of the analyses: localStorage | scratchpad | none
+            audit          : "localStorage", // audit log of the interactions with the model: localStorage | scratchpad | none
+            chatHistory    : "localStorage", // chat transcripts per patient and user: localStorage | scratchpad | none
+            deidentify     : true, // send a pseudonym and relative ages instead of the name and dates (gc-ai-deidentify.js)
+            promptVersion  : "2",  // version of the prompt templates (gc-ai-prompts.js), stored with every analysis
+            chatTools      : true, // the chat can compute z-scores, velocities etc. and select an age in the charts (gc-ai-tools.js)
+            consistencyCheck : true, // re-compute the percentiles, z-scores and velocities in the replies (gc-ai-consistency.js)
+            writeBack      : true, // accepted findings can be created in the EHR as drafts after a preview (gc-ai-writeback.js)
+
+            // growth data in the prompts (gc-ai-growth-table.js)
+            growthFormat    : "csv",  // csv | table
+            growthReference : "auto", // reference of the z-scores and percentiles: auto (primary chart) | CDC | WHO | FENTON
+            growthMaxRows   : 40,     // longer series are thinned evenly by age (0 keeps all measurements)
+
+            // guideline retrieval: "local" (bundled guidelines, see gc-ai-retrieval.js) | "provider" (vector store of the assistant)
+            retrieval        : "local",
+            retrievalResults : 6,
+            guidelinesIndex  : "ai-tab/guidelines/guidelines-index.json",
+
+            // used by "openai-chat" (empty baseURL means api.openai.com)
+            baseURL : "",
+            model   : "gpt-4o",
+            instructions : "You are a highly qualified pediatrician whose task it is to analyze a patient's data and make a diagnosis. Answer concisely and specifically in bullet points."
+        },
+
         // Timeline Settings
         // =====================================================================
         timeline : {
@@ -479,6 +540,19 @@ window.GC = window.GC || {};
                 current : {
                     stroke: "rgb(0,0,0)",
                     "stroke-width": 2
+                },
+                // The values which were amended or corrected in the EHR
+                amended : {
+                    stroke: "#E67E00",
+                    "stroke-width": 2,
+                    fill: "none"
+                },
+                // The lengths corrected to the position of the chart
+                corrected : {
+                    stroke: "#333",
+                    "stroke-width": 1,
+                    "stroke-dasharray": "- ",
+                    fill: "none"
                 }
             },
             lines : {
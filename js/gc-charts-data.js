@@ -132,6 +132,60 @@ if (!GC) {
         return ds.ageRange;
     };
 
+    /**
+     * Preprocesses the curve data read from GCCurveDataJSON.txt: sorts the
+     * data points by age and smoothes points which are less than one month
+     * apart. Used by the app and by the offline evaluation of the AI tab.
+     * @param {Object} dataSets - The data sets by name (GC.DATA_SETS).
+     * @returns {Object} - The same data sets, changed in place.
+     */
+    GC.prepareDataSets = function(dataSets) {
+
+        function sortByAge(a, b) {
+            return a.Agemos - b.Agemos;
+        }
+
+        function cleanUp( _data ) {
+            var len = _data.length, i, prev, cur;
+            for ( i = 1; i < len; i++ ) {
+                prev = _data[ i - 1 ];
+                cur  = _data[ i ];
+
+                // smooth for _data interval under 1 month
+                if ( Math.abs(prev.Agemos - cur.Agemos) < 1 ) {
+                    prev.value = (prev.value + cur.value) / 2;
+                    _data.splice( i, 1 );
+                    i--;
+                    len--;
+                }
+            }
+        }
+
+        var ds, x, genders = { male : 1, female : 1 }, gender, type, key, group;
+        for ( x in dataSets ) {
+            for ( gender in genders ) {
+                ds = dataSets[x].data[gender];
+                type = Object.prototype.toString.call(ds);
+
+                if ( type == "[object Array]" ) {
+                    ds.sort(sortByAge);
+                }
+                else if ( type == "[object Object]" ) {
+                    for ( key in ds ) {
+                        group = ds[key];
+
+                        group.sort(sortByAge);
+
+                        cleanUp( group );
+                        dataSets[x].data[gender][key] = group;
+                    }
+                }
+            }
+        }
+
+        return dataSets;
+    };
+
     GC.translatePreemieDatasets = function(patient) {
         if (patient.weeker) {
             var diff = patient.weeker/4.348214285714286;
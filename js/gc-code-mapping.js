@@ -0,0 +1,291 @@
+/*global GC, $, Promise */
+/*jslint eqeq: true, nomen: true, plusplus: true */
+
+/**
+ * The mapping of the codes of the observations (LOINC, SNOMED CT or local
+ * codes) to the growth measurements of the app. The mapping is loaded from a
+ * JSON file (GC.chartSettings.codeMapping, code-mapping.json), so a site can
+ * add the alternate codes of its EHR:
+ *
+ *  {
+ *      "measures": {
+ *          "weight": [{ "system": "http://loinc.org", "code": "29463-7", "display": "Body weight" }, ...],
+ *          "length": [{ "system": "http://loinc.org", "code": "8306-3", "position": "lying" }, ...],
+ *          ...
+ *      },
+ *      "panels": [{ "system": "http://loinc.org", "code": "85353-1" }]
+ *  }
+ *
+ * The measures are listed in MEASURES. Codes without a system match any
+ * system. If a measure has several codes, the observations of the earlier
+ * codes come first. If the file can not be loaded, the built-in mapping is
+ * used.
+ * @file gc-code-mapping.js
+ */
+
+// Initialize the GC global object as needed
+window.GC = window.GC || {};
+
+(function(NS) {
+
+    "use strict";
+
+    // The measures with the UCUM unit (GC.UCUM) their values are converted to
+    var MEASURES = {
+        weight         : { unit : "kg"    },
+        length         : { unit : "cm"    },
+        headc          : { unit : "cm"    },
+        bmi            : { unit : "kg/m2" },
+        boneAge        : { unit : "mo"    },
+        gestationalAge : { unit : "wk"    }
+    };
+
+    // The positions of the length measurements
+    var POSITIONS = ["lying", "standing"];
+
+    var LOINC = "http://loinc.org";
+
+    // Used if the mapping file can not be loaded
+    var DEFAULT_MAPPING = {
+        measures : {
+            weight : [
+                { system : LOINC, code : "29463-7", display : "Body weight" },
+                { system : LOINC, code : "3141-9" , display : "Body weight Measured" }
+            ],
+            length : [
+                { system : LOINC, code : "8302-2" , display : "Body height" },
+                { system : LOINC, code : "8306-3" , display : "Body height --lying", position : "lying" }
+            ],
+            headc : [
+                { system : LOINC, code : "8287-5" , display : "Head Occipital-frontal circumference by Tape measure" }
+            ],
+            bmi : [
+                { system : LOINC, code : "39156-5", display : "Body mass index (BMI) [Ratio]" }
+            ],
+            boneAge : [
+                { system : LOINC, code : "37362-1", display : "XR Bone age" }
+            ],
+            gestationalAge : [
+                { system : LOINC, code : "18185-9", display : "Gestational age" },
+                { system : LOINC, code : "11884-4", display : "Gestational age Estimated (Cerner)" }
+            ]
+        },
+        panels : [
+            { system : LOINC, code : "85353-1", display : "Vital signs panel" }
+        ]
+    };
+
+    /**
+     * Checks a code of the mapping file.
+     * @param {Object} entry The code { system, code, display, position }
+     * @param {String} where The measure or "panels", for the error message
+     * @returns {Object} The code
+     */
+    function normalizeCode(entry, where) {
+        if (!entry || typeof entry != "object" || !entry.code || typeof entry.code != "string") {
+            throw new Error("Invalid code of \"" + where + "\": " + JSON.stringify(entry));
+        }
+        if (entry.position && POSITIONS.indexOf(entry.position) == -1) {
+            throw new Error("Invalid position of the code " + entry.code + ": " + entry.position);
+        }
+        return {
+            system   : entry.system || null,
+            code     : entry.code,
+            display  : entry.display || "",
+            position : entry.position || null
+        };
+    }
+
+    /**
+     * Checks the content of a mapping file.
+     * @param {Object} config The parsed mapping file
+     * @returns {Object} The mapping { measures: { <measure>: [codes] }, panels: [codes] }
+     * @throws {Error} If the mapping is invalid
+     */
+    function normalize(config) {
+        if (!config || typeof config != "object" || !config.measures || typeof config.measures != "object") {
+            throw new Error("The code mapping has no \"measures\"");
+        }
+        var mapping = { measures : {}, panels : [] };
+        for (var measure in config.measures) {
+            if (config.measures.hasOwnProperty(measure)) {
+                if (!MEASURES.hasOwnProperty(measure)) {
+                    throw new Error("Unknown measure \"" + measure + "\" of the code mapping");
+                }
+                if (!Array.isArray(config.measures[measure])) {
+                    throw new Error("The codes of \"" + measure + "\" are not a list");
+                }
+                mapping.measures[measure] = config.measures[measure].map(function(entry) {
+                    return normalizeCode(entry, measure);
+                });
+            }
+        }
+        mapping.panels = (config.panels || []).map(function(entry) {
+            return normalizeCode(entry, "panels");
+        });
+        return mapping;
+    }
+
+    /**
+     * Loads the mapping file.
+     * @param {String} url The URL of the mapping file
+     * @returns {Promise<Object>} { mapping, source: the URL or "default",
+     *  error: why the file was not used or null }, never rejected
+     */
+    function load(url) {
+        if (!url) {
+            return Promise.resolve({ mapping : DEFAULT_MAPPING, source : "default", error : null });
+        }
+        return fetch(url).then(function(response) {
+            if (!response.ok) {
+                throw new Error(response.status + " " + (response.statusText || ""));
+            }
+            return response.json();
+        }).then(function(config) {
+            return { mapping : normalize(config), source : url, error : null };
+        }).catch(function(error) {
+            console.error("Error loading the code mapping " + url + ": ", error);
+            return { mapping : DEFAULT_MAPPING, source : "default", error : error.message };
+        });
+    }
+
+    /**
+     * Returns the codes of the search of the observations.
+     * @param {Object} mapping The mapping
+     * @returns {Array<String>} The codes as "system|code" or "code"
+     */
+    function getSearchCodes(mapping) {
+        var codes = [];
+        function add(entry) {
+            var token = entry.system ? entry.system + "|" + entry.code : entry.code;
+            if (codes.indexOf(token) == -1) {
+                codes.push(token);
+            }
+        }
+        Object.keys(mapping.measures).forEach(function(measure) {
+            mapping.measures[measure].forEach(add);
+        });
+        mapping.panels.forEach(add);
+        return codes;
+    }
+
+    function matches(entry, coding) {
+        return entry.code === coding.code && (!entry.system || !coding.system || entry.system === coding.system);
+    }
+
+    /**
+     * Finds the measure of a coding.
+     * @param {Object} mapping The mapping
+     * @param {Object} coding The FHIR coding { system, code }
+     * @returns {Object|null} { measure: the measure or "panel", entry: the
+     *  code of the mapping, index: its position in the codes of the measure }
+     */
+    function findCoding(mapping, coding) {
+        var found = null;
+        // Not $.each, the "length" measure would make it an array-like object
+        Object.keys(mapping.measures).some(function(measure) {
+            return mapping.measures[measure].some(function(entry, index) {
+                if (matches(entry, coding)) {
+                    found = { measure : measure, entry : entry, index : index };
+                    return true;
+                }
+                return false;
+            });
+        });
+        if (!found) {
+            $.each(mapping.panels, function(index, entry) {
+                if (matches(entry, coding)) {
+                    found = { measure : "panel", entry : entry, index : index };
+                    return false;
+                }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Returns the position of a length measurement from the code of its
+     * observation, e.g. "lying" for LOINC 8306-3.
+     * @param {Object} mapping The mapping
+     * @param {Object} observation The observation
+     * @returns {String|null} "lying", "standing" or null if the code does not
+     *  tell
+     */
+    function getPosition(mapping, observation) {
+        var position = null;
+        ((observation.code || {}).coding || []).some(function(coding) {
+            var found = coding && coding.code ? findCoding(mapping, coding) : null;
+            if (found && found.measure == "length") {
+                position = found.entry.position;
+                return true;
+            }
+            return false;
+        });
+        return position;
+    }
+
+    /**
+     * Groups the observations by measure and lists the codes found in them.
+     * @param {Object} mapping The mapping
+     * @param {Array<Object>} observations The observations
+     * @returns {Object} { byMeasure: { <measure>: [observations] }, codes:
+     *  [{ system, code, display, count, measure, position }] }, an observation
+     *  with several mapped codings belongs to the measure of its first one
+     */
+    function classify(mapping, observations) {
+        var byMeasure = {}, ranked = {}, codes = [], codesByKey = {};
+
+        $.each(observations, function(i, o) {
+            var concept = o.code || {},
+                mapped  = null;
+            $.each(concept.coding || [], function(j, coding) {
+                if (!coding || !coding.code) {
+                    return;
+                }
+                var found = findCoding(mapping, coding),
+                    key   = (coding.system || "") + "|" + coding.code;
+                if (!codesByKey[key]) {
+                    codesByKey[key] = {
+                        system   : coding.system || "",
+                        code     : coding.code,
+                        display  : coding.display || concept.text || "",
+                        count    : 0,
+                        measure  : found ? found.measure : null,
+                        position : found ? found.entry.position : null
+                    };
+                    codes.push(codesByKey[key]);
+                }
+                codesByKey[key].count++;
+                if (found && !mapped) {
+                    mapped = found;
+                }
+            });
+            if (mapped && mapped.measure != "panel") {
+                (ranked[mapped.measure] = ranked[mapped.measure] || []).push({ index : mapped.index, order : i, observation : o });
+            }
+        });
+
+        Object.keys(ranked).forEach(function(measure) {
+            byMeasure[measure] = ranked[measure].sort(function(a, b) {
+                return a.index - b.index || a.order - b.order;
+            }).map(function(item) {
+                return item.observation;
+            });
+        });
+
+        return { byMeasure : byMeasure, codes : codes };
+    }
+
+    NS.CodeMapping = {
+        MEASURES        : MEASURES,
+        POSITIONS       : POSITIONS,
+        DEFAULT_MAPPING : DEFAULT_MAPPING,
+        normalize       : normalize,
+        load            : load,
+        getSearchCodes  : getSearchCodes,
+        findCoding      : findCoding,
+        getPosition     : getPosition,
+        classify        : classify
+    };
+
+}(GC));
@@ -54,6 +54,7 @@
 
     function getLength( entry ) {
         if ( entry.hasOwnProperty("lengthAndStature") ) {
+            var position = GC.App.getPatient().getLengthPosition(entry);
             return GC.Util.format(entry.lengthAndStature, {
                 type : "height",
                 foot : '<span class="units">\'</span>',
@@ -62,11 +63,24 @@
                 m    : '<span class="units">m</span>',
                 cmOnly : true,
                 separator : '<span class="unit-separator"></span>'
-            });
+            }) + (position ?
+                '<span class="length-position">' + GC.str("STR_CodeMappingPosition_" + position) + '</span>' :
+                "");
         }
         return EMPTY_MARK;
     }
 
+    /**
+     * Returns the value of a property of an entry as plotted on the charts,
+     * i.e. with the lengths corrected to the position of the charts.
+     */
+    function getChartValue( entry, prop ) {
+        if ( prop == "lengthAndStature" ) {
+            return entry[prop] + GC.App.getPatient().getLengthCorrection(entry, getDataSet(prop) || null);
+        }
+        return entry[prop];
+    }
+
     function getWeight( entry ) {
         if ( entry.hasOwnProperty("weight") ) {
             return GC.Util.format(entry.weight, {
@@ -109,7 +123,7 @@
             var ds = getDataSet(prop), pct;
             if (ds) {
                 pct = GC.findPercentileFromX(
-                    entry[prop],
+                    getChartValue(entry, prop),
                     ds,
                     GC.App.getGender(),
                     entry.agemos
@@ -128,7 +142,7 @@
             var ds = getDataSet(prop), z;
             if (ds) {
                 z = GC.findZFromX(
-                    entry[prop],
+                    getChartValue(entry, prop),
                     ds,
                     GC.App.getGender(),
                     entry.agemos
@@ -167,6 +181,36 @@
         return EMPTY_MARK;
     }
 
+    /**
+     * Shows where the value of a cell comes from as its title and flags the
+     * values which were amended in the EHR and the lengths which are
+     * corrected to the position of the charts.
+     */
+    function setProvenance( td, entry, prop ) {
+        var patient    = GC.App.getPatient(),
+            provenance = patient.getProvenance(entry, prop),
+            correction = prop == "lengthAndStature" && entry.hasOwnProperty(prop) ?
+                patient.getLengthCorrection(entry, getDataSet(prop) || null) :
+                0,
+            title      = [];
+
+        if ( correction ) {
+            title.push(GC.Patient.formatLengthCorrection(
+                entry[prop],
+                patient.getLengthPosition(entry),
+                correction
+            ));
+        }
+        if ( provenance ) {
+            title.push(GC.Patient.formatProvenance(provenance));
+        }
+        if ( title.length ) {
+            td.attr("title", title.join("\n"));
+        }
+        td.toggleClass("amended", GC.Patient.isAmended(provenance))
+          .toggleClass("corrected", !!correction);
+    }
+
     function getDataSet( type ) {
         var ds = GC.App.getPrimaryChartType();
         switch (type.toLowerCase()) {
@@ -287,6 +331,10 @@
                     td.html( o.get( data, model ) );
                 }
 
+                if ( o.provenance ) {
+                    setProvenance( td, data, o.provenance );
+                }
+
                 if ( !index ) { // first data column
                     if ( o.rowClass ) {
                         tr.addClass( o.rowClass );
@@ -714,6 +762,7 @@
                     label : "STR_2", // Length
                     units : { metric : "cm", eng : "ft - in" },
                     get   : getLength,
+                    provenance : "lengthAndStature",
                     rowClass : "length heading",
                     printrow : 1,
                     printColspan : 3
@@ -759,6 +808,7 @@
                     label : "STR_6", // Weight
                     units : { metric : "kg", eng : "lb - oz" },
                     get   : getWeight,
+                    provenance : "weight",
                     rowClass : "weight heading",
                     printrow : 1,
                     printColspan : 3
@@ -803,6 +853,7 @@
                     label : "STR_13", // Head C
                     units : { metric : "cm", eng : "in" },
                     get   : getHeadC,
+                    provenance : "headc",
                     rowClass : "headc heading",
                     printrow : 1
                 },
@@ -843,6 +894,7 @@
                     label : "STR_14", // BMI
                     units : { metric : "kg/m2", eng : "lb/ft2x703" },
                     get   : getBMI,
+                    provenance : "bmi",
                     rowClass : "bmi heading",
                     printrow : 1
                 },
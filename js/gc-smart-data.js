@@ -10,6 +10,24 @@ window.GC = window.GC || {};
         return a.agemos - b.agemos;
     }
 
+    // The FHIR statuses of the observations having a translation
+    var STATUSES = ["registered", "preliminary", "final", "amended", "corrected"];
+
+    /**
+     * Returns the point at the given age (if any). If a value is given, the
+     * point must have that value. Like in getModel, the last point of an age
+     * wins (an edited stature is added after the length of the same age).
+     */
+    function findPoint(points, agemos, value) {
+        var out = null;
+        $.each(points || [], function(i, o) {
+            if (o.agemos === agemos && (value === undefined || o.value === value)) {
+                out = o;
+            }
+        });
+        return out;
+    }
+
     function SmartAnnotation(date, note) {
         this.date = new XDate(date);
         this.note = note;
@@ -247,6 +265,130 @@ window.GC = window.GC || {};
         EDD : null
     };
 
+    /**
+     * Where the measurements come from (the "origin" of their provenance)
+     */
+    GC.Patient.ORIGINS = {
+        FHIR       : "fhir",
+        SCRATCHPAD : "scratchpad",
+        SAMPLE     : "sample"
+    };
+
+    /**
+     * Checks if a measurement has been changed in the EHR after it was first
+     * recorded (the FHIR status "amended" or "corrected").
+     * @param {Object} provenance The provenance of the measurement
+     * @returns {Boolean}
+     */
+    GC.Patient.isAmended = function(provenance) {
+        return !!provenance && (provenance.status == "amended" || provenance.status == "corrected");
+    };
+
+    /**
+     * Returns the position of the lengths of a length data set at the given
+     * age (see GC.chartSettings.lengthCorrection.dataSets).
+     * @param {Object} dataSet The length data set (one of GC.DATA_SETS)
+     * @param {Number} agemos The age of the measurement
+     * @returns {String|null} "lying", "standing" or null if unknown
+     */
+    GC.Patient.getDataSetPosition = function(dataSet, agemos) {
+        var cfg = GC.chartSettings.lengthCorrection,
+            position = cfg && cfg.dataSets && dataSet ? cfg.dataSets[dataSet.name] : null;
+        if (typeof position == "number") {
+            return agemos <= position ? "lying" : "standing";
+        }
+        return position || null;
+    };
+
+    /**
+     * Returns the correction of a length/height measured in the given position
+     * to the position of the length data set it is plotted on.
+     * @param {Number} agemos The age of the measurement
+     * @param {String} position "lying", "standing" or null if unknown
+     * @param {Object} dataSet The length data set (one of GC.DATA_SETS)
+     * @returns {Number} The value to add to the length (cm), 0 for none
+     */
+    GC.Patient.getPositionCorrection = function(agemos, position, dataSet) {
+        var cfg = GC.chartSettings.lengthCorrection,
+            chartPosition;
+        if (!cfg || !cfg.enabled || !position) {
+            return 0;
+        }
+        chartPosition = GC.Patient.getDataSetPosition(dataSet, agemos);
+        if (!chartPosition || position == chartPosition) {
+            return 0;
+        }
+        return position == "standing" ? cfg.value : -cfg.value;
+    };
+
+    /**
+     * Returns the position correction of a length as (multi-line) text, e.g.
+     * for the title of the data table cells and the chart points.
+     * @param {Number} value The measured length (cm)
+     * @param {String} position The position of the measurement
+     * @param {Number} correction The correction (see getPositionCorrection)
+     * @returns {String}
+     */
+    GC.Patient.formatLengthCorrection = function(value, position, correction) {
+        var format = { type : "lengthAndStature" };
+        return [
+            GC.str("STR_LengthMeasured") + " (" + GC.str("STR_CodeMappingPosition_" + position) + "): " +
+                GC.Util.format(value, format),
+            GC.str("STR_LengthCorrected") + " (" + GC.str("STR_CodeMappingPosition_" + (correction > 0 ? "lying" : "standing")) + "): " +
+                GC.Util.format(value + correction, format) +
+                " (" + (correction > 0 ? "+" : "-") + GC.Util.format(Math.abs(correction), format) + ")"
+        ].join("\n");
+    };
+
+    /**
+     * Returns the provenance of a measurement as (multi-line) text, e.g. for
+     * the title of the data table cells and the chart points.
+     * @param {Object} provenance The provenance of the measurement { origin,
+     *  resourceType, id, date, status, performer, encounter }
+     * @returns {String}
+     */
+    GC.Patient.formatProvenance = function(provenance) {
+        var out = [], date, status;
+
+        if (!provenance) {
+            return "";
+        }
+
+        out.push(
+            GC.str("STR_ProvenanceSource") + ": " +
+            GC.str("STR_ProvenanceOrigin_" + provenance.origin) +
+            (provenance.id ? " (" + (provenance.resourceType || "Observation") + "/" + provenance.id + ")" : "")
+        );
+
+        if (provenance.date) {
+            date = new XDate(provenance.date);
+            if (date.valid()) {
+                out.push(GC.str("STR_ProvenanceDate") + ": " + date.toString(
+                    String(provenance.date).length > 10 ?
+                        GC.chartSettings.dateFormat + " " + GC.chartSettings.timeFormat :
+                        GC.chartSettings.dateFormat
+                ));
+            }
+        }
+
+        if (provenance.status) {
+            status = STATUSES.indexOf(provenance.status) > -1 ?
+                GC.str("STR_ProvenanceStatus_" + provenance.status) :
+                provenance.status;
+            out.push(GC.str("STR_ProvenanceStatus") + ": " + status);
+        }
+
+        if (provenance.performer) {
+            out.push(GC.str("STR_ProvenancePerformer") + ": " + provenance.performer);
+        }
+
+        if (provenance.encounter) {
+            out.push(GC.str("STR_ProvenanceEncounter") + ": " + provenance.encounter);
+        }
+
+        return out.join("\n");
+    };
+
     /**
      * Initialize the instance
      * @param demographics
@@ -273,15 +415,19 @@ window.GC = window.GC || {};
             patient = this,
             name;
 
+        // The points without provenance are those of the sample patients
         function setData(i, o) {
             patient.data[name].push ({
                 agemos: o.hasOwnProperty("agemos") ?
                     o.agemos :
                     patient.DOB.diffMonths(new XDate(o.date)),
-                value : o.value
+                value : o.value,
+                provenance : o.provenance || { origin : GC.Patient.ORIGINS.SAMPLE },
+                position : o.position || null
             });
         }
 
+        this.id           = demographics.id || null;
         this.name         = demographics.name;
         this.birthdate    = demographics.birthday;
         this.gender       = demographics.gender;
@@ -546,14 +692,35 @@ window.GC = window.GC || {};
         return this.model;
     };
 
-    GC.Patient.prototype.mergeModel = function(model) {
+    /**
+     * Merges model entries (see getModel) into the patient data.
+     * @param {Array} model The entries
+     * @param {Function} getPoint (optional) Returns the point of the patient
+     *  data a property of an entry comes from, to keep its provenance and
+     *  position. By default the entries are scratchpad records.
+     */
+    GC.Patient.prototype.mergeModel = function(model, getPoint) {
         var patient = this;
 
+        function createPoint(o, prop) {
+            var point = getPoint ? getPoint(o, prop) : null;
+            return {
+                agemos     : o.agemos,
+                value      : o[prop],
+                provenance : point ? point.provenance : { origin : GC.Patient.ORIGINS.SCRATCHPAD },
+                position   : point ? point.position : null
+            };
+        }
+
         function merge(src, rec) {
             var i, l = src.length;
             for (i = 0; i < l; i++) {
                 if (src[i].agemos === rec.agemos) {
                     $.extend(true, src[i], rec);
+                    if (rec.provenance) {
+                        src[i].provenance = rec.provenance;
+                        src[i].position   = rec.position;
+                    }
                     return l;
                 }
             }
@@ -566,37 +733,22 @@ window.GC = window.GC || {};
 
             if (o.hasOwnProperty("lengthAndStature")) {
                 if (o.agemos <= 24) {
-                    merge(patient.data.length, {
-                        agemos : o.agemos,
-                        value  : o.lengthAndStature
-                    });
+                    merge(patient.data.length, createPoint(o, "lengthAndStature"));
                 } else {
-                    merge(patient.data.stature, {
-                        agemos : o.agemos,
-                        value  : o.lengthAndStature
-                    });
+                    merge(patient.data.stature, createPoint(o, "lengthAndStature"));
                 }
             }
 
             if (o.hasOwnProperty("weight")) {
-                merge(patient.data.weight, {
-                    agemos : o.agemos,
-                    value  : o.weight
-                });
+                merge(patient.data.weight, createPoint(o, "weight"));
             }
 
             if (o.hasOwnProperty("headc")) {
-                merge(patient.data.headc, {
-                    agemos : o.agemos,
-                    value  : o.headc
-                });
+                merge(patient.data.headc, createPoint(o, "headc"));
             }
 
             if (o.hasOwnProperty("bmi")) {
-                merge(patient.data.bmi, {
-                    agemos : o.agemos,
-                    value  : o.bmi
-                });
+                merge(patient.data.bmi, createPoint(o, "bmi"));
             }
 
             if (o.hasOwnProperty("boneAge")) {
@@ -623,6 +775,11 @@ window.GC = window.GC || {};
     };
 
     GC.Patient.prototype.refresh = function() {
+        // Keep the provenance and the position of the values which are merged
+        // back
+        var model = this.getModel(),
+            data  = $.extend({}, this.data);
+
         this.data.length = [];
         this.data.stature = [];
         this.data.weight = [];
@@ -631,7 +788,97 @@ window.GC = window.GC || {};
         this.data.lengthAndStature = [];
         this.annotations = [];
         this.boneAge = [];
-        this.mergeModel(this.getModel());
+        this.mergeModel(model, function(entry, prop) {
+            return findPoint(data[prop], entry.agemos, entry[prop]);
+        });
+    };
+
+    /**
+     * Returns where the value of a model entry comes from.
+     * @param {Object} entry The model entry (see getModel)
+     * @param {String} prop "lengthAndStature", "weight", "headc" or "bmi"
+     * @returns {Object|null} The provenance { origin, resourceType, id, date,
+     *  status, performer, encounter } or null if the entry has no such value
+     */
+    GC.Patient.prototype.getProvenance = function(entry, prop) {
+        var point = entry && entry.hasOwnProperty(prop) ?
+            findPoint(this.data[prop], entry.agemos) :
+            null;
+        return point ? point.provenance || null : null;
+    };
+
+    /**
+     * Returns the position a length/height of a model entry was measured in.
+     * @param {Object} entry The model entry (see getModel)
+     * @returns {String|null} "lying", "standing" or null if unknown
+     */
+    GC.Patient.prototype.getLengthPosition = function(entry) {
+        var point = entry && entry.hasOwnProperty("lengthAndStature") ?
+            findPoint(this.data.lengthAndStature, entry.agemos) :
+            null;
+        return point ? point.position || null : null;
+    };
+
+    /**
+     * Returns the length data set plotted for the patient: the one of the
+     * primary chart type in the current time range (like the charts).
+     * @returns {Object|null} The data set or null if there is none
+     */
+    GC.Patient.prototype.getLengthDataSet = function() {
+        if (!GC.App || !GC.App.getPrimaryChartType || !GC.DATA_SETS) {
+            return null;
+        }
+        return GC.getDataSet(
+            GC.App.getPrimaryChartType(),
+            "LENGTH",
+            this.gender,
+            GC.App.getStartAgeMos(),
+            GC.App.getEndAgeMos()
+        );
+    };
+
+    /**
+     * Returns the correction of the length/height of a model entry to the
+     * position of a length data set (see GC.Patient.getPositionCorrection).
+     * @param {Object} entry The model entry (see getModel)
+     * @param {Object} [dataSet] The length data set, by default the plotted
+     *  one (see getLengthDataSet)
+     * @returns {Number} The value to add to the length (cm), 0 for none
+     */
+    GC.Patient.prototype.getLengthCorrection = function(entry, dataSet) {
+        return GC.Patient.getPositionCorrection(
+            entry.agemos,
+            this.getLengthPosition(entry),
+            dataSet === undefined ? this.getLengthDataSet() : dataSet
+        );
+    };
+
+    /**
+     * Returns the points of the patient data as plotted on the charts. The
+     * lengths measured in another position than the one of the length data
+     * set are corrected, keeping the "measured" value and the "correction".
+     * @param {String} type "lengthAndStature", "weight", "headc" or "bmi"
+     * @param {Object} [dataSet] The length data set, by default the plotted
+     *  one (see getLengthDataSet)
+     * @returns {Array}
+     */
+    GC.Patient.prototype.getChartData = function(type, dataSet) {
+        if (type != "lengthAndStature") {
+            return this.data[type];
+        }
+        if (dataSet === undefined) {
+            dataSet = this.getLengthDataSet();
+        }
+        return $.map(this.data[type], function(o) {
+            var correction = GC.Patient.getPositionCorrection(o.agemos, o.position, dataSet);
+            return correction ?
+                $.extend({}, o, {
+                    value      : o.value + correction,
+                    measured   : o.value,
+                    correction : correction
+                }) :
+                o;
+        });
     };
 
     /**
@@ -748,7 +995,9 @@ window.GC = window.GC || {};
             GC.scratchpadData.patientData.push(rec);
         }
 
-        return $.when(GC.Scratchpad.save());
+        return $.when(GC.Scratchpad.save()).done(function() {
+            $("html").trigger("change:patient:data", [rec]);
+        });
     };
 
     GC.Patient.prototype.deleteRecord = function(rec) {
@@ -800,6 +1049,7 @@ window.GC = window.GC || {};
                     return false;
                 }
             });
+            $("html").trigger("change:patient:data", [rec]);
         });
     };
 
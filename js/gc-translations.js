@@ -625,6 +625,28 @@ window.GC = (function(NS) {
             es : "AI",
             bg : "AI"
         },
+        STR_3164  : { en : "AI Assistant", es : "Asistente de IA", bg : "AI асистент" },
+        STR_3165  : { en : "Provider", es : "Proveedor", bg : "Доставчик" },
+        STR_3166  : { en : "Endpoint (Base URL)", es : "Punto de acceso (URL base)", bg : "Адрес (базов URL)" },
+        STR_3167  : { en : "Model", es : "Modelo", bg : "Модел" },
+        STR_3168  : { en : "Guideline Retrieval", es : "Búsqueda en las guías", bg : "Търсене в ръководствата" },
+        STR_3169  : { en : "Local (bundled guidelines)", es : "Local (guías incluidas)", bg : "Локално (включени ръководства)" },
+        STR_3170  : { en : "Provider (vector store)", es : "Proveedor (almacén vectorial)", bg : "Доставчик (векторно хранилище)" },
+        STR_3171  : { en : "Cache of the Analyses", es : "Caché de los análisis", bg : "Кеш на анализите" },
+        STR_3172  : { en : "Browser (localStorage)", es : "Navegador (localStorage)", bg : "Браузър (localStorage)" },
+        STR_3173  : { en : "Scratchpad", es : "Scratchpad", bg : "Scratchpad" },
+        STR_3174  : { en : "Disabled", es : "Desactivada", bg : "Изключен" },
+        STR_3175  : { en : "De-identify the Prompts", es : "Anonimizar las instrucciones", bg : "Деидентифициране на заявките" },
+        STR_3176  : { en : "Audit Log", es : "Registro de auditoría", bg : "Одитен дневник" },
+        STR_3177  : { en : "Prompt Templates", es : "Plantillas de las instrucciones", bg : "Шаблони на заявките" },
+        STR_3178  : { en : "Growth Data in the Prompts", es : "Datos de crecimiento en las instrucciones", bg : "Данни за растежа в заявките" },
+        STR_3179  : { en : "Table", es : "Tabla", bg : "Таблица" },
+        STR_3180  : { en : "Reference of the Z-Scores", es : "Referencia de las puntuaciones Z", bg : "Референция на Z-стойностите" },
+        STR_3181  : { en : "Primary chart", es : "Gráfica principal", bg : "Основна графика" },
+        STR_3182  : { en : "Calculations and Chart Selection in the Chat", es : "Cálculos y selección en la gráfica desde el chat", bg : "Изчисления и избор в графиката от чата" },
+        STR_3183  : { en : "Chat History", es : "Historial del chat", bg : "История на чата" },
+        STR_3184  : { en : "Write Accepted Findings to the EHR", es : "Escribir los hallazgos aceptados en la HCE", bg : "Записване на приетите находки в ЕЗД" },
+        STR_3185  : { en : "Check the Numbers of the Replies", es : "Comprobar los números de las respuestas", bg : "Проверка на числата в отговорите" },
         // End Of Header Translations-----------------------------------------------------------------------------------------------------------------
 
         // add_edit_dataentry.html document translations
@@ -721,6 +743,150 @@ window.GC = (function(NS) {
             bg : "ИЗБЕРИ ЧАРТ"
         },
 
+        // AI tab (#view-ai in index.html and ai-tab/js/gc-ai-summary.js), {{name}} is replaced with a value
+        STR_7000  : { en : "Settings", es : "Configuración", bg : "Настройки" },
+        STR_7001  : { en : "Prompt", es : "Instrucciones", bg : "Заявка" },
+        STR_7002  : { en : "The prompts were generated automatically, consist of the data available for the patient and were sent to the model.", es : "Las instrucciones se generaron automáticamente, contienen los datos disponibles del paciente y se enviaron al modelo.", bg : "Заявките са генерирани автоматично, съдържат наличните данни за пациента и са изпратени на модела." },
+        STR_7003  : { en : "Show Prompt", es : "Mostrar instrucciones", bg : "Покажи заявката" },
+        STR_7004  : { en : "Cancel Analysis", es : "Cancelar el análisis", bg : "Отмени анализа" },
+        STR_7005  : { en : "The patient data changed since.", es : "Los datos del paciente han cambiado desde entonces.", bg : "Данните на пациента са променени оттогава." },
+        STR_7006  : { en : "Re-analyse", es : "Volver a analizar", bg : "Анализирай отново" },
+        STR_7007  : { en : "Guideline", es : "Guías clínicas", bg : "Указания" },
+        STR_7008  : { en : "The guidelines shown here were used by the model to generate an evidence-based response. You can download the guidelines.", es : "El modelo utilizó las guías clínicas mostradas aquí para generar una respuesta basada en la evidencia. Puede descargar las guías.", bg : "Показаните тук указания са използвани от модела за отговор, основан на доказателства. Можете да изтеглите указанията." },
+        STR_7009  : { en : "Upload documents of the patient in the chat", es : "Suba documentos del paciente en el chat", bg : "Качете документи на пациента в чата" },
+        STR_7010  : { en : "AI Decision Support", es : "Apoyo a la decisión con IA", bg : "Подкрепа за решения с ИИ" },
+        STR_7011  : { en : "Executive Summary", es : "Resumen ejecutivo", bg : "Обобщение" },
+        STR_7012  : { en : "Analysis of Growth Abnormalities", es : "Análisis de anomalías del crecimiento", bg : "Анализ на отклоненията в растежа" },
+        STR_7013  : { en : "Rule-based Growth Screening", es : "Cribado del crecimiento basado en reglas", bg : "Скрининг на растежа по правила" },
+        STR_7014  : { en : "Recommended Specialist Referral", es : "Derivación recomendada a especialistas", bg : "Препоръчано насочване към специалист" },
+        STR_7015  : { en : "Analysis of Patient History", es : "Análisis de la historia del paciente", bg : "Анализ на историята на пациента" },
+        STR_7016  : { en : "Differential Diagnoses", es : "Diagnósticos diferenciales", bg : "Диференциални диагнози" },
+        STR_7017  : { en : "Retry this section", es : "Reintentar esta sección", bg : "Опитай отново тази секция" },
+        STR_7018  : { en : "Loading...", es : "Cargando...", bg : "Зареждане..." },
+        STR_7019  : { en : "Please be aware that the model may hallucinate ", es : "Tenga en cuenta que el modelo puede inventar ", bg : "Имайте предвид, че моделът може да измисля " },
+        STR_7020  : { en : "answers. Always review the responses before ", es : "respuestas. Revise siempre las respuestas antes de ", bg : "отговори. Винаги преглеждайте отговорите, преди " },
+        STR_7021  : { en : "making a decision.", es : "tomar una decisión.", bg : "да вземете решение." },
+        STR_7022  : { en : "Waiting", es : "En espera", bg : "Изчакване" },
+        STR_7023  : { en : "Running", es : "En curso", bg : "В процес" },
+        STR_7024  : { en : "Failed", es : "Fallido", bg : "Неуспешно" },
+        STR_7025  : { en : "Timed out", es : "Tiempo agotado", bg : "Изтекло време" },
+        STR_7026  : { en : "Cancelled", es : "Cancelado", bg : "Отменено" },
+        STR_7027  : { en : "Blocked", es : "Bloqueado", bg : "Блокирано" },
+        STR_7028  : { en : "Flagged", es : "Marcado", bg : "Отбелязано" },
+        STR_7029  : { en : "Normal", es : "Normal", bg : "Нормално" },
+        STR_7030  : { en : "Not evaluated", es : "No evaluado", bg : "Не е оценено" },
+        STR_7031  : { en : "Length/Stature", es : "Longitud/Estatura", bg : "Дължина/Ръст" },
+        STR_7032  : { en : "Weight", es : "Peso", bg : "Тегло" },
+        STR_7033  : { en : "Head Circumference", es : "Perímetro cefálico", bg : "Обиколка на главата" },
+        STR_7034  : { en : "BMI", es : "IMC", bg : "ИТМ" },
+        STR_7035  : { en : "General", es : "General", bg : "Общо" },
+        STR_7036  : { en : "Generated on {{date}} (prompt templates v{{version}})", es : "Generado el {{date}} (plantillas de instrucciones v{{version}})", bg : "Генерирано на {{date}} (шаблони на заявките v{{version}})" },
+        STR_7037  : { en : "The response of the model did not match the expected format and is not shown.", es : "La respuesta del modelo no tenía el formato esperado y no se muestra.", bg : "Отговорът на модела не отговаря на очаквания формат и не се показва." },
+        STR_7038  : { en : "An error occurred. Retry the section or contact your administrator. (Error: {{error}})", es : "Se produjo un error. Reintente la sección o contacte a su administrador. (Error: {{error}})", bg : "Възникна грешка. Опитайте отново секцията или се свържете с администратора. (Грешка: {{error}})" },
+        STR_7039  : { en : "The response is incomplete because it was interrupted.", es : "La respuesta está incompleta porque se interrumpió.", bg : "Отговорът е непълен, защото беше прекъснат." },
+        STR_7040  : { en : "The response is incomplete because the section timed out after {{seconds}} seconds.", es : "La respuesta está incompleta porque la sección superó el tiempo de {{seconds}} segundos.", bg : "Отговорът е непълен, защото времето на секцията изтече след {{seconds}} секунди." },
+        STR_7041  : { en : "The response is incomplete because it was cancelled.", es : "La respuesta está incompleta porque se canceló.", bg : "Отговорът е непълен, защото беше отменен." },
+        STR_7042  : { en : "Not analyzed because {{sections}} did not finish.", es : "No se analizó porque {{sections}} no terminó.", bg : "Не е анализирано, защото {{sections}} не завърши." },
+        STR_7043  : { en : " and ", es : " y ", bg : " и " },
+        STR_7044  : { en : "Your feedback:", es : "Su valoración:", bg : "Вашата оценка:" },
+        STR_7045  : { en : "Helpful", es : "Útil", bg : "Полезно" },
+        STR_7046  : { en : "Not helpful", es : "No útil", bg : "Не е полезно" },
+        STR_7047  : { en : "Comment", es : "Comentario", bg : "Коментар" },
+        STR_7048  : { en : "Save feedback", es : "Guardar valoración", bg : "Запази оценката" },
+        STR_7049  : { en : "Saved", es : "Guardado", bg : "Запазено" },
+        STR_7050  : { en : "incorrect", es : "incorrecto", bg : "неправилно" },
+        STR_7051  : { en : "irrelevant", es : "irrelevante", bg : "неотносимо" },
+        STR_7052  : { en : "hallucinated", es : "inventado", bg : "измислено" },
+        STR_7053  : { en : "missing", es : "incompleto", bg : "липсва информация" },
+        STR_7054  : { en : "No historical data for this patient available.", es : "No hay datos históricos disponibles para este paciente.", bg : "Няма налични исторически данни за този пациент." },
+        STR_7055  : { en : "The model agrees with the rule-based screening (abnormality detected).", es : "El modelo coincide con el cribado basado en reglas (anomalía detectada).", bg : "Моделът е съгласен със скрининга по правила (открито отклонение)." },
+        STR_7056  : { en : "The model agrees with the rule-based screening (abnormality not detected).", es : "El modelo coincide con el cribado basado en reglas (anomalía no detectada).", bg : "Моделът е съгласен със скрининга по правила (не е открито отклонение)." },
+        STR_7057  : { en : "The model disagrees with the rule-based screening: the rules flagged an abnormality, the model did not detect one.", es : "El modelo no coincide con el cribado basado en reglas: las reglas marcaron una anomalía, el modelo no la detectó.", bg : "Моделът не е съгласен със скрининга по правила: правилата отбелязаха отклонение, моделът не откри такова." },
+        STR_7058  : { en : "The model disagrees with the rule-based screening: the rules did not flag an abnormality, the model detected one.", es : "El modelo no coincide con el cribado basado en reglas: las reglas no marcaron ninguna anomalía, el modelo detectó una.", bg : "Моделът не е съгласен със скрининга по правила: правилата не отбелязаха отклонение, моделът откри такова." },
+        STR_7059  : { en : "No response.", es : "Sin respuesta.", bg : "Няма отговор." },
+        STR_7060  : { en : "No findings.", es : "Sin hallazgos.", bg : "Няма находки." },
+        STR_7061  : { en : "Warning: Abnormality in Growth Data Detected", es : "Advertencia: anomalía detectada en los datos de crecimiento", bg : "Внимание: открито отклонение в данните за растежа" },
+        STR_7062  : { en : "Chat", es : "Chat", bg : "Чат" },
+        STR_7063  : { en : "Hello! You can upload new files and ask questions to the patients case.", es : "¡Hola! Puede subir nuevos archivos y hacer preguntas sobre el caso del paciente.", bg : "Здравейте! Можете да качвате нови файлове и да задавате въпроси за случая на пациента." },
+        STR_7064  : { en : "Type your message...", es : "Escriba su mensaje...", bg : "Напишете съобщение..." },
+        STR_7065  : { en : "Upload a file (PDF, image or CSV of measurements)", es : "Subir un archivo (PDF, imagen o CSV de mediciones)", bg : "Качи файл (PDF, изображение или CSV с измервания)" },
+        STR_7066  : { en : "Send Message", es : "Enviar mensaje", bg : "Изпрати съобщението" },
+        STR_7067  : { en : "Stop the response", es : "Detener la respuesta", bg : "Спри отговора" },
+        STR_7068  : { en : "Sorry, something went wrong. No threadID", es : "Lo sentimos, algo salió mal. No hay threadID", bg : "Съжаляваме, нещо се обърка. Няма threadID" },
+        STR_7069  : { en : "Sorry something went wrong.", es : "Lo sentimos, algo salió mal.", bg : "Съжаляваме, нещо се обърка." },
+        STR_7070  : { en : "File uploaded successfully. You can now ask questions about the content of the file.", es : "Archivo subido correctamente. Ahora puede hacer preguntas sobre el contenido del archivo.", bg : "Файлът е качен успешно. Вече можете да задавате въпроси за съдържанието му." },
+        STR_7071  : { en : "Failed to upload file. Please try again.", es : "No se pudo subir el archivo. Inténtelo de nuevo.", bg : "Файлът не можа да бъде качен. Моля, опитайте отново." },
+        STR_7072  : { en : "(incomplete response)", es : "(respuesta incompleta)", bg : "(непълен отговор)" },
+        STR_7073  : { en : "General Instruction", es : "Instrucción general", bg : "Обща инструкция" },
+        STR_7074  : { en : "Prompt 1: Growth Abnormalities", es : "Instrucción 1: anomalías del crecimiento", bg : "Заявка 1: отклонения в растежа" },
+        STR_7075  : { en : "Prompt 2: Patient History", es : "Instrucción 2: historia del paciente", bg : "Заявка 2: история на пациента" },
+        STR_7076  : { en : "Guideline Passages", es : "Pasajes de las guías", bg : "Откъси от указанията" },
+        STR_7077  : { en : "No guideline passages retrieved.", es : "No se recuperaron pasajes de las guías.", bg : "Не са намерени откъси от указанията." },
+        STR_7078  : { en : "Prompt 3: Response Formats", es : "Instrucción 3: formatos de respuesta", bg : "Заявка 3: формати на отговора" },
+        STR_7079  : { en : "Prompt 4: Referral, Diagnoses and Summary", es : "Instrucción 4: derivación, diagnósticos y resumen", bg : "Заявка 4: насочване, диагнози и обобщение" },
+        STR_7080  : { en : "Sent after the growth data and the history were analyzed: Prompt 1, Prompt 2, the results of their analysis, the guideline passages and the response format of the section.", es : "Se envía después de analizar los datos de crecimiento y la historia: instrucción 1, instrucción 2, los resultados de su análisis, los pasajes de las guías y el formato de respuesta de la sección.", bg : "Изпраща се след анализа на данните за растежа и историята: заявка 1, заявка 2, резултатите от анализа им, откъсите от указанията и форматът на отговора на секцията." },
+        STR_7081  : { en : "(≈ {{count}} tokens)", es : "(≈ {{count}} tokens)", bg : "(≈ {{count}} токена)" },
+        STR_7082  : { en : "Error initializing the AI provider. Try to refresh the page or contact your administrator. (Error: {{error}})", es : "Error al inicializar el proveedor de IA. Actualice la página o contacte a su administrador. (Error: {{error}})", bg : "Грешка при инициализиране на доставчика на ИИ. Опреснете страницата или се свържете с администратора. (Грешка: {{error}})" },
+        STR_7083  : { en : "Close", es : "Cerrar", bg : "Затвори" },
+        STR_7084  : { en : "Tool call", es : "Llamada a herramienta", bg : "Извикване на инструмент" },
+        STR_7085  : { en : "Conversations", es : "Conversaciones", bg : "Разговори" },
+        STR_7086  : { en : "Export as PDF", es : "Exportar como PDF", bg : "Експорт като PDF" },
+        STR_7087  : { en : "Export as text", es : "Exportar como texto", bg : "Експорт като текст" },
+        STR_7088  : { en : "New chat", es : "Nuevo chat", bg : "Нов чат" },
+        STR_7089  : { en : "Resume", es : "Continuar", bg : "Продължи" },
+        STR_7090  : { en : "Delete", es : "Eliminar", bg : "Изтрий" },
+        STR_7091  : { en : "No saved conversations.", es : "No hay conversaciones guardadas.", bg : "Няма запазени разговори." },
+        STR_7092  : { en : "Do you really want to delete this conversation?", es : "¿Realmente desea eliminar esta conversación?", bg : "Наистина ли искате да изтриете този разговор?" },
+        STR_7093  : { en : "You", es : "Usted", bg : "Вие" },
+        STR_7094  : { en : "Assistant", es : "Asistente", bg : "Асистент" },
+        STR_7095  : { en : "Only PDF files, images (PNG, JPEG, GIF, WebP) and CSV files of measurements can be uploaded.", es : "Solo se pueden subir archivos PDF, imágenes (PNG, JPEG, GIF, WebP) y archivos CSV de mediciones.", bg : "Могат да се качват само PDF файлове, изображения (PNG, JPEG, GIF, WebP) и CSV файлове с измервания." },
+        STR_7096  : { en : "The file is larger than {{size}} MB.", es : "El archivo supera los {{size}} MB.", bg : "Файлът е по-голям от {{size}} MB." },
+        STR_7097  : { en : "The file is empty.", es : "El archivo está vacío.", bg : "Файлът е празен." },
+        STR_7098  : { en : "The file is sent to the model as it is, without de-identification. Continue?", es : "El archivo se envía al modelo tal cual, sin desidentificación. ¿Continuar?", bg : "Файлът се изпраща към модела както е, без деидентификация. Продължаване?" },
+        STR_7099  : { en : "{{count}} measurements found in {{fileName}}.", es : "{{count}} mediciones encontradas en {{fileName}}.", bg : "{{count}} измервания са намерени в {{fileName}}." },
+        STR_7100  : { en : "Line {{line}}: {{error}}", es : "Línea {{line}}: {{error}}", bg : "Ред {{line}}: {{error}}" },
+        STR_7101  : { en : "the header needs a date or age column and at least one measurement column", es : "la cabecera necesita una columna de fecha o edad y al menos una columna de mediciones", bg : "заглавният ред трябва да има колона за дата или възраст и поне една колона с измервания" },
+        STR_7102  : { en : "no valid date (yyyy-mm-dd) or age in months", es : "no hay una fecha válida (aaaa-mm-dd) ni una edad en meses", bg : "няма валидна дата (гггг-мм-дд) или възраст в месеци" },
+        STR_7103  : { en : "the date {{value}} is in the future", es : "la fecha {{value}} está en el futuro", bg : "датата {{value}} е в бъдещето" },
+        STR_7104  : { en : "{{value}} is not a number", es : "{{value}} no es un número", bg : "{{value}} не е число" },
+        STR_7105  : { en : "{{value}} is not a plausible value of {{column}}", es : "{{value}} no es un valor plausible de {{column}}", bg : "{{value}} не е правдоподобна стойност за {{column}}" },
+        STR_7106  : { en : "Import as growth records", es : "Importar como registros de crecimiento", bg : "Импортирай като записи за растежа" },
+        STR_7107  : { en : "{{count}} measurements imported.", es : "{{count}} mediciones importadas.", bg : "{{count}} измервания са импортирани." },
+        STR_7108  : { en : "The growth data of this patient cannot be edited, so the measurements cannot be imported.", es : "Los datos de crecimiento de este paciente no se pueden editar, por lo que las mediciones no se pueden importar.", bg : "Данните за растежа на този пациент не могат да се редактират, затова измерванията не могат да бъдат импортирани." },
+        STR_7109  : { en : "Failed to import the measurements.", es : "No se pudieron importar las mediciones.", bg : "Измерванията не можаха да бъдат импортирани." },
+        STR_7110  : { en : "Report", es : "Informe", bg : "Доклад" },
+        STR_7111  : { en : "Print the analysis as clinical report or download it as PDF, HTML or FHIR DiagnosticReport/DocumentReference for the EHR.", es : "Imprima el análisis como informe clínico o descárguelo como PDF, HTML o FHIR DiagnosticReport/DocumentReference para la historia clínica electrónica.", bg : "Отпечатайте анализа като клиничен доклад или го изтеглете като PDF, HTML или FHIR DiagnosticReport/DocumentReference за електронното здравно досие." },
+        STR_7112  : { en : "Print the report", es : "Imprimir el informe", bg : "Отпечатай доклада" },
+        STR_7113  : { en : "Download the report", es : "Descargar el informe", bg : "Изтегли доклада" },
+        STR_7114  : { en : "AI Growth Analysis", es : "Análisis del crecimiento con IA", bg : "Анализ на растежа с ИИ" },
+        STR_7115  : { en : "Generated", es : "Generado", bg : "Създаден" },
+        STR_7116  : { en : "Model", es : "Modelo", bg : "Модел" },
+        STR_7117  : { en : "Growth Charts", es : "Gráficas de crecimiento", bg : "Графики на растежа" },
+        STR_7118  : { en : "Cited Guidelines", es : "Guías citadas", bg : "Цитирани ръководства" },
+        STR_7119  : { en : "Disclaimer", es : "Aviso", bg : "Предупреждение" },
+        STR_7120  : { en : "This report was generated by an AI model and has not been verified. It does not replace the clinical judgement of a physician. Check all findings against the growth data and the cited guidelines.", es : "Este informe fue generado por un modelo de IA y no ha sido verificado. No sustituye el juicio clínico de un médico. Compruebe todos los hallazgos con los datos de crecimiento y las guías citadas.", bg : "Този доклад е създаден от модел на ИИ и не е проверен. Той не замества клиничната преценка на лекар. Проверете всички находки спрямо данните за растежа и цитираните ръководства." },
+        STR_7121  : { en : "There is no finished analysis to export yet.", es : "Todavía no hay ningún análisis terminado para exportar.", bg : "Все още няма завършен анализ за експортиране." },
+        STR_7122  : { en : "Accept as draft in the EHR:", es : "Aceptar como borrador en la HCE:", bg : "Приемане като чернова в ЕЗД:" },
+        STR_7123  : { en : "Abnormality flag", es : "Indicador de anomalía", bg : "Флаг за отклонение" },
+        STR_7124  : { en : "Clinical impression", es : "Impresión clínica", bg : "Клинично впечатление" },
+        STR_7125  : { en : "Referral to {{specialty}}", es : "Derivación a {{specialty}}", bg : "Направление към {{specialty}}" },
+        STR_7126  : { en : "{{label}}: created as {{reference}}", es : "{{label}}: creado como {{reference}}", bg : "{{label}}: създадено като {{reference}}" },
+        STR_7127  : { en : "Preview of the {{resourceType}} for the EHR", es : "Vista previa del recurso {{resourceType}} para la HCE", bg : "Преглед на {{resourceType}} за ЕЗД" },
+        STR_7128  : { en : "The resource is created as draft in the record of the patient. Check it before you submit it.", es : "El recurso se crea como borrador en la historia del paciente. Revíselo antes de enviarlo.", bg : "Ресурсът се създава като чернова в досието на пациента. Проверете го, преди да го изпратите." },
+        STR_7129  : { en : "Submit", es : "Enviar", bg : "Изпращане" },
+        STR_7130  : { en : "Cancel", es : "Cancelar", bg : "Отказ" },
+        STR_7131  : { en : "Submitting…", es : "Enviando…", bg : "Изпращане…" },
+        STR_7132  : { en : "The EHR rejected the resource: {{error}}", es : "La HCE rechazó el recurso: {{error}}", bg : "ЕЗД отхвърли ресурса: {{error}}" },
+        STR_7133  : { en : "This number does not match the data of the patient.", es : "Este número no coincide con los datos del paciente.", bg : "Това число не съответства на данните на пациента." },
+        STR_7134  : { en : "recomputed: percentile {{value}} at {{age}} months", es : "recalculado: percentil {{value}} a los {{age}} meses", bg : "преизчислено: перцентил {{value}} на {{age}} месеца" },
+        STR_7135  : { en : "recomputed: z-score {{value}} at {{age}} months", es : "recalculado: puntuación z {{value}} a los {{age}} meses", bg : "преизчислено: z-оценка {{value}} на {{age}} месеца" },
+        STR_7136  : { en : "recomputed: {{value}} {{unit}}/year at {{age}} months", es : "recalculado: {{value}} {{unit}}/año a los {{age}} meses", bg : "преизчислено: {{value}} {{unit}}/година на {{age}} месеца" },
+        STR_7137  : { en : "Consistency with the patient data: {{consistent}} of {{total}} numbers match ({{score}}%).", es : "Coherencia con los datos del paciente: {{consistent}} de {{total}} números coinciden ({{score}} %).", bg : "Съответствие с данните на пациента: {{consistent}} от {{total}} числа съвпадат ({{score}}%)." },
+        STR_7138  : { en : "{{count}} numbers could not be checked.", es : "{{count}} números no se pudieron comprobar.", bg : "{{count}} числа не можаха да бъдат проверени." },
+        STR_7139  : { en : "The audit log could not be saved, the interactions with the model are not recorded: {{error}}", es : "No se pudo guardar el registro de auditoría, las interacciones con el modelo no se registran: {{error}}", bg : "Журналът за одит не можа да бъде записан, взаимодействията с модела не се записват: {{error}}" },
+        STR_7140  : { en : "The analysis could not be cached: {{error}}", es : "No se pudo guardar el análisis en la caché: {{error}}", bg : "Анализът не можа да бъде кеширан: {{error}}" },
+        STR_7141  : { en : "The chat could not be saved: {{error}}", es : "No se pudo guardar el chat: {{error}}", bg : "Чатът не можа да бъде записан: {{error}}" },
+
         // The strings below are direct translations for some properties of the
         // patient or other smart data or just strings that are initially
         // provided in English
@@ -822,6 +988,241 @@ window.GC = (function(NS) {
             es : "Los gráficos de crecimiento solo se pueden mostrar para niños y niñas.",
             bg : ""
         },
+        STR_SkippedObservations : {
+            en : "skipped observations",
+            es : "observaciones omitidas",
+            bg : "пропуснати наблюдения"
+        },
+        STR_SkippedObservationsTitle : {
+            en : "Skipped Observations",
+            es : "Observaciones omitidas",
+            bg : "Пропуснати наблюдения"
+        },
+        STR_SkippedObservationsInfo : {
+            en : "These observations were not loaded into the charts, because their value is missing or their unit is unknown or does not fit the measurement. Known units (UCUM): kg, g, mg, [lb_av], [oz_av], m, cm, mm, [in_i], [ft_i], kg/m2, [lb_av]/[in_i]2, a, mo, wk, d, h.",
+            es : "Estas observaciones no se cargaron en los gráficos porque falta su valor o su unidad es desconocida o no corresponde a la medición. Unidades conocidas (UCUM): kg, g, mg, [lb_av], [oz_av], m, cm, mm, [in_i], [ft_i], kg/m2, [lb_av]/[in_i]2, a, mo, wk, d, h.",
+            bg : "Тези наблюдения не бяха заредени в графиките, защото стойността им липсва или мерната им единица е неизвестна или не съответства на измерването. Известни единици (UCUM): kg, g, mg, [lb_av], [oz_av], m, cm, mm, [in_i], [ft_i], kg/m2, [lb_av]/[in_i]2, a, mo, wk, d, h."
+        },
+        STR_SkippedObservation : {
+            en : "Observation",
+            es : "Observación",
+            bg : "Наблюдение"
+        },
+        STR_SkippedValue : {
+            en : "Value",
+            es : "Valor",
+            bg : "Стойност"
+        },
+        STR_SkippedReason : {
+            en : "Reason",
+            es : "Motivo",
+            bg : "Причина"
+        },
+        STR_SkippedReason_noValue : {
+            en : "No numeric value",
+            es : "Sin valor numérico",
+            bg : "Няма числова стойност"
+        },
+        STR_CodeMappingTitle : {
+            en : "Code Mapping",
+            es : "Asignación de códigos",
+            bg : "Съответствие на кодовете"
+        },
+        STR_CodeMappingInfo : {
+            en : "The codes of the observations (LOINC, SNOMED CT or local codes) are mapped to the measurements with the code mapping file. A site can add the alternate codes of its EHR to this file.",
+            es : "Los códigos de las observaciones (LOINC, SNOMED CT o códigos locales) se asignan a las mediciones con el archivo de asignación de códigos. Un centro puede añadir a este archivo los códigos alternativos de su HCE.",
+            bg : "Кодовете на наблюденията (LOINC, SNOMED CT или локални кодове) се съпоставят с измерванията чрез файла за съответствие на кодовете. Всяко заведение може да добави в този файл алтернативните кодове на своя ЕЗД."
+        },
+        STR_CodeMappingSource : {
+            en : "Mapping file",
+            es : "Archivo de asignación",
+            bg : "Файл за съответствие"
+        },
+        STR_CodeMappingDefault : {
+            en : "Built-in mapping",
+            es : "Asignación integrada",
+            bg : "Вградено съответствие"
+        },
+        STR_CodeMappingError : {
+            en : "the mapping file could not be used",
+            es : "no se pudo usar el archivo de asignación",
+            bg : "файлът за съответствие не можа да бъде използван"
+        },
+        STR_CodeMappingFound : {
+            en : "Codes Found for the Patient",
+            es : "Códigos encontrados para el paciente",
+            bg : "Кодове, намерени за пациента"
+        },
+        STR_CodeMappingConfigured : {
+            en : "Configured Codes",
+            es : "Códigos configurados",
+            bg : "Конфигурирани кодове"
+        },
+        STR_CodeMappingSystem : {
+            en : "System",
+            es : "Sistema",
+            bg : "Система"
+        },
+        STR_CodeMappingCode : {
+            en : "Code",
+            es : "Código",
+            bg : "Код"
+        },
+        STR_CodeMappingDisplay : {
+            en : "Name",
+            es : "Nombre",
+            bg : "Име"
+        },
+        STR_CodeMappingCount : {
+            en : "Observations",
+            es : "Observaciones",
+            bg : "Наблюдения"
+        },
+        STR_CodeMappingMeasure : {
+            en : "Mapped to",
+            es : "Asignado a",
+            bg : "Съпоставен с"
+        },
+        STR_CodeMappingNotMapped : {
+            en : "not mapped",
+            es : "sin asignar",
+            bg : "без съответствие"
+        },
+        STR_CodeMappingNone : {
+            en : "No codes found",
+            es : "No se encontraron códigos",
+            bg : "Няма намерени кодове"
+        },
+        STR_CodeMappingPanel : {
+            en : "Panel",
+            es : "Panel",
+            bg : "Панел"
+        },
+        STR_CodeMappingMeasure_weight : {
+            en : "Weight",
+            es : "Peso",
+            bg : "Тегло"
+        },
+        STR_CodeMappingMeasure_length : {
+            en : "Length/Height",
+            es : "Longitud/Estatura",
+            bg : "Дължина/Ръст"
+        },
+        STR_CodeMappingMeasure_headc : {
+            en : "Head Circumference",
+            es : "Circunferencia de la cabeza",
+            bg : "Обиколка на главата"
+        },
+        STR_CodeMappingMeasure_bmi : {
+            en : "BMI",
+            es : "IMC",
+            bg : "ИТМ"
+        },
+        STR_CodeMappingMeasure_boneAge : {
+            en : "Bone Age",
+            es : "Edad ósea",
+            bg : "Костна възраст"
+        },
+        STR_CodeMappingMeasure_gestationalAge : {
+            en : "Gestational Age",
+            es : "Edad gestacional",
+            bg : "Гестационна възраст"
+        },
+        STR_CodeMappingPosition_lying : {
+            en : "lying",
+            es : "acostado",
+            bg : "легнал"
+        },
+        STR_CodeMappingPosition_standing : {
+            en : "standing",
+            es : "de pie",
+            bg : "прав"
+        },
+        STR_ProvenanceSource : {
+            en : "Source",
+            es : "Origen",
+            bg : "Източник"
+        },
+        STR_ProvenanceDate : {
+            en : "Date",
+            es : "Fecha",
+            bg : "Дата"
+        },
+        STR_ProvenanceStatus : {
+            en : "Status",
+            es : "Estado",
+            bg : "Статус"
+        },
+        STR_ProvenancePerformer : {
+            en : "Performer",
+            es : "Realizado por",
+            bg : "Извършил"
+        },
+        STR_ProvenanceEncounter : {
+            en : "Encounter",
+            es : "Encuentro",
+            bg : "Посещение"
+        },
+        STR_ProvenanceOrigin_fhir : {
+            en : "EHR (FHIR)",
+            es : "HCE (FHIR)",
+            bg : "ЕЗД (FHIR)"
+        },
+        STR_ProvenanceOrigin_scratchpad : {
+            en : "Entered in the app",
+            es : "Introducido en la aplicación",
+            bg : "Въведено в приложението"
+        },
+        STR_ProvenanceOrigin_sample : {
+            en : "Sample patient",
+            es : "Paciente de ejemplo",
+            bg : "Примерен пациент"
+        },
+        STR_ProvenanceStatus_registered : {
+            en : "registered",
+            es : "registrado",
+            bg : "регистриран"
+        },
+        STR_ProvenanceStatus_preliminary : {
+            en : "preliminary",
+            es : "preliminar",
+            bg : "предварителен"
+        },
+        STR_ProvenanceStatus_final : {
+            en : "final",
+            es : "final",
+            bg : "окончателен"
+        },
+        STR_ProvenanceStatus_amended : {
+            en : "amended",
+            es : "modificado",
+            bg : "изменен"
+        },
+        STR_ProvenanceStatus_corrected : {
+            en : "corrected",
+            es : "corregido",
+            bg : "коригиран"
+        },
+        STR_LengthMeasured : {
+            en : "Measured",
+            es : "Medido",
+            bg : "Измерен"
+        },
+        STR_LengthCorrected : {
+            en : "Corrected for the chart",
+            es : "Corregido para la gráfica",
+            bg : "Коригиран за графиката"
+        },
+        STR_SkippedReason_unit : {
+            en : "Unknown or unsuitable unit",
+            es : "Unidad desconocida o no adecuada",
+            bg : "Неизвестна или неподходяща мерна единица"
+        },
+        STR_SkippedReason_status : {
+            en : "Status of the observation (e.g. cancelled or entered in error)",
+            es : "Estado de la observación (p. ej. cancelada o introducida por error)",
+            bg : "Статус на наблюдението (напр. отменено или въведено по грешка)"
+        },
         "STR_colorPrreset_Default" : {
             en : "Default",
             es : "Defecto",
@@ -0,0 +1,172 @@
+/*global GC */
+/*jslint eqeq: true, nomen: true, plusplus: true */
+
+/**
+ * Conversion of the FHIR quantities of the incoming vitals between the UCUM
+ * (Unified Code for Units of Measure, http://unitsofmeasure.org) units of the
+ * same dimension: mass, length, BMI and age/time. The unit is taken from the
+ * "code" of the quantity, or from its "unit" text if there is no code.
+ * Quantities with an unknown unit or with a unit of another dimension are not
+ * converted, so the caller can reject them instead of misreading them.
+ * @file gc-ucum.js
+ */
+
+// Initialize the GC global object as needed
+window.GC = window.GC || {};
+
+(function(NS) {
+
+    "use strict";
+
+    var DIMENSIONS = {
+        MASS   : "mass",
+        LENGTH : "length",
+        BMI    : "bmi",
+        TIME   : "time"
+    };
+
+    // The units by UCUM code with their factor to the base unit of their
+    // dimension (kg, cm, kg/m2 and days)
+    var UNITS = {
+        "kg"                : { dimension : DIMENSIONS.MASS  , factor : 1 },
+        "g"                 : { dimension : DIMENSIONS.MASS  , factor : 0.001 },
+        "mg"                : { dimension : DIMENSIONS.MASS  , factor : 0.000001 },
+        "[lb_av]"           : { dimension : DIMENSIONS.MASS  , factor : 0.45359237 },
+        "[oz_av]"           : { dimension : DIMENSIONS.MASS  , factor : 0.028349523125 },
+        "m"                 : { dimension : DIMENSIONS.LENGTH, factor : 100 },
+        "cm"                : { dimension : DIMENSIONS.LENGTH, factor : 1 },
+        "mm"                : { dimension : DIMENSIONS.LENGTH, factor : 0.1 },
+        "[in_i]"            : { dimension : DIMENSIONS.LENGTH, factor : 2.54 },
+        "[ft_i]"            : { dimension : DIMENSIONS.LENGTH, factor : 30.48 },
+        "kg/m2"             : { dimension : DIMENSIONS.BMI   , factor : 1 },
+        "[lb_av]/[in_i]2"   : { dimension : DIMENSIONS.BMI   , factor : 0.45359237 / (0.0254 * 0.0254) },
+        "a"                 : { dimension : DIMENSIONS.TIME  , factor : 365.25 },
+        "mo"                : { dimension : DIMENSIONS.TIME  , factor : 30.4375 },
+        "wk"                : { dimension : DIMENSIONS.TIME  , factor : 7 },
+        "d"                 : { dimension : DIMENSIONS.TIME  , factor : 1 },
+        "h"                 : { dimension : DIMENSIONS.TIME  , factor : 1 / 24 }
+    };
+
+    // Common spellings of the units (lower case) which are not UCUM codes,
+    // e.g. the "unit" text of a quantity or the case insensitive UCUM codes
+    var ALIASES = {
+        "kilogram"  : "kg",
+        "kilograms" : "kg",
+        "gram"      : "g",
+        "grams"     : "g",
+        "lb"        : "[lb_av]",
+        "lbs"       : "[lb_av]",
+        "pound"     : "[lb_av]",
+        "pounds"    : "[lb_av]",
+        "[lb_us]"   : "[lb_av]",
+        "oz"        : "[oz_av]",
+        "ounce"     : "[oz_av]",
+        "ounces"    : "[oz_av]",
+        "meter"     : "m",
+        "meters"    : "m",
+        "in"        : "[in_i]",
+        "inch"      : "[in_i]",
+        "inches"    : "[in_i]",
+        "[in_us]"   : "[in_i]",
+        "ft"        : "[ft_i]",
+        "feet"      : "[ft_i]",
+        "kg/m^2"    : "kg/m2",
+        "kg/m²"     : "kg/m2",
+        "ann"       : "a",
+        "yr"        : "a",
+        "year"      : "a",
+        "years"     : "a",
+        "month"     : "mo",
+        "months"    : "mo",
+        "week"      : "wk",
+        "weeks"     : "wk",
+        "day"       : "d",
+        "days"      : "d",
+        "hr"        : "h",
+        "hour"      : "h",
+        "hours"     : "h"
+    };
+
+    /**
+     * Finds the UCUM code of a unit. UCUM annotations like "kg{total}" are
+     * ignored.
+     * @param {String} unit The UCUM code or a common spelling of the unit
+     * @returns {String|null} The UCUM code or null for unknown units
+     */
+    function findCode(unit) {
+        var code = String(unit || "").replace(/\{[^}]*\}/g, "").replace(/\s+/g, "");
+        if (!code) {
+            return null;
+        }
+        if (UNITS.hasOwnProperty(code)) {
+            return code;
+        }
+        // The case insensitive UCUM codes, "A" is ampere (year is "ANN")
+        code = code.toLowerCase();
+        if (code != "a" && UNITS.hasOwnProperty(code)) {
+            return code;
+        }
+        return ALIASES.hasOwnProperty(code) ? ALIASES[code] : null;
+    }
+
+    /**
+     * Returns the UCUM code of the unit of a FHIR quantity. The code is used
+     * if the quantity has one, otherwise its unit text.
+     * @param {Object} quantity The FHIR quantity ({ value, unit, system, code })
+     * @param {String} [dimension] Only units of this dimension are returned
+     * @returns {String|null} The UCUM code or null for unknown units
+     */
+    function getUnit(quantity, dimension) {
+        if (!quantity || typeof quantity != "object") {
+            return null;
+        }
+        var code = findCode(quantity.code || quantity.unit);
+        if (!code || (dimension && UNITS[code].dimension != dimension)) {
+            return null;
+        }
+        return code;
+    }
+
+    /**
+     * Converts a value between two units of the same dimension.
+     * @param {Number} value The value
+     * @param {String} from The unit of the value
+     * @param {String} to The unit to convert to
+     * @returns {Number|null} The converted value or null if the units are
+     *  unknown or of different dimensions
+     */
+    function convertValue(value, from, to) {
+        var fromCode = findCode(from),
+            toCode   = findCode(to);
+        if (!fromCode || !toCode || UNITS[fromCode].dimension != UNITS[toCode].dimension) {
+            return null;
+        }
+        return value * UNITS[fromCode].factor / UNITS[toCode].factor;
+    }
+
+    /**
+     * Converts a FHIR quantity to a unit, e.g. GC.UCUM.convert(quantity, "cm").
+     * @param {Object} quantity The FHIR quantity ({ value, unit, system, code })
+     * @param {String} to The UCUM code of the unit to convert to
+     * @returns {Number|null} The converted value or null if the quantity has
+     *  no numeric value or its unit is unknown or of another dimension
+     */
+    function convert(quantity, to) {
+        if (!quantity || typeof quantity.value != "number" || !isFinite(quantity.value)) {
+            return null;
+        }
+        var toCode = findCode(to),
+            from   = toCode ? getUnit(quantity, UNITS[toCode].dimension) : null;
+        return from ? convertValue(quantity.value, from, toCode) : null;
+    }
+
+    NS.UCUM = {
+        DIMENSIONS   : DIMENSIONS,
+        UNITS        : UNITS,
+        findCode     : findCode,
+        getUnit      : getUnit,
+        convertValue : convertValue,
+        convert      : convert
+    };
+
+}(GC));
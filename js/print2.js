@@ -3,10 +3,17 @@
 
     "use strict";
 
+    // The app which opened the print window, or which embeds this page in a
+    // frame (e.g. the snapshot of the charts in the AI report)
+    var HOST = window.opener || window.parent;
+
+    // The view to print, the current view of the app by default
+    var VIEW = (/[?&]view=(\w+)/.exec(location.search) || [])[1];
+
     //pull over the cached context
 
-    GC.DATA_SETS = jQuery.extend(true, {}, opener.GC.DATA_SETS);
-    GC.currentPatient = jQuery.extend(true, {}, opener.GC.currentPatient);
+    GC.DATA_SETS = jQuery.extend(true, {}, HOST.GC.DATA_SETS);
+    GC.currentPatient = jQuery.extend(true, {}, HOST.GC.currentPatient);
 
     var leftPane,
         parentalDarwn,
@@ -14,7 +21,7 @@
 
     window.debugLog = window.console ? console.log : $.noop;
 
-    $.extend(true, GC.chartSettings, opener.GC.chartSettings);
+    $.extend(true, GC.chartSettings, HOST.GC.chartSettings);
 
     GC.App = {
         DEBUG_MODE : false,
@@ -41,7 +48,7 @@
         "getCorrectionAge"
     ], function(i, name) {
         GC.App[name] = function() {
-            return opener.GC.App[name]();
+            return HOST.GC.App[name]();
         };
     });
 
@@ -207,7 +214,7 @@
         $("#today").text(new XDate().toString("ddMMMyyyy HH:MM TT"));
 
         setStageHeight();
-        draw();
+        draw(VIEW);
 
         var timer = 0,
             lastWidth = null,
@@ -260,14 +260,29 @@
         }
     }());
 
-
+    // ai.promptVersion options ------------------------------------------------
+    $.each(GC.AIPrompts ? GC.AIPrompts.list() : [], function(i, prompts) {
+        root.find('[name="ai.promptVersion"]').append(
+            $("<option/>").val(prompts.version).text("v" + prompts.version + " - " + prompts.label)
+        );
+    });
 
     // =========================================================================
     root.find([
         '[name="fontFamily"]',
         '[name="defaultPrematureChart"]',
         '[name="defaultBabyChart"]',
-        '[name="defaultChart"]'
+        '[name="defaultChart"]',
+        '[name="ai.provider"]',
+        '[name="ai.baseURL"]',
+        '[name="ai.model"]',
+        '[name="ai.retrieval"]',
+        '[name="ai.cache"]',
+        '[name="ai.audit"]',
+        '[name="ai.chatHistory"]',
+        '[name="ai.promptVersion"]',
+        '[name="ai.growthFormat"]',
+        '[name="ai.growthReference"]'
     ].join(",")).each(function() {
         $(this).change(function() {
             MODEL.prop(this.name, $(this).val());
@@ -628,4 +643,11 @@
         }).prop("checked", MODEL.prop(this.name));
     });
 
+    // AI ----------------------------------------------------------------------
+    root.find('[name="ai.deidentify"], [name="ai.chatTools"], [name="ai.consistencyCheck"], [name="ai.writeBack"]').each(function() {
+        $(this).click(function() {
+            MODEL.prop(this.name, this.checked);
+        }).prop("checked", MODEL.prop(this.name));
+    });
+
 }());
@@ -6,30 +6,66 @@ GC.get_data = function() {
 
     var _client;
 
+    // The reasons why an observation is skipped (GC.App.getSkippedObservations)
+    var SKIP_REASONS = {
+        NO_VALUE : "noValue",
+        UNIT     : "unit",
+        STATUS   : "status"
+    };
+
     // helper functions --------------------------------------------------------
 
     function isKnownGender(gender) {
         return gender == "male" || gender == "female";
     }
 
+    // The value of an observation is checked with getSkipReason. Preliminary
+    // and corrected values are used and flagged with their provenance (see
+    // GC.Patient.isAmended), registered, cancelled and entered-in-error
+    // observations are skipped.
     function isValidObservation(obj) {
-        if (!obj.hasOwnProperty('valueQuantity') || !obj.valueQuantity || typeof obj.valueQuantity != "object") {
-            return false;
-        }
-
-        if (!obj.valueQuantity.hasOwnProperty('value') || !obj.valueQuantity.hasOwnProperty('code')) {
-            return false;
-        }
-
         if (obj.hasOwnProperty('status')) {
-            if (!obj.status || !obj.status.match(/^(final|amended|unknown)$/i)) {
+            if (!obj.status || !obj.status.match(/^(final|amended|corrected|preliminary|unknown)$/i)) {
                 return false;
             }
         }
-
         return true;
     }
 
+    /**
+     * Returns why the quantity of an observation can not be converted to the
+     * given UCUM unit (GC.UCUM), or null if it can.
+     */
+    function getSkipReason(quantity, unit) {
+        if (!quantity || typeof quantity != "object" || typeof quantity.value != "number") {
+            return SKIP_REASONS.NO_VALUE;
+        }
+        if (GC.UCUM.convert(quantity, unit) === null) {
+            return SKIP_REASONS.UNIT;
+        }
+        return null;
+    }
+
+    /**
+     * Adds a resource whose value can not be used to the skipped observations
+     * of the patient, so they can be listed instead of being lost silently.
+     */
+    function skipObservation(patient, resource, quantity, reason) {
+        var concept = resource.code || resource.relationship || {},
+            coding  = (concept.coding || [])[0] || {};
+        quantity = quantity || {};
+        patient.skippedObservations.push({
+            id          : resource.id,
+            resourceType: resource.resourceType,
+            code        : coding.code,
+            name        : concept.text || coding.display || coding.code || resource.resourceType,
+            date        : resource.effectiveDateTime || resource.date,
+            value       : quantity.value,
+            unit        : quantity.code || quantity.unit,
+            reason      : reason
+        });
+    }
+
     function patientAgeInMonths(d, patient) {
         return -1 * new XDate(d).diffMonths(
             new XDate(patient.demographics.birthday)
@@ -47,81 +83,197 @@ GC.get_data = function() {
         });
     }
 
-    function fetchVitals(client) {
+    // The codes of the measures and the panels are configured in the code
+    // mapping (GC.CodeMapping, code-mapping.json). The search also returns the
+    // members of the panels whose codes are mapped, so the members are not
+    // fetched by their reference.
+    function fetchVitals(client, mapping) {
         var query = new URLSearchParams();
         query.set("patient", client.patient.id);
         query.set("_count", 100); // Try this to fetch fewer pages
-        query.set("code", [
-            'http://loinc.org|29463-7', // weight
-            'http://loinc.org|3141-9' , // weight
-            'http://loinc.org|8302-2' , // Body height
-            'http://loinc.org|8306-3' , // Body height --lying
-            'http://loinc.org|8287-5' , // headC
-            'http://loinc.org|39156-5', // BMI 39156-5
-            'http://loinc.org|18185-9', // gestAge
-            'http://loinc.org|37362-1', // bone age
-            'http://loinc.org|11884-4'  // gestAge
-        ].join(","));
+        query.set("code", GC.CodeMapping.getSearchCodes(mapping).join(","));
         return client.request("Observation?" + query, {
             pageLimit: 0,   // get all pages
             flat     : true // return flat array of Observation resources
         });
     }
 
+    /**
+     * Returns the local reference ("Observation/id") of a reference to an
+     * observation, which can also be an absolute URL, or null.
+     */
+    function getObservationReference(reference) {
+        var match = String(reference || "").match(/(?:^|\/)(Observation\/[^\/]+)(?:\/_history\/[^\/]+)?$/);
+        return match ? match[1] : null;
+    }
+
     function fetchPatient(client) {
         return client.patient.read();
     }
 
-    function fetchAll(client) {
+    function fetchAll(client, mapping) {
         return Promise.all([
             fetchPatient(client),
-            fetchVitals(client),
+            fetchVitals(client, mapping),
             fetchFamilyHistory(client)
         ]);
     }
 
     // Data parsing ------------------------------------------------------------
 
-    function processBoneAge(client, boneAgeValues, arr) {
-        boneAgeValues && boneAgeValues.forEach(function(v){
-            if (isValidObservation(v)) {
-                arr.push({
-                    date: v.effectiveDateTime,
-                    boneAgeMos: client.units.any(v.valueQuantity)
+    /**
+     * Flattens the fetched observations for the lookup by code: every
+     * observation once (by id), the members of the panels (also of nested
+     * panels) without a time, performer or encounter of their own get the ones
+     * of their panel, and the components (component[]) become observations of
+     * their own with the status, the time, the performer and the encounter of
+     * their observation.
+     */
+    function expandObservations(observations) {
+        var seen = {}, panels = {}, out = [];
+
+        // The members of nested panels get the context of the outer panels
+        // too (visited guards against panels which contain each other)
+        function withPanelContext(o, visited) {
+            var panel = panels["Observation/" + o.id];
+            if (!panel || visited[o.id] || (o.effectiveDateTime && o.performer && o.encounter)) {
+                return o;
+            }
+            visited[o.id] = true;
+            panel = withPanelContext(panel, visited);
+            return $.extend({}, o, {
+                effectiveDateTime: o.effectiveDateTime || panel.effectiveDateTime,
+                performer        : o.performer         || panel.performer,
+                encounter        : o.encounter         || panel.encounter
+            });
+        }
+
+        $.each(observations, function(i, o) {
+            $.each(o.hasMember || [], function(j, member) {
+                var ref = getObservationReference(member.reference);
+                if (ref) {
+                    panels[ref] = o;
+                }
+            });
+        });
+
+        $.each(observations, function(i, o) {
+            if (o.id) {
+                if (seen[o.id]) {
+                    return;
+                }
+                seen[o.id] = true;
+            }
+
+            o = withPanelContext(o, {});
+            out.push(o);
+
+            $.each(o.component || [], function(j, component) {
+                out.push({
+                    resourceType     : "Observation",
+                    id               : o.id,
+                    status           : o.status,
+                    effectiveDateTime: o.effectiveDateTime,
+                    performer        : o.performer,
+                    encounter        : o.encounter,
+                    code             : component.code,
+                    valueQuantity    : component.valueQuantity
                 });
+            });
+        });
+
+        return out;
+    }
+
+    /**
+     * Where a value comes from, shown in the data table and the tooltips of
+     * the charts (see GC.Patient.formatProvenance)
+     */
+    function getProvenance(v) {
+        var performer = (v.performer || [])[0] || {},
+            encounter = v.encounter || v.context || {}; // "context" in STU3
+        return {
+            origin       : GC.Patient.ORIGINS.FHIR,
+            resourceType : v.resourceType || "Observation",
+            id           : v.id || null,
+            date         : v.effectiveDateTime || null,
+            status       : v.status || null,
+            performer    : performer.display || performer.reference || null,
+            encounter    : encounter.display || encounter.reference || null
+        };
+    }
+
+    // The values are converted to the units of the charts with GC.UCUM, the
+    // observations with a value which can not be converted are skipped
+    function processObservations(patient, observationValues, unit, callback) {
+        observationValues && observationValues.forEach(function(v) {
+            if (!isValidObservation(v)) {
+                skipObservation(patient, v, v.valueQuantity, SKIP_REASONS.STATUS);
+                return;
+            }
+            var reason = getSkipReason(v.valueQuantity, unit);
+            if (reason) {
+                skipObservation(patient, v, v.valueQuantity, reason);
+            }
+            else {
+                callback(v, GC.UCUM.convert(v.valueQuantity, unit));
             }
         });
     }
 
-    function processVitals(client, patient, vitalsByCode) {
-        function process(observationValues, toUnit, arr) {
-            observationValues && observationValues.forEach(function(v) {
-                if (isValidObservation(v)) {
-                    arr.push({
-                        agemos: patientAgeInMonths(v.effectiveDateTime, patient),
-                        value: toUnit(v.valueQuantity)
-                    })
+    function processBoneAge(patient, boneAgeValues) {
+        processObservations(patient, boneAgeValues, GC.CodeMapping.MEASURES.boneAge.unit, function(v, value) {
+            patient.boneAge.push({
+                date: v.effectiveDateTime,
+                boneAgeMos: value
+            });
+        });
+    }
+
+    function processVitals(patient, vitalsByMeasure, mapping) {
+        // The same value at the same time is added once, e.g. the component
+        // of a panel which is also sent as standalone observation
+        function process(measure, arr) {
+            var seen = {};
+            processObservations(patient, vitalsByMeasure[measure], GC.CodeMapping.MEASURES[measure].unit, function(v, value) {
+                var agemos = patientAgeInMonths(v.effectiveDateTime, patient),
+                    key    = agemos + "|" + value.toFixed(3),
+                    point;
+                if (!seen[key]) {
+                    seen[key] = true;
+                    point = {
+                        agemos: agemos,
+                        value: value,
+                        provenance: getProvenance(v)
+                    };
+                    // Lying length or standing height (see GC.Patient.getPositionCorrection)
+                    if (measure == "length") {
+                        point.position = GC.CodeMapping.getPosition(mapping, v);
+                    }
+                    arr.push(point);
                 }
             });
         }
 
-        var units  = client.units;
         var vitals = patient.vitals;
-        process(vitalsByCode['3141-9' ], units.kg , vitals.weightData);
-        process(vitalsByCode['29463-7'], units.kg , vitals.weightData);
-        process(vitalsByCode['8302-2' ], units.cm , vitals.lengthData);
-        process(vitalsByCode['8306-3' ], units.cm , vitals.lengthData);
-        process(vitalsByCode['8287-5' ], units.cm , vitals.headCData );
-        process(vitalsByCode['39156-5'], units.any, vitals.BMIData   );
+        process("weight", vitals.weightData);
+        process("length", vitals.lengthData);
+        process("headc" , vitals.headCData );
+        process("bmi"   , vitals.BMIData   );
     }
 
-    function processFamilyHistories(client, patient, familyHistories) {
+    function processFamilyHistories(patient, familyHistories) {
         $.each(familyHistories, function(index, fh) {
             if (fh.resourceType === "FamilyMemberHistory") {
                 var code = fh.relationship.coding[0].code;
                 $.each(fh.extension || [], function(index2, ext){
                     if (ext.url === "http://fhir-registry.smarthealthit.org/StructureDefinition/family-history#height") {
-                        var ht = client.units.cm(ext.valueQuantity);
+                        var reason = getSkipReason(ext.valueQuantity, "cm");
+                        if (reason) {
+                            skipObservation(patient, fh, ext.valueQuantity, reason);
+                            return;
+                        }
+                        var ht = GC.UCUM.convert(ext.valueQuantity, "cm");
                         var r = null;
                         if (code === 'FTH') {
                             r = patient.familyHistory.father;
@@ -139,21 +291,22 @@ GC.get_data = function() {
         });
     }
 
-    function processGestAge(patient, vitalsByCode) {
-        var gestAge = vitalsByCode['18185-9'];
-        if (gestAge === undefined) {
-            //handle an alternate mapping of Gest Age used by Cerner
-            gestAge = vitalsByCode['11884-4'];
-        }
-
+    // The observations of the first code of the mapping come first, e.g.
+    // 18185-9 before 11884-4 used by Cerner
+    function processGestAge(patient, gestAge) {
         if (gestAge && gestAge.length > 0) {
             var weeks = 0,
                 qty = gestAge[0].valueString ?
                     gestAge[0].valueString.value || '40W 0D' :
-                    gestAge[0].valueQuantity ?
-                        gestAge[0].valueQuantity.value || 40 :
+                    gestAge[0].valueQuantity && gestAge[0].valueQuantity.value ?
+                        GC.UCUM.convert(gestAge[0].valueQuantity, GC.CodeMapping.MEASURES.gestationalAge.unit) :
                         40;
 
+            if (qty === null) {
+                skipObservation(patient, gestAge[0], gestAge[0].valueQuantity, SKIP_REASONS.UNIT);
+                return;
+            }
+
             if (typeof qty == 'string') {
                 qty.replace(/(\d+)([WD])\s*/gi, function(token, num, code) {
                     num = parseFloat(num);
@@ -188,6 +341,7 @@ GC.get_data = function() {
                 headCData: []
             },
             boneAge: [],
+            skippedObservations: [],
             familyHistory: {
                 father : {
                     height: null,
@@ -203,6 +357,7 @@ GC.get_data = function() {
         var fname = patient.name[0].given.join(" ");
         var lname = patient.name[0].family;
         lname = $.isArray(lname) ? lname.join(" ") : lname;
+        p.demographics.id = patient.id;
         p.demographics.name = fname + " " + lname;
         p.demographics.birthday = patient.birthDate;
         p.demographics.gender = patient.gender;
@@ -210,13 +365,22 @@ GC.get_data = function() {
         return p;
     }
 
-    function processData(client, patient, vitals, familyHistories) {
+    function processData(client, patient, vitals, familyHistories, codeMapping) {
         var p = processPatient(client, patient);
-        var vitalsByCode = client.byCode(vitals, 'code');
-        processGestAge(p, vitalsByCode)
-        processVitals(client, p, vitalsByCode);
-        processBoneAge(client, vitalsByCode['37362-1'], p.boneAge);
-        processFamilyHistories(client, p, familyHistories);
+        var classified = GC.CodeMapping.classify(codeMapping.mapping, expandObservations(vitals));
+        var vitalsByMeasure = classified.byMeasure;
+        processGestAge(p, vitalsByMeasure.gestationalAge);
+        processVitals(p, vitalsByMeasure, codeMapping.mapping);
+        processBoneAge(p, vitalsByMeasure.boneAge);
+        processFamilyHistories(p, familyHistories);
+
+        // For the diagnostics of the code mapping (code-mapping.html)
+        p.codeMapping = {
+            source : codeMapping.source,
+            error  : codeMapping.error,
+            mapping : codeMapping.mapping,
+            codes  : classified.codes
+        };
 
         return p;
     }
@@ -225,6 +389,7 @@ GC.get_data = function() {
 
     function onReady(client) {
         _client = client;
+        GC.FHIR_CLIENT = client; // e.g. the user of the chat history of the AI tab
         if (!client.patient || !client.patient.id) {
             throw new Error(GC.str('STR_Error_NoPatient'));
         }
@@ -234,13 +399,16 @@ GC.get_data = function() {
         GC.Preferences.prop("hidePatientHeader", hidePatientHeader);
 
         
-        return fetchAll(client).then(function(data) {
-            return processData(
-                client,
-                data[0], // patient
-                data[1], // vitals
-                data[2]  // familyHistories
-            );
+        return GC.CodeMapping.load(GC.chartSettings.codeMapping).then(function(codeMapping) {
+            return fetchAll(client, codeMapping.mapping).then(function(data) {
+                return processData(
+                    client,
+                    data[0], // patient
+                    data[1], // vitals
+                    data[2], // familyHistories
+                    codeMapping
+                );
+            });
         });
     }
 
@@ -0,0 +1,78 @@
+module("Code Mapping");
+
+test("Testing GC.CodeMapping.normalize()", function() {
+	var mapping = GC.CodeMapping.normalize({
+		measures: {
+			weight: [{ system: "http://loinc.org", code: "29463-7" }],
+			length: [{ code: "L-1", display: "Length", position: "lying" }]
+		}
+	});
+	deepEqual(mapping.measures.weight, [{ system: "http://loinc.org", code: "29463-7", display: "", position: null }], "The codes are normalized");
+	equal(mapping.measures.length[0].system, null, "Codes without a system are accepted");
+	deepEqual(mapping.panels, [], "The panels are optional");
+
+	raises(function() { GC.CodeMapping.normalize({}); }, "A mapping without measures is rejected");
+	raises(function() { GC.CodeMapping.normalize({ measures: { height: [] } }); }, "Unknown measures are rejected");
+	raises(function() { GC.CodeMapping.normalize({ measures: { weight: [{ system: "x" }] } }); }, "Codes without a code are rejected");
+	raises(function() { GC.CodeMapping.normalize({ measures: { length: [{ code: "x", position: "sitting" }] } }); }, "Unknown positions are rejected");
+});
+
+test("Testing GC.CodeMapping.getSearchCodes()", function() {
+	var mapping = GC.CodeMapping.normalize({
+		measures: {
+			weight: [{ system: "http://loinc.org", code: "29463-7" }, { code: "W-1" }],
+			bmi: [{ system: "http://loinc.org", code: "29463-7" }]
+		},
+		panels: [{ system: "http://loinc.org", code: "85353-1" }]
+	});
+	deepEqual(GC.CodeMapping.getSearchCodes(mapping), [
+		"http://loinc.org|29463-7",
+		"W-1",
+		"http://loinc.org|85353-1"
+	], "The codes are searched once, with their system if they have one");
+});
+
+test("Testing GC.CodeMapping.getPosition()", function() {
+	var mapping = GC.CodeMapping.normalize({
+		measures: {
+			weight: [{ code: "W-1" }],
+			length: [{ code: "L-1" }, { code: "L-2", position: "lying" }, { code: "L-3", position: "standing" }]
+		}
+	});
+	equal(GC.CodeMapping.getPosition(mapping, { code: { coding: [{ code: "L-2" }] } }), "lying", "The position of the code");
+	equal(GC.CodeMapping.getPosition(mapping, { code: { coding: [{ code: "W-1" }, { code: "L-3" }] } }), "standing", "The codes of other measures are skipped");
+	equal(GC.CodeMapping.getPosition(mapping, { code: { coding: [{ code: "L-1" }, { code: "L-2" }] } }), null, "The first length code tells the position");
+	equal(GC.CodeMapping.getPosition(mapping, {}), null, "Observations without a code");
+});
+
+test("Testing GC.CodeMapping.classify()", function() {
+	var LOINC = "http://loinc.org",
+		SNOMED = "http://snomed.info/sct",
+		mapping = GC.CodeMapping.normalize({
+			measures: {
+				weight: [{ system: LOINC, code: "29463-7" }, { system: SNOMED, code: "27113001" }],
+				length: [{ system: LOINC, code: "8306-3", position: "lying" }, { code: "L-1" }]
+			},
+			panels: [{ system: LOINC, code: "85353-1" }]
+		}),
+		observations = [
+			{ id: "1", code: { coding: [{ system: SNOMED, code: "27113001", display: "Body weight" }] } },
+			{ id: "2", code: { coding: [{ system: LOINC, code: "29463-7" }] } },
+			{ id: "3", code: { coding: [{ system: "urn:local", code: "L-1" }], text: "Length" } },
+			{ id: "4", code: { coding: [{ system: LOINC, code: "85353-1" }] } },
+			{ id: "5", code: { coding: [{ system: "urn:local", code: "X-1" }] } },
+			{ id: "6", code: { coding: [{ system: "urn:local", code: "29463-7" }] } }
+		],
+		result = GC.CodeMapping.classify(mapping, observations);
+
+	deepEqual($.map(result.byMeasure.weight, function(o) { return o.id; }), ["2", "1"], "The observations of the earlier codes come first");
+	deepEqual($.map(result.byMeasure.length, function(o) { return o.id; }), ["3"], "Codes without a system match any system");
+	equal(result.byMeasure.panel, undefined, "Panels are not a measure");
+
+	equal(result.codes.length, 6, "All codes found are listed");
+	deepEqual(result.codes[0], { system: SNOMED, code: "27113001", display: "Body weight", count: 1, measure: "weight", position: null }, "The codes have their measure");
+	equal(result.codes[2].display, "Length", "The text of the concept is the default display");
+	equal(result.codes[3].measure, "panel", "Panel codes are listed");
+	equal(result.codes[4].measure, null, "Unknown codes are not mapped");
+	equal(result.codes[5].measure, null, "Codes of another system are not mapped");
+});
@@ -0,0 +1,74 @@
+module("Length Position", {
+	setup: function() {
+		this.chartSettings = GC.chartSettings;
+		GC.chartSettings = {
+			lengthCorrection: {
+				enabled: true,
+				value: 0.7,
+				dataSets: { CDC_STATURE: 24, CDC_LENGTH: "lying", WHO_LENGTH: "lying" }
+			}
+		};
+	},
+	teardown: function() {
+		GC.chartSettings = this.chartSettings;
+	}
+});
+
+test("Testing GC.Patient.getDataSetPosition()", function() {
+	equal(GC.Patient.getDataSetPosition({ name: "WHO_LENGTH" }, 12), "lying", "The position of a length data set");
+	equal(GC.Patient.getDataSetPosition({ name: "CDC_STATURE" }, 24), "lying", "Recumbent lengths up to the age of a joined data set");
+	equal(GC.Patient.getDataSetPosition({ name: "CDC_STATURE" }, 30), "standing", "Standing heights after the age of a joined data set");
+	equal(GC.Patient.getDataSetPosition({ name: "CDC_WEIGHT" }, 12), null, "Unknown data sets have no position");
+	equal(GC.Patient.getDataSetPosition(null, 12), null, "No data set has no position");
+});
+
+test("Testing GC.Patient.getPositionCorrection()", function() {
+	var length  = { name: "WHO_LENGTH" },
+		infant  = { name: "CDC_LENGTH" },
+		stature = { name: "CDC_STATURE" };
+
+	equal(GC.Patient.getPositionCorrection(12, "lying", length), 0, "Lying lengths are not corrected on the length charts");
+	equal(GC.Patient.getPositionCorrection(12, "standing", length), 0.7, "Standing heights are corrected on the length charts");
+	equal(GC.Patient.getPositionCorrection(24, "standing", stature), 0.7, "Lengths at 24 months are on the length data of the stature chart");
+	equal(GC.Patient.getPositionCorrection(24, "lying", stature), 0, "Lying lengths at 24 months are not corrected");
+	equal(GC.Patient.getPositionCorrection(36, "lying", stature), -0.7, "Lying lengths are corrected on the stature charts");
+	equal(GC.Patient.getPositionCorrection(36, "standing", stature), 0, "Standing heights are not corrected on the stature charts");
+	equal(GC.Patient.getPositionCorrection(30, "lying", infant), 0, "Lying lengths at 30 months are not corrected on the infant length chart");
+	equal(GC.Patient.getPositionCorrection(30, "standing", infant), 0.7, "Standing heights at 30 months are corrected on the infant length chart");
+	equal(GC.Patient.getPositionCorrection(36, null, stature), 0, "Lengths of unknown position are not corrected");
+	equal(GC.Patient.getPositionCorrection(36, "lying", { name: "OTHER_STATURE" }), 0, "Lengths on unknown data sets are not corrected");
+
+	GC.chartSettings.lengthCorrection.enabled = false;
+	equal(GC.Patient.getPositionCorrection(36, "lying", stature), 0, "The correction can be disabled");
+});
+
+test("Testing the position of the patient data", function() {
+	var patient = new GC.Patient(
+			{ name: "Test", birthday: "2015-01-01", gender: "female" },
+			{
+				lengthData: [
+					{ agemos: 12, value: 75, position: "standing" },
+					{ agemos: 36, value: 95, position: "standing" },
+					{ agemos: 40, value: 97 }
+				]
+			}
+		),
+		dataSet = { name: "CDC_STATURE" },
+		model = patient.getModel(),
+		points = patient.getChartData("lengthAndStature", dataSet);
+
+	equal(patient.getLengthPosition(model[0]), "standing", "The position of the loaded values is kept");
+	equal(patient.getLengthPosition(model[2]), null, "The position of the values can be unknown");
+	equal(patient.getLengthCorrection(model[0], dataSet), 0.7, "The correction of an entry");
+	equal(patient.getLengthCorrection(model[0], null), 0, "No correction without a length data set");
+
+	equal(points[0].value, 75.7, "The corrected value is plotted");
+	equal(points[0].measured, 75, "The measured value is kept");
+	strictEqual(points[1], patient.data.lengthAndStature[1], "The points in the position of the chart are not changed");
+	equal(patient.data.lengthAndStature[0].value, 75, "The patient data is not changed");
+
+	patient.mergeModel([{ agemos: 36, lengthAndStature: 96 }]);
+	equal(patient.getLengthPosition({ agemos: 36, lengthAndStature: 96 }), null, "Edited values have no position");
+	patient.refresh();
+	equal(patient.getLengthPosition({ agemos: 12, lengthAndStature: 75 }), "standing", "The position is kept on refresh");
+});
@@ -0,0 +1,146 @@
+module("Load FHIR Data", {
+	setup: function() {
+		this.FHIR = window.FHIR;
+		this.chartSettings = GC.chartSettings;
+		this.Preferences = GC.Preferences;
+		GC.chartSettings = { codeMapping: null };
+		GC.Preferences = { prop: function() {} };
+	},
+	teardown: function() {
+		window.FHIR = this.FHIR;
+		GC.chartSettings = this.chartSettings;
+		GC.Preferences = this.Preferences;
+	}
+});
+
+function createWeightObservation(id, status, date, value) {
+	return {
+		resourceType: "Observation",
+		id: id,
+		status: status,
+		code: { coding: [{ system: "http://loinc.org", code: "29463-7", display: "Body weight" }] },
+		effectiveDateTime: date,
+		valueQuantity: { value: value, unit: "kg", system: "http://unitsofmeasure.org", code: "kg" }
+	};
+}
+
+function mockFhirClient(observations) {
+	var client = {
+		patient: {
+			id: "p1",
+			read: function() {
+				return Promise.resolve({
+					resourceType: "Patient",
+					id: "p1",
+					gender: "female",
+					birthDate: "2015-01-01",
+					name: [{ given: ["Test"], family: "Patient" }]
+				});
+			}
+		},
+		getPath: function() {},
+		requests: [],
+		request: function(url) {
+			client.requests.push(String(url));
+			return Promise.resolve(url.indexOf("Observation?") === 0 ? observations : []);
+		}
+	};
+	window.FHIR = { oauth2: { ready: function() { return Promise.resolve(client); } } };
+	return client;
+}
+
+function createPanel(id, date, members) {
+	return {
+		resourceType: "Observation",
+		id: id,
+		status: "final",
+		code: { coding: [{ system: "http://loinc.org", code: "85353-1", display: "Vital signs panel" }] },
+		effectiveDateTime: date,
+		hasMember: members.map(function(member) {
+			return { reference: "Observation/" + member };
+		})
+	};
+}
+
+asyncTest("Testing the status of the loaded observations", function() {
+	mockFhirClient([
+		createWeightObservation("w1", "preliminary", "2015-02-01", 4.1),
+		createWeightObservation("w2", "corrected", "2015-03-01", 5.2),
+		createWeightObservation("w3", "entered-in-error", "2015-04-01", 9.9),
+		createWeightObservation("w4", "cancelled", "2015-05-01", 6.4)
+	]);
+
+	GC.get_data().then(function(data) {
+		var weights = data.vitals.weightData;
+		equal(weights.length, 2, "Preliminary and corrected observations are loaded");
+		equal(weights[0].provenance.status, "preliminary", "The status of a preliminary value is kept");
+		equal(GC.Patient.isAmended(weights[0].provenance), false, "Preliminary values are not flagged as amended");
+		equal(weights[1].value, 5.2, "The value of a corrected observation is used");
+		equal(GC.Patient.isAmended(weights[1].provenance), true, "Corrected values are flagged as amended");
+		equal(data.skippedObservations.length, 2, "Cancelled and entered-in-error observations are skipped");
+		equal(data.skippedObservations[0].id, "w3", "The skipped observation is listed");
+		equal(data.skippedObservations[0].reason, "status", "The status is the reason why it is skipped");
+	}, function(error) {
+		ok(false, "The data could not be loaded: " + error);
+	}).then(start);
+});
+
+asyncTest("Testing a panel whose members are also found by the search", function() {
+	var client = mockFhirClient([
+		createPanel("panel", "2015-02-01", ["w1", "missing"]),
+		createWeightObservation("w1", "final", "2015-02-01", 4.1)
+	]);
+
+	GC.get_data().then(function(data) {
+		var weights = data.vitals.weightData;
+		equal(weights.length, 1, "A member which is also returned by the search is loaded once");
+		equal(weights[0].provenance.id, "w1", "The member is loaded");
+		equal(client.requests.filter(function(url) {
+			return url.indexOf("Observation/") === 0;
+		}).length, 0, "A member which is not part of the search results is not fetched");
+	}, function(error) {
+		ok(false, "The data could not be loaded: " + error);
+	}).then(start);
+});
+
+asyncTest("Testing the members of nested panels", function() {
+	mockFhirClient([
+		createPanel("outer", "2015-03-01", ["inner"]),
+		createPanel("inner", undefined, ["w1"]),
+		createWeightObservation("w1", "final", undefined, 4.1)
+	]);
+
+	GC.get_data().then(function(data) {
+		var weights = data.vitals.weightData;
+		equal(weights.length, 1, "The member of the nested panel is loaded");
+		equal(weights[0].provenance.date, "2015-03-01", "The member gets the time of the outer panel");
+	}, function(error) {
+		ok(false, "The data could not be loaded: " + error);
+	}).then(start);
+});
+
+asyncTest("Testing an observation with components only", function() {
+	mockFhirClient([{
+		resourceType: "Observation",
+		id: "body",
+		status: "final",
+		code: { coding: [{ system: "http://loinc.org", code: "85353-1" }] },
+		effectiveDateTime: "2015-04-01",
+		component: [{
+			code: { coding: [{ system: "http://loinc.org", code: "29463-7" }] },
+			valueQuantity: { value: 6.2, unit: "kg", system: "http://unitsofmeasure.org", code: "kg" }
+		}, {
+			code: { coding: [{ system: "http://loinc.org", code: "8302-2" }] },
+			valueQuantity: { value: 62, unit: "cm", system: "http://unitsofmeasure.org", code: "cm" }
+		}]
+	}]);
+
+	GC.get_data().then(function(data) {
+		equal(data.vitals.weightData.length, 1, "The weight is loaded from its component");
+		equal(data.vitals.weightData[0].value, 6.2, "The value of the weight component is used");
+		equal(data.vitals.lengthData.length, 1, "The length is loaded from its component");
+		equal(data.vitals.lengthData[0].provenance.date, "2015-04-01", "The component gets the time of its observation");
+	}, function(error) {
+		ok(false, "The data could not be loaded: " + error);
+	}).then(start);
+});
@@ -0,0 +1,44 @@
+module("Provenance");
+
+function createProvenancePatient() {
+	return new GC.Patient(
+		{ name: "Test", birthday: "2015-01-01", gender: "female" },
+		{
+			weightData: [
+				{ agemos: 1, value: 4.1, provenance: { origin: "fhir", resourceType: "Observation", id: "w1", status: "final" } },
+				{ agemos: 2, value: 5.2, provenance: { origin: "fhir", resourceType: "Observation", id: "w2", status: "amended" } }
+			],
+			lengthData: [
+				{ agemos: 1, value: 54 }
+			]
+		}
+	);
+}
+
+test("Testing GC.Patient.prototype.getProvenance()", function() {
+	var patient = createProvenancePatient(),
+		model = patient.getModel();
+
+	equal(patient.getProvenance(model[0], "weight").id, "w1", "The provenance of the loaded values is kept");
+	equal(patient.getProvenance(model[0], "lengthAndStature").origin, GC.Patient.ORIGINS.SAMPLE, "Values without provenance are sample values");
+	equal(patient.getProvenance(model[1], "lengthAndStature"), null, "Missing values have no provenance");
+});
+
+test("Testing the provenance of the scratchpad values", function() {
+	var patient = createProvenancePatient();
+
+	patient.mergeModel([{ agemos: 2, weight: 5.5 }, { agemos: 3, weight: 6 }]);
+	equal(patient.getProvenance({ agemos: 2, weight: 5.5 }, "weight").origin, GC.Patient.ORIGINS.SCRATCHPAD, "Edited values come from the scratchpad");
+	equal(patient.getProvenance({ agemos: 3, weight: 6 }, "weight").origin, GC.Patient.ORIGINS.SCRATCHPAD, "Added values come from the scratchpad");
+
+	patient.refresh();
+	equal(patient.getProvenance({ agemos: 1, weight: 4.1 }, "weight").id, "w1", "The provenance is kept on refresh");
+	equal(patient.getProvenance({ agemos: 2, weight: 5.5 }, "weight").origin, GC.Patient.ORIGINS.SCRATCHPAD, "The edited values stay scratchpad values");
+});
+
+test("Testing GC.Patient.isAmended()", function() {
+	ok(GC.Patient.isAmended({ status: "amended" }), "Amended values");
+	ok(GC.Patient.isAmended({ status: "corrected" }), "Corrected values are amended");
+	ok(!GC.Patient.isAmended({ status: "final" }), "Final values");
+	ok(!GC.Patient.isAmended(null), "Values without provenance");
+});
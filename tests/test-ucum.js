@@ -0,0 +1,26 @@
+module("UCUM");
+
+test("Testing GC.UCUM.findCode()", function() {
+	equal(GC.UCUM.findCode("kg"), "kg", "UCUM codes are found");
+	equal(GC.UCUM.findCode("[LB_AV]"), "[lb_av]", "Case insensitive UCUM codes are found");
+	equal(GC.UCUM.findCode("kg{total}"), "kg", "Annotations are ignored");
+	equal(GC.UCUM.findCode("inches"), "[in_i]", "Common spellings are found");
+	equal(GC.UCUM.findCode("A"), null, "Ampere is not a year");
+	equal(GC.UCUM.findCode("stones"), null, "Unknown units are not found");
+});
+
+test("Testing GC.UCUM.convert()", function() {
+	equal(GC.UCUM.convert({ value: 5000, code: "g" }, "kg"), 5, "Grams to kilograms");
+	equal(GC.UCUM.convert({ value: 22, code: "[lb_av]" }, "kg").toFixed(3), "9.979", "Pounds to kilograms");
+	equal(GC.UCUM.convert({ value: 845, code: "mm" }, "cm"), 84.5, "Millimeters to centimeters");
+	equal(GC.UCUM.convert({ value: 30, code: "[in_i]" }, "cm"), 76.2, "Inches to centimeters");
+	equal(GC.UCUM.convert({ value: 1.2, unit: "m" }, "cm"), 120, "The unit text is used without a code");
+	equal(GC.UCUM.convert({ value: 0.023, code: "[lb_av]/[in_i]2" }, "kg/m2").toFixed(2), "16.17", "BMI in lb/in2");
+	equal(GC.UCUM.convert({ value: 10, code: "a" }, "mo"), 120, "Years to months");
+	equal(GC.UCUM.convert({ value: 14, code: "d" }, "wk"), 2, "Days to weeks");
+
+	equal(GC.UCUM.convert({ value: 10, code: "a" }, "kg/m2"), null, "Units of another dimension are not converted");
+	equal(GC.UCUM.convert({ value: 10, code: "st" }, "kg"), null, "Unknown units are not converted");
+	equal(GC.UCUM.convert({ value: 10 }, "kg"), null, "Quantities without a unit are not converted");
+	equal(GC.UCUM.convert({ code: "kg" }, "kg"), null, "Quantities without a value are not converted");
+});